@@ -71,10 +71,9 @@ function App() {
   }
 
   function handlePaymentComplete(orderId, amount) {
-    // Handle payment completion - you can add logic here to save order, show success, etc.
+    // Checkout already showed the payment's progress; the order stays listed in the profile
     console.log('Payment completed:', { orderId, amount });
-    alert(`Payment successful! Order ID: ${orderId}`);
-    // Navigate back to listing details or shop
+    // Navigate back to the shop
     setSelectedListing(null);
     setPage('shop');
   }
@@ -211,6 +210,8 @@ function App() {
         {page === 'profile' && (
           <ProfilePage
             profile={profile}
+            orders={orders}
+            userId={userId}
           />
         )}
         {page === 'chat' && (
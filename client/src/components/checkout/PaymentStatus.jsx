@@ -0,0 +1,150 @@
+import { useEffect, useState } from 'react';
+import { fetchOrder } from '../../services/apiService';
+
+// How often the order is re-fetched while its payment is on the way
+const POLL_INTERVAL_MS = 3000;
+
+// Order states at or past funded: the deposit was verified and is held in (or paid out of) escrow
+const FUNDED_STATES = ['funded', 'shipped', 'delivered', 'released', 'disputed', 'settled'];
+
+const STAGES = [
+  { key: 'submitted', label: 'Payment sent', hint: 'Your wallet signed and sent the transfer.' },
+  { key: 'onChain', label: 'Seen on-chain', hint: 'The transfer was included in the blockchain.' },
+  { key: 'funded', label: 'Funded', hint: 'The payment reached the order\'s escrow wallet.' },
+  { key: 'held', label: 'Held in escrow', hint: 'The deposit is verified. It is released to the seller when you confirm receipt.' },
+];
+
+// Transaction hashes are stored base64; the explorer links them by hex
+function transactionUrl(explorerUrl, transactionHash) {
+  const hex = Array.from(atob(transactionHash), (char) => char.charCodeAt(0).toString(16).padStart(2, '0')).join('');
+  return `${explorerUrl}/tx/${hex}`;
+}
+
+function formatAmount(order, amount) {
+  const decimals = order.jetton ? order.jetton.decimals : 9;
+  const symbol = order.jetton ? order.jetton.symbol : 'TON';
+  return `${(Number(amount) / 10 ** decimals).toFixed(Math.min(decimals, 4))} ${symbol}`;
+}
+
+// Which stages are done, and why the payment is stuck if it is
+function getProgress(order) {
+  const submission = order.paymentSubmission;
+  const held = FUNDED_STATES.includes(order.status);
+  const funded = held || submission?.status === 'arrived';
+  const onChain = funded || submission?.status === 'included' || submission?.status === 'failed';
+  const done = { submitted: true, onChain, funded, held };
+
+  let error = null;
+  if (!held) {
+    if (order.status === 'cancelled' || order.status === 'refunded') {
+      error = `The order was ${order.status} before the payment was verified.`;
+    } else if (submission?.status === 'failed') {
+      error = `${submission.error || 'The transfer failed on-chain'}. Any funds that bounced go back to your wallet.`;
+    } else if (order.depositedAmount && BigInt(order.depositedAmount) < BigInt(order.totalAmount)) {
+      error = `Only ${formatAmount(order, order.depositedAmount)} of ${formatAmount(order, order.totalAmount)} arrived. Send the rest to the same escrow wallet to fund the order.`;
+    } else if (submission?.status === 'not_found') {
+      error = 'Your transfer has not shown up on-chain yet. If your wallet shows it as sent, the order is funded as soon as it arrives.';
+    }
+  }
+  return { done, error };
+}
+
+// Follows an order from the buyer's signed transfer until its deposit is held in escrow,
+// by polling the order (its paymentSubmission is updated as the server tracks the transfer)
+function PaymentStatus({ orderId, initialOrder, explorerUrl, reportError, onDone }) {
+  const [order, setOrder] = useState(initialOrder);
+
+  const { done, error } = getProgress(order);
+  // A failed transfer or a closed order will not move any more
+  const settled = done.held || order.paymentSubmission?.status === 'failed' || ['cancelled', 'refunded'].includes(order.status);
+
+  useEffect(() => {
+    if (settled) return undefined;
+    let cancelled = false;
+    const timer = setInterval(async () => {
+      try {
+        const latest = await fetchOrder(orderId);
+        if (!cancelled) setOrder(latest);
+      } catch (err) {
+        // Keep polling; the next fetch may succeed
+        console.error('Could not refresh order status:', err);
+      }
+    }, POLL_INTERVAL_MS);
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, [orderId, settled]);
+
+  const submission = order.paymentSubmission;
+  const depositHash = submission?.transactionHash || order.deposit?.transactions?.[0]?.transactionHash;
+  const links = {
+    onChain: submission?.walletTransactionHash && { href: transactionUrl(explorerUrl, submission.walletTransactionHash), label: 'View transaction' },
+    funded: depositHash && { href: transactionUrl(explorerUrl, depositHash), label: 'View deposit' },
+    held: order.escrowWalletAddress && { href: `${explorerUrl}/${order.escrowWalletAddress}`, label: 'View escrow wallet' },
+  };
+  const current = STAGES.find((stage) => !done[stage.key]);
+
+  return (
+    <div className="flex flex-col gap-4">
+      <div>
+        <h3 className="text-lg font-medium">{done.held ? 'Payment received' : error ? 'Payment needs attention' : 'Confirming your payment'}</h3>
+        <p className="text-xs text-gray-500 font-mono">Order {orderId}</p>
+      </div>
+
+      <ol className="flex flex-col gap-3">
+        {STAGES.map((stage) => {
+          const isDone = done[stage.key];
+          const isCurrent = stage === current;
+          const link = explorerUrl && isDone ? links[stage.key] : null;
+          return (
+            <li key={stage.key} className="flex gap-3 items-start">
+              <span
+                className={`mt-0.5 w-5 h-5 rounded-full flex items-center justify-center text-xs shrink-0 ${
+                  isDone ? 'bg-green-600 text-white' : isCurrent && error ? 'bg-red-600 text-white' : isCurrent ? 'border-2 border-black animate-pulse' : 'border-2 border-gray-300'
+                }`}
+              >
+                {isDone ? '✓' : isCurrent && error ? '!' : ''}
+              </span>
+              <div className="min-w-0">
+                <p className={`text-sm font-medium ${isDone || isCurrent ? 'text-gray-900' : 'text-gray-400'}`}>{stage.label}</p>
+                {(isDone || isCurrent) && <p className="text-xs text-gray-500">{stage.hint}</p>}
+                {link && (
+                  <a href={link.href} target="_blank" rel="noopener noreferrer" className="text-xs text-blue-600 hover:text-blue-800 underline">
+                    {link.label} →
+                  </a>
+                )}
+              </div>
+            </li>
+          );
+        })}
+      </ol>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-4">
+          <p className="text-sm text-red-800">{error}</p>
+        </div>
+      )}
+      {reportError && !done.held && (
+        <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4">
+          <p className="text-sm text-yellow-800">
+            The order could not be updated ({reportError}). The deposit is still picked up from the escrow wallet.
+          </p>
+        </div>
+      )}
+
+      <button
+        type="button"
+        onClick={onDone}
+        className="w-full bg-black text-white px-4 py-3 rounded-lg font-medium text-sm hover:opacity-90 transition-opacity"
+      >
+        {done.held ? 'Done' : 'Continue shopping'}
+      </button>
+      {!done.held && !error && (
+        <p className="text-xs text-gray-500 text-center">You can leave this page; the order updates in your profile once it is funded.</p>
+      )}
+    </div>
+  );
+}
+
+export default PaymentStatus;
@@ -0,0 +1,227 @@
+import { useState, useEffect, useCallback } from 'react';
+import { addDisputeEvidence, fetchDisputeEvidence, ruleDispute } from '../../services/apiService';
+
+const OUTCOME_LABELS = {
+  release: 'Release to seller',
+  refund: 'Refund buyer',
+  split: 'Split',
+};
+
+const ROLE_LABELS = {
+  buyer: 'Buyer',
+  seller: 'Seller',
+  arbiter: 'Arbiter',
+};
+
+function DisputePanel({ order, isArbiter = false, onRuled }) {
+  const [evidence, setEvidence] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [text, setText] = useState('');
+  const [files, setFiles] = useState([]);
+  const [outcome, setOutcome] = useState('release');
+  const [sellerPercentage, setSellerPercentage] = useState(50);
+  const [reasoning, setReasoning] = useState('');
+
+  const dispute = order.dispute || {};
+  const ruling = dispute.ruling;
+
+  const loadEvidence = useCallback(async () => {
+    setLoading(true);
+    try {
+      setEvidence(await fetchDisputeEvidence(order.orderId));
+    } catch (err) {
+      console.error('Error loading dispute evidence:', err);
+      setError(err.message || 'Failed to load evidence');
+    } finally {
+      setLoading(false);
+    }
+  }, [order.orderId]);
+
+  useEffect(() => {
+    loadEvidence();
+  }, [loadEvidence]);
+
+  async function runAction(action) {
+    setBusy(true);
+    setError(null);
+    try {
+      await action();
+    } catch (err) {
+      console.error('Dispute action failed:', err);
+      setError(err.message || 'Action failed. Please try again.');
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  function handleSubmitEvidence(e) {
+    e.preventDefault();
+    runAction(async () => {
+      await addDisputeEvidence(order.orderId, text, files);
+      setText('');
+      setFiles([]);
+      e.target.reset();
+      await loadEvidence();
+    });
+  }
+
+  function handleRule(e) {
+    e.preventDefault();
+    const label = outcome === 'split'
+      ? `give the seller ${sellerPercentage}% and the buyer the rest`
+      : OUTCOME_LABELS[outcome].toLowerCase();
+    if (!window.confirm(`Rule this dispute: ${label}? Funds are moved immediately.`)) {
+      return;
+    }
+    runAction(async () => {
+      await ruleDispute(order.orderId, outcome, reasoning, outcome === 'split' ? Number(sellerPercentage) : null);
+      onRuled?.();
+    });
+  }
+
+  function handleRetryRuling() {
+    runAction(async () => {
+      await ruleDispute(order.orderId, ruling.outcome, ruling.reasoning, ruling.sellerPercentage);
+      onRuled?.();
+    });
+  }
+
+  return (
+    <div className="mt-3 pt-3 border-t border-gray-200 flex flex-col gap-3">
+      <div>
+        <p className="text-xs text-gray-600">
+          Dispute opened by {dispute.openedBy || 'participant'}
+          {dispute.openedAtTimestamp && ` on ${new Date(dispute.openedAtTimestamp).toLocaleString()}`}
+        </p>
+        {dispute.reason && <p className="text-sm mt-1">{dispute.reason}</p>}
+      </div>
+
+      {loading ? (
+        <p className="text-xs text-gray-500">Loading evidence...</p>
+      ) : evidence.length === 0 ? (
+        <p className="text-xs text-gray-500">No evidence submitted yet.</p>
+      ) : (
+        <ul className="flex flex-col gap-2">
+          {evidence.map((item) => (
+            <li key={item.id} className="bg-gray-50 rounded p-2">
+              <p className="text-xs text-gray-500">
+                {ROLE_LABELS[item.role] || item.role} · {new Date(item.createdAtTimestamp).toLocaleString()}
+              </p>
+              {item.text && <p className="text-sm mt-1 whitespace-pre-wrap">{item.text}</p>}
+              {item.images?.length > 0 && (
+                <div className="flex gap-2 mt-2 flex-wrap">
+                  {item.images.map((src, index) => (
+                    <a key={index} href={src} target="_blank" rel="noopener noreferrer">
+                      <img src={src} alt={`Evidence ${index + 1}`} className="w-16 h-16 object-cover rounded border" />
+                    </a>
+                  ))}
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {error && <p className="text-xs text-red-700">{error}</p>}
+
+      {!ruling && (
+        <form onSubmit={handleSubmitEvidence} className="flex flex-col gap-2">
+          <textarea
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            placeholder="Describe what happened..."
+            rows={3}
+            className="border-2 border-black rounded-lg p-2 text-sm"
+          />
+          <input
+            type="file"
+            accept="image/*"
+            multiple
+            onChange={(e) => setFiles(Array.from(e.target.files || []))}
+            className="text-xs"
+          />
+          <button
+            type="submit"
+            disabled={busy || (!text.trim() && files.length === 0)}
+            className="w-full bg-white text-black border-2 border-black px-4 py-2 rounded-lg font-medium text-sm disabled:opacity-50 disabled:cursor-not-allowed hover:bg-gray-50 transition-colors"
+          >
+            {busy ? 'Submitting...' : 'Add Evidence'}
+          </button>
+        </form>
+      )}
+
+      {ruling && (
+        <div className="bg-yellow-50 border border-yellow-200 rounded p-2">
+          <p className="text-xs font-medium">
+            Ruling: {OUTCOME_LABELS[ruling.outcome] || ruling.outcome}
+            {ruling.outcome === 'split' && ` (seller ${ruling.sellerPercentage}%)`}
+          </p>
+          <p className="text-sm mt-1">{ruling.reasoning}</p>
+          <p className="text-xs text-gray-500 mt-1">Payout in progress</p>
+        </div>
+      )}
+
+      {isArbiter && ruling && (
+        <button
+          onClick={handleRetryRuling}
+          disabled={busy}
+          className="w-full bg-black text-white px-4 py-2 rounded-lg font-medium text-sm disabled:opacity-50 disabled:cursor-not-allowed hover:opacity-90 transition-opacity"
+        >
+          {busy ? 'Paying out...' : 'Retry Payout'}
+        </button>
+      )}
+
+      {isArbiter && !ruling && (
+        <form onSubmit={handleRule} className="flex flex-col gap-2">
+          <div className="flex gap-2 flex-wrap">
+            {Object.entries(OUTCOME_LABELS).map(([value, label]) => (
+              <button
+                key={value}
+                type="button"
+                onClick={() => setOutcome(value)}
+                className={`px-3 py-1 rounded-lg border-2 text-sm transition-colors ${
+                  outcome === value
+                    ? 'bg-black text-white border-black'
+                    : 'bg-white text-black border-black hover:bg-gray-50'
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          {outcome === 'split' && (
+            <label className="text-sm flex items-center gap-2">
+              Seller share (%)
+              <input
+                type="number"
+                min="1"
+                max="99"
+                value={sellerPercentage}
+                onChange={(e) => setSellerPercentage(e.target.value)}
+                className="border-2 border-black rounded-lg p-1 w-20"
+              />
+            </label>
+          )}
+          <textarea
+            value={reasoning}
+            onChange={(e) => setReasoning(e.target.value)}
+            placeholder="Reasoning for the ruling..."
+            rows={3}
+            className="border-2 border-black rounded-lg p-2 text-sm"
+          />
+          <button
+            type="submit"
+            disabled={busy || !reasoning.trim()}
+            className="w-full bg-black text-white px-4 py-2 rounded-lg font-medium text-sm disabled:opacity-50 disabled:cursor-not-allowed hover:opacity-90 transition-opacity"
+          >
+            {busy ? 'Ruling...' : 'Submit Ruling'}
+          </button>
+        </form>
+      )}
+    </div>
+  );
+}
+
+export default DisputePanel;
@@ -0,0 +1,166 @@
+import { useState } from 'react';
+import { confirmReceipt, shipOrder, refundOrder, openDispute } from '../../services/apiService';
+import DisputePanel from './DisputePanel';
+
+const STATUS_LABELS = {
+  created: 'Created',
+  awaiting_payment: 'Awaiting payment',
+  funded: 'Paid (in escrow)',
+  shipped: 'Shipped',
+  delivered: 'Delivered',
+  released: 'Completed',
+  cancelled: 'Cancelled',
+  refunded: 'Refunded',
+  disputed: 'In dispute',
+  settled: 'Settled (split)',
+};
+
+const STATUS_STYLES = {
+  funded: 'bg-blue-100 text-blue-800',
+  shipped: 'bg-yellow-100 text-yellow-800',
+  delivered: 'bg-green-100 text-green-800',
+  released: 'bg-green-100 text-green-800',
+  cancelled: 'bg-gray-100 text-gray-600',
+  refunded: 'bg-gray-100 text-gray-600',
+  disputed: 'bg-red-100 text-red-800',
+  settled: 'bg-gray-100 text-gray-600',
+};
+
+// What the buyer pays, in the order's currency (orders from before the jetton registry are USDT)
+function formatOrderAmount(order) {
+  if (!order.totalAmount) {
+    return null;
+  }
+  const isTon = order.paymentCurrency === 'TON';
+  const decimals = isTon ? 9 : (order.jetton?.decimals ?? 6);
+  const symbol = isTon ? 'TON' : (order.jetton?.symbol || order.paymentCurrency || 'USDT');
+  return `${parseFloat((Number(order.totalAmount) / 10 ** decimals).toFixed(decimals))} ${symbol}`;
+}
+
+function OrderCard({ order, userId }) {
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const isBuyer = order.buyerId === userId;
+  const isSeller = order.sellerId === userId;
+  const total = order.totalCents ? (order.totalCents / 100).toFixed(2) : null;
+  const amount = formatOrderAmount(order);
+
+  async function runAction(action) {
+    setBusy(true);
+    setError(null);
+    try {
+      // The order list updates itself through the Firestore subscription
+      await action();
+    } catch (err) {
+      console.error('Order action failed:', err);
+      setError(err.message || 'Action failed. Please try again.');
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  function handleConfirmReceipt() {
+    if (!window.confirm('Confirm you received the item? This releases the payment to the seller.')) {
+      return;
+    }
+    runAction(() => confirmReceipt(order.orderId));
+  }
+
+  function handleShip() {
+    runAction(() => shipOrder(order.orderId));
+  }
+
+  function handleRefund() {
+    if (!window.confirm('Refund the buyer? The payment in escrow is sent back to the buyer.')) {
+      return;
+    }
+    runAction(() => refundOrder(order.orderId, 'Refunded by seller'));
+  }
+
+  function handleOpenDispute() {
+    const reason = window.prompt('What went wrong? An arbiter will review the dispute and decide where the payment goes.');
+    if (!reason || !reason.trim()) {
+      return;
+    }
+    runAction(() => openDispute(order.orderId, reason));
+  }
+
+  return (
+    <article className="border-2 border-black rounded-lg p-4 bg-white animate-fade-in">
+      <div className="flex justify-between items-start gap-2 mb-2">
+        <div className="min-w-0">
+          <h3 className="text-sm font-semibold truncate">{order.itemTitle || 'Order'}</h3>
+          <p className="text-xs text-gray-500 font-mono truncate">{order.orderId}</p>
+        </div>
+        <span className={`px-2 py-1 rounded text-xs font-medium whitespace-nowrap ${STATUS_STYLES[order.status] || 'bg-gray-100 text-gray-800'}`}>
+          {STATUS_LABELS[order.status] || order.status}
+        </span>
+      </div>
+
+      <div className="flex justify-between items-center text-sm">
+        <span className="text-gray-600">{isBuyer ? 'You bought' : isSeller ? 'You sold' : 'Order'}</span>
+        {(amount || total) && (
+          <span className="font-medium">
+            {amount || `${total} USD`}
+            {amount && total && <span className="text-xs text-gray-500 font-normal ml-1">({total} USD)</span>}
+          </span>
+        )}
+      </div>
+
+      {error && (
+        <p className="text-xs text-red-700 mt-2">{error}</p>
+      )}
+
+      {isBuyer && (order.status === 'shipped' || order.status === 'delivered') && (
+        <button
+          onClick={handleConfirmReceipt}
+          disabled={busy}
+          className="w-full mt-3 bg-black text-white px-4 py-2 rounded-lg font-medium text-sm disabled:opacity-50 disabled:cursor-not-allowed hover:opacity-90 transition-opacity"
+        >
+          {busy ? 'Releasing payment...' : 'Confirm Receipt'}
+        </button>
+      )}
+
+      {isSeller && order.status === 'funded' && (
+        <button
+          onClick={handleShip}
+          disabled={busy}
+          className="w-full mt-3 bg-black text-white px-4 py-2 rounded-lg font-medium text-sm disabled:opacity-50 disabled:cursor-not-allowed hover:opacity-90 transition-opacity"
+        >
+          {busy ? 'Updating...' : 'Mark as Shipped'}
+        </button>
+      )}
+
+      {isSeller && (order.status === 'funded' || order.status === 'shipped') && (
+        <button
+          onClick={handleRefund}
+          disabled={busy}
+          className="w-full mt-2 bg-white text-black border-2 border-black px-4 py-2 rounded-lg font-medium text-sm disabled:opacity-50 disabled:cursor-not-allowed hover:bg-gray-50 transition-colors"
+        >
+          Refund Buyer
+        </button>
+      )}
+
+      {(isBuyer || isSeller) && (order.status === 'funded' || order.status === 'shipped') && (
+        <button
+          onClick={handleOpenDispute}
+          disabled={busy}
+          className="w-full mt-2 text-red-700 px-4 py-2 rounded-lg font-medium text-sm disabled:opacity-50 disabled:cursor-not-allowed hover:bg-red-50 transition-colors"
+        >
+          Open Dispute
+        </button>
+      )}
+
+      {order.status === 'disputed' && <DisputePanel order={order} />}
+
+      {order.dispute?.ruling && order.status !== 'disputed' && (
+        <p className="text-xs text-gray-600 mt-2">
+          Dispute ruling: {order.dispute.ruling.reasoning}
+        </p>
+      )}
+    </article>
+  );
+}
+
+export default OrderCard;
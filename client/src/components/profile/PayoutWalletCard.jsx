@@ -0,0 +1,137 @@
+import { useEffect, useRef, useState } from 'react';
+import { useTonConnectUI } from '@tonconnect/ui-react';
+import { createTonProofPayload, verifyPayoutWallet, cancelPayoutWalletChange } from '../../services/apiService';
+
+// Show an address like Tonkeeper does: first 6 and last 4 characters
+function shortAddress(address) {
+  return address && address.length > 10 ? `${address.slice(0, 6)}...${address.slice(-4)}` : address;
+}
+
+function formatDate(timestamp) {
+  return new Date(timestamp).toLocaleString();
+}
+
+// The seller's verified payout wallet: sales are paid out only to a wallet proven with TON Connect's ton_proof.
+// A new wallet needs a fresh proof and replaces the current one only after a cooldown
+function PayoutWalletCard({ payoutWallet }) {
+  const [tonConnectUI] = useTonConnectUI();
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  // Set while the wallet modal is open for a proof, so a plain reconnect is not sent for verification
+  const awaitingProof = useRef(false);
+
+  useEffect(() => {
+    return tonConnectUI.onStatusChange(async (wallet) => {
+      const tonProof = wallet?.connectItems?.tonProof;
+      if (!awaitingProof.current || !tonProof) {
+        return;
+      }
+      awaitingProof.current = false;
+      tonConnectUI.setConnectRequestParameters(null);
+      if (!('proof' in tonProof)) {
+        setError('Your wallet did not sign the proof. Try another wallet app.');
+        setBusy(false);
+        return;
+      }
+      try {
+        // The profile subscription picks up the verified wallet
+        await verifyPayoutWallet(wallet);
+      } catch (err) {
+        console.error('Payout wallet verification failed:', err);
+        setError(err.message || 'Verification failed. Please try again.');
+      } finally {
+        setBusy(false);
+      }
+    });
+  }, [tonConnectUI]);
+
+  useEffect(() => {
+    return tonConnectUI.onModalStateChange((state) => {
+      if (awaitingProof.current && state.status === 'closed' && state.closeReason === 'action-cancelled') {
+        awaitingProof.current = false;
+        tonConnectUI.setConnectRequestParameters(null);
+        setBusy(false);
+      }
+    });
+  }, [tonConnectUI]);
+
+  async function handleVerify() {
+    setBusy(true);
+    setError(null);
+    try {
+      const { payload } = await createTonProofPayload();
+      // A proof is only made while connecting, so an already connected wallet connects again
+      if (tonConnectUI.connected) {
+        await tonConnectUI.disconnect();
+      }
+      tonConnectUI.setConnectRequestParameters({ state: 'ready', value: { tonProof: payload } });
+      awaitingProof.current = true;
+      await tonConnectUI.openModal();
+    } catch (err) {
+      console.error('Could not start payout wallet verification:', err);
+      awaitingProof.current = false;
+      setError(err.message || 'Could not start verification. Please try again.');
+      setBusy(false);
+    }
+  }
+
+  async function handleCancelChange() {
+    setBusy(true);
+    setError(null);
+    try {
+      await cancelPayoutWalletChange();
+    } catch (err) {
+      console.error('Could not cancel payout wallet change:', err);
+      setError(err.message || 'Could not cancel the change. Please try again.');
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const pending = payoutWallet?.pending;
+
+  return (
+    <section className="border-2 p-4 rounded-2xl flex flex-col gap-2 mt-6">
+      <div className="flex justify-between items-start gap-3">
+        <div className="min-w-0">
+          <h2 className="text-xl font-medium">Payout wallet</h2>
+          {payoutWallet ? (
+            <p className="text-sm text-gray-700 font-mono mt-1" title={payoutWallet.address}>
+              {shortAddress(payoutWallet.address)}
+              <span className="ml-2 text-xs text-green-600 font-sans">Verified</span>
+            </p>
+          ) : (
+            <p className="text-sm text-gray-500 mt-1">Verify a wallet to get paid for your sales.</p>
+          )}
+        </div>
+        <button
+          type="button"
+          onClick={handleVerify}
+          disabled={busy}
+          className="px-3 py-1 text-sm rounded-lg border-2 border-black bg-white hover:bg-gray-50 disabled:opacity-50 whitespace-nowrap"
+        >
+          {busy ? 'Verifying...' : payoutWallet ? 'Change wallet' : 'Verify wallet'}
+        </button>
+      </div>
+      {pending && (
+        <div className="text-xs text-yellow-800 bg-yellow-50 border border-yellow-200 rounded-lg p-2 flex justify-between items-center gap-2">
+          <span>
+            Changing to <span className="font-mono" title={pending.address}>{shortAddress(pending.address)}</span> on {formatDate(pending.effectiveAtTimestamp)}.
+            Until then, payouts go to the current wallet.
+          </span>
+          <button
+            type="button"
+            onClick={handleCancelChange}
+            disabled={busy}
+            className="underline whitespace-nowrap disabled:opacity-50"
+          >
+            Cancel
+          </button>
+        </div>
+      )}
+      {error && <p className="text-xs text-red-700">{error}</p>}
+    </section>
+  );
+}
+
+export default PayoutWalletCard;
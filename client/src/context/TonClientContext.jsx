@@ -1,33 +1,41 @@
 import { createContext } from 'react';
-import { CHAIN, useTonWallet } from '@tonconnect/ui-react';
 import { TonClient } from '@ton/ton';
 import { getHttpEndpoint } from '@orbs-network/ton-access';
 import { useAsyncInitialize } from '../hooks/useAsyncInitialize';
+import { getNetworkConfig } from '../services/apiService';
 
 const TonClientContext = createContext({
   tonClient: undefined,
+  networkConfig: undefined,
 });
 
+// The network comes from the server, not the connected wallet, so a wallet on the wrong chain
+// cannot point the app at another network
 export const TonClientProvider = ({ children }) => {
-  const wallet = useTonWallet();
-  const network = wallet?.account?.chain;
-  
+  const networkConfig = useAsyncInitialize(async () => {
+    try {
+      return await getNetworkConfig();
+    } catch (error) {
+      console.error('Error loading network config:', error);
+      return undefined;
+    }
+  }, []);
+
   const client = useAsyncInitialize(async () => {
-    if (!network) return;
+    if (!networkConfig) return;
 
     const endpoint = await getHttpEndpoint({
-      network: network === CHAIN.MAINNET ? 'mainnet' : 'testnet',
+      network: networkConfig.network,
     });
 
     return new TonClient({ endpoint });
-  }, [network]);
+  }, [networkConfig]);
 
   return (
-    <TonClientContext.Provider value={{ tonClient: client }}>
+    <TonClientContext.Provider value={{ tonClient: client, networkConfig }}>
       {children}
     </TonClientContext.Provider>
   );
 };
 
 export { TonClientContext };
-
@@ -7,7 +7,8 @@ import { TonClientContext } from '../context/TonClientContext';
 export const useTonConnect = () => {
   const [tonConnectUI] = useTonConnectUI();
   const wallet = useTonWallet();
-  const { tonClient } = useContext(TonClientContext);
+  const { tonClient, networkConfig } = useContext(TonClientContext);
+  const network = wallet?.account?.chain ?? null;
 
   const walletAddress = wallet?.account?.address 
     ? Address.parse(wallet.account.address) 
@@ -15,11 +16,15 @@ export const useTonConnect = () => {
 
   return {
     sender: {
+      // Resolves to TON Connect's result; its boc is the external message the wallet signed
       send: async (args) => {
-        await tonConnectUI.sendTransaction({
+        return await tonConnectUI.sendTransaction({
+          // The wallet rejects the request if it is on another chain than the server
+          network: networkConfig?.chain,
           messages: [
             {
-              address: args.to.toString(),
+              // Non-bounceable when asked, so a transfer to a wallet that is not deployed yet is kept
+              address: args.to.toString({ bounceable: args.bounce ?? true }),
               amount: args.value.toString(),
               payload: args.body?.toBoc()?.toString('base64'),
             },
@@ -31,7 +36,10 @@ export const useTonConnect = () => {
     },
     connected: !!wallet?.account?.address,
     walletAddress: walletAddress ?? null,
-    network: wallet?.account?.chain ?? null,
+    network,
+    networkConfig: networkConfig ?? null,
+    // A connected wallet on another chain than the server's network
+    wrongNetwork: !!network && !!networkConfig && network !== networkConfig.chain,
     tonConnectUI,
     tonClient,
   };
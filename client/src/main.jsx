@@ -39,6 +39,7 @@ import { UserContextProvider } from './context/userSelectionContext.jsx';
 import './index.css';
 import App from './App.jsx';
 import { TonClientProvider } from './context/TonClientContext';
+import { TONCONNECT_MANIFEST_URL } from './services/apiService';
 console.log('7. All imports done');
 // Note: Firebase client import happens here - if it fails, error is shown by firebase/client.js
 
@@ -60,8 +61,8 @@ if (window.Telegram?.WebApp) {
   }
 }
 
-// Get manifest URL for TON Connect
-const manifestUrl = new URL('tonconnect-manifest.json', window.location.href).toString();
+// Get manifest URL for TON Connect (the backend serves the manifest for its network)
+const manifestUrl = TONCONNECT_MANIFEST_URL;
 console.log('8. Manifest URL:', manifestUrl);
 
 const rootElement = document.getElementById('root');
@@ -1,15 +1,120 @@
 import { useState, useEffect } from 'react';
-import { fetchTransactions } from '../services/apiService';
+import { fetchTransactions, fetchDisputes, getJettons, getNetworkConfig, fetchHotWalletStatus, checkHotWallet, fetchReconciliationReport, runReconciliation } from '../services/apiService';
+import DisputePanel from '../components/orders/DisputePanel';
+
+const TRANSACTION_TYPES = {
+  buyer_to_server: { label: 'Buyer → Server', className: 'bg-blue-100 text-blue-800' },
+  server_to_seller: { label: 'Server → Seller', className: 'bg-green-100 text-green-800' },
+  escrow_to_server: { label: 'Escrow → Server', className: 'bg-purple-100 text-purple-800' },
+  escrow_to_seller: { label: 'Escrow → Seller', className: 'bg-green-100 text-green-800' },
+  escrow_to_buyer: { label: 'Escrow → Buyer (refund)', className: 'bg-orange-100 text-orange-800' },
+  escrow_to_highload: { label: 'Escrow → Payout batch', className: 'bg-green-100 text-green-800' },
+  escrow_sweep_jetton: { label: 'Escrow sweep (jetton)', className: 'bg-gray-100 text-gray-800' },
+  escrow_sweep_usdt: { label: 'Escrow sweep (USDT)', className: 'bg-gray-100 text-gray-800' },
+  escrow_sweep_ton: { label: 'Escrow sweep (TON)', className: 'bg-gray-100 text-gray-800' },
+};
+
+const HOT_WALLET_STATUS = {
+  ok: { label: 'OK', className: 'bg-green-100 text-green-800' },
+  warning: { label: 'Low', className: 'bg-yellow-100 text-yellow-800' },
+  critical: { label: 'Critical', className: 'bg-red-100 text-red-800' },
+  error: { label: 'Check failed', className: 'bg-red-100 text-red-800' },
+  unknown: { label: 'Not checked yet', className: 'bg-gray-100 text-gray-800' },
+};
+
+const RECONCILIATION_STATUS = {
+  ok: { label: 'No issues', className: 'bg-green-100 text-green-800' },
+  warning: { label: 'Warnings', className: 'bg-yellow-100 text-yellow-800' },
+  critical: { label: 'Critical', className: 'bg-red-100 text-red-800' },
+  error: { label: 'Run failed', className: 'bg-red-100 text-red-800' },
+};
+
+const RECONCILIATION_ISSUES = {
+  hot_wallet_mismatch: 'Server wallet ≠ ledger',
+  highload_wallet_mismatch: 'Highload wallet ≠ ledger',
+  unmatched_deposit: 'Unmatched deposit',
+  underfunded_escrow: 'Underfunded escrow',
+  overfunded_escrow: 'Overfunded escrow',
+  escrow_ledger_mismatch: 'Escrow ≠ ledger',
+  missing_deposit_record: 'Missing deposit record',
+  missing_payout: 'Missing payout',
+  aborted_payout: 'Aborted payout',
+  untracked_payout: 'Untracked payout',
+  check_failed: 'Check failed',
+};
 
 export function AdminPanel({ onBack }) {
   const [transactions, setTransactions] = useState([]);
   const [loading, setLoading] = useState(true);
-  const [filter, setFilter] = useState('all'); // 'all', 'buyer_to_server', 'server_to_seller'
+  const [filter, setFilter] = useState('all'); // 'all' or a transaction type
   const [error, setError] = useState(null);
+  const [view, setView] = useState('transactions'); // 'transactions', 'disputes', 'wallet' or 'reconciliation'
+  const [disputes, setDisputes] = useState([]);
+  // Server (hot) wallet balances against their alert thresholds
+  const [hotWallet, setHotWallet] = useState(null);
+  // Latest reconciliation of on-chain balances against orders, payouts and the ledger
+  const [reconciliation, setReconciliation] = useState(null);
+
+  // Decimals of the accepted jettons, for formatting amounts not in USDT
+  const [jettons, setJettons] = useState([]);
+  // Explorer of the network the server runs on
+  const [explorerUrl, setExplorerUrl] = useState(null);
+
+  useEffect(() => {
+    getJettons().then((registry) => setJettons(registry.jettons)).catch(console.error);
+    getNetworkConfig().then((config) => setExplorerUrl(config.explorerUrl)).catch(console.error);
+  }, []);
 
   useEffect(() => {
-    loadTransactions();
-  }, [filter]);
+    if (view === 'transactions') {
+      loadTransactions();
+    } else if (view === 'disputes') {
+      loadDisputes();
+    } else if (view === 'wallet') {
+      loadHotWallet();
+    } else {
+      loadReconciliation();
+    }
+  }, [filter, view]);
+
+  async function loadDisputes() {
+    setLoading(true);
+    setError(null);
+    try {
+      setDisputes(await fetchDisputes());
+    } catch (err) {
+      console.error('Error loading disputes:', err);
+      setError(err.message || 'Failed to load disputes');
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function loadHotWallet(refresh = false) {
+    setLoading(true);
+    setError(null);
+    try {
+      setHotWallet(refresh ? await checkHotWallet() : await fetchHotWalletStatus());
+    } catch (err) {
+      console.error('Error loading hot wallet status:', err);
+      setError(err.message || 'Failed to load hot wallet status');
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function loadReconciliation(run = false) {
+    setLoading(true);
+    setError(null);
+    try {
+      setReconciliation(run ? await runReconciliation() : await fetchReconciliationReport());
+    } catch (err) {
+      console.error('Error loading reconciliation report:', err);
+      setError(err.message || 'Failed to load reconciliation report');
+    } finally {
+      setLoading(false);
+    }
+  }
 
   async function loadTransactions() {
     setLoading(true);
@@ -33,10 +138,29 @@ export function AdminPanel({ onBack }) {
     return `${addr.slice(0, 6)}...${addr.slice(-4)}`;
   }
 
-  function formatAmount(amount) {
+  function formatAmount(amount, decimals = 6) {
     if (!amount) return '0';
     const num = typeof amount === 'string' ? BigInt(amount) : amount;
-    return (Number(num) / 1000000).toFixed(6); // USDT has 6 decimals
+    return (Number(num) / 10 ** decimals).toFixed(decimals); // Defaults to USDT's 6 decimals
+  }
+
+  function formatTransactionAmount(tx) {
+    // Escrow TON sweeps are recorded in nanoTON
+    if (tx.currency === 'TON') {
+      return `${(Number(BigInt(tx.amount || 0)) / 1e9).toFixed(4)} TON`;
+    }
+    // Transactions without a currency are USDT
+    const jetton = tx.currency && jettons.find((entry) => entry.symbol === tx.currency);
+    if (jetton) {
+      return `${formatAmount(tx.amount, jetton.decimals)} ${jetton.symbol}`;
+    }
+    return `${formatAmount(tx.amount)} USDT`;
+  }
+
+  function formatUnits(units, decimals) {
+    if (units === null || units === undefined) return 'not set';
+    const amount = formatAmount(units, decimals);
+    return amount.includes('.') ? amount.replace(/\.?0+$/, '') : amount;
   }
 
   function formatDate(timestamp) {
@@ -61,11 +185,12 @@ export function AdminPanel({ onBack }) {
     }
   }
 
-  function getTONScanUrl(transactionHash, fromAddress, network = 'mainnet') {
+  function getTONScanUrl(transactionHash, fromAddress, baseUrl) {
     // TONScan URL format
-    const baseUrl = network === 'mainnet' 
-      ? 'https://tonscan.org' 
-      : 'https://testnet.tonscan.org';
+    // Hash not resolved yet - link to the sending wallet instead
+    if (!transactionHash) {
+      return `${baseUrl}/${fromAddress}`;
+    }
     
     // Transaction hash might be base64 encoded or contain address_lt format
     // If it contains underscore, it's our fallback format (address_lt)
@@ -92,6 +217,7 @@ export function AdminPanel({ onBack }) {
 
   const buyerToServer = transactions.filter(tx => tx.type === 'buyer_to_server');
   const serverToSeller = transactions.filter(tx => tx.type === 'server_to_seller');
+  const escrowToSeller = transactions.filter(tx => tx.type === 'escrow_to_seller');
 
   return (
     <div className="min-h-screen flex flex-col bg-white">
@@ -108,6 +234,226 @@ export function AdminPanel({ onBack }) {
       </header>
 
       <main className="flex-1 p-4 overflow-y-auto">
+        {/* View Toggle */}
+        <div className="mb-4 flex gap-2">
+          {['transactions', 'disputes', 'wallet', 'reconciliation'].map((value) => (
+            <button
+              key={value}
+              onClick={() => setView(value)}
+              className={`px-4 py-2 rounded-lg border-2 capitalize transition-colors ${
+                view === value
+                  ? 'bg-black text-white border-black'
+                  : 'bg-white text-black border-black hover:bg-gray-50'
+              }`}
+            >
+              {value}
+            </button>
+          ))}
+        </div>
+
+        {view === 'disputes' && (
+          <>
+            {error && (
+              <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-4">
+                <p className="text-sm text-red-800">{error}</p>
+              </div>
+            )}
+            {loading && (
+              <div className="text-center py-8">
+                <p className="text-gray-600">Loading disputes...</p>
+              </div>
+            )}
+            {!loading && disputes.length === 0 && (
+              <div className="text-center py-8">
+                <p className="text-gray-600">No open disputes</p>
+              </div>
+            )}
+            {!loading && disputes.length > 0 && (
+              <div className="space-y-4">
+                {disputes.map((order) => (
+                  <div key={order.orderId} className="border-2 border-black rounded-lg p-4 bg-white">
+                    <div className="flex justify-between items-start gap-2">
+                      <div className="min-w-0">
+                        <h3 className="text-sm font-semibold truncate">{order.itemTitle || 'Order'}</h3>
+                        <p className="text-xs text-gray-500 font-mono truncate">{order.orderId}</p>
+                      </div>
+                      <p className="text-sm font-medium whitespace-nowrap">{formatAmount(order.totalAmount)} USDT</p>
+                    </div>
+                    <p className="text-xs text-gray-600 mt-1">
+                      Buyer: {order.buyerId} · Seller: {order.sellerId} · Was: {order.dispute?.previousStatus || 'N/A'}
+                    </p>
+                    <DisputePanel order={order} isArbiter onRuled={loadDisputes} />
+                  </div>
+                ))}
+              </div>
+            )}
+          </>
+        )}
+
+        {view === 'wallet' && (
+          <>
+            {error && (
+              <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-4">
+                <p className="text-sm text-red-800">{error}</p>
+              </div>
+            )}
+            {loading && !hotWallet && (
+              <div className="text-center py-8">
+                <p className="text-gray-600">Loading hot wallet...</p>
+              </div>
+            )}
+            {hotWallet && (
+              <div className="border-2 border-black rounded-lg p-4 bg-white">
+                <div className="flex justify-between items-start gap-2 mb-3">
+                  <div className="min-w-0">
+                    <div className="flex items-center gap-2 mb-1">
+                      <h3 className="text-sm font-semibold">Server wallet</h3>
+                      <span className={`px-2 py-1 rounded text-xs font-medium ${HOT_WALLET_STATUS[hotWallet.status]?.className || 'bg-gray-100 text-gray-800'}`}>
+                        {HOT_WALLET_STATUS[hotWallet.status]?.label || hotWallet.status}
+                      </span>
+                    </div>
+                    {hotWallet.address && (
+                      <p className="text-xs text-gray-500 font-mono truncate">
+                        {explorerUrl ? (
+                          <a
+                            href={`${explorerUrl}/${hotWallet.address}`}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            className="text-blue-600 hover:text-blue-800 underline"
+                          >
+                            {hotWallet.address}
+                          </a>
+                        ) : hotWallet.address}
+                      </p>
+                    )}
+                    <p className="text-xs text-gray-600 mt-1">Last checked: {formatDate(hotWallet.checkedAtTimestamp)}</p>
+                  </div>
+                  <button
+                    onClick={() => loadHotWallet(true)}
+                    disabled={loading}
+                    className="px-3 py-1 text-sm rounded-lg border-2 border-black bg-white hover:bg-gray-50 disabled:opacity-50 whitespace-nowrap"
+                  >
+                    {loading ? 'Checking...' : 'Check now'}
+                  </button>
+                </div>
+                {hotWallet.error && (
+                  <p className="text-xs text-red-700 mb-3">Last check failed: {hotWallet.error}</p>
+                )}
+                <div className="space-y-2">
+                  {hotWallet.balances.map((entry) => (
+                    <div key={entry.symbol} className="flex justify-between items-center border-t border-gray-200 pt-2">
+                      <div>
+                        <p className="text-lg font-bold">{formatUnits(entry.balance, entry.decimals)} {entry.symbol}</p>
+                        <p className="text-xs text-gray-600">
+                          {entry.warningThreshold || entry.criticalThreshold
+                            ? `Warning below ${formatUnits(entry.warningThreshold, entry.decimals)} · Critical below ${formatUnits(entry.criticalThreshold, entry.decimals)}`
+                            : 'No alert thresholds set'}
+                        </p>
+                      </div>
+                      <span className={`px-2 py-1 rounded text-xs font-medium ${HOT_WALLET_STATUS[entry.status]?.className || 'bg-gray-100 text-gray-800'}`}>
+                        {HOT_WALLET_STATUS[entry.status]?.label || entry.status}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+          </>
+        )}
+
+        {view === 'reconciliation' && (
+          <>
+            {error && (
+              <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-4">
+                <p className="text-sm text-red-800">{error}</p>
+              </div>
+            )}
+            <div className="border-2 border-black rounded-lg p-4 bg-white mb-4">
+              <div className="flex justify-between items-start gap-2">
+                <div className="min-w-0">
+                  <div className="flex items-center gap-2 mb-1">
+                    <h3 className="text-sm font-semibold">Reconciliation</h3>
+                    {reconciliation && (
+                      <span className={`px-2 py-1 rounded text-xs font-medium ${RECONCILIATION_STATUS[reconciliation.status]?.className || 'bg-gray-100 text-gray-800'}`}>
+                        {RECONCILIATION_STATUS[reconciliation.status]?.label || reconciliation.status}
+                      </span>
+                    )}
+                  </div>
+                  {reconciliation ? (
+                    <>
+                      <p className="text-xs text-gray-600">
+                        Ran {formatDate(reconciliation.startedAtTimestamp)} on {reconciliation.network}
+                        {reconciliation.running && ' · another run in progress'}
+                      </p>
+                      {reconciliation.counts && (
+                        <p className="text-xs text-gray-600">
+                          {reconciliation.counts.escrowWallets} escrow wallet(s), {reconciliation.counts.settledOrders} settled order(s),
+                          {' '}{reconciliation.counts.payouts} payout(s), {reconciliation.counts.depositRecords} deposit record(s) checked
+                          {' '}· last {reconciliation.lookbackDays} day(s)
+                        </p>
+                      )}
+                    </>
+                  ) : (
+                    !loading && <p className="text-xs text-gray-600">No reconciliation has run yet</p>
+                  )}
+                </div>
+                <button
+                  onClick={() => loadReconciliation(true)}
+                  disabled={loading}
+                  className="px-3 py-1 text-sm rounded-lg border-2 border-black bg-white hover:bg-gray-50 disabled:opacity-50 whitespace-nowrap"
+                >
+                  {loading ? 'Running...' : 'Run now'}
+                </button>
+              </div>
+              {reconciliation?.error && (
+                <p className="text-xs text-red-700 mt-3">Run failed: {reconciliation.error}</p>
+              )}
+              {reconciliation?.serverWallet?.length > 0 && (
+                <div className="mt-3 space-y-1">
+                  {reconciliation.serverWallet.map((entry) => (
+                    <p key={`${entry.wallet}_${entry.symbol}`} className="text-xs text-gray-600 border-t border-gray-200 pt-1">
+                      {entry.wallet === 'highload_wallet' ? 'Highload ' : ''}{entry.symbol}: {formatUnits(entry.onChain, entry.decimals)} on-chain · {formatUnits(entry.ledger, entry.decimals)} in the ledger
+                    </p>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            {reconciliation && reconciliation.status !== 'error' && reconciliation.issues.length === 0 && (
+              <div className="text-center py-8">
+                <p className="text-gray-600">Balances match the orders, payouts and ledger</p>
+              </div>
+            )}
+            {reconciliation?.issues?.length > 0 && (
+              <div className="space-y-2">
+                {reconciliation.issuesTruncated && (
+                  <p className="text-xs text-gray-600">Showing {reconciliation.issues.length} of {reconciliation.issuesTruncated} issues</p>
+                )}
+                {reconciliation.issues.map((issue, index) => (
+                  <div key={`${issue.kind}-${issue.orderId}-${index}`} className="border-2 border-black rounded-lg p-3 bg-white">
+                    <div className="flex items-center gap-2 mb-1 flex-wrap">
+                      <span className={`px-2 py-1 rounded text-xs font-medium ${RECONCILIATION_STATUS[issue.severity]?.className || 'bg-gray-100 text-gray-800'}`}>
+                        {RECONCILIATION_ISSUES[issue.kind] || issue.kind}
+                      </span>
+                      {issue.orderId && (
+                        <span className="text-xs text-gray-600 font-mono">Order: {issue.orderId}</span>
+                      )}
+                    </div>
+                    <p className="text-sm">{issue.message}</p>
+                    {issue.decimals !== null && (issue.expected !== null || issue.actual !== null) && (
+                      <p className="text-xs text-gray-600 mt-1">
+                        Expected {formatUnits(issue.expected, issue.decimals)} · Found {formatUnits(issue.actual, issue.decimals)} {issue.currency}
+                      </p>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+          </>
+        )}
+
+        {view === 'transactions' && (
+        <>
         {/* Filter Buttons */}
         <div className="mb-4 flex gap-2 flex-wrap">
           <button
@@ -140,6 +486,16 @@ export function AdminPanel({ onBack }) {
           >
             Server → Seller ({serverToSeller.length})
           </button>
+          <button
+            onClick={() => setFilter('escrow_to_seller')}
+            className={`px-4 py-2 rounded-lg border-2 transition-colors ${
+              filter === 'escrow_to_seller'
+                ? 'bg-black text-white border-black'
+                : 'bg-white text-black border-black hover:bg-gray-50'
+            }`}
+          >
+            Escrow → Seller ({escrowToSeller.length})
+          </button>
         </div>
 
         {/* Error Message */}
@@ -175,29 +531,29 @@ export function AdminPanel({ onBack }) {
                     <div className="flex items-center gap-2 mb-1">
                       <span
                         className={`px-2 py-1 rounded text-xs font-medium ${
-                          tx.type === 'buyer_to_server'
-                            ? 'bg-blue-100 text-blue-800'
-                            : 'bg-green-100 text-green-800'
+                          TRANSACTION_TYPES[tx.type]?.className || 'bg-gray-100 text-gray-800'
                         }`}
                       >
-                        {tx.type === 'buyer_to_server' ? 'Buyer → Server' : 'Server → Seller'}
+                        {TRANSACTION_TYPES[tx.type]?.label || tx.type}
                       </span>
                       {tx.orderId && (
                         <span className="text-xs text-gray-600">Order: {tx.orderId}</span>
                       )}
                     </div>
                     <p className="text-xs text-gray-500 font-mono">
-                      Hash: {formatAddress(tx.transactionHash)}
+                      Hash: {tx.transactionHash ? formatAddress(tx.transactionHash) : 'Pending'}
                     </p>
                   </div>
-                  <a
-                    href={getTONScanUrl(tx.transactionHash, tx.fromAddress)}
-                    target="_blank"
-                    rel="noopener noreferrer"
-                    className="text-xs text-blue-600 hover:text-blue-800 underline"
-                  >
-                    View on TONScan →
-                  </a>
+                  {explorerUrl && (
+                    <a
+                      href={getTONScanUrl(tx.transactionHash, tx.fromAddress, explorerUrl)}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="text-xs text-blue-600 hover:text-blue-800 underline"
+                    >
+                      View on TONScan →
+                    </a>
+                  )}
                 </div>
 
                 <div className="grid grid-cols-2 gap-2 text-sm mt-3">
@@ -215,7 +571,7 @@ export function AdminPanel({ onBack }) {
                   <div className="flex justify-between items-center">
                     <div>
                       <p className="text-gray-600 text-xs">Amount</p>
-                      <p className="text-lg font-bold">{formatAmount(tx.amount)} USDT</p>
+                      <p className="text-lg font-bold">{formatTransactionAmount(tx)}</p>
                     </div>
                     <div className="text-right">
                       <p className="text-gray-600 text-xs">Date</p>
@@ -227,6 +583,8 @@ export function AdminPanel({ onBack }) {
             ))}
           </div>
         )}
+        </>
+        )}
       </main>
     </div>
   );
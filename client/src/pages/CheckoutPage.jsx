@@ -1,35 +1,103 @@
-import { useState, useCallback, useEffect } from 'react';
+import { useState, useCallback, useEffect, useMemo } from 'react';
 import { JettonMaster } from '@ton/ton';
-import { Address } from '@ton/core';
+import { Address, beginCell } from '@ton/core';
 import { useTonConnectModal } from '@tonconnect/ui-react';
 import { useTonConnect } from '../hooks/useTonConnect';
 import { JettonWallet } from '../wrappers/JettonWallet';
 import { 
-  calculateUsdtAmount, 
   parsePrice, 
   getPaymentConstants,
-  processPayment as processPaymentApi,
-  storeBuyerTransaction
+  getFeeSchedule,
+  getJettons,
+  getTonPrice,
+  createOrder,
+  reportPaymentSent,
+  estimateJettonTransferFee
 } from '../services/apiService';
+import { quoteFees } from '../../../shared/feeEngine.js';
+import PaymentStatus from '../components/checkout/PaymentStatus';
+
+const formatCents = (cents) => (cents / 100).toFixed(2);
+const formatNanoTon = (nanoTon) => (Number(nanoTon) / 1e9).toFixed(4);
+
+// What a listing accepts when its seller did not choose (listings are priced in USD)
+const DEFAULT_ACCEPTED_CURRENCIES = ['USDT', 'TON'];
 
 export function CheckoutPage({ listing, onBack, onPaymentComplete }) {
-  const { sender, walletAddress, tonClient, connected, network, tonConnectUI } = useTonConnect();
+  const { sender, walletAddress, tonClient, connected, network, networkConfig, wrongNetwork, tonConnectUI } = useTonConnect();
   const { open } = useTonConnectModal();
   const [processing, setProcessing] = useState(false);
   const [error, setError] = useState(null);
   const [paymentConstants, setPaymentConstants] = useState(null);
-
-  // Generate order ID (simple UUID-like string)
-  const orderId = `order-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+  const [feeSchedule, setFeeSchedule] = useState(null);
+  // Quote the order was priced with, once it has been created on the server
+  const [orderQuote, setOrderQuote] = useState(null);
+  const [paymentCurrency, setPaymentCurrency] = useState('USDT');
+  const [tonPrice, setTonPrice] = useState(null);
+  // Accepted jettons: { jettons, defaultSymbol }
+  const [jettonRegistry, setJettonRegistry] = useState(null);
+  // Locked TON amount of the created order
+  const [tonQuote, setTonQuote] = useState(null);
+  // The paid order and why reporting it failed, if it did; checkout then shows the payment's progress
+  const [submittedPayment, setSubmittedPayment] = useState(null);
 
   // Load payment constants from backend
   useEffect(() => {
     getPaymentConstants().then(setPaymentConstants).catch(console.error);
   }, []);
 
-  const price = parsePrice(listing?.price || '0');
-  const fee = price * 0.05; // 5% fee
-  const totalCost = price + fee; // Total including fee
+  useEffect(() => {
+    getJettons().then(setJettonRegistry).catch(console.error);
+  }, []);
+
+  // Currencies this listing can be paid in that the marketplace still accepts
+  const acceptedCurrencies = useMemo(() => {
+    if (!jettonRegistry) return [];
+    const currencies = listing?.acceptedCurrencies || DEFAULT_ACCEPTED_CURRENCIES;
+    return currencies.filter((currency) => currency === 'TON' || jettonRegistry.jettons.some((jetton) => jetton.symbol === currency));
+  }, [jettonRegistry, listing?.acceptedCurrencies]);
+  const selectedJetton = jettonRegistry?.jettons.find((jetton) => jetton.symbol === paymentCurrency) || null;
+
+  useEffect(() => {
+    if (acceptedCurrencies.length > 0 && !acceptedCurrencies.includes(paymentCurrency)) {
+      setPaymentCurrency(acceptedCurrencies[0]);
+    }
+  }, [acceptedCurrencies, paymentCurrency]);
+
+  // Load the fee schedule and the seller's tier to quote fees before the order exists
+  useEffect(() => {
+    getFeeSchedule(listing?.sellerId).then(setFeeSchedule).catch(console.error);
+  }, [listing?.sellerId]);
+
+  // TON price for an estimate; the order itself is quoted by the server when it is created
+  useEffect(() => {
+    if (paymentCurrency === 'TON' && !tonPrice) {
+      getTonPrice().then(setTonPrice).catch(console.error);
+    }
+  }, [paymentCurrency, tonPrice]);
+
+  const priceCents = Math.round(parsePrice(listing?.price || '0') * 100);
+  const quote = useMemo(() => {
+    if (orderQuote) return orderQuote;
+    if (!feeSchedule || priceCents <= 0) return null;
+    return quoteFees(feeSchedule.schedule, {
+      priceCents,
+      category: listing?.category,
+      sellerTier: feeSchedule.sellerTier,
+    });
+  }, [orderQuote, feeSchedule, priceCents, listing?.category]);
+  const totalCost = quote ? quote.totalCents / 100 : null;
+  const payLabel = useMemo(() => {
+    if (paymentCurrency === 'TON') {
+      if (tonQuote) return `Pay ${formatNanoTon(tonQuote.amount)} TON`;
+      if (totalCost !== null && tonPrice) return `Pay ≈${(totalCost / tonPrice.usdPerTon).toFixed(4)} TON`;
+      return 'Pay with TON';
+    }
+    if (totalCost !== null && selectedJetton) {
+      return `Pay ${selectedJetton.usdPerToken === 1 ? totalCost.toFixed(2) : `≈${(totalCost / selectedJetton.usdPerToken).toFixed(4)}`} ${selectedJetton.symbol}`;
+    }
+    return `Pay with ${paymentCurrency}`;
+  }, [paymentCurrency, tonQuote, tonPrice, totalCost, selectedJetton]);
 
   const handleConnectWallet = useCallback(() => {
     open();
@@ -56,6 +124,21 @@ export function CheckoutPage({ listing, onBack, onPaymentComplete }) {
       return;
     }
 
+    // Funds sent on another chain would never reach the order's escrow wallet
+    if (!networkConfig) {
+      setError('Network configuration not loaded');
+      return;
+    }
+    if (wrongNetwork) {
+      setError(`Your wallet is connected to a different network. Switch it to ${networkConfig.network} to pay.`);
+      return;
+    }
+
+    if (paymentCurrency !== 'TON' && !selectedJetton) {
+      setError(`${paymentCurrency} is not accepted for this listing`);
+      return;
+    }
+
     // Get seller address from listing
     const sellerWalletAddress = listing?.walletAddress;
     if (!sellerWalletAddress) {
@@ -67,129 +150,100 @@ export function CheckoutPage({ listing, onBack, onPaymentComplete }) {
     setError(null);
 
     try {
+      // Create the order on the server - it owns the order ID, price and status
+      const order = await createOrder(listing.id, walletAddress, paymentCurrency);
+      const orderId = order.orderId;
+      // The server's quote is what the buyer pays and what the payout is split by
+      setOrderQuote(order.feeQuote);
+      setTonQuote(order.tonQuote || null);
+
       console.log('Starting payment:', { 
         walletAddress: walletAddress?.toString({ bounceable: false }), 
         network,
         orderId,
+        currency: paymentCurrency,
         sellerAddress: sellerWalletAddress
       });
 
-      // Get server wallet address from payment constants
-      const serverWalletAddress = paymentConstants.SERVER_WALLET_ADDRESS;
-      console.log('Server wallet address:', serverWalletAddress.toString());
-
-      // Get user's USDT wallet address
-      console.log('Opening jetton master...');
-      const jettonMaster = tonClient.open(JettonMaster.create(paymentConstants.USDT_MASTER_ADDRESS));
-      const usersUsdtAddress = await jettonMaster.getWalletAddress(walletAddress);
-      console.log('User USDT address:', usersUsdtAddress.toString());
-
-      // Create and open user's jetton wallet instance
-      console.log('Opening jetton wallet...');
-      const jettonWallet = tonClient.open(JettonWallet.createFromAddress(usersUsdtAddress));
-      console.log('Jetton wallet opened');
-
-      // Calculate USDT amount (price in USD * 100 to get cents, then convert to USDT)
-      const usdtAmount = await calculateUsdtAmount(totalCost * 100);
-      console.log('USDT amount calculated:', usdtAmount.toString());
+      // Each order has its own escrow wallet - funds stay there until the order is released
+      const escrowWalletAddress = Address.parse(order.escrowWalletAddress);
+      console.log('Escrow wallet address:', escrowWalletAddress.toString());
 
       // Create comment with orderId and seller address for server processing
       // Format: "orderId|sellerAddress"
       const comment = `${orderId}|${sellerWalletAddress}`;
       console.log('Payment comment:', comment);
-      console.log('Sending transfer to server wallet:', serverWalletAddress.toString());
-
-      // Send USDT directly to server wallet (jetton system will route to server's USDT wallet)
-      console.log('Initiating USDT transfer...');
-      await jettonWallet.sendTransfer(sender, {
-        fwdAmount: BigInt(1),
-        comment: comment,
-        jettonAmount: usdtAmount,
-        toAddress: serverWalletAddress, // Send to server's TON wallet, jetton system routes to USDT wallet
-        value: paymentConstants.JETTON_TRANSFER_GAS_FEES,
-      });
-      console.log('USDT transfer sent successfully');
+      console.log('Sending transfer to escrow wallet:', escrowWalletAddress.toString());
 
-      // Process payment immediately: Server sends 95% to seller, keeps 5% as fee
-      // Don't wait for transaction hash - process payment right away
-      console.log('Processing payment on server...');
-      try {
-        await processPaymentApi(orderId, sellerWalletAddress, usdtAmount.toString());
-        console.log('Payment processed successfully - 95% sent to seller');
-      } catch (processError) {
-        console.error('Error processing payment on server:', processError);
-        const errorMessage = processError?.message || processError?.error || 'Unknown error';
-        
-        // Show error to user
-        setError(`Payment sent to server wallet, but automatic processing failed: ${errorMessage}. The payment can be processed manually later.`);
-        
-        // Don't fail the entire payment if processing fails - the payment was sent
-        // The server can process it later manually or via monitoring
-        console.warn('Payment sent but server processing failed. Payment can be processed manually.');
-        
-        // Still call onPaymentComplete so the UI updates, but user sees the error
-        if (onPaymentComplete) {
-          onPaymentComplete(orderId, totalCost);
-        }
-        return; // Exit early since processing failed
-      }
+      // Keep the signed message TON Connect returns - the server tracks it on-chain to the escrow deposit
+      let signedBoc = null;
+      const signingSender = {
+        address: sender.address,
+        send: async (args) => {
+          const result = await sender.send(args);
+          signedBoc = result?.boc ?? null;
+          return result;
+        },
+      };
+
+      if (paymentCurrency === 'TON') {
+        // Plain TON transfer of the locked quote, carrying the order comment
+        // Non-bounceable: the escrow wallet is not deployed until it pays out
+        const tonAmount = BigInt(order.tonQuote.amount);
+        console.log('TON amount from quote:', tonAmount.toString(), 'locked until', new Date(order.tonQuote.expiresAtTimestamp).toISOString());
+        await signingSender.send({
+          to: escrowWalletAddress,
+          value: tonAmount,
+          body: beginCell().storeUint(0, 32).storeStringTail(comment).endCell(),
+          bounce: false,
+        });
+        console.log('TON transfer sent successfully');
+      } else {
+        // Get user's wallet address for the order's jetton
+        const jetton = order.jetton || selectedJetton;
+        console.log('Opening jetton master...');
+        const jettonMaster = tonClient.open(JettonMaster.create(Address.parse(jetton.masterAddress)));
+        const usersJettonAddress = await jettonMaster.getWalletAddress(walletAddress);
+        console.log(`User ${jetton.symbol} address:`, usersJettonAddress.toString());
 
-      // Payment successful - show success immediately
-      console.log('Payment completed successfully, calling onPaymentComplete');
-      if (onPaymentComplete) {
-        onPaymentComplete(orderId, totalCost);
+        // Create and open user's jetton wallet instance
+        console.log('Opening jetton wallet...');
+        const jettonWallet = tonClient.open(JettonWallet.createFromAddress(usersJettonAddress));
+        console.log('Jetton wallet opened');
+
+        // Jetton amount is priced by the server when the order is created (in the jetton's decimals)
+        const jettonAmount = BigInt(order.totalAmount);
+        console.log(`${jetton.symbol} amount from order:`, jettonAmount.toString());
+
+        // Gas is estimated by the server for this transfer; whatever is not used comes back as excess
+        const gasValue = await estimateJettonTransferFee(comment, jetton.symbol);
+        console.log('Estimated jetton transfer gas:', gasValue.toString(), 'nanoTON');
+
+        // Send the jetton to the order's escrow wallet (jetton system will route to its jetton wallet)
+        console.log(`Initiating ${jetton.symbol} transfer...`);
+        await jettonWallet.sendTransfer(signingSender, {
+          fwdAmount: BigInt(1),
+          comment: comment,
+          jettonAmount,
+          toAddress: escrowWalletAddress, // Send to escrow's TON wallet, jetton system routes to its jetton wallet
+          value: gasValue,
+        });
+        console.log(`${jetton.symbol} transfer sent successfully`);
       }
 
-      // Try to get transaction hash ASYNCHRONOUSLY (non-blocking)
-      // This runs in background and doesn't delay the success message
-      (async () => {
-        try {
-          // Wait a bit for transaction to be included in blockchain (but don't block main flow)
-          await new Promise(resolve => setTimeout(resolve, 2000));
-          
-          console.log('Attempting to retrieve transaction hash (background)...');
-          // Query recent transactions from user's USDT wallet
-          const transactions = await tonClient.getTransactions(usersUsdtAddress, { limit: 5 });
-          if (transactions && transactions.length > 0) {
-            // Get the most recent transaction (should be the one we just sent)
-            const latestTx = transactions[0];
-            // TON transaction hash is computed from the transaction data
-            let transactionHash = null;
-            try {
-              // Try to get hash from transaction cell
-              const txCell = latestTx.cell();
-              if (txCell) {
-                transactionHash = txCell.hash().toString('base64');
-              } else {
-                // Fallback: use lt as identifier (less ideal but works)
-                transactionHash = `${usersUsdtAddress.toString()}_${latestTx.lt.toString()}`;
-              }
-            } catch (hashError) {
-              // Fallback: use lt as identifier
-              transactionHash = `${usersUsdtAddress.toString()}_${latestTx.lt.toString()}`;
-            }
-            
-            if (transactionHash) {
-              console.log('Transaction hash retrieved (background):', transactionHash);
-              
-              // Store transaction in database
-              await storeBuyerTransaction(
-                transactionHash,
-                orderId,
-                walletAddress,
-                serverWalletAddress,
-                usdtAmount.toString()
-              );
-              console.log('Transaction hash stored successfully (background)');
-            }
-          } else {
-            console.warn('Could not retrieve transaction hash (background) - no transactions found');
-          }
-        } catch (txError) {
-          console.warn('Could not retrieve transaction hash (background):', txError.message);
-          // This is non-blocking, so we don't throw - transaction was sent successfully
-        }
-      })(); // Immediately invoked, runs in background
+      // Tell the server the payment was sent - the order moves to funded once the
+      // deposit is seen on-chain, and the funds stay in escrow until the buyer confirms receipt
+      console.log('Reporting payment to server...');
+      try {
+        const reported = await reportPaymentSent(orderId, walletAddress, signedBoc);
+        console.log('Payment reported - following it on-chain');
+        setSubmittedPayment({ order: reported, reportError: null });
+      } catch (reportError) {
+        console.error('Error reporting payment to server:', reportError);
+        const errorMessage = reportError?.message || reportError?.error || 'Unknown error';
+        // The transfer was still sent - follow the order anyway and show why it could not be updated
+        setSubmittedPayment({ order, reportError: errorMessage });
+      }
     } catch (err) {
       console.error('Payment error:', err);
       console.error('Error details:', {
@@ -201,7 +255,7 @@ export function CheckoutPage({ listing, onBack, onPaymentComplete }) {
       
       let errorMessage = 'Payment failed. Please try again.';
       if (err.message?.includes('exit_code: -13')) {
-        errorMessage = 'Unable to access USDT wallet. Make sure you have USDT in your wallet and are connected to the correct network (testnet/mainnet).';
+        errorMessage = `Unable to access your ${paymentCurrency} wallet. Make sure you have ${paymentCurrency} in your wallet and are connected to ${networkConfig?.network || 'the correct network'}.`;
       } else if (err.message) {
         errorMessage = err.message;
       }
@@ -210,7 +264,7 @@ export function CheckoutPage({ listing, onBack, onPaymentComplete }) {
     } finally {
       setProcessing(false);
     }
-  }, [tonClient, walletAddress, sender, orderId, totalCost, onPaymentComplete, paymentConstants, listing]);
+  }, [tonClient, walletAddress, sender, network, networkConfig, wrongNetwork, paymentConstants, listing, paymentCurrency, selectedJetton]);
 
   if (!listing) {
     return (
@@ -226,6 +280,26 @@ export function CheckoutPage({ listing, onBack, onPaymentComplete }) {
     );
   }
 
+  if (submittedPayment) {
+    const { order, reportError } = submittedPayment;
+    return (
+      <section className="min-h-screen flex flex-col">
+        <header className="mb-6 p-4 border-b border-gray-200">
+          <h2 className="text-2xl font-bold">Payment</h2>
+        </header>
+        <div className="flex-1 p-4">
+          <PaymentStatus
+            orderId={order.orderId}
+            initialOrder={order}
+            explorerUrl={networkConfig?.explorerUrl}
+            reportError={reportError}
+            onDone={() => onPaymentComplete?.(order.orderId, order.totalCents / 100)}
+          />
+        </div>
+      </section>
+    );
+  }
+
   return (
     <section className="min-h-screen flex flex-col">
       <header className="mb-6 p-4 border-b border-gray-200">
@@ -298,6 +372,48 @@ export function CheckoutPage({ listing, onBack, onPaymentComplete }) {
           )}
         </div>
 
+        {/* Payment Currency */}
+        <div className="mb-6">
+          <p className="text-sm text-gray-600 mb-2">Pay with</p>
+          <div className="flex gap-2">
+            {acceptedCurrencies.map((currency) => {
+              const icon = jettonRegistry?.jettons.find((jetton) => jetton.symbol === currency)?.icon;
+              return (
+                <button
+                  key={currency}
+                  type="button"
+                  onClick={() => { setPaymentCurrency(currency); setTonQuote(null); }}
+                  disabled={processing}
+                  className={`flex-1 flex items-center justify-center gap-2 px-4 py-2 rounded-lg text-sm font-medium border transition-colors ${
+                    paymentCurrency === currency ? 'bg-black text-white border-black' : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'
+                  }`}
+                >
+                  {icon && <img src={icon} alt="" className="w-4 h-4 rounded-full" />}
+                  {currency}
+                </button>
+              );
+            })}
+          </div>
+          {paymentCurrency === 'TON' && (
+            <p className="text-xs text-gray-500 mt-2">
+              {tonQuote
+                ? `${formatNanoTon(tonQuote.amount)} TON at ${tonQuote.usdPerTon} USD/TON, locked until ${new Date(tonQuote.expiresAtTimestamp).toLocaleTimeString()}`
+                : tonPrice
+                  ? `The TON amount is quoted at ${tonPrice.usdPerTon} USD/TON and locked for ${tonPrice.quoteWindowMinutes} minutes when you pay.`
+                  : 'The TON amount is quoted when you pay.'}
+            </p>
+          )}
+        </div>
+
+        {/* Wrong Network */}
+        {connected && wrongNetwork && (
+          <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-4">
+            <p className="text-sm text-red-800">
+              Your wallet is on a different network. This marketplace runs on {networkConfig.network}; switch your wallet to {networkConfig.network} and reconnect to pay.
+            </p>
+          </div>
+        )}
+
         {/* Error Message */}
         {error && (
           <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-4">
@@ -309,27 +425,45 @@ export function CheckoutPage({ listing, onBack, onPaymentComplete }) {
         {connected && (
           <button
             onClick={handleCompletePayment}
-            disabled={processing || !connected}
+            disabled={processing || !connected || wrongNetwork}
             className="w-full bg-black text-white px-4 py-3 rounded-lg font-medium text-sm disabled:opacity-50 disabled:cursor-not-allowed hover:opacity-90 transition-opacity active:opacity-70"
           >
-            {processing ? 'Processing Payment...' : `Pay ${totalCost.toFixed(2)} USDT`}
+            {processing ? 'Processing Payment...' : payLabel}
           </button>
         )}
 
-        {/* Order Summary */}
+        {/* Order Summary - fees are quoted in USD; the button shows what is paid in the chosen currency */}
         <div className="mt-6 pt-6 border-t border-gray-200">
           <div className="flex justify-between text-sm mb-2">
             <span className="text-gray-600">Subtotal</span>
-            <span className="font-medium">{price.toFixed(2)} USDT</span>
-          </div>
-          <div className="flex justify-between text-sm mb-2">
-            <span className="text-gray-600">Service Fee (5%)</span>
-            <span className="font-medium">{fee.toFixed(2)} USDT</span>
-          </div>
-          <div className="flex justify-between text-lg font-bold mt-3 pt-3 border-t border-gray-200">
-            <span>Total</span>
-            <span>{totalCost.toFixed(2)} USDT</span>
+            <span className="font-medium">{formatCents(priceCents)} USD</span>
           </div>
+          {quote && (
+            <>
+              <div className="flex justify-between text-sm mb-2">
+                <span className="text-gray-600">Service Fee ({quote.buyerFeePercentage}%)</span>
+                <span className="font-medium">{formatCents(quote.buyerFeeCents)} USD</span>
+              </div>
+              {quote.networkFeeCents > 0 && (
+                <div className="flex justify-between text-sm mb-2">
+                  <span className="text-gray-600">Network Fee</span>
+                  <span className="font-medium">{formatCents(quote.networkFeeCents)} USD</span>
+                </div>
+              )}
+              {quote.promotion && (
+                <p className="text-xs text-green-700 mb-2">{quote.promotion}: no service fee on this order</p>
+              )}
+              <div className="flex justify-between text-lg font-bold mt-3 pt-3 border-t border-gray-200">
+                <span>Total</span>
+                <span>{formatCents(quote.totalCents)} USD</span>
+              </div>
+              {quote.sellerFeeCents > 0 && (
+                <p className="text-xs text-gray-500 mt-2">
+                  The seller receives {formatCents(quote.sellerPayoutCents)} USD after a {formatCents(quote.sellerFeeCents)} USD seller fee.
+                </p>
+              )}
+            </>
+          )}
         </div>
       </div>
     </section>
@@ -1,4 +1,7 @@
-export function ProfilePage({ profile }) {
+import OrderCard from '../components/orders/OrderCard';
+import PayoutWalletCard from '../components/profile/PayoutWalletCard';
+
+export function ProfilePage({ profile, orders = [], userId }) {
   return (
     <>
       <section className=" border-2 p-4 rounded-2xl flex flex-col gap-3">
@@ -13,7 +16,19 @@ export function ProfilePage({ profile }) {
           </div>
         </header>
       </section>
+
+      {userId && <PayoutWalletCard payoutWallet={profile?.payoutWallet || null} />}
+
+      <section className="mt-6 flex flex-col gap-3">
+        <h2 className="text-xl font-medium">My Orders</h2>
+        {orders.length === 0 ? (
+          <p className="text-sm text-gray-500 text-center py-6">No orders yet.</p>
+        ) : (
+          orders.map((order) => (
+            <OrderCard key={order.id} order={order} userId={userId} />
+          ))
+        )}
+      </section>
     </>
   );
 }
-
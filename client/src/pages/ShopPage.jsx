@@ -3,9 +3,13 @@ import { useMiniAppAuth } from '../hooks/useMiniAppAuth';
 import { useTonConnect } from '../hooks/useTonConnect';
 import { useTonConnectModal } from '@tonconnect/ui-react';
 import { fetchShopItemsRealtime, createShopItemRealtime, uploadMediaFiles, fetchUserProfile } from '../services/firestoreService';
+import { getJettons } from '../services/apiService';
+import { LISTING_CATEGORIES, DEFAULT_CATEGORY } from '../../../shared/feeEngine.js';
 
 const MAX_PHOTOS = 9;
 const MAX_VIDEO_DURATION = 15; // seconds
+// Currencies a new listing accepts until the seller changes them
+const DEFAULT_ACCEPTED_CURRENCIES = ['USDT', 'TON'];
 
 export function ShopPage({
   onNavigateToDetails,
@@ -23,7 +27,11 @@ export function ShopPage({
     title: '',
     price: '',
     description: '',
+    category: DEFAULT_CATEGORY,
+    acceptedCurrencies: DEFAULT_ACCEPTED_CURRENCIES,
   });
+  // Jettons the marketplace accepts, for the seller to choose from (TON is always offered)
+  const [jettons, setJettons] = useState([]);
   const [photos, setPhotos] = useState([]);
   const [video, setVideo] = useState(null);
   const [searchTerm, setSearchTerm] = useState('');
@@ -36,6 +44,10 @@ export function ShopPage({
     open();
   }, [open]);
 
+  useEffect(() => {
+    getJettons().then((registry) => setJettons(registry.jettons)).catch(console.error);
+  }, []);
+
   const handleDisconnectWallet = useCallback(() => {
     if (tonConnectUI) {
       tonConnectUI.disconnect();
@@ -137,6 +149,15 @@ export function ShopPage({
     setForm((prev) => ({ ...prev, [name]: value }));
   }
 
+  function toggleAcceptedCurrency(currency) {
+    setForm((prev) => ({
+      ...prev,
+      acceptedCurrencies: prev.acceptedCurrencies.includes(currency)
+        ? prev.acceptedCurrencies.filter((accepted) => accepted !== currency)
+        : [...prev.acceptedCurrencies, currency],
+    }));
+  }
+
   function handlePhotos(e) {
     const selectedFiles = Array.from(e.target.files || []);
     const currentPhotoCount = photos.length;
@@ -207,6 +228,11 @@ export function ShopPage({
       alert('Please connect your wallet to create a listing.');
       return;
     }
+
+    if (form.acceptedCurrencies.length === 0) {
+      alert('Choose at least one currency buyers can pay with.');
+      return;
+    }
     
     // Validate photo count
     if (photos.length > MAX_PHOTOS) {
@@ -338,7 +364,7 @@ export function ShopPage({
       console.log(`Total time: ${Date.now() - startTime}ms`);
       
       // Reset form after successful submission
-      setForm({ title: '', price: '', description: '' });
+      setForm({ title: '', price: '', description: '', category: DEFAULT_CATEGORY, acceptedCurrencies: DEFAULT_ACCEPTED_CURRENCIES });
       setPhotos([]);
       setVideo(null);
       // Reset file inputs
@@ -488,6 +514,35 @@ export function ShopPage({
                   required
                 />
               </label>
+              <label className="flex flex-col gap-1">
+                <span className="text-sm text-gray-600">Category</span>
+                <select
+                  className="border-b border-gray-300 bg-transparent p-2 text-sm focus:outline-none focus:border-gray-900"
+                  name="category"
+                  value={form.category}
+                  onChange={handleInput}
+                >
+                  {LISTING_CATEGORIES.map((category) => (
+                    <option key={category.id} value={category.id}>{category.label}</option>
+                  ))}
+                </select>
+              </label>
+              <div className="flex flex-col gap-1">
+                <span className="text-sm text-gray-600">Accepted payment</span>
+                <div className="flex flex-wrap gap-3 py-2">
+                  {[...jettons.map((jetton) => ({ symbol: jetton.symbol, icon: jetton.icon })), { symbol: 'TON', icon: null }].map(({ symbol, icon }) => (
+                    <label key={symbol} className="flex items-center gap-1 text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={form.acceptedCurrencies.includes(symbol)}
+                        onChange={() => toggleAcceptedCurrency(symbol)}
+                      />
+                      {icon && <img src={icon} alt="" className="w-4 h-4 rounded-full" />}
+                      {symbol}
+                    </label>
+                  ))}
+                </div>
+              </div>
               <label className="flex flex-col gap-1">
                 <span className="text-sm text-gray-600">Description</span>
                 <textarea
@@ -535,6 +590,7 @@ export function ShopPage({
                     </button>
                   )}
                 </label>
+                <p className="text-xs text-gray-500">Sales are paid out to the payout wallet you verify in your profile.</p>
               </div>
               <button type="submit" className="mt-2 px-4 py-2 bg-gray-900 text-white rounded-xl text-sm hover:bg-gray-800 transition-all duration-200 hover:scale-105 active:scale-95 disabled:opacity-50 disabled:hover:scale-100 disabled:cursor-not-allowed" disabled={isSubmitting || !connected || !walletAddress}>
                 {isSubmitting ? (
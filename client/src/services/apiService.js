@@ -205,42 +205,242 @@ export async function getPaymentConstants() {
   }
   const response = await apiCall('/api/utils/payment-constants');
   const { Address } = await import('@ton/core');
-  // Server already sends gas fees in nanoTON (as string), so convert directly to BigInt
-  // DO NOT use toNano() again - that would convert it as if it were TON units!
   paymentConstantsCache = {
-    JETTON_TRANSFER_GAS_FEES: BigInt(response.jettonTransferGasFees),
     USDT_MASTER_ADDRESS: Address.parse(response.usdtMasterAddress),
     SERVER_WALLET_ADDRESS: Address.parse(response.serverWalletAddress),
   };
   return paymentConstantsCache;
 }
 
-// Process payment: Send 95% to seller, keep 5% as fee
-// POST /api/payment/process
-export async function processPayment(orderId, sellerAddress, amount = null) {
-  const body = { orderId, sellerAddress };
-  if (amount !== null && amount !== undefined) {
-    body.amount = typeof amount === 'bigint' ? amount.toString() : amount;
+// Estimate the TON to attach to a transfer of this jetton carrying this comment (not cached - network fees change)
+// GET /api/utils/jetton-transfer-fee?comment=&symbol=
+export async function estimateJettonTransferFee(comment, symbol) {
+  const response = await apiCall(`/api/utils/jetton-transfer-fee?comment=${encodeURIComponent(comment)}&symbol=${encodeURIComponent(symbol)}`);
+  // Server sends nanoTON as a string, so convert directly to BigInt (not toNano)
+  return BigInt(response.value);
+}
+
+// Get the fee schedule and the seller's fee tier (quotes are computed with shared/feeEngine.js)
+// GET /api/fees/schedule?sellerId=
+export async function getFeeSchedule(sellerId = null) {
+  const query = sellerId ? `?sellerId=${encodeURIComponent(sellerId)}` : '';
+  return await apiCall(`/api/fees/schedule${query}`);
+}
+
+// TON Connect manifest, served by the backend for the network it runs on
+export const TONCONNECT_MANIFEST_URL = `${API_BASE_URL}/api/tonconnect-manifest.json`;
+
+// Get the network the marketplace runs on: { network, chain, explorerUrl, usdtMasterAddress }
+// chain is the TON Connect chain id a connected wallet must report
+// GET /api/network
+let networkConfigPromise = null;
+export function getNetworkConfig() {
+  if (!networkConfigPromise) {
+    networkConfigPromise = apiCall('/api/network').catch((error) => {
+      networkConfigPromise = null;
+      throw error;
+    });
   }
-  return await apiCall('/api/payment/process', {
+  return networkConfigPromise;
+}
+
+// Get the jettons the marketplace accepts (besides TON), with their master address, decimals, symbol and icon
+// GET /api/jettons
+let jettonsCache = null;
+export async function getJettons() {
+  if (!jettonsCache) {
+    jettonsCache = await apiCall('/api/jettons');
+  }
+  return jettonsCache;
+}
+
+// Get the current TON price (an estimate - TON orders are quoted when they are created)
+// GET /api/prices/ton
+export async function getTonPrice() {
+  return await apiCall('/api/prices/ton');
+}
+
+// Create an order for a listing (priced on the server)
+// POST /api/orders
+// currency is 'TON' or a jetton symbol from getJettons(); TON orders come with a locked tonQuote
+export async function createOrder(itemId, buyerWalletAddress = null, currency = 'USDT') {
+  const response = await apiCall('/api/orders', {
     method: 'POST',
-    body: JSON.stringify(body),
+    body: JSON.stringify({
+      itemId,
+      buyerWalletAddress: buyerWalletAddress?.toString ? buyerWalletAddress.toString() : buyerWalletAddress,
+      currency,
+    }),
   });
+  return response.order;
+}
+
+// Fetch an order (participants only)
+// GET /api/orders/:orderId
+export async function fetchOrder(orderId) {
+  const response = await apiCall(`/api/orders/${orderId}`);
+  return response.order;
 }
 
-// Store buyer to server transaction
-// POST /api/transactions/buyer-to-server
-export async function storeBuyerTransaction(transactionHash, orderId, fromAddress, toAddress, amount) {
-  return await apiCall('/api/transactions/buyer-to-server', {
+// Buyer reports that the transfer into the order's escrow wallet was sent,
+// with the signed message (boc) TON Connect returned so the server can track it on-chain
+// POST /api/orders/:orderId/payment-sent
+export async function reportPaymentSent(orderId, buyerWalletAddress = null, boc = null) {
+  const response = await apiCall(`/api/orders/${orderId}/payment-sent`, {
     method: 'POST',
     body: JSON.stringify({
-      transactionHash,
-      orderId,
-      fromAddress: fromAddress.toString ? fromAddress.toString() : fromAddress,
-      toAddress: toAddress.toString ? toAddress.toString() : toAddress,
-      amount: typeof amount === 'bigint' ? amount.toString() : amount,
+      buyerWalletAddress: buyerWalletAddress?.toString ? buyerWalletAddress.toString() : buyerWalletAddress,
+      boc,
     }),
   });
+  return response.order;
+}
+
+// Seller marks an order as shipped
+// POST /api/orders/:orderId/ship
+export async function shipOrder(orderId, trackingInfo = null) {
+  const response = await apiCall(`/api/orders/${orderId}/ship`, {
+    method: 'POST',
+    body: JSON.stringify({ trackingInfo }),
+  });
+  return response.order;
+}
+
+// Buyer confirms receipt, which releases the escrow to the seller
+// POST /api/orders/:orderId/confirm-receipt
+export async function confirmReceipt(orderId) {
+  return await apiCall(`/api/orders/${orderId}/confirm-receipt`, {
+    method: 'POST',
+  });
+}
+
+// Refund an order from its escrow wallet back to the buyer (seller or admin)
+// POST /api/orders/:orderId/refund
+export async function refundOrder(orderId, reason = null) {
+  return await apiCall(`/api/orders/${orderId}/refund`, {
+    method: 'POST',
+    body: JSON.stringify({ reason }),
+  });
+}
+
+// Cancel an unpaid order
+// POST /api/orders/:orderId/cancel
+export async function cancelOrder(orderId, reason = null) {
+  const response = await apiCall(`/api/orders/${orderId}/cancel`, {
+    method: 'POST',
+    body: JSON.stringify({ reason }),
+  });
+  return response.order;
+}
+
+// Open a dispute on a funded or shipped order (buyer or seller)
+// POST /api/orders/:orderId/dispute
+export async function openDispute(orderId, reason) {
+  const response = await apiCall(`/api/orders/${orderId}/dispute`, {
+    method: 'POST',
+    body: JSON.stringify({ reason }),
+  });
+  return response.order;
+}
+
+// Attach evidence to an open dispute (image files are sent as base64)
+// POST /api/orders/:orderId/dispute/evidence
+export async function addDisputeEvidence(orderId, text = '', files = []) {
+  const images = await Promise.all(files.map(file => fileToBase64(file)));
+  const response = await apiCall(`/api/orders/${orderId}/dispute/evidence`, {
+    method: 'POST',
+    body: JSON.stringify({ text, images }),
+  });
+  return response.evidence;
+}
+
+// Fetch the evidence of an order's dispute
+// GET /api/orders/:orderId/dispute/evidence
+export async function fetchDisputeEvidence(orderId) {
+  const response = await apiCall(`/api/orders/${orderId}/dispute/evidence`);
+  return response.evidence || [];
+}
+
+// Rule a dispute (admin only)
+// POST /api/orders/:orderId/dispute/ruling
+export async function ruleDispute(orderId, outcome, reasoning, sellerPercentage = null) {
+  return await apiCall(`/api/orders/${orderId}/dispute/ruling`, {
+    method: 'POST',
+    body: JSON.stringify({ outcome, reasoning, sellerPercentage }),
+  });
+}
+
+// Fetch open disputes (admin only)
+// GET /api/disputes
+export async function fetchDisputes() {
+  const response = await apiCall('/api/disputes');
+  return response.disputes || [];
+}
+
+// Fetch the server (hot) wallet's balances and thresholds from the last check (admin only)
+// GET /api/hot-wallet
+export async function fetchHotWalletStatus() {
+  return await apiCall('/api/hot-wallet');
+}
+
+// Check the server (hot) wallet's balances now (admin only)
+// POST /api/hot-wallet/check
+export async function checkHotWallet() {
+  return await apiCall('/api/hot-wallet/check', { method: 'POST' });
+}
+
+// Fetch the latest reconciliation report of on-chain balances against orders, payouts and the ledger (admin only)
+// GET /api/reconciliation/latest
+export async function fetchReconciliationReport() {
+  const response = await apiCall('/api/reconciliation/latest');
+  return response.report;
+}
+
+// Run a reconciliation now (admin only)
+// POST /api/reconciliation/run
+export async function runReconciliation() {
+  const response = await apiCall('/api/reconciliation/run', { method: 'POST' });
+  return response.report;
+}
+
+// Get a one-time payload for the connected wallet to sign with TON Connect's ton_proof
+// POST /api/payout-wallet/challenge
+export async function createTonProofPayload() {
+  return await apiCall('/api/payout-wallet/challenge', { method: 'POST' });
+}
+
+// Verify a wallet's ton_proof and make it the seller's payout wallet (a change only takes effect after a cooldown)
+// POST /api/payout-wallet
+// wallet is the TON Connect wallet, connected with a ton_proof request
+export async function verifyPayoutWallet(wallet) {
+  const response = await apiCall('/api/payout-wallet', {
+    method: 'POST',
+    body: JSON.stringify({
+      address: wallet.account.address,
+      network: wallet.account.chain,
+      publicKey: wallet.account.publicKey,
+      stateInit: wallet.account.walletStateInit,
+      proof: wallet.connectItems.tonProof.proof,
+    }),
+  });
+  return response.payoutWallet;
+}
+
+// Cancel a pending payout wallet change
+// DELETE /api/payout-wallet/pending
+export async function cancelPayoutWalletChange() {
+  const response = await apiCall('/api/payout-wallet/pending', { method: 'DELETE' });
+  return response.payoutWallet;
+}
+
+// Process payment: Send the seller their payout from the order's fee quote, keep the fees
+// POST /api/payment/process
+// The server verifies the order's deposit on-chain and pays the seller's verified payout wallet
+export async function processPayment(orderId) {
+  return await apiCall('/api/payment/process', {
+    method: 'POST',
+    body: JSON.stringify({ orderId }),
+  });
 }
 
 // Fetch transactions
@@ -15,6 +15,10 @@ export default defineConfig({
   server: {
     allowedHosts: ['hexterminator.xyz'],
     host: true,
-    port: 3000
+    port: 3000,
+    fs: {
+      // Allow importing the fee engine shared with the server (../shared)
+      allow: ['..'],
+    },
   }
 })
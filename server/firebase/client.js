@@ -2,10 +2,11 @@ import { config } from 'dotenv';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import { initializeApp, getApps } from 'firebase/app';
-import { getAuth } from 'firebase/auth';
+import { getAuth, signInWithCustomToken } from 'firebase/auth';
 import { getFirestore } from 'firebase/firestore';
 import { getDatabase } from 'firebase/database';
 import { getFunctions } from 'firebase/functions';
+import { createServerCustomToken } from './serverAuth.js';
 
 // Load environment variables from server/.env file
 const __filename = fileURLToPath(import.meta.url);
@@ -61,5 +62,25 @@ if (!firebaseConfig.databaseURL) {
 export const realtimeDb = getDatabase(app);
 export const functions = getFunctions(app, region);
 
-export default app;
+/**
+ * Sign the server in as its trusted identity, before it reads or writes anything.
+ * The custom token is minted from FIREBASE_SERVICE_ACCOUNT_EMAIL and FIREBASE_SERVICE_ACCOUNT_PRIVATE_KEY
+ * and signs in as FIREBASE_SERVER_UID; the SDK keeps the session's ID token refreshed
+ * @returns {Promise<void>}
+ */
+export async function signInAsServer() {
+  const clientEmail = process.env.FIREBASE_SERVICE_ACCOUNT_EMAIL;
+  const privateKey = process.env.FIREBASE_SERVICE_ACCOUNT_PRIVATE_KEY?.replace(/\\n/g, '\n');
+  if (!clientEmail || !privateKey) {
+    if (testMode) {
+      console.warn('Running Firebase in test mode without a server identity; the security rules will deny server writes.');
+      return;
+    }
+    throw new Error('Missing FIREBASE_SERVICE_ACCOUNT_EMAIL or FIREBASE_SERVICE_ACCOUNT_PRIVATE_KEY. The server signs in with them to write orders, wallets and payouts.');
+  }
+  const uid = process.env.FIREBASE_SERVER_UID || 'escrow-server';
+  const { user } = await signInWithCustomToken(auth, createServerCustomToken({ clientEmail, privateKey, uid }));
+  console.log(`Signed in to Firebase as the server (${user.uid})`);
+}
 
+export default app;
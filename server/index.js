@@ -13,16 +13,64 @@ import {
   checkIfWanted,
   fetchWantedItems,
 } from './services/firestoreService.js';
-import { storeTransaction, fetchTransactions } from './services/transactionService.js';
+import { fetchTransactions } from './services/transactionService.js';
 import {
-  calculateUsdtAmount,
+  calculateJettonAmount,
   parsePrice,
-  JETTON_TRANSFER_GAS_FEES,
-  USDT_MASTER_ADDRESS,
 } from './utils/paymentHelpers.js';
+import {
+  getTonNetwork,
+  getNetworkEnv,
+  getNetworkSettings,
+  getUsdtMasterAddress,
+  getServerWalletAddress,
+  formatNetworkAddress,
+  getTonClient,
+  TON_NETWORKS,
+} from './utils/networkConfig.js';
+import { DEFAULT_JETTON_SYMBOL, getJettonRegistry, getJetton } from './utils/jettonRegistry.js';
 import { processPayment } from './services/paymentService.js';
-import { getHttpEndpoint } from '@orbs-network/ton-access';
-import { TonClient } from '@ton/ton';
+import { resumePayoutTracking } from './services/transactionTrackerService.js';
+import { submitBuyerPayment, resumeBuyerPaymentTracking } from './services/paymentSubmissionService.js';
+import { startEscrowSweeper } from './services/escrowSweeperService.js';
+import { startWalletMonitor, runWalletMonitor, getHotWalletStatus } from './services/walletMonitorService.js';
+import { getLedgerBalances, getAccountBalance, postTopUp } from './services/ledgerService.js';
+import { startReconciliation, runReconciliation, getLatestReconciliationReport } from './services/reconciliationService.js';
+import { startPayoutBatcher, runPayoutBatcher, getPayoutBatchStatus } from './services/payoutBatchService.js';
+import {
+  createTonProofPayload,
+  getPayoutWallet,
+  verifyPayoutWallet,
+  cancelPayoutWalletChange,
+} from './services/payoutWalletService.js';
+import { releaseEscrowFunds, refundEscrowFunds } from './services/escrowService.js';
+import {
+  ORDER_STATES,
+  PAYMENT_CURRENCIES,
+  createOrder,
+  requireOrder,
+  assertOrderState,
+  transitionOrder,
+  updateOrderFields,
+  isOrderParticipant,
+  requoteTonOrder,
+  normalizeAcceptedCurrencies,
+} from './services/orderService.js';
+import { getAuthToken, verifyIdToken, isAdmin } from './services/authService.js';
+import { getFeeSchedule, getSellerTier, setSellerTier } from './services/feeService.js';
+import { getTonUsdRate, TON_QUOTE_WINDOW_MINUTES } from './services/priceService.js';
+import { startOrderScheduler } from './services/orderSchedulerService.js';
+import { startDepositWatcher, checkOrderDeposit } from './services/depositWatcherService.js';
+import { estimateJettonTransferValue } from './services/gasEstimatorService.js';
+import { JettonWallet } from './wrappers/JettonWallet.js';
+import { signInAsServer } from './firebase/client.js';
+import {
+  openDispute,
+  addDisputeEvidence,
+  fetchDisputeEvidence,
+  fetchOpenDisputes,
+  ruleDispute,
+} from './services/disputeService.js';
 
 // Load environment variables from server/.env file
 const __filename = fileURLToPath(import.meta.url);
@@ -37,11 +85,37 @@ app.use(cors());
 app.use(express.json({ limit: '50mb' })); // Increased limit for base64 images/videos
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
+// Require a valid Firebase ID token and expose the caller's Telegram ID as req.userId
+// Headers: Authorization: Bearer <firebase-id-token>
+async function requireAuth(req, res, next) {
+  const authToken = getAuthToken(req);
+  if (!authToken) {
+    return res.status(401).json({ error: 'Authentication required. Please provide Firebase ID token in Authorization header.' });
+  }
+  try {
+    const { userId } = await verifyIdToken(authToken);
+    req.userId = userId;
+    req.authToken = authToken;
+    next();
+  } catch (error) {
+    console.warn('Rejected request with invalid ID token:', error.message);
+    res.status(401).json({ error: 'Invalid or expired authentication token' });
+  }
+}
+
 // Health check
 app.get('/health', (req, res) => {
   res.json({ status: 'ok' });
 });
 
+// Server (hot) wallet balances from the last check, for uptime monitors
+// GET /health/hot-wallet
+// Responds 503 when a balance is below its critical threshold or the last check failed
+app.get('/health/hot-wallet', (req, res) => {
+  const status = getHotWalletStatus();
+  res.status(['critical', 'error'].includes(status.status) ? 503 : 200).json(status);
+});
+
 // Get Firebase config for client
 // GET /api/firebase-config
 app.get('/api/firebase-config', (req, res) => {
@@ -117,12 +191,15 @@ app.post('/api/shop-items', async (req, res) => {
     if (!authToken) {
       return res.status(401).json({ error: 'Authentication required. Please provide Firebase ID token in Authorization header.' });
     }
+
+    // The seller picks which currencies the listing can be paid in; only TON and registry jettons are kept
+    const listingPayload = { ...payload, acceptedCurrencies: normalizeAcceptedCurrencies(payload.acceptedCurrencies) };
     
-    const itemId = await createShopItemRealtime(uid, payload, sellerInfo || null, authToken);
+    const itemId = await createShopItemRealtime(uid, listingPayload, sellerInfo || null, authToken);
     res.json({ itemId });
   } catch (error) {
     console.error('Error creating shop item:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.statusCode || 500).json({ error: error.message });
   }
 });
 
@@ -176,29 +253,348 @@ app.get('/api/users/:uid', async (req, res) => {
   }
 });
 
-// Process payment: Send 95% to seller, keep 5% as fee
+// Create an order for a listing (priced on the server)
+// POST /api/orders
+// Body: { itemId: string, buyerWalletAddress?: string, currency?: 'TON' or a jetton symbol (default USDT) }
+// Headers: Authorization: Bearer <firebase-id-token>
+// TON orders carry a tonQuote whose amount is locked until tonQuote.expiresAtTimestamp
+app.post('/api/orders', requireAuth, async (req, res) => {
+  try {
+    const { itemId, buyerWalletAddress, currency } = req.body;
+    if (!itemId) {
+      return res.status(400).json({ error: 'itemId is required' });
+    }
+
+    const order = await createOrder(req.userId, itemId, {
+      buyerWalletAddress: buyerWalletAddress || null,
+      currency: currency || DEFAULT_JETTON_SYMBOL,
+    });
+    res.json({ order });
+  } catch (error) {
+    console.error('Error creating order:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// Fetch an order (participants and admins)
+// GET /api/orders/:orderId
+// Headers: Authorization: Bearer <firebase-id-token>
+app.get('/api/orders/:orderId', requireAuth, async (req, res) => {
+  try {
+    const order = await requireOrder(req.params.orderId);
+    if (!isOrderParticipant(order, req.userId) && !isAdmin(req.userId)) {
+      return res.status(403).json({ error: 'You are not a participant of this order' });
+    }
+    res.json({ order });
+  } catch (error) {
+    console.error('Error fetching order:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// Re-quote an unpaid TON order whose quote expired (buyer only)
+// POST /api/orders/:orderId/ton-quote
+// Headers: Authorization: Bearer <firebase-id-token>
+// A quote that is still valid is returned unchanged
+app.post('/api/orders/:orderId/ton-quote', requireAuth, async (req, res) => {
+  try {
+    const order = await requireOrder(req.params.orderId);
+    if (order.buyerId !== req.userId) {
+      return res.status(403).json({ error: 'Only the buyer can re-quote this order' });
+    }
+    const updated = await requoteTonOrder(order, 'Re-quoted by the buyer');
+    res.json({ order: updated });
+  } catch (error) {
+    console.error('Error re-quoting order:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// Buyer reports that the transfer (USDT or TON) into the order's escrow wallet was sent
+// POST /api/orders/:orderId/payment-sent
+// Body: { buyerWalletAddress?: string, boc?: string }
+// Headers: Authorization: Bearer <firebase-id-token>
+// The order only becomes funded once the deposit watcher sees the transfer on-chain;
+// this checks the escrow wallet right away instead of waiting for the next poll.
+// boc is the signed message TON Connect returned; it is attached to the order as paymentSubmission and tracked on-chain
+app.post('/api/orders/:orderId/payment-sent', requireAuth, async (req, res) => {
+  try {
+    const order = await requireOrder(req.params.orderId);
+    if (order.buyerId !== req.userId) {
+      return res.status(403).json({ error: 'Only the buyer can report a payment for this order' });
+    }
+    assertOrderState(order, [ORDER_STATES.AWAITING_PAYMENT, ORDER_STATES.FUNDED], 'report payment');
+
+    if (order.status === ORDER_STATES.AWAITING_PAYMENT) {
+      await updateOrderFields(order.orderId, {
+        buyerWalletAddress: req.body.buyerWalletAddress || order.buyerWalletAddress || null,
+        paymentReportedAtTimestamp: Date.now(),
+      });
+      const tonClient = await getTonClient();
+      if (req.body.boc) {
+        await submitBuyerPayment(await requireOrder(order.orderId), req.body.boc, tonClient);
+      }
+      try {
+        await checkOrderDeposit(await requireOrder(order.orderId), tonClient);
+      } catch (error) {
+        // Not fatal - the deposit watcher keeps polling the escrow wallet
+        console.warn(`[DEPOSIT] ⚠️  Immediate deposit check failed for order ${order.orderId}:`, error.message);
+      }
+    }
+
+    const updated = await requireOrder(order.orderId);
+    res.json({ order: updated });
+  } catch (error) {
+    console.error('Error reporting payment:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// Seller marks an order as shipped
+// POST /api/orders/:orderId/ship
+// Body: { trackingInfo?: string }
+// Headers: Authorization: Bearer <firebase-id-token>
+app.post('/api/orders/:orderId/ship', requireAuth, async (req, res) => {
+  try {
+    const order = await requireOrder(req.params.orderId);
+    if (order.sellerId !== req.userId) {
+      return res.status(403).json({ error: 'Only the seller can mark an order as shipped' });
+    }
+
+    const updated = await transitionOrder(order.orderId, ORDER_STATES.SHIPPED, {
+      actor: req.userId,
+      reason: 'Seller marked order as shipped',
+      fields: { trackingInfo: req.body.trackingInfo || null, shippedAtTimestamp: Date.now() },
+    });
+    res.json({ order: updated });
+  } catch (error) {
+    console.error('Error marking order as shipped:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// Buyer confirms the item was received, which releases the escrow to the seller
+// POST /api/orders/:orderId/confirm-receipt
+// Headers: Authorization: Bearer <firebase-id-token>
+// Calling again for a delivered order retries a release that failed part-way;
+// for a released order it returns the stored payout without sending anything
+app.post('/api/orders/:orderId/confirm-receipt', requireAuth, async (req, res) => {
+  const startTime = Date.now();
+  try {
+    const order = await requireOrder(req.params.orderId);
+    if (order.buyerId !== req.userId) {
+      return res.status(403).json({ error: 'Only the buyer can confirm receipt of this order' });
+    }
+
+    if (order.status !== ORDER_STATES.DELIVERED && order.status !== ORDER_STATES.RELEASED) {
+      await transitionOrder(order.orderId, ORDER_STATES.DELIVERED, {
+        actor: req.userId,
+        reason: 'Buyer confirmed receipt',
+        fields: { deliveredAtTimestamp: Date.now() },
+      });
+    }
+
+    const tonClient = await getTonClient();
+    const result = await releaseEscrowFunds(order.orderId, order.itemId, tonClient);
+
+    const totalTime = Date.now() - startTime;
+    console.log(`[PAYMENT] Escrow release for order ${order.orderId} completed (${totalTime}ms)`);
+
+    const updated = await requireOrder(order.orderId);
+    res.json({ ...result, order: updated });
+  } catch (error) {
+    const totalTime = Date.now() - startTime;
+    console.error(`[PAYMENT] Error confirming receipt (${totalTime}ms):`, error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// Refund a funded or shipped order from its escrow wallet back to the buyer
+// POST /api/orders/:orderId/refund
+// Body: { reason?: string, amount?: string }
+// Headers: Authorization: Bearer <firebase-id-token>
+// The seller can refund their own order in full; admins can also refund a specific amount (USDT units)
+app.post('/api/orders/:orderId/refund', requireAuth, async (req, res) => {
+  const startTime = Date.now();
+  try {
+    const { reason, amount } = req.body;
+    const order = await requireOrder(req.params.orderId);
+    const admin = isAdmin(req.userId);
+    if (order.sellerId !== req.userId && !admin) {
+      return res.status(403).json({ error: 'Only the seller or an admin can refund this order' });
+    }
+    if (amount && !admin) {
+      return res.status(403).json({ error: 'Only an admin can refund a specific amount' });
+    }
+
+    const tonClient = await getTonClient();
+    const result = await refundEscrowFunds(
+      order.orderId,
+      reason || (admin ? 'Refunded by admin' : 'Refunded by seller'),
+      tonClient,
+      { amount: amount || null, actor: req.userId }
+    );
+
+    const totalTime = Date.now() - startTime;
+    console.log(`[PAYMENT] Escrow refund for order ${order.orderId} completed (${totalTime}ms)`);
+
+    const updated = await requireOrder(order.orderId);
+    res.json({ ...result, order: updated });
+  } catch (error) {
+    const totalTime = Date.now() - startTime;
+    console.error(`[PAYMENT] Error refunding order (${totalTime}ms):`, error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// Cancel an order that has not been paid yet (buyer or seller)
+// POST /api/orders/:orderId/cancel
+// Body: { reason?: string }
+// Headers: Authorization: Bearer <firebase-id-token>
+app.post('/api/orders/:orderId/cancel', requireAuth, async (req, res) => {
+  try {
+    const order = await requireOrder(req.params.orderId);
+    if (!isOrderParticipant(order, req.userId)) {
+      return res.status(403).json({ error: 'You are not a participant of this order' });
+    }
+
+    const updated = await transitionOrder(order.orderId, ORDER_STATES.CANCELLED, {
+      actor: req.userId,
+      reason: req.body.reason || 'Cancelled by participant',
+    });
+    res.json({ order: updated });
+  } catch (error) {
+    console.error('Error cancelling order:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// Open a dispute on a funded or shipped order (buyer or seller)
+// POST /api/orders/:orderId/dispute
+// Body: { reason: string }
+// Headers: Authorization: Bearer <firebase-id-token>
+// A disputed order is never auto-released or auto-refunded; an admin rules it
+app.post('/api/orders/:orderId/dispute', requireAuth, async (req, res) => {
+  try {
+    const order = await openDispute(req.params.orderId, req.userId, req.body.reason);
+    res.json({ order });
+  } catch (error) {
+    console.error('Error opening dispute:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// Add evidence to an open dispute (buyer, seller or admin)
+// POST /api/orders/:orderId/dispute/evidence
+// Body: { text?: string, images?: Array<string> } (images as base64 data URLs)
+// Headers: Authorization: Bearer <firebase-id-token>
+app.post('/api/orders/:orderId/dispute/evidence', requireAuth, async (req, res) => {
+  try {
+    const { text, images } = req.body;
+    const evidence = await addDisputeEvidence(
+      req.params.orderId,
+      req.userId,
+      { text, images },
+      { isArbiter: isAdmin(req.userId) }
+    );
+    res.json({ evidence });
+  } catch (error) {
+    console.error('Error adding dispute evidence:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// Fetch the evidence of an order's dispute (participants and admins)
+// GET /api/orders/:orderId/dispute/evidence
+// Headers: Authorization: Bearer <firebase-id-token>
+app.get('/api/orders/:orderId/dispute/evidence', requireAuth, async (req, res) => {
+  try {
+    const order = await requireOrder(req.params.orderId);
+    if (!isOrderParticipant(order, req.userId) && !isAdmin(req.userId)) {
+      return res.status(403).json({ error: 'You are not a participant of this order' });
+    }
+    const evidence = await fetchDisputeEvidence(order.orderId);
+    res.json({ evidence });
+  } catch (error) {
+    console.error('Error fetching dispute evidence:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// Rule a dispute and pay out the escrow accordingly (admins only)
+// POST /api/orders/:orderId/dispute/ruling
+// Body: { outcome: 'release' | 'refund' | 'split', sellerPercentage?: number, reasoning: string }
+// Headers: Authorization: Bearer <firebase-id-token>
+// Calling again after a failed payout retries the ruling already stored on the order
+app.post('/api/orders/:orderId/dispute/ruling', requireAuth, async (req, res) => {
+  const startTime = Date.now();
+  try {
+    if (!isAdmin(req.userId)) {
+      return res.status(403).json({ error: 'Only an admin can rule a dispute' });
+    }
+    const { outcome, sellerPercentage, reasoning } = req.body;
+
+    const tonClient = await getTonClient();
+    const result = await ruleDispute(
+      req.params.orderId,
+      req.userId,
+      { outcome, sellerPercentage, reasoning },
+      tonClient
+    );
+
+    const totalTime = Date.now() - startTime;
+    console.log(`[DISPUTE] Ruling for order ${req.params.orderId} executed (${totalTime}ms)`);
+
+    const updated = await requireOrder(req.params.orderId);
+    res.json({ ...result, order: updated });
+  } catch (error) {
+    const totalTime = Date.now() - startTime;
+    console.error(`[DISPUTE] Error ruling dispute (${totalTime}ms):`, error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// List open disputes (admins only)
+// GET /api/disputes
+// Headers: Authorization: Bearer <firebase-id-token>
+app.get('/api/disputes', requireAuth, async (req, res) => {
+  try {
+    if (!isAdmin(req.userId)) {
+      return res.status(403).json({ error: 'Only an admin can list disputes' });
+    }
+    const disputes = await fetchOpenDisputes();
+    res.json({ disputes });
+  } catch (error) {
+    console.error('Error fetching disputes:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// Process payment: Send the seller their payout from the order's fee quote, keep the fees
 // POST /api/payment/process
-// Body: { orderId: string, sellerAddress: string, amount?: string }
-// amount is optional - if not provided, processes entire server wallet balance
-app.post('/api/payment/process', async (req, res) => {
+// Body: { orderId: string }
+// Headers: Authorization: Bearer <firebase-id-token>
+// Only for orders paid into the server wallet. The order must already be funded by a deposit
+// seen on-chain; the deposit is re-verified and the seller is paid at the listing's wallet
+app.post('/api/payment/process', requireAuth, async (req, res) => {
   const startTime = Date.now();
   try {
-    const { orderId, sellerAddress, amount } = req.body;
+    const { orderId } = req.body;
     
     if (!orderId) {
       return res.status(400).json({ error: 'orderId is required' });
     }
-    if (!sellerAddress) {
-      return res.status(400).json({ error: 'sellerAddress is required' });
+
+    const order = await requireOrder(orderId);
+    if (order.buyerId !== req.userId && !isAdmin(req.userId)) {
+      return res.status(403).json({ error: 'Only the buyer or an admin can process the payment for this order' });
     }
 
     // Initialize TON client
-    const network = process.env.TON_NETWORK || 'testnet';
-    const endpoint = await getHttpEndpoint({ network });
-    const tonClient = new TonClient({ endpoint });
+    const tonClient = await getTonClient();
 
-    // Process payment (amount is optional)
-    const result = await processPayment(orderId, sellerAddress, tonClient, amount || null);
+    // Process payment for the verified deposit
+    const result = await processPayment(orderId, tonClient);
     
     const totalTime = Date.now() - startTime;
     console.log(`[PAYMENT] Payment processing completed (${totalTime}ms)`);
@@ -207,7 +603,7 @@ app.post('/api/payment/process', async (req, res) => {
   } catch (error) {
     const totalTime = Date.now() - startTime;
     console.error(`[PAYMENT] Error processing payment (${totalTime}ms):`, error);
-    res.status(500).json({ error: error.message });
+    res.status(error.statusCode || 500).json({ error: error.message });
   }
 });
 
@@ -274,16 +670,20 @@ app.get('/api/wanted', async (req, res) => {
   }
 });
 
-// Calculate USDT amount
+// Calculate a jetton amount (USDT unless a registry symbol is given)
 // POST /api/utils/calculate-usdt
-// Body: { usdCents: number }
+// Body: { usdCents: number, symbol?: string }
 app.post('/api/utils/calculate-usdt', async (req, res) => {
   try {
-    const { usdCents } = req.body;
+    const { usdCents, symbol } = req.body;
     if (usdCents === undefined || usdCents === null) {
       return res.status(400).json({ error: 'usdCents is required' });
     }
-    const amount = calculateUsdtAmount(usdCents);
+    const jetton = getJetton(symbol || DEFAULT_JETTON_SYMBOL);
+    if (!jetton) {
+      return res.status(400).json({ error: `Unsupported jetton: ${symbol}` });
+    }
+    const amount = calculateJettonAmount(usdCents, jetton.decimals, jetton.usdPerToken);
     res.json({ amount: amount.toString() });
   } catch (error) {
     console.error('Error calculating USDT amount:', error);
@@ -309,13 +709,10 @@ app.post('/api/utils/parse-price', async (req, res) => {
 // GET /api/utils/payment-constants
 app.get('/api/utils/payment-constants', async (req, res) => {
   try {
-    if (!process.env.SERVER_WALLET_ADDRESS) {
-      throw new Error('SERVER_WALLET_ADDRESS not configured');
-    }
     res.json({
-      jettonTransferGasFees: JETTON_TRANSFER_GAS_FEES.toString(),
-      usdtMasterAddress: USDT_MASTER_ADDRESS.toString(),
-      serverWalletAddress: process.env.SERVER_WALLET_ADDRESS,
+      usdtMasterAddress: getUsdtMasterAddress().toString(),
+      serverWalletAddress: formatNetworkAddress(getServerWalletAddress()),
+      network: getTonNetwork(),
     });
   } catch (error) {
     console.error('Error getting payment constants:', error);
@@ -323,34 +720,311 @@ app.get('/api/utils/payment-constants', async (req, res) => {
   }
 });
 
-// Store buyer to server transaction
-// POST /api/transactions/buyer-to-server
-app.post('/api/transactions/buyer-to-server', async (req, res) => {
+// Estimate the TON to attach to a buyer's jetton transfer into an escrow wallet
+// GET /api/utils/jetton-transfer-fee?comment=&symbol=
+// The escrow's jetton wallet is usually deployed by this transfer, so the estimate includes deploying it
+app.get('/api/utils/jetton-transfer-fee', async (req, res) => {
   try {
-    const { transactionHash, orderId, fromAddress, toAddress, amount } = req.body;
-    
-    if (!transactionHash || !orderId || !fromAddress || !toAddress || !amount) {
-      return res.status(400).json({ error: 'All fields are required' });
+    const comment = String(req.query.comment || '');
+    if (comment.length > 512) {
+      return res.status(400).json({ error: 'comment is too long' });
+    }
+    const symbol = req.query.symbol ? String(req.query.symbol) : DEFAULT_JETTON_SYMBOL;
+    const jetton = getJetton(symbol);
+    if (!jetton) {
+      return res.status(400).json({ error: `Unsupported jetton: ${symbol}` });
     }
+    // Only the size of the transfer matters, so placeholder addresses and the largest amount are used
+    const placeholderAddress = getServerWalletAddress();
+    const body = JettonWallet.createTransferBody(placeholderAddress, {
+      fwdAmount: BigInt(1),
+      comment,
+      jettonAmount: (BigInt(1) << BigInt(120)) - BigInt(1),
+      toAddress: placeholderAddress,
+    });
+    const tonClient = await getTonClient();
+    const value = await estimateJettonTransferValue(tonClient, jetton.masterAddress, body, BigInt(1));
+    res.json({ value: value.toString() });
+  } catch (error) {
+    console.error('Error estimating jetton transfer fee:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    const success = await storeTransaction(
-      'buyer_to_server',
-      transactionHash,
-      orderId,
-      fromAddress,
-      toAddress,
-      amount
-    );
+// Get the network the marketplace runs on; checkout refuses wallets on another chain
+// GET /api/network
+app.get('/api/network', (req, res) => {
+  try {
+    res.json(getNetworkSettings());
+  } catch (error) {
+    console.error('Error getting network settings:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// TON Connect manifest for the configured network
+// GET /api/tonconnect-manifest.json
+app.get('/api/tonconnect-manifest.json', (req, res) => {
+  try {
+    const isTestnet = getTonNetwork() === TON_NETWORKS.TESTNET;
+    res.json({
+      url: getNetworkEnv('TONCONNECT_APP_URL') || 'https://t.me/botusername',
+      name: isTestnet ? 'Escrow Marketplace (Testnet)' : 'Escrow Marketplace',
+      iconUrl: process.env.TONCONNECT_ICON_URL || 'https://via.placeholder.com/200',
+    });
+  } catch (error) {
+    console.error('Error building TON Connect manifest:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get the jettons the marketplace accepts (besides TON)
+// GET /api/jettons
+app.get('/api/jettons', async (req, res) => {
+  try {
+    res.json({ jettons: getJettonRegistry(), defaultSymbol: DEFAULT_JETTON_SYMBOL });
+  } catch (error) {
+    console.error('Error getting jetton registry:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get the fee schedule and a seller's tier, for quoting fees at checkout
+// GET /api/fees/schedule?sellerId=
+app.get('/api/fees/schedule', async (req, res) => {
+  try {
+    const sellerTier = req.query.sellerId ? await getSellerTier(req.query.sellerId) : null;
+    res.json({ schedule: getFeeSchedule(), sellerTier });
+  } catch (error) {
+    console.error('Error getting fee schedule:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Set a seller's fee tier (admins only)
+// POST /api/sellers/:sellerId/tier
+// Body: { tier: string|null } - a tier from the fee schedule, or null to clear it
+// Headers: Authorization: Bearer <firebase-id-token>
+app.post('/api/sellers/:sellerId/tier', requireAuth, async (req, res) => {
+  try {
+    if (!isAdmin(req.userId)) {
+      return res.status(403).json({ error: 'Only an admin can set seller tiers' });
+    }
+    const tier = await setSellerTier(req.params.sellerId, req.body.tier || null, req.userId);
+    res.json({ sellerId: req.params.sellerId, tier });
+  } catch (error) {
+    console.error('Error setting seller tier:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// Get a payload for the connected wallet to sign with TON Connect's ton_proof (valid once, for a limited time)
+// POST /api/payout-wallet/challenge
+// Headers: Authorization: Bearer <firebase-id-token>
+app.post('/api/payout-wallet/challenge', requireAuth, async (req, res) => {
+  try {
+    res.json(await createTonProofPayload(req.userId));
+  } catch (error) {
+    console.error('Error creating ton_proof payload:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// Get the caller's verified payout wallet and any pending change
+// GET /api/payout-wallet
+// Headers: Authorization: Bearer <firebase-id-token>
+app.get('/api/payout-wallet', requireAuth, async (req, res) => {
+  try {
+    res.json({ payoutWallet: await getPayoutWallet(req.userId) });
+  } catch (error) {
+    console.error('Error getting payout wallet:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// Verify a wallet's ton_proof and make it the caller's payout wallet (a change waits out the cooldown)
+// POST /api/payout-wallet
+// Body: { address, network, publicKey?, stateInit?, proof } - wallet.account and wallet.connectItems.tonProof.proof from TON Connect
+// Headers: Authorization: Bearer <firebase-id-token>
+app.post('/api/payout-wallet', requireAuth, async (req, res) => {
+  try {
+    const { address, network, publicKey, stateInit, proof } = req.body;
+    const tonClient = await getTonClient();
+    const payoutWallet = await verifyPayoutWallet(req.userId, { address, network, publicKey, stateInit, proof }, tonClient);
+    res.json({ payoutWallet });
+  } catch (error) {
+    console.error('Error verifying payout wallet:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// Cancel the caller's pending payout wallet change
+// DELETE /api/payout-wallet/pending
+// Headers: Authorization: Bearer <firebase-id-token>
+app.delete('/api/payout-wallet/pending', requireAuth, async (req, res) => {
+  try {
+    res.json({ payoutWallet: await cancelPayoutWalletChange(req.userId) });
+  } catch (error) {
+    console.error('Error cancelling payout wallet change:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// Get the server (hot) wallet's balances from the last check (admins only)
+// GET /api/hot-wallet
+// Headers: Authorization: Bearer <firebase-id-token>
+app.get('/api/hot-wallet', requireAuth, (req, res) => {
+  if (!isAdmin(req.userId)) {
+    return res.status(403).json({ error: 'Only an admin can view the hot wallet' });
+  }
+  res.json(getHotWalletStatus());
+});
+
+// Check the server (hot) wallet's balances now (admins only)
+// POST /api/hot-wallet/check
+// Headers: Authorization: Bearer <firebase-id-token>
+app.post('/api/hot-wallet/check', requireAuth, async (req, res) => {
+  try {
+    if (!isAdmin(req.userId)) {
+      return res.status(403).json({ error: 'Only an admin can check the hot wallet' });
+    }
+    res.json(await runWalletMonitor(getTonClient));
+  } catch (error) {
+    console.error('Error checking hot wallet:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// Get the balances of every ledger account for a period, with totals per account kind (admins only)
+// GET /api/ledger/balances?from=&to=
+// from and to are ms timestamps or dates (from inclusive, to exclusive); without from, balances are as of to
+// Headers: Authorization: Bearer <firebase-id-token>
+app.get('/api/ledger/balances', requireAuth, async (req, res) => {
+  try {
+    if (!isAdmin(req.userId)) {
+      return res.status(403).json({ error: 'Only an admin can view the ledger' });
+    }
+    res.json(await getLedgerBalances({ from: req.query.from, to: req.query.to }));
+  } catch (error) {
+    console.error('Error getting ledger balances:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// Get one ledger account's balance for a period, with its entries (admins only)
+// GET /api/ledger/accounts/:account?from=&to=
+// account is e.g. platform_fees, escrow:<orderId> or seller_payable:<sellerId>
+// Headers: Authorization: Bearer <firebase-id-token>
+app.get('/api/ledger/accounts/:account', requireAuth, async (req, res) => {
+  try {
+    if (!isAdmin(req.userId)) {
+      return res.status(403).json({ error: 'Only an admin can view the ledger' });
+    }
+    res.json(await getAccountBalance(req.params.account, { from: req.query.from, to: req.query.to }));
+  } catch (error) {
+    console.error('Error getting ledger account:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// Record funds the operator sent to (or, with a negative amount, took out of) the server wallet
+// or the payout batches' highload wallet (admins only)
+// POST /api/ledger/top-ups
+// Body: { currency: string, amount: string, wallet?: 'hot_wallet' | 'highload_wallet', transactionHash?: string, note?: string }
+// amount in jetton units or nanoTON
+// Headers: Authorization: Bearer <firebase-id-token>
+app.post('/api/ledger/top-ups', requireAuth, async (req, res) => {
+  try {
+    if (!isAdmin(req.userId)) {
+      return res.status(403).json({ error: 'Only an admin can record top-ups' });
+    }
+    const { currency, amount, wallet, transactionHash = null, note = null } = req.body;
+    if (currency !== PAYMENT_CURRENCIES.TON && !getJetton(currency)) {
+      return res.status(400).json({ error: `Unknown currency: ${currency}` });
+    }
+    const entry = await postTopUp({ wallet, currency, amount, transactionHash, note, actor: req.userId });
+    res.json({ entry });
+  } catch (error) {
+    console.error('Error recording top-up:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// Get the latest reconciliation report (admins only)
+// GET /api/reconciliation/latest
+// Headers: Authorization: Bearer <firebase-id-token>
+app.get('/api/reconciliation/latest', requireAuth, async (req, res) => {
+  try {
+    if (!isAdmin(req.userId)) {
+      return res.status(403).json({ error: 'Only an admin can view reconciliation reports' });
+    }
+    res.json({ report: await getLatestReconciliationReport() });
+  } catch (error) {
+    console.error('Error getting reconciliation report:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// Reconcile on-chain balances with the stored orders, payouts and ledger now (admins only)
+// POST /api/reconciliation/run
+// Headers: Authorization: Bearer <firebase-id-token>
+app.post('/api/reconciliation/run', requireAuth, async (req, res) => {
+  try {
+    if (!isAdmin(req.userId)) {
+      return res.status(403).json({ error: 'Only an admin can run a reconciliation' });
+    }
+    res.json({ report: await runReconciliation(getTonClient) });
+  } catch (error) {
+    console.error('Error running reconciliation:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// Get the seller payout queue and the latest payout batches (admins only)
+// GET /api/payout-batches
+// Headers: Authorization: Bearer <firebase-id-token>
+app.get('/api/payout-batches', requireAuth, async (req, res) => {
+  try {
+    if (!isAdmin(req.userId)) {
+      return res.status(403).json({ error: 'Only an admin can view payout batches' });
+    }
+    res.json(await getPayoutBatchStatus());
+  } catch (error) {
+    console.error('Error getting payout batches:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
 
-    res.json({ success });
+// Send the queued seller payouts now instead of waiting for the next batch (admins only)
+// POST /api/payout-batches/flush
+// Headers: Authorization: Bearer <firebase-id-token>
+app.post('/api/payout-batches/flush', requireAuth, async (req, res) => {
+  try {
+    if (!isAdmin(req.userId)) {
+      return res.status(403).json({ error: 'Only an admin can flush payout batches' });
+    }
+    const confirmed = await runPayoutBatcher(getTonClient);
+    res.json({ confirmed, ...(await getPayoutBatchStatus()) });
   } catch (error) {
-    console.error('Error storing buyer transaction:', error);
+    console.error('Error flushing payout batches:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// Get the current TON price, for showing an estimate before a TON order is quoted
+// GET /api/prices/ton
+app.get('/api/prices/ton', async (req, res) => {
+  try {
+    const { usdPerTon, source } = await getTonUsdRate();
+    res.json({ usdPerTon, source, quoteWindowMinutes: TON_QUOTE_WINDOW_MINUTES });
+  } catch (error) {
+    console.error('Error getting TON price:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
 // Fetch transactions
-// GET /api/transactions?type=buyer_to_server|server_to_seller
+// GET /api/transactions?type=buyer_to_server|server_to_seller|escrow_to_server|escrow_to_seller|escrow_to_buyer
 app.get('/api/transactions', async (req, res) => {
   try {
     const type = req.query.type || null;
@@ -389,12 +1063,24 @@ app.use((err, req, res, next) => {
   res.status(500).json({ error: 'Internal server error' });
 });
 
+// The server signs in before it serves requests or starts its jobs, so the security rules let it write
+await signInAsServer();
+
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
-  if (process.env.SERVER_WALLET_ADDRESS) {
-    console.log(`Server wallet: ${process.env.SERVER_WALLET_ADDRESS}`);
-  } else {
-    console.warn('WARNING: SERVER_WALLET_ADDRESS not configured');
+  console.log(`TON network: ${getTonNetwork()}`);
+  try {
+    console.log(`Server wallet: ${formatNetworkAddress(getServerWalletAddress())}`);
+  } catch (error) {
+    console.warn(`WARNING: ${error.message}`);
   }
+  startOrderScheduler(getTonClient);
+  startDepositWatcher(getTonClient);
+  resumePayoutTracking(getTonClient);
+  resumeBuyerPaymentTracking(getTonClient);
+  startEscrowSweeper(getTonClient);
+  startWalletMonitor(getTonClient);
+  startReconciliation(getTonClient);
+  startPayoutBatcher(getTonClient);
 });
 
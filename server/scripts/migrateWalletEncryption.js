@@ -0,0 +1,99 @@
+// Encrypt escrow wallet mnemonics stored in plaintext, and re-seal records encrypted with a rotated-out key
+// Usage: npm run migrate:wallets [-- --dry-run]
+import { collection, getDocs, updateDoc, deleteField } from 'firebase/firestore';
+import { ref as dbRef, get, update } from 'firebase/database';
+import { db, realtimeDb, signInAsServer } from '../firebase/client.js';
+import { encryptMnemonic, decryptMnemonic, getActiveKeyId } from '../utils/walletEncryption.js';
+
+const dryRun = process.argv.includes('--dry-run');
+
+/**
+ * Work out the sealed mnemonic a wallet record should have, or null if it is up to date
+ * @param {string} orderId - The order ID (record key)
+ * @param {object} data - The stored wallet record
+ * @param {string} activeKeyId - Key new records are sealed with
+ * @returns {object|null}
+ */
+function resealRecord(orderId, data, activeKeyId) {
+  if (data.encryptedMnemonic) {
+    if (data.encryptedMnemonic.keyId === activeKeyId) {
+      return null;
+    }
+    const mnemonic = decryptMnemonic(data.encryptedMnemonic, orderId, data.walletAddress);
+    return encryptMnemonic(mnemonic, orderId, data.walletAddress);
+  }
+  if (!data.mnemonic) {
+    throw new Error('record has no mnemonic');
+  }
+  return encryptMnemonic(data.mnemonic, orderId, data.walletAddress);
+}
+
+async function migrateFirestore(activeKeyId) {
+  const snapshot = await getDocs(collection(db, 'orderWallets'));
+  const counts = { updated: 0, skipped: 0, failed: 0 };
+  for (const docSnap of snapshot.docs) {
+    try {
+      const encryptedMnemonic = resealRecord(docSnap.id, docSnap.data(), activeKeyId);
+      if (!encryptedMnemonic) {
+        counts.skipped++;
+        continue;
+      }
+      if (!dryRun) {
+        await updateDoc(docSnap.ref, { encryptedMnemonic, mnemonic: deleteField() });
+      }
+      console.log(`[MIGRATION] Firestore orderWallets/${docSnap.id} sealed with ${activeKeyId}`);
+      counts.updated++;
+    } catch (error) {
+      console.error(`[MIGRATION] ❌ Firestore orderWallets/${docSnap.id}: ${error.message}`);
+      counts.failed++;
+    }
+  }
+  return counts;
+}
+
+async function migrateRealtimeDatabase(activeKeyId) {
+  const snapshot = await get(dbRef(realtimeDb, 'orderWallets'));
+  const counts = { updated: 0, skipped: 0, failed: 0 };
+  if (!snapshot.exists()) {
+    return counts;
+  }
+  for (const [orderId, data] of Object.entries(snapshot.val())) {
+    try {
+      const encryptedMnemonic = resealRecord(orderId, data, activeKeyId);
+      if (!encryptedMnemonic) {
+        counts.skipped++;
+        continue;
+      }
+      if (!dryRun) {
+        // Setting a child to null removes it in the Realtime Database
+        await update(dbRef(realtimeDb, `orderWallets/${orderId}`), { encryptedMnemonic, mnemonic: null });
+      }
+      console.log(`[MIGRATION] Realtime Database orderWallets/${orderId} sealed with ${activeKeyId}`);
+      counts.updated++;
+    } catch (error) {
+      console.error(`[MIGRATION] ❌ Realtime Database orderWallets/${orderId}: ${error.message}`);
+      counts.failed++;
+    }
+  }
+  return counts;
+}
+
+async function main() {
+  await signInAsServer();
+  const activeKeyId = getActiveKeyId();
+  console.log(`[MIGRATION] Sealing escrow wallet mnemonics with key ${activeKeyId}${dryRun ? ' (dry run)' : ''}`);
+
+  const firestore = await migrateFirestore(activeKeyId);
+  console.log(`[MIGRATION] Firestore: ${firestore.updated} updated, ${firestore.skipped} already sealed, ${firestore.failed} failed`);
+  const realtime = await migrateRealtimeDatabase(activeKeyId);
+  console.log(`[MIGRATION] Realtime Database: ${realtime.updated} updated, ${realtime.skipped} already sealed, ${realtime.failed} failed`);
+
+  return firestore.failed + realtime.failed === 0;
+}
+
+main()
+  .then((ok) => process.exit(ok ? 0 : 1))
+  .catch((error) => {
+    console.error('[MIGRATION] ❌ Migration failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,55 @@
+// Reconcile the server wallet (and the highload wallet, with payout batching) and open escrow wallets with the stored orders, payouts, transactions and ledger
+// Usage: npm run reconcile [-- --json]
+// Exits with 1 when critical issues are found, so it can gate a deploy or a cron job
+import { runReconciliation } from '../services/reconciliationService.js';
+import { getTonClient } from '../utils/networkConfig.js';
+import { signInAsServer } from '../firebase/client.js';
+
+const json = process.argv.includes('--json');
+
+function formatUnits(units, decimals) {
+  if (units === null || units === undefined || decimals === null) {
+    return units ?? '-';
+  }
+  const digits = units.toString().replace('-', '').padStart(decimals + 1, '0');
+  const whole = digits.slice(0, digits.length - decimals);
+  const fraction = digits.slice(digits.length - decimals).replace(/0+$/, '');
+  return `${units.toString().startsWith('-') ? '-' : ''}${whole}${fraction ? `.${fraction}` : ''}`;
+}
+
+async function main() {
+  await signInAsServer();
+  const report = await runReconciliation(getTonClient);
+  if (json) {
+    console.log(JSON.stringify(report, null, 2));
+    return report.status !== 'error' && report.summary.critical === 0;
+  }
+  if (report.status === 'error') {
+    console.error(`[RECONCILE] ❌ Reconciliation failed: ${report.error}`);
+    return false;
+  }
+
+  console.log(`[RECONCILE] Server wallet ${report.serverWalletAddress} (${report.network}):`);
+  for (const balance of report.serverWallet) {
+    console.log(`[RECONCILE]   ${balance.wallet === 'highload_wallet' ? 'Highload wallet ' : ''}${balance.symbol}: ${formatUnits(balance.onChain, balance.decimals)} on-chain, ${formatUnits(balance.ledger, balance.decimals)} in the ledger`);
+  }
+  console.log(`[RECONCILE] Checked ${report.counts.escrowWallets} escrow wallet(s), ${report.counts.settledOrders} settled order(s), `
+    + `${report.counts.payouts} payout(s) and ${report.counts.depositRecords} deposit record(s) from the last ${report.lookbackDays} day(s)`);
+  for (const issue of report.issues) {
+    const icon = issue.severity === 'critical' ? '❌' : '⚠️';
+    const amounts = issue.expected !== null || issue.actual !== null
+      ? ` (expected ${formatUnits(issue.expected, issue.decimals)}, found ${formatUnits(issue.actual, issue.decimals)} ${issue.currency})`
+      : '';
+    console.log(`[RECONCILE] ${icon} ${issue.kind}${issue.orderId ? ` order ${issue.orderId}` : ''}: ${issue.message}${amounts}`);
+  }
+  console.log(`[RECONCILE] ${report.summary.critical} critical, ${report.summary.warning} warning issue(s)`);
+
+  return report.summary.critical === 0;
+}
+
+main()
+  .then((ok) => process.exit(ok ? 0 : 1))
+  .catch((error) => {
+    console.error('[RECONCILE] ❌ Reconciliation failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,80 @@
+// Verify Firebase ID tokens through the Identity Toolkit REST API
+// The server uses the Firebase web SDK (no Admin SDK), so we ask the auth backend
+// who the token belongs to instead of verifying the JWT locally
+
+const IDENTITY_TOOLKIT_URL = 'https://identitytoolkit.googleapis.com/v1/accounts:lookup';
+
+/**
+ * Extract the Firebase ID token from the Authorization header
+ * @param {object} req - Express request
+ * @returns {string|null}
+ */
+export function getAuthToken(req) {
+  const authHeader = req.headers.authorization;
+  return authHeader && authHeader.startsWith('Bearer ')
+    ? authHeader.substring(7)
+    : null;
+}
+
+/**
+ * Verify a Firebase ID token and resolve the user's Telegram ID
+ * The Telegram ID comes from the telegramId custom claim when present, otherwise the Firebase UID
+ * (the Telegram auth function mints custom tokens with the Telegram ID as UID)
+ * @param {string} idToken - Firebase ID token
+ * @returns {Promise<{uid: string, userId: string, claims: object}>}
+ */
+export async function verifyIdToken(idToken) {
+  if (!idToken) {
+    throw new Error('ID token is required');
+  }
+  const apiKey = process.env.FIREBASE_API_KEY;
+  if (!apiKey) {
+    throw new Error('FIREBASE_API_KEY not configured');
+  }
+
+  const response = await fetch(`${IDENTITY_TOOLKIT_URL}?key=${apiKey}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ idToken }),
+  });
+
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({}));
+    throw new Error(error.error?.message || `Token verification failed: ${response.statusText}`);
+  }
+
+  const data = await response.json();
+  const user = data.users?.[0];
+  if (!user?.localId) {
+    throw new Error('Token does not belong to a known user');
+  }
+
+  let claims = {};
+  if (user.customAttributes) {
+    try {
+      claims = JSON.parse(user.customAttributes);
+    } catch {
+      claims = {};
+    }
+  }
+
+  return {
+    uid: user.localId,
+    userId: claims.telegramId?.toString() || user.localId,
+    claims,
+  };
+}
+
+/**
+ * Check whether a user is a platform admin (arbiter)
+ * Admins are listed by Telegram ID in ADMIN_USER_IDS (comma-separated)
+ * @param {string} userId - The user's Telegram ID
+ * @returns {boolean}
+ */
+export function isAdmin(userId) {
+  const adminIds = (process.env.ADMIN_USER_IDS || '')
+    .split(',')
+    .map(id => id.trim())
+    .filter(Boolean);
+  return !!userId && adminIds.includes(userId.toString());
+}
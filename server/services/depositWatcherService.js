@@ -0,0 +1,547 @@
+import { Address } from '@ton/core';
+import { JettonMaster } from '@ton/ton';
+import { JettonWallet } from '../wrappers/JettonWallet.js';
+import { storeTransaction, getTransaction } from './transactionService.js';
+import { postDeposit } from './ledgerService.js';
+import { getNetworkEnv, getServerWalletAddress } from '../utils/networkConfig.js';
+import {
+  ORDER_STATES,
+  PAYMENT_CURRENCIES,
+  transitionOrder,
+  updateOrderFields,
+  fetchOrdersByStatus,
+  getOrderCurrency,
+  getOrderJetton,
+  formatOrderAmount,
+  requoteTonOrder,
+  isTonQuoteValid,
+} from './orderService.js';
+import { httpError } from '../utils/httpError.js';
+
+// Jetton wallets send transfer_notification to their owner when tokens arrive
+// (only when the sender attached a forward TON amount, which checkout always does)
+const TRANSFER_NOTIFICATION_OP = 0x7362d09c;
+
+// How often the watcher polls for deposits
+const DEPOSIT_WATCHER_INTERVAL_MS = parseInt(process.env.DEPOSIT_WATCHER_INTERVAL_MS) || 15 * 1000;
+// Orders awaiting payment for longer than this are no longer polled
+const DEPOSIT_WATCH_WINDOW_HOURS = parseFloat(process.env.DEPOSIT_WATCH_WINDOW_HOURS || '72');
+// Recent transactions fetched per jetton wallet on each poll
+const TRANSACTIONS_PER_WALLET = 20;
+
+let watcherTimer = null;
+let running = false;
+
+/**
+ * Decode a transfer_notification message body
+ * @param {Cell} body - Message body
+ * @returns {{queryId: bigint, amount: bigint, sender: Address|null, comment: string|null}|null} null if the body is not a transfer_notification
+ */
+export function parseTransferNotification(body) {
+  try {
+    const slice = body.beginParse();
+    if (slice.remainingBits < 32 || slice.loadUint(32) !== TRANSFER_NOTIFICATION_OP) {
+      return null;
+    }
+    const queryId = slice.loadUintBig(64);
+    const amount = slice.loadCoins();
+    const sender = slice.loadMaybeAddress();
+
+    // forward_payload:(Either Cell ^Cell) - a text comment is op 0 followed by the string
+    let comment = null;
+    const payload = slice.remainingBits > 0 && slice.loadBit()
+      ? (slice.remainingRefs > 0 ? slice.loadRef().beginParse() : null)
+      : slice;
+    if (payload && payload.remainingBits >= 32 && payload.loadUint(32) === 0) {
+      comment = payload.loadStringTail();
+    }
+
+    return { queryId, amount, sender, comment };
+  } catch (error) {
+    console.warn(`[DEPOSIT] ⚠️  Could not decode message body: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Parse the "orderId|sellerAddress" comment written by checkout
+ * @param {string|null} comment - Transfer comment
+ * @returns {{orderId: string, sellerAddress: string|null}|null}
+ */
+function parseOrderComment(comment) {
+  if (!comment) {
+    return null;
+  }
+  const [orderId, sellerAddress] = comment.split('|').map(part => part.trim());
+  return orderId ? { orderId, sellerAddress: sellerAddress || null } : null;
+}
+
+/**
+ * Extract jetton deposits from one jetton wallet transaction
+ * Only notifications emitted by the jetton wallet itself count, so a forged
+ * transfer_notification sent straight to the owner wallet is never picked up
+ * @param {Transaction} tx - A transaction of the owner's jetton wallet
+ * @param {Address} ownerAddress - The wallet receiving the jetton (escrow or server wallet)
+ * @returns {Array<{transactionHash: string, lt: string, amount: bigint, sender: Address|null, queryId: bigint, comment: string|null, orderId: string|null, sellerAddress: string|null}>}
+ */
+export function extractDeposits(tx, ownerAddress) {
+  if (tx.description.type === 'generic' && tx.description.aborted) {
+    return [];
+  }
+  const deposits = [];
+  for (const message of tx.outMessages.values()) {
+    if (message.info.type !== 'internal' || !message.info.dest.equals(ownerAddress)) {
+      continue;
+    }
+    const notification = parseTransferNotification(message.body);
+    if (!notification) {
+      continue;
+    }
+    const parsedComment = parseOrderComment(notification.comment);
+    deposits.push({
+      transactionHash: tx.hash().toString('base64'),
+      lt: tx.lt.toString(),
+      amount: notification.amount,
+      sender: notification.sender,
+      queryId: notification.queryId,
+      comment: notification.comment,
+      orderId: parsedComment?.orderId || null,
+      sellerAddress: parsedComment?.sellerAddress || null,
+    });
+  }
+  return deposits;
+}
+
+/**
+ * Find jetton deposits into a wallet by reading its jetton wallet's recent transactions
+ * @param {TonClient} tonClient - TON client instance
+ * @param {Address} ownerAddress - The wallet receiving the jetton (escrow or server wallet)
+ * @param {Address} jettonWalletAddress - The owner's jetton wallet
+ * @returns {Promise<Array>} Deposits (see extractDeposits), oldest first
+ */
+async function findDeposits(tonClient, ownerAddress, jettonWalletAddress) {
+  const transactions = await tonClient.getTransactions(jettonWalletAddress, { limit: TRANSACTIONS_PER_WALLET });
+  return transactions.flatMap(tx => extractDeposits(tx, ownerAddress)).reverse();
+}
+
+/**
+ * Read a text comment (op 0 followed by the string) from a message body
+ * @param {Cell} body - Message body
+ * @returns {string|null}
+ */
+function parseTextComment(body) {
+  try {
+    const slice = body.beginParse();
+    if (slice.remainingBits < 32 || slice.loadUint(32) !== 0) {
+      return null;
+    }
+    return slice.loadStringTail();
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Extract a native TON deposit from one transaction of the receiving wallet
+ * The incoming value stays with the wallet even when it is not deployed yet (no compute phase),
+ * so only transfers that bounced back are skipped
+ * @param {Transaction} tx - A transaction of the receiving wallet
+ * @param {Address} ownerAddress - The wallet receiving TON (escrow or server wallet)
+ * @returns {object|null} A deposit (see extractDeposits; queryId is null), or null
+ */
+export function extractTonDeposit(tx, ownerAddress) {
+  const message = tx.inMessage;
+  if (!message || message.info.type !== 'internal' || !message.info.dest.equals(ownerAddress) || message.info.bounced) {
+    return null;
+  }
+  if (tx.description.type !== 'generic' || tx.description.bouncePhase?.type === 'ok') {
+    return null;
+  }
+  const amount = message.info.value.coins;
+  if (amount <= BigInt(0)) {
+    return null;
+  }
+  const comment = parseTextComment(message.body);
+  const parsedComment = parseOrderComment(comment);
+  return {
+    transactionHash: tx.hash().toString('base64'),
+    lt: tx.lt.toString(),
+    utime: tx.now,
+    amount,
+    sender: message.info.src,
+    queryId: null,
+    comment,
+    orderId: parsedComment?.orderId || null,
+    sellerAddress: parsedComment?.sellerAddress || null,
+  };
+}
+
+/**
+ * Find native TON deposits into a wallet from its recent transactions
+ * @param {TonClient} tonClient - TON client instance
+ * @param {Address} ownerAddress - The wallet receiving TON (escrow or server wallet)
+ * @returns {Promise<Array>} Deposits (see extractTonDeposit), oldest first
+ */
+async function findTonDeposits(tonClient, ownerAddress) {
+  const transactions = await tonClient.getTransactions(ownerAddress, { limit: TRANSACTIONS_PER_WALLET });
+  return transactions.map(tx => extractTonDeposit(tx, ownerAddress)).filter(Boolean).reverse();
+}
+
+/**
+ * Check on-chain that a jetton wallet belongs to the owner and holds the order's jetton (not another one)
+ * @param {TonClient} tonClient - TON client instance
+ * @param {object} order - The order record (paid in a jetton)
+ * @param {Address} ownerAddress - Expected owner wallet
+ * @param {Address} jettonWalletAddress - The jetton wallet to check
+ * @returns {Promise<void>}
+ */
+export async function assertOrderJettonWallet(tonClient, order, ownerAddress, jettonWalletAddress) {
+  const jetton = getOrderJetton(order);
+  const masterAddress = Address.parse(jetton.masterAddress);
+  const jettonWallet = tonClient.open(JettonWallet.createFromAddress(jettonWalletAddress));
+  const walletData = await jettonWallet.getWalletData(tonClient.provider(jettonWalletAddress));
+  if (!walletData.jettonMasterAddress.equals(masterAddress)) {
+    throw httpError(`Deposit was made in jetton ${walletData.jettonMasterAddress.toString()}, expected ${jetton.symbol} (${masterAddress.toString()})`, 409);
+  }
+  if (!walletData.ownerAddress.equals(ownerAddress)) {
+    throw httpError(`Jetton wallet ${jettonWalletAddress.toString()} belongs to ${walletData.ownerAddress.toString()}, expected ${ownerAddress.toString()}`, 409);
+  }
+}
+
+/**
+ * Sum deposits and check them against the order
+ * @param {object} order - The order record
+ * @param {Array} deposits - Deposits for this order
+ * @returns {bigint} Total deposited amount (jetton units, or nanoTON)
+ */
+export function assertDepositCoversOrder(order, deposits) {
+  const depositedAmount = deposits.reduce((sum, d) => sum + d.amount, BigInt(0));
+  const orderTotal = BigInt(order.totalAmount || '0');
+  if (depositedAmount < orderTotal) {
+    throw httpError(`Deposit for order ${order.orderId} is ${formatOrderAmount(order, depositedAmount)}, order total is ${formatOrderAmount(order, orderTotal)}`, 402);
+  }
+  // The comment's seller address comes from the buyer's client and is never paid out to;
+  // payouts always go to the seller's verified payout wallet
+  for (const deposit of deposits) {
+    if (deposit.sellerAddress && order.sellerWalletAddress && !sameAddress(deposit.sellerAddress, order.sellerWalletAddress)) {
+      console.warn(`[DEPOSIT] ⚠️  Deposit comment for order ${order.orderId} names seller ${deposit.sellerAddress}, listing wallet is ${order.sellerWalletAddress}`);
+    }
+  }
+  return depositedAmount;
+}
+
+function sameAddress(a, b) {
+  try {
+    return Address.parse(a).equals(Address.parse(b));
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Get (and cache on the order) the jetton wallet address of an order's escrow wallet, for the order's jetton
+ * @param {TonClient} tonClient - TON client instance
+ * @param {object} order - The order record
+ * @returns {Promise<Address>}
+ */
+export async function getEscrowJettonWalletAddress(tonClient, order) {
+  if (order.escrowJettonWalletAddress) {
+    return Address.parse(order.escrowJettonWalletAddress);
+  }
+  const jettonMaster = tonClient.open(JettonMaster.create(Address.parse(getOrderJetton(order).masterAddress)));
+  const jettonWalletAddress = await jettonMaster.getWalletAddress(Address.parse(order.escrowWalletAddress));
+  await updateOrderFields(order.orderId, { escrowJettonWalletAddress: jettonWalletAddress.toString() });
+  return jettonWalletAddress;
+}
+
+/**
+ * Verify an order's deposits and mark the order funded, recording the buyer's transfers
+ * Deposits that do not cover the order total are stored on the order as depositedAmount and the order stays unpaid
+ * @param {TonClient} tonClient - TON client instance
+ * @param {object} order - The order record
+ * @param {Array} deposits - Deposits for this order (see extractDeposits and extractTonDeposit)
+ * @param {Address} ownerAddress - The wallet that received the deposits
+ * @param {Address|null} jettonWalletAddress - The receiving jetton wallet (null for TON orders)
+ * @returns {Promise<object|null>} The updated order, or null if the deposits do not cover the order
+ */
+async function fundOrderFromDeposits(tonClient, order, deposits, ownerAddress, jettonWalletAddress) {
+  const currency = getOrderCurrency(order);
+  if (currency === PAYMENT_CURRENCIES.TON) {
+    // The quoted amount only holds for deposits made while the quote was locked;
+    // a later deposit is measured against a fresh quote at the current rate
+    const lastDepositAt = Math.max(...deposits.map(d => d.utime * 1000));
+    if (!isTonQuoteValid(order, lastDepositAt)) {
+      order = await requoteTonOrder(order, 'Deposit arrived after the quote expired');
+    }
+  } else {
+    await assertOrderJettonWallet(tonClient, order, ownerAddress, jettonWalletAddress);
+  }
+  let depositedAmount;
+  try {
+    depositedAmount = assertDepositCoversOrder(order, deposits);
+  } catch (error) {
+    if (error.statusCode !== 402) {
+      throw error;
+    }
+    const seen = deposits.reduce((sum, d) => sum + d.amount, BigInt(0)).toString();
+    if (order.depositedAmount !== seen) {
+      console.warn(`[DEPOSIT] ⚠️  ${error.message}`);
+      await updateOrderFields(order.orderId, { depositedAmount: seen });
+    }
+    return null;
+  }
+
+  // Refunds go back to the address that actually paid, not the one the client reported
+  const sender = deposits[0].sender;
+  const buyerWalletAddress = sender ? sender.toString() : order.buyerWalletAddress;
+  if (order.buyerWalletAddress && sender && !sameAddress(order.buyerWalletAddress, buyerWalletAddress)) {
+    console.warn(`[DEPOSIT] ⚠️  Order ${order.orderId} was paid from ${buyerWalletAddress}, not the reported ${order.buyerWalletAddress}`);
+  }
+
+  const now = Date.now();
+  const updated = await transitionOrder(order.orderId, ORDER_STATES.FUNDED, {
+    actor: 'deposit_watcher',
+    reason: `${currency} deposit verified on-chain`,
+    fields: {
+      buyerWalletAddress,
+      fundedAtTimestamp: now,
+      depositedAmount: depositedAmount.toString(),
+      deposit: {
+        transactions: deposits.map(d => ({
+          transactionHash: d.transactionHash,
+          lt: d.lt,
+          amount: d.amount.toString(),
+          queryId: d.queryId !== null ? d.queryId.toString() : null,
+          comment: d.comment,
+        })),
+        currency,
+        amount: depositedAmount.toString(),
+        sender: buyerWalletAddress,
+        ownerAddress: ownerAddress.toString(),
+        jettonWalletAddress: jettonWalletAddress ? jettonWalletAddress.toString() : null,
+        jettonMasterAddress: jettonWalletAddress ? getOrderJetton(order).masterAddress : null,
+        verifiedAtTimestamp: now,
+      },
+    },
+  });
+
+  for (const deposit of deposits) {
+    // Checkout may already have stored this transfer with the buyer's signed message; keep that record
+    if (await getTransaction(deposit.transactionHash)) {
+      continue;
+    }
+    await storeTransaction(
+      'buyer_to_server',
+      deposit.transactionHash,
+      order.orderId,
+      deposit.sender || buyerWalletAddress || 'unknown',
+      ownerAddress,
+      deposit.amount.toString(),
+      { lt: deposit.lt, source: 'deposit_watcher', currency }
+    );
+  }
+  await postDeposit(updated);
+
+  console.log(`[DEPOSIT] ✅ Order ${order.orderId} funded by ${formatOrderAmount(order, depositedAmount)} in ${deposits.length} transfer(s)`);
+  return updated;
+}
+
+/**
+ * Re-check an order's recorded deposit on-chain before paying out from it:
+ * every recorded transfer must still be found in the receiving wallet's history (the jetton wallet's for jetton orders),
+ * a jetton deposit must sit in the receiver's wallet for the order's jetton, a TON deposit must have been made while its quote was locked,
+ * and the amount must cover the order total
+ * @param {object} order - A funded order with a recorded deposit
+ * @param {TonClient} tonClient - TON client instance
+ * @returns {Promise<{amount: bigint, ownerAddress: Address, jettonWalletAddress: Address|null}>} jettonWalletAddress is null for TON orders
+ */
+export async function verifyOrderDeposit(order, tonClient) {
+  const recorded = order.deposit;
+  if (!recorded?.transactions?.length) {
+    throw httpError(`Order ${order.orderId} has no deposit verified on-chain`, 409);
+  }
+  const isTon = getOrderCurrency(order) === PAYMENT_CURRENCIES.TON;
+  const ownerAddress = Address.parse(recorded.ownerAddress);
+  const jettonWalletAddress = isTon ? null : Address.parse(recorded.jettonWalletAddress);
+  if (!isTon) {
+    await assertOrderJettonWallet(tonClient, order, ownerAddress, jettonWalletAddress);
+  }
+
+  const deposits = [];
+  for (const { transactionHash, lt } of recorded.transactions) {
+    const [tx] = await tonClient.getTransactions(isTon ? ownerAddress : jettonWalletAddress, { limit: 1, lt, hash: transactionHash, inclusive: true });
+    let found = [];
+    if (tx) {
+      found = isTon ? [extractTonDeposit(tx, ownerAddress)].filter(Boolean) : extractDeposits(tx, ownerAddress);
+    }
+    if (found.length === 0 || found[0].transactionHash !== transactionHash) {
+      throw httpError(`Deposit transaction ${transactionHash} for order ${order.orderId} was not found on-chain`, 409);
+    }
+    // On the server wallet, other orders' transfers must not be counted towards this one
+    if (!order.escrowWalletAddress && found[0].orderId !== order.orderId) {
+      throw httpError(`Deposit transaction ${transactionHash} is not for order ${order.orderId}`, 409);
+    }
+    if (isTon && !isTonQuoteValid(order, found[0].utime * 1000)) {
+      throw httpError(`Deposit transaction ${transactionHash} was made after the TON quote for order ${order.orderId} expired`, 409);
+    }
+    deposits.push(...found);
+  }
+
+  const amount = assertDepositCoversOrder(order, deposits);
+  console.log(`[DEPOSIT] ✅ Deposit for order ${order.orderId} verified on-chain: ${formatOrderAmount(order, amount)}`);
+  return { amount, ownerAddress, jettonWalletAddress };
+}
+
+/**
+ * Check an escrow order's wallet for its deposit and mark the order funded if it arrived
+ * @param {object} order - The order record (awaiting_payment, with an escrow wallet)
+ * @param {TonClient} tonClient - TON client instance
+ * @returns {Promise<object|null>} The funded order, or null if no deposit was found
+ */
+export async function checkOrderDeposit(order, tonClient) {
+  if (order.status !== ORDER_STATES.AWAITING_PAYMENT || !order.escrowWalletAddress) {
+    return null;
+  }
+  const ownerAddress = Address.parse(order.escrowWalletAddress);
+  const isTon = getOrderCurrency(order) === PAYMENT_CURRENCIES.TON;
+  const jettonWalletAddress = isTon ? null : await getEscrowJettonWalletAddress(tonClient, order);
+  const deposits = isTon
+    ? await findTonDeposits(tonClient, ownerAddress)
+    : await findDeposits(tonClient, ownerAddress, jettonWalletAddress);
+  if (deposits.length === 0) {
+    return null;
+  }
+
+  // The escrow wallet belongs to this order only, so every deposit into it counts
+  for (const deposit of deposits.filter(d => d.orderId !== order.orderId)) {
+    console.warn(`[DEPOSIT] ⚠️  Deposit into escrow of order ${order.orderId} has comment '${deposit.comment || ''}'`);
+  }
+  return await fundOrderFromDeposits(tonClient, order, deposits, ownerAddress, jettonWalletAddress);
+}
+
+/**
+ * Match deposits into the server wallet (orders without an escrow wallet) by their order comment
+ * @param {Array} orders - Awaiting orders without an escrow wallet
+ * @param {TonClient} tonClient - TON client instance
+ * @returns {Promise<number>} Number of orders funded
+ */
+async function checkServerWalletDeposits(orders, tonClient) {
+  if (orders.length === 0 || !getNetworkEnv('SERVER_WALLET_ADDRESS')) {
+    return 0;
+  }
+  const ownerAddress = getServerWalletAddress();
+  const tonOrders = orders.filter(o => getOrderCurrency(o) === PAYMENT_CURRENCIES.TON);
+
+  // Jetton orders are grouped by jetton master, so each of the server's jetton wallets is read once
+  const ordersByMaster = new Map();
+  for (const order of orders.filter(o => getOrderCurrency(o) !== PAYMENT_CURRENCIES.TON)) {
+    const masterAddress = getOrderJetton(order).masterAddress;
+    ordersByMaster.set(masterAddress, [...(ordersByMaster.get(masterAddress) || []), order]);
+  }
+
+  let funded = 0;
+  for (const [masterAddress, jettonOrders] of ordersByMaster) {
+    const jettonMaster = tonClient.open(JettonMaster.create(Address.parse(masterAddress)));
+    const jettonWalletAddress = await jettonMaster.getWalletAddress(ownerAddress);
+    const deposits = await findDeposits(tonClient, ownerAddress, jettonWalletAddress);
+    funded += await fundMatchingOrders(tonClient, jettonOrders, deposits, ownerAddress, jettonWalletAddress);
+  }
+  if (tonOrders.length > 0) {
+    const deposits = await findTonDeposits(tonClient, ownerAddress);
+    funded += await fundMatchingOrders(tonClient, tonOrders, deposits, ownerAddress, null);
+  }
+  return funded;
+}
+
+/**
+ * Fund each order from the deposits whose comment names it
+ * @param {TonClient} tonClient - TON client instance
+ * @param {Array} orders - Awaiting orders paid into the server wallet
+ * @param {Array} deposits - Deposits into the server wallet
+ * @param {Address} ownerAddress - The server wallet
+ * @param {Address|null} jettonWalletAddress - The server wallet's jetton wallet for these orders (null for TON deposits)
+ * @returns {Promise<number>} Number of orders funded
+ */
+async function fundMatchingOrders(tonClient, orders, deposits, ownerAddress, jettonWalletAddress) {
+  let funded = 0;
+  for (const order of orders) {
+    const orderDeposits = deposits.filter(d => d.orderId === order.orderId);
+    if (orderDeposits.length === 0) {
+      continue;
+    }
+    try {
+      if (await fundOrderFromDeposits(tonClient, order, orderDeposits, ownerAddress, jettonWalletAddress)) {
+        funded++;
+      }
+    } catch (error) {
+      console.error(`[DEPOSIT] ❌ Could not fund order ${order.orderId}:`, error.message);
+    }
+  }
+  return funded;
+}
+
+/**
+ * Run one pass over all orders awaiting payment
+ * @param {() => Promise<TonClient>} getTonClient - Factory for a TON client
+ * @returns {Promise<void>}
+ */
+export async function runDepositWatcher(getTonClient) {
+  if (running) {
+    return;
+  }
+  running = true;
+  const startTime = Date.now();
+  try {
+    const cutoff = startTime - DEPOSIT_WATCH_WINDOW_HOURS * 60 * 60 * 1000;
+    const awaiting = (await fetchOrdersByStatus(ORDER_STATES.AWAITING_PAYMENT))
+      .filter(order => (order.createdAtTimestamp || 0) >= cutoff);
+    if (awaiting.length === 0) {
+      return;
+    }
+
+    const tonClient = await getTonClient();
+    let funded = 0;
+    for (const order of awaiting.filter(o => o.escrowWalletAddress)) {
+      try {
+        if (await checkOrderDeposit(order, tonClient)) {
+          funded++;
+        }
+      } catch (error) {
+        // The order stays awaiting_payment, so it is checked again on the next run
+        console.error(`[DEPOSIT] ❌ Error checking deposit for order ${order.orderId}:`, error.message);
+      }
+    }
+    funded += await checkServerWalletDeposits(awaiting.filter(o => !o.escrowWalletAddress), tonClient);
+
+    if (funded) {
+      console.log(`[DEPOSIT] ✅ Run complete (${Date.now() - startTime}ms): ${funded} of ${awaiting.length} awaiting orders funded`);
+    }
+  } catch (error) {
+    console.error(`[DEPOSIT] ❌ Error running deposit watcher:`, error);
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Start polling for deposits periodically
+ * @param {() => Promise<TonClient>} getTonClient - Factory for a TON client
+ */
+export function startDepositWatcher(getTonClient) {
+  if (watcherTimer) {
+    return;
+  }
+  console.log(`[DEPOSIT] Deposit watcher started (every ${DEPOSIT_WATCHER_INTERVAL_MS}ms)`);
+  watcherTimer = setInterval(() => runDepositWatcher(getTonClient), DEPOSIT_WATCHER_INTERVAL_MS);
+  runDepositWatcher(getTonClient);
+}
+
+/**
+ * Stop the deposit watcher
+ */
+export function stopDepositWatcher() {
+  if (watcherTimer) {
+    clearInterval(watcherTimer);
+    watcherTimer = null;
+  }
+}
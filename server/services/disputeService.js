@@ -0,0 +1,202 @@
+import { collection, doc, addDoc, getDocs, query, orderBy } from 'firebase/firestore';
+import { db } from '../firebase/client.js';
+import {
+  ORDER_STATES,
+  requireOrder,
+  assertOrderState,
+  transitionOrder,
+  isOrderParticipant,
+  updateOrderFields,
+  fetchOrdersByStatus,
+} from './orderService.js';
+import { releaseEscrowFunds, refundEscrowFunds, splitEscrowFunds } from './escrowService.js';
+import { uploadMediaFiles } from './firestoreService.js';
+import { httpError } from '../utils/httpError.js';
+
+// Ways an arbiter can rule a dispute
+export const DISPUTE_OUTCOMES = {
+  RELEASE: 'release', // Full release to the seller
+  REFUND: 'refund', // Full refund to the buyer
+  SPLIT: 'split', // Seller gets sellerPercentage of the escrow, buyer gets the rest
+};
+
+// Limits for a single piece of evidence
+const MAX_EVIDENCE_TEXT_LENGTH = 5000;
+const MAX_EVIDENCE_IMAGES = 5;
+
+function evidenceCollection(orderId) {
+  return collection(doc(db, 'orders', orderId), 'evidence');
+}
+
+/**
+ * Open a dispute on a funded or shipped order. The order moves to disputed,
+ * which clears its auto-release and auto-refund deadlines until an arbiter rules.
+ * @param {string} orderId - The order ID
+ * @param {string} userId - The buyer's or seller's Telegram ID
+ * @param {string} reason - Why the dispute is opened
+ * @returns {Promise<object>} The updated order
+ */
+export async function openDispute(orderId, userId, reason) {
+  const order = await requireOrder(orderId);
+  if (!isOrderParticipant(order, userId)) {
+    throw httpError('Only the buyer or seller can open a dispute on this order', 403);
+  }
+  if (!reason || !reason.trim()) {
+    throw httpError('A reason is required to open a dispute', 400);
+  }
+
+  const openedBy = order.buyerId === userId.toString() ? 'buyer' : 'seller';
+  const now = Date.now();
+  const updated = await transitionOrder(orderId, ORDER_STATES.DISPUTED, {
+    actor: userId.toString(),
+    reason: `Dispute opened by ${openedBy}`,
+    fields: {
+      dispute: {
+        status: 'open',
+        openedBy,
+        openedById: userId.toString(),
+        reason: reason.trim().slice(0, MAX_EVIDENCE_TEXT_LENGTH),
+        previousStatus: order.status,
+        openedAtTimestamp: now,
+        ruling: null,
+      },
+    },
+  });
+
+  console.log(`[DISPUTE] ✅ Dispute opened on order ${orderId} by ${openedBy} ${userId}`);
+  return updated;
+}
+
+/**
+ * Attach evidence (text and/or base64 images) to an open dispute
+ * @param {string} orderId - The order ID
+ * @param {string} userId - The submitter's Telegram ID (buyer, seller or admin)
+ * @param {{text?: string, images?: Array<string>}} evidence - Evidence content; images are data: URLs
+ * @param {object} options - Optional: { isArbiter } - arbiters may add notes to any dispute
+ * @returns {Promise<object>} The stored evidence record
+ */
+export async function addDisputeEvidence(orderId, userId, evidence = {}, options = {}) {
+  const order = await requireOrder(orderId);
+  const participant = isOrderParticipant(order, userId);
+  if (!participant && !options.isArbiter) {
+    throw httpError('You are not a participant of this order', 403);
+  }
+  assertOrderState(order, [ORDER_STATES.DISPUTED], 'add evidence');
+
+  // Validate before uploading, so a rejected request leaves nothing behind in storage
+  const text = (evidence.text || '').trim();
+  const imageFiles = Array.isArray(evidence.images) ? evidence.images : [];
+  if (!text && imageFiles.length === 0) {
+    throw httpError('Evidence needs text or at least one image', 400);
+  }
+  if (text.length > MAX_EVIDENCE_TEXT_LENGTH) {
+    throw httpError(`Evidence text is limited to ${MAX_EVIDENCE_TEXT_LENGTH} characters`, 400);
+  }
+  if (imageFiles.length > MAX_EVIDENCE_IMAGES) {
+    throw httpError(`At most ${MAX_EVIDENCE_IMAGES} images can be attached at once`, 400);
+  }
+  const images = await uploadMediaFiles(userId, imageFiles);
+
+  const role = order.buyerId === userId.toString()
+    ? 'buyer'
+    : order.sellerId === userId.toString() ? 'seller' : 'arbiter';
+  const record = {
+    submittedBy: userId.toString(),
+    role,
+    text,
+    images,
+    createdAtTimestamp: Date.now(),
+  };
+
+  // Evidence lives in a subcollection so images don't push the order document past its size limit
+  const ref = await addDoc(evidenceCollection(orderId), record);
+  console.log(`[DISPUTE] ✅ Evidence ${ref.id} added to order ${orderId} by ${role} (${images.length} image(s))`);
+  return { id: ref.id, ...record };
+}
+
+/**
+ * Fetch all evidence for an order's dispute, oldest first
+ * @param {string} orderId - The order ID
+ * @returns {Promise<Array>}
+ */
+export async function fetchDisputeEvidence(orderId) {
+  const snapshot = await getDocs(query(evidenceCollection(orderId), orderBy('createdAtTimestamp', 'asc')));
+  return snapshot.docs.map((docSnap) => ({ id: docSnap.id, ...docSnap.data() }));
+}
+
+/**
+ * Fetch all orders with an open dispute
+ * @returns {Promise<Array>}
+ */
+export async function fetchOpenDisputes() {
+  const orders = await fetchOrdersByStatus(ORDER_STATES.DISPUTED);
+  return orders.sort((a, b) => (a.dispute?.openedAtTimestamp || 0) - (b.dispute?.openedAtTimestamp || 0));
+}
+
+/**
+ * Rule a dispute and move the escrow funds accordingly.
+ * The ruling is stored on the order before any funds move; if the payout fails,
+ * ruling again re-runs the stored ruling instead of accepting a new one.
+ * @param {string} orderId - The order ID
+ * @param {string} arbiterId - The admin's Telegram ID
+ * @param {{outcome: string, sellerPercentage?: number, reasoning: string}} ruling - The ruling
+ * @param {TonClient} tonClient - TON client instance
+ * @returns {Promise<{ruling: object, payout: object}>}
+ */
+export async function ruleDispute(orderId, arbiterId, ruling, tonClient) {
+  const order = await requireOrder(orderId);
+  assertOrderState(order, [ORDER_STATES.DISPUTED], 'rule dispute');
+
+  let storedRuling = order.dispute?.ruling;
+  if (storedRuling) {
+    console.log(`[DISPUTE] Order ${orderId} already has a '${storedRuling.outcome}' ruling, retrying its payout`);
+  } else {
+    const { outcome, reasoning } = ruling || {};
+    if (!Object.values(DISPUTE_OUTCOMES).includes(outcome)) {
+      throw httpError(`Invalid outcome '${outcome}'. Expected one of: ${Object.values(DISPUTE_OUTCOMES).join(', ')}`, 400);
+    }
+    if (!reasoning || !reasoning.trim()) {
+      throw httpError('Reasoning is required for a ruling', 400);
+    }
+    let sellerPercentage = outcome === DISPUTE_OUTCOMES.RELEASE ? 100 : 0;
+    if (outcome === DISPUTE_OUTCOMES.SPLIT) {
+      sellerPercentage = Number(ruling.sellerPercentage);
+      if (!(sellerPercentage > 0 && sellerPercentage < 100)) {
+        throw httpError('sellerPercentage must be between 0 and 100 for a split ruling', 400);
+      }
+    }
+
+    storedRuling = {
+      outcome,
+      sellerPercentage,
+      reasoning: reasoning.trim(),
+      arbiterId: arbiterId.toString(),
+      ruledAtTimestamp: Date.now(),
+    };
+    await updateOrderFields(orderId, { 'dispute.ruling': storedRuling });
+    console.log(`[DISPUTE] ✅ Ruling stored for order ${orderId}: ${outcome} (seller ${sellerPercentage}%)`);
+  }
+
+  const reason = `Dispute ruling (${storedRuling.outcome}): ${storedRuling.reasoning}`;
+  const options = { actor: storedRuling.arbiterId, allowedStates: [ORDER_STATES.DISPUTED] };
+  let payout;
+  switch (storedRuling.outcome) {
+    case DISPUTE_OUTCOMES.RELEASE:
+      payout = await releaseEscrowFunds(orderId, order.itemId, tonClient, { ...options, reason });
+      break;
+    case DISPUTE_OUTCOMES.REFUND:
+      // Full refund: no refund fee when the arbiter rules for the buyer
+      payout = await refundEscrowFunds(orderId, reason, tonClient, { ...options, waiveFee: true });
+      break;
+    default:
+      payout = await splitEscrowFunds(orderId, storedRuling.sellerPercentage, reason, tonClient, options);
+  }
+
+  await updateOrderFields(orderId, {
+    'dispute.status': 'resolved',
+    'dispute.resolvedAtTimestamp': Date.now(),
+  });
+  console.log(`[DISPUTE] ✅ Dispute on order ${orderId} resolved`);
+
+  return { ruling: storedRuling, payout };
+}
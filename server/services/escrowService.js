@@ -1,106 +1,34 @@
 import { TonClient } from '@ton/ton';
-import { Address, toNano } from '@ton/core';
+import { Address, toNano, SendMode } from '@ton/core';
 import { JettonMaster } from '@ton/ton';
 import { restoreWalletFromMnemonic } from '../utils/walletUtils.js';
 import { JettonWallet } from '../wrappers/JettonWallet.js';
-import { USDT_MASTER_ADDRESS, JETTON_TRANSFER_GAS_FEES } from '../utils/paymentHelpers.js';
+import { DEFAULT_JETTON_SYMBOL, getJetton } from '../utils/jettonRegistry.js';
+import { getServerWalletAddress, getServerWalletMnemonic } from '../utils/networkConfig.js';
 import { fetchShopItemById } from './firestoreService.js';
+import {
+  ORDER_STATES,
+  PAYMENT_CURRENCIES,
+  requireOrder,
+  assertOrderState,
+  transitionOrder,
+  claimPayoutPlan,
+  getOrderCurrency,
+  getOrderJetton,
+} from './orderService.js';
+import { executePayout, fetchPayoutsForOrder, PAYOUT_STATES } from './payoutService.js';
+import { recordPayoutTransaction } from './transactionTrackerService.js';
+import { postSettlement, reverseSettlement } from './ledgerService.js';
+import { getSellerPayoutAmount, getPlatformFeeAmount } from './feeService.js';
+import { estimateRelayedJettonTransferCost, estimateTonTransferFee } from './gasEstimatorService.js';
+import { getTonUsdRate, nanoTonToUsdCents } from './priceService.js';
+import { calculateJettonAmount } from '../utils/paymentHelpers.js';
+import { getVerifiedPayoutAddress } from './payoutWalletService.js';
+import { isPayoutBatchingEnabled, getHighloadWallet, queueSellerPayout } from './payoutBatchService.js';
 import { getDoc, doc } from 'firebase/firestore';
 import { db } from '../firebase/client.js';
-
-/**
- * Send 0.1 TON from server wallet to escrow wallet
- * @param {Address} escrowWalletAddress - The escrow wallet address to send TON to
- * @param {TonClient} tonClient - TON client instance
- * @returns {Promise<void>}
- */
-async function sendTonToEscrowWallet(escrowWalletAddress, tonClient) {
-  const sendStart = Date.now();
-  try {
-    console.log(`[PAYMENT] [ESCROW] [TON_SEND] Sending 0.1 TON from server wallet to escrow wallet...`);
-    console.log(`[PAYMENT] [ESCROW] [TON_SEND]   - Escrow Wallet Address: ${escrowWalletAddress.toString()}`);
-    
-    // Get server wallet mnemonic from environment
-    const serverWalletMnemonicStr = process.env.SERVER_WALLET_MNEMONIC;
-    if (!serverWalletMnemonicStr) {
-      console.error(`[PAYMENT] [ESCROW] [TON_SEND] ❌ SERVER_WALLET_MNEMONIC not configured`);
-      throw new Error('SERVER_WALLET_MNEMONIC not configured in environment');
-    }
-    console.log(`[PAYMENT] [ESCROW] [TON_SEND]   - Server wallet mnemonic: ${serverWalletMnemonicStr ? '***CONFIGURED***' : 'NOT FOUND'}`);
-    
-    // Restore server wallet from mnemonic
-    console.log(`[PAYMENT] [ESCROW] [TON_SEND]   - Restoring server wallet from mnemonic...`);
-    const restoreStart = Date.now();
-    const { wallet: serverWallet, keyPair: serverKeyPair } = await restoreWalletFromMnemonic(serverWalletMnemonicStr);
-    const restoreTime = Date.now() - restoreStart;
-    console.log(`[PAYMENT] [ESCROW] [TON_SEND] ✅ Server wallet restored (${restoreTime}ms)`);
-    console.log(`[PAYMENT] [ESCROW] [TON_SEND]   - Server Wallet Address: ${serverWallet.address.toString()}`);
-    
-    // Check server wallet balance
-    console.log(`[PAYMENT] [ESCROW] [TON_SEND]   - Checking server wallet TON balance...`);
-    const serverBalanceStart = Date.now();
-    let serverBalance;
-    try {
-      serverBalance = await tonClient.getBalance(serverWallet.address);
-      console.log(`[PAYMENT] [ESCROW] [TON_SEND] ✅ Server wallet balance checked (${Date.now() - serverBalanceStart}ms)`);
-      console.log(`[PAYMENT] [ESCROW] [TON_SEND]   - Server Balance: ${serverBalance.toString()} nanoTON (${Number(serverBalance) / 1e9} TON)`);
-    } catch (error) {
-      console.warn(`[PAYMENT] [ESCROW] [TON_SEND] ⚠️  Error checking server balance: ${error.message}`);
-      // Continue anyway
-    }
-    
-    // Amount to send: 0.1 TON
-    const amountToSend = toNano('0.1'); // 0.1 TON = 100,000,000 nanoTON
-    console.log(`[PAYMENT] [ESCROW] [TON_SEND]   - Amount to send: ${amountToSend.toString()} nanoTON (0.1 TON)`);
-    
-    // Gas fee for transfer (estimate)
-    const gasFee = toNano('0.01'); // 0.01 TON for gas
-    const totalRequired = amountToSend + gasFee;
-    
-    if (serverBalance && serverBalance < totalRequired) {
-      const errorMsg = `Server wallet has insufficient balance. Required: ${totalRequired.toString()} nanoTON, Available: ${serverBalance.toString()} nanoTON`;
-      console.error(`[PAYMENT] [ESCROW] [TON_SEND] ❌ ${errorMsg}`);
-      throw new Error(errorMsg);
-    }
-    
-    // Create provider and sender for server wallet
-    console.log(`[PAYMENT] [ESCROW] [TON_SEND]   - Creating sender for server wallet...`);
-    const serverProvider = tonClient.provider(serverWallet.address);
-    const serverSender = serverWallet.sender(serverProvider, serverKeyPair.secretKey);
-    console.log(`[PAYMENT] [ESCROW] [TON_SEND] ✅ Sender created`);
-    
-    // Send TON to escrow wallet
-    console.log(`[PAYMENT] [ESCROW] [TON_SEND]   - Initiating TON transfer...`);
-    console.log(`[PAYMENT] [ESCROW] [TON_SEND]     From: ${serverWallet.address.toString()}`);
-    console.log(`[PAYMENT] [ESCROW] [TON_SEND]     To: ${escrowWalletAddress.toString()}`);
-    console.log(`[PAYMENT] [ESCROW] [TON_SEND]     Amount: ${amountToSend.toString()} nanoTON (0.1 TON)`);
-    
-    const transferStart = Date.now();
-    const openedServerWallet = tonClient.open(serverWallet);
-    await openedServerWallet.send(serverSender, {
-      to: escrowWalletAddress,
-      value: amountToSend,
-      bounce: false,
-    });
-    const transferTime = Date.now() - transferStart;
-    
-    console.log(`[PAYMENT] [ESCROW] [TON_SEND] ✅ TON transfer sent successfully (${transferTime}ms)`);
-    console.log(`[PAYMENT] [ESCROW] [TON_SEND]   - 0.1 TON sent from server wallet to escrow wallet`);
-    console.log(`[PAYMENT] [ESCROW] [TON_SEND]   - Note: Transaction may take a few seconds to confirm on blockchain`);
-    
-    const totalTime = Date.now() - sendStart;
-    console.log(`[PAYMENT] [ESCROW] [TON_SEND] ✅ TON send process completed (${totalTime}ms)`);
-  } catch (error) {
-    const totalTime = Date.now() - sendStart;
-    console.error(`[PAYMENT] [ESCROW] [TON_SEND] ❌ Error sending TON to escrow wallet (${totalTime}ms):`, error);
-    console.error(`[PAYMENT] [ESCROW] [TON_SEND] Error details:`, {
-      message: error.message,
-      stack: error.stack,
-      escrowWalletAddress: escrowWalletAddress.toString(),
-    });
-    throw error;
-  }
-}
+import { decryptMnemonic } from '../utils/walletEncryption.js';
+import { httpError } from '../utils/httpError.js';
 
 /**
  * Get wallet data from database for an order
@@ -123,8 +51,22 @@ async function getWalletForOrder(orderId) {
       console.log(`[PAYMENT] [DB]   - User ID: ${data.userId || 'none'}`);
       console.log(`[PAYMENT] [DB]   - Item ID: ${data.itemId || 'none'}`);
       console.log(`[PAYMENT] [DB]   - Created At: ${data.createdAtTimestamp ? new Date(data.createdAtTimestamp).toISOString() : 'N/A'}`);
+      let mnemonic;
+      if (data.encryptedMnemonic) {
+        mnemonic = decryptMnemonic(data.encryptedMnemonic, orderId, data.walletAddress);
+        console.log(`[PAYMENT] [DB]   - Mnemonic decrypted (key: ${data.encryptedMnemonic.keyId})`);
+      } else if (data.mnemonic) {
+        // Stored before encryption was added: only readable while the migration is being rolled out
+        if (process.env.WALLET_PLAINTEXT_FALLBACK !== 'true') {
+          throw new Error(`Wallet for order ${orderId} is stored in plaintext; run npm run migrate:wallets (or set WALLET_PLAINTEXT_FALLBACK=true until it has run)`);
+        }
+        console.warn(`[PAYMENT] [DB] ⚠️  Wallet for order ${orderId} is stored in plaintext, reading it because WALLET_PLAINTEXT_FALLBACK is set`);
+        mnemonic = data.mnemonic;
+      } else {
+        throw new Error(`Wallet record for order ${orderId} has no mnemonic`);
+      }
       return {
-        mnemonic: data.mnemonic,
+        mnemonic,
         walletAddress: data.walletAddress,
         userId: data.userId || null,
         itemId: data.itemId || null,
@@ -140,447 +82,1022 @@ async function getWalletForOrder(orderId) {
 }
 
 /**
- * Get seller wallet address from listing or user profile
- * @param {string} sellerId - The seller's Telegram ID
- * @param {object} listing - The listing object (optional, checked first)
- * @returns {Promise<Address|null>}
+ * Restore an order's escrow wallet from its stored record, and check that it is the order's escrow wallet,
+ * so a wallet record written over or swapped in the database cannot take over the order's payouts
+ * @param {object} order - The order record
+ * @returns {Promise<{walletData: object, wallet: WalletContractV5R1, keyPair: KeyPair, walletType: string}>}
+ */
+async function restoreEscrowWallet(order) {
+  const orderId = order.orderId;
+  if (!order.escrowWalletAddress) {
+    throw new Error(`Order ${orderId} has no escrow wallet`);
+  }
+  const expectedAddress = Address.parse(order.escrowWalletAddress);
+  const walletData = await getWalletForOrder(orderId);
+  const { wallet, keyPair, walletType } = await restoreWalletFromMnemonic(walletData.mnemonic);
+  if (!wallet.address.equals(expectedAddress) || !Address.parse(walletData.walletAddress).equals(expectedAddress)) {
+    console.error(`[PAYMENT] [ESCROW] ❌ Wallet record for order ${orderId} restores ${wallet.address.toString()}, not its escrow wallet ${expectedAddress.toString()}`);
+    throw new Error(`Wallet record for order ${orderId} does not match its escrow wallet ${expectedAddress.toString()}`);
+  }
+  return { walletData, wallet, keyPair, walletType };
+}
+
+/**
+ * Read a wallet's TON balance; falls back to the account state, then the contract, for wallets that are not deployed
+ * @param {TonClient} tonClient - TON client instance
+ * @param {WalletContractV5R1} escrowWallet - The escrow wallet
+ * @returns {Promise<bigint>} nanoTON
  */
-export async function getSellerWalletAddress(sellerId, listing = null) {
+async function getEscrowTonBalance(tonClient, escrowWallet) {
+  // Use getBalance() which works even for uninitialized contracts
+  // This is more reliable than calling get('balance') on the contract
   try {
-    console.log(`[PAYMENT] [DB] Retrieving seller wallet address for seller: ${sellerId}`);
-    
-    // Strategy 1: Check listing first (if provided) - listings may have walletAddress stored
-    if (listing && listing.walletAddress) {
-      console.log(`[PAYMENT] [DB] ✅ Seller wallet address found in listing: ${listing.walletAddress}`);
-      return Address.parse(listing.walletAddress);
-    }
-    
-    // Strategy 2: Check user profile in Firestore
-    console.log(`[PAYMENT] [DB] Checking user profile in Firestore...`);
-    const userDocRef = doc(db, 'users', sellerId);
-    const dbStart = Date.now();
-    
-    // Add timeout and retry logic for offline errors
-    let userDoc = null;
-    let retries = 3;
-    let lastError = null;
-    
-    while (retries > 0) {
-      try {
-        userDoc = await Promise.race([
-          getDoc(userDocRef),
-          new Promise((_, reject) => 
-            setTimeout(() => reject(new Error('Firestore query timeout')), 5000)
-          )
-        ]);
-        break; // Success, exit retry loop
-      } catch (error) {
-        lastError = error;
-        if (error.code === 'unavailable' || error.message.includes('offline') || error.message.includes('timeout')) {
-          retries--;
-          if (retries > 0) {
-            console.warn(`[PAYMENT] [DB] ⚠️  Firestore offline/timeout, retrying... (${retries} attempts left)`);
-            await new Promise(resolve => setTimeout(resolve, 1000)); // Wait 1 second before retry
-            continue;
-          }
-        } else {
-          throw error; // Non-retryable error
-        }
-      }
-    }
-    
-    if (!userDoc && lastError) {
-      throw lastError;
+    const balance = await tonClient.getBalance(escrowWallet.address);
+    console.log(`[PAYMENT] [ESCROW] ✅ Balance retrieved via getBalance(): ${balance.toString()}`);
+    return balance;
+  } catch (error) {
+    // If getBalance fails, try alternative method
+    console.warn(`[PAYMENT] [ESCROW] ⚠️  getBalance() failed, trying account state...`, error.message);
+  }
+  try {
+    const account = await tonClient.getAccount(escrowWallet.address);
+    console.log(`[PAYMENT] [ESCROW] ✅ Balance retrieved via getAccount(): ${account.balance.toString()}`);
+    return account.balance;
+  } catch (accountError) {
+    // If both fail, try contract method as last resort
+    console.warn(`[PAYMENT] [ESCROW] ⚠️  getAccount() failed, trying contract method...`, accountError.message);
+  }
+  try {
+    const escrowBalance = await tonClient.provider(escrowWallet.address).get('balance');
+    const balance = escrowBalance.stack.readBigNumber();
+    console.log(`[PAYMENT] [ESCROW] ✅ Balance retrieved via contract method: ${balance.toString()}`);
+    return balance;
+  } catch (contractError) {
+    // If contract is not initialized (-13), assume balance is 0
+    if (contractError.message?.includes('-13') || contractError.message?.includes('exit_code')) {
+      console.warn(`[PAYMENT] [ESCROW] ⚠️  Wallet contract not initialized (exit_code: -13), balance is likely 0`);
+      return BigInt(0);
     }
-    
-    const dbTime = Date.now() - dbStart;
-    
-    if (userDoc && userDoc.exists()) {
-      const userData = userDoc.data();
-      console.log(`[PAYMENT] [DB] ✅ User profile retrieved (${dbTime}ms)`);
-      // Check if user has wallet address stored
-      if (userData.walletAddress) {
-        console.log(`[PAYMENT] [DB] ✅ Seller wallet address found in user profile: ${userData.walletAddress}`);
-        return Address.parse(userData.walletAddress);
-      } else {
-        console.warn(`[PAYMENT] [DB] ⚠️  User profile exists but no walletAddress field found`);
-        console.log(`[PAYMENT] [DB]   - Available fields: ${Object.keys(userData).join(', ')}`);
-      }
+    throw contractError;
+  }
+}
+
+/**
+ * Prepare an order's escrow wallet for outgoing transfers.
+ * Jetton orders: restores it from its mnemonic, opens its jetton wallet for the order's jetton, and sets up the server wallet
+ * to relay its payouts (see relayedTransferBodies). Each payout pays its estimated gas back in the jetton, so that is kept back from the balance.
+ * TON orders: restores it; the payouts' gas comes out of the deposit, so there is no relay and no jetton wallet
+ * @param {object} order - The order record; the restored wallet must be its escrowWalletAddress
+ * @param {TonClient} tonClient - TON client instance
+ * @param {object} options - Optional: { requireBalance, currency, jetton, transfers } - set requireBalance to false when retrying payouts that may already have emptied the escrow; currency and jetton are the order's (getOrderCurrency, getOrderJetton), USDT by default; transfers is how many payouts the gas must cover (2 by default)
+ * @returns {Promise<{currency: string, jetton: object|null, walletData: object, escrowWallet: WalletContractV5R1, secretKey: Buffer, escrowTonBalance: bigint, escrowJettonWallet: JettonWallet|null, escrowJettonAddress: Address|null, relayWallet: WalletContractV5R1|null, relaySecretKey: Buffer|null, gasFee: bigint, totalBalance: bigint}>} gasFee is what each payout pays for its gas (jetton units, 0 for TON orders); totalBalance is what can be paid out after the gas: jetton units, or nanoTON for TON orders
+ */
+async function prepareEscrowWallet(order, tonClient, options = {}) {
+  const orderId = order.orderId;
+  const { requireBalance = true, currency = DEFAULT_JETTON_SYMBOL, jetton = getJetton(DEFAULT_JETTON_SYMBOL), transfers = 2 } = options;
+  // 1. Get the escrow wallet from the database and restore it from its mnemonic (w5, so it can accept requests relayed by the server wallet)
+  console.log(`[PAYMENT] [ESCROW] Restoring escrow wallet from database...`);
+  const restoreStart = Date.now();
+  const { walletData, wallet: escrowWallet, keyPair, walletType } = await restoreEscrowWallet(order);
+  console.log(`[PAYMENT] [ESCROW] ✅ Escrow wallet restored from mnemonic (${Date.now() - restoreStart}ms)`);
+  console.log(`[PAYMENT] [ESCROW]   - Escrow Wallet Address: ${escrowWallet.address.toString()}`);
+  console.log(`[PAYMENT] [ESCROW]   - Wallet Type: ${walletType || 'w5'}`);
+
+  if (currency === PAYMENT_CURRENCIES.TON) {
+    return await prepareTonEscrowWallet(orderId, tonClient, { walletData, escrowWallet, keyPair }, { requireBalance, transfers });
+  }
+
+  // 2. Restore the server wallet, which relays the escrow's payouts and attaches their TON
+  const { wallet: relayWallet, keyPair: relayKeyPair } = await restoreWalletFromMnemonic(getServerWalletMnemonic());
+  console.log(`[PAYMENT] [ESCROW]   - Relay (server) wallet: ${relayWallet.address.toString()}`);
+
+  // 3. Get and open escrow wallet's jetton wallet for the order's jetton
+  console.log(`[PAYMENT] [ESCROW] Getting escrow ${jetton.symbol} jetton wallet address...`);
+  const jettonAddressStart = Date.now();
+  const jettonMaster = tonClient.open(JettonMaster.create(Address.parse(jetton.masterAddress)));
+  const escrowJettonAddress = await jettonMaster.getWalletAddress(escrowWallet.address);
+  const escrowJettonWallet = tonClient.open(JettonWallet.createFromAddress(escrowJettonAddress));
+  console.log(`[PAYMENT] [ESCROW] ✅ ${jetton.symbol} jetton wallet opened (${Date.now() - jettonAddressStart}ms)`);
+  console.log(`[PAYMENT] [ESCROW]   - Escrow ${jetton.symbol} Wallet: ${escrowJettonAddress.toString()}`);
+
+  // 4. Get current jetton balance
+  console.log(`[PAYMENT] [ESCROW] Checking escrow wallet's ${jetton.symbol} balance...`);
+  const jettonBalanceStart = Date.now();
+  const jettonWalletData = await escrowJettonWallet.getWalletData(tonClient.provider(escrowJettonAddress));
+  const jettonBalance = jettonWalletData.balance;
+  const escrowTonBalance = await getEscrowTonBalance(tonClient, escrowWallet);
+  console.log(`[PAYMENT] [ESCROW] ✅ Escrow wallet ${jetton.symbol} balance checked (${Date.now() - jettonBalanceStart}ms)`);
+  console.log(`[PAYMENT] [ESCROW]   - Total ${jetton.symbol} Balance: ${jettonBalance.toString()} units (${Number(jettonBalance) / 10 ** jetton.decimals} ${jetton.symbol})`);
+
+  if (jettonBalance === BigInt(0) && requireBalance) {
+    console.error(`[PAYMENT] [ESCROW] ❌ Escrow wallet has zero ${jetton.symbol} balance`);
+    throw new Error(`Escrow wallet has zero ${jetton.symbol} balance`);
+  }
+
+  // 5. Estimate what relaying one payout costs the server wallet, and charge it in the jetton
+  console.log(`[PAYMENT] [ESCROW] Estimating gas for ${transfers} relayed payout(s)...`);
+  const escrow = { jetton, escrowWallet, escrowJettonAddress, relayWallet };
+  const { total: relayCost } = await estimateRelayedJettonTransferCost(tonClient, {
+    wallet: escrowWallet,
+    relayWallet,
+    jettonWalletAddress: escrowJettonAddress,
+    jettonMasterAddress: jetton.masterAddress,
+    transfers: relayedTransferBodies(escrow, {
+      amount: jettonBalance,
+      toAddress: relayWallet.address,
+      comment: `Order ${orderId} - Seller payment`,
+      gasFee: jettonBalance,
+    }),
+  });
+  const { usdPerTon } = await getTonUsdRate();
+  const gasFee = calculateJettonAmount(nanoTonToUsdCents(relayCost, usdPerTon), jetton.decimals, jetton.usdPerToken);
+  const gasReserve = gasFee * BigInt(transfers);
+  const totalBalance = jettonBalance > gasReserve ? jettonBalance - gasReserve : BigInt(0);
+  console.log(`[PAYMENT] [ESCROW]   - Relay cost per payout: ${relayCost.toString()} nanoTON, charged as ${formatEscrowAmount(escrow, gasFee)}`);
+  console.log(`[PAYMENT] [ESCROW]   - Payable after gas: ${formatEscrowAmount(escrow, totalBalance)}`);
+
+  if (totalBalance === BigInt(0) && requireBalance) {
+    console.error(`[PAYMENT] [ESCROW] ❌ Escrow wallet has no ${jetton.symbol} beyond the payouts' gas`);
+    throw new Error(`Escrow wallet has no ${jetton.symbol} beyond the ${formatEscrowAmount(escrow, gasReserve)} needed for the payouts' gas`);
+  }
+
+  return {
+    currency,
+    jetton,
+    tonClient,
+    walletData,
+    escrowWallet,
+    secretKey: keyPair.secretKey,
+    escrowTonBalance,
+    escrowJettonWallet,
+    escrowJettonAddress,
+    relayWallet,
+    relaySecretKey: relayKeyPair.secretKey,
+    gasFee,
+    totalBalance,
+  };
+}
+
+/**
+ * Prepare the escrow wallet of an order paid in TON: the deposit itself is paid out,
+ * minus a reserve for the payouts' estimated gas
+ * @param {string} orderId - The order ID
+ * @param {TonClient} tonClient - TON client instance
+ * @param {object} restored - The escrow wallet record and the wallet restored from it: { walletData, escrowWallet, keyPair }
+ * @param {object} options - { requireBalance, transfers }
+ * @returns {Promise<object>} Same shape as prepareEscrowWallet
+ */
+async function prepareTonEscrowWallet(orderId, tonClient, { walletData, escrowWallet, keyPair }, { requireBalance, transfers }) {
+  const escrowTonBalance = await tonClient.getBalance(escrowWallet.address);
+  // The first transfer also deploys the wallet, so reserving its fee for every transfer covers them all
+  const transferFee = await estimateTonTransferFee(tonClient, escrowWallet, {
+    to: getServerWalletAddress(),
+    value: escrowTonBalance,
+    body: `Order ${orderId} - Seller payment`,
+    bounce: false,
+  });
+  const gasReserve = transferFee * BigInt(transfers);
+  const totalBalance = escrowTonBalance > gasReserve ? escrowTonBalance - gasReserve : BigInt(0);
+  console.log(`[PAYMENT] [ESCROW] ✅ TON escrow wallet restored: ${escrowWallet.address.toString()}`);
+  console.log(`[PAYMENT] [ESCROW]   - Balance: ${escrowTonBalance.toString()} nanoTON (${Number(escrowTonBalance) / 1e9} TON)`);
+  console.log(`[PAYMENT] [ESCROW]   - Gas reserve for ${transfers} transfer(s): ${gasReserve.toString()} nanoTON`);
+  console.log(`[PAYMENT] [ESCROW]   - Payable after gas reserve: ${totalBalance.toString()} nanoTON (${Number(totalBalance) / 1e9} TON)`);
+
+  if (totalBalance === BigInt(0) && requireBalance) {
+    console.error(`[PAYMENT] [ESCROW] ❌ Escrow wallet has no TON beyond the gas reserve`);
+    throw new Error(`Escrow wallet has no TON beyond the ${Number(gasReserve) / 1e9} TON gas reserve`);
+  }
+
+  return {
+    currency: PAYMENT_CURRENCIES.TON,
+    jetton: null,
+    tonClient,
+    walletData,
+    escrowWallet,
+    secretKey: keyPair.secretKey,
+    escrowTonBalance,
+    escrowJettonWallet: null,
+    escrowJettonAddress: null,
+    relayWallet: null,
+    relaySecretKey: null,
+    gasFee: BigInt(0),
+    totalBalance,
+  };
+}
+
+/**
+ * Human-readable amount in an escrow's currency, for logs
+ * @param {object} escrow - Result of prepareEscrowWallet
+ * @param {bigint} amount - Jetton units, or nanoTON
+ * @returns {string}
+ */
+function formatEscrowAmount(escrow, amount) {
+  return escrow.jetton
+    ? `${amount.toString()} units (${Number(amount) / 10 ** escrow.jetton.decimals} ${escrow.jetton.symbol})`
+    : `${amount.toString()} nanoTON (${Number(amount) / 1e9} TON)`;
+}
+
+/**
+ * Metadata stored with an escrow payout's transaction record; payouts not in USDT are marked with their currency,
+ * relayed payouts with the gas fee they paid
+ * @param {object} escrow - Result of prepareEscrowWallet
+ * @param {object} metadata - Other metadata
+ * @returns {object}
+ */
+function escrowPayoutMetadata(escrow, metadata) {
+  const withGas = escrow.gasFee > BigInt(0) ? { ...metadata, gasFee: escrow.gasFee.toString() } : metadata;
+  return escrow.currency !== PAYMENT_CURRENCIES.USDT ? { ...withGas, currency: escrow.currency } : withGas;
+}
+
+/**
+ * Jetton transfer bodies of one relayed escrow payout: the payout itself, then its gas fee to the server wallet (left out when zero).
+ * Excesses go to the server wallet, which attached the TON
+ * @param {object} escrow - Result of prepareEscrowWallet
+ * @param {{queryId: bigint, amount: bigint, toAddress: Address, comment: string, gasFee: bigint}} transfer - queryId defaults to 0 (estimates)
+ * @returns {{body: Cell, fwdAmount: bigint}[]}
+ */
+function relayedTransferBodies(escrow, { queryId = BigInt(0), amount, toAddress, comment, gasFee }) {
+  const responseAddress = escrow.relayWallet.address;
+  const transfers = [{
+    fwdAmount: BigInt(1),
+    body: JettonWallet.createTransferBody(responseAddress, { queryId, fwdAmount: BigInt(1), comment, jettonAmount: amount, toAddress }),
+  }];
+  if (gasFee > BigInt(0)) {
+    // Query id 0, so the tracker never mistakes it for the payout's transfer
+    transfers.push({
+      fwdAmount: BigInt(0),
+      body: JettonWallet.createTransferBody(responseAddress, { fwdAmount: BigInt(0), comment: `${comment} - Gas`, jettonAmount: gasFee, toAddress: responseAddress }),
+    });
+  }
+  return transfers;
+}
+
+/**
+ * Send a transfer out of a prepared escrow wallet as an exactly-once payout:
+ * a transfer of the order's jetton relayed by the server wallet, or a plain TON transfer for TON orders
+ * @param {object} escrow - Result of prepareEscrowWallet (its gasFee as locked by lockEscrowPayoutPlan)
+ * @param {{orderId: string, type: string, amount: bigint, toAddress: Address, comment: string, label: string}} transfer - Transfer details; type is the payout/transaction type
+ * @returns {Promise<object>} The confirmed payout record
+ */
+async function sendFromEscrow(escrow, { orderId, type, amount, toAddress, comment, label }) {
+  if (!amount || typeof amount !== 'bigint') {
+    throw new Error(`Invalid ${label} amount: ${amount}`);
+  }
+  if (!toAddress) {
+    throw new Error(`${label} address is undefined`);
+  }
+
+  const isTon = !escrow.jetton;
+  console.log(`[PAYMENT] [ESCROW] Transferring ${label}...`);
+  console.log(`[PAYMENT] [ESCROW]   - Amount: ${formatEscrowAmount(escrow, amount)}`);
+  console.log(`[PAYMENT] [ESCROW]   - From: Escrow wallet (${escrow.escrowWallet.address.toString()})`);
+  console.log(`[PAYMENT] [ESCROW]   - To: ${toAddress.toString()}`);
+
+  // Gas is estimated for this transfer. Jetton payouts are relayed: the server wallet attaches the TON
+  // and the escrow pays it back in the jetton within the same request
+  let relay = null;
+  let transferValues = null;
+  let networkFee;
+  if (isTon) {
+    networkFee = await estimateTonTransferFee(escrow.tonClient, escrow.escrowWallet, { to: toAddress, value: amount, body: comment, bounce: false });
+    console.log(`[PAYMENT] [ESCROW]   - Gas: ${networkFee.toString()} nanoTON (estimated)`);
+  } else {
+    const cost = await estimateRelayedJettonTransferCost(escrow.tonClient, {
+      wallet: escrow.escrowWallet,
+      relayWallet: escrow.relayWallet,
+      jettonWalletAddress: escrow.escrowJettonAddress,
+      jettonMasterAddress: escrow.jetton.masterAddress,
+      transfers: relayedTransferBodies(escrow, { amount, toAddress, comment, gasFee: escrow.gasFee }),
+    });
+    transferValues = cost.values;
+    networkFee = cost.total;
+    relay = { wallet: escrow.relayWallet, secretKey: escrow.relaySecretKey, value: cost.relayValue };
+    console.log(`[PAYMENT] [ESCROW]   - Gas: ${cost.relayValue.toString()} nanoTON relayed by the server wallet, paid back as ${formatEscrowAmount(escrow, escrow.gasFee)}`);
+  }
+
+  const transferStart = Date.now();
+  try {
+    const { payout, alreadyProcessed } = await executePayout({
+      orderId,
+      type,
+      amount,
+      toAddress,
+      tonClient: escrow.tonClient,
+      wallet: escrow.escrowWallet,
+      secretKey: escrow.secretKey,
+      jettonWalletAddress: escrow.escrowJettonAddress,
+      relay,
+      networkFee,
+      send: isTon
+        // Gas is paid on top of the amount, out of the escrow's gas reserve
+        ? (sender) => sender.send({
+          to: toAddress,
+          value: amount,
+          body: comment,
+          bounce: false,
+        })
+        // One signed request: the payout with the claimed query id, then its gas fee
+        : (sender, claimedPayout) => sender.send({
+          messages: relayedTransferBodies(escrow, {
+            queryId: BigInt(claimedPayout.queryId),
+            amount,
+            toAddress,
+            comment,
+            gasFee: escrow.gasFee,
+          }).map(({ body }, i) => ({
+            to: escrow.escrowJettonAddress,
+            value: transferValues[i],
+            body,
+            bounce: true,
+          })),
+        }),
+    });
+    if (alreadyProcessed) {
+      console.log(`[PAYMENT] [ESCROW] ✅ ${label} was already paid out, skipped (${Date.now() - transferStart}ms)`);
     } else {
-      console.warn(`[PAYMENT] [DB] ⚠️  User profile not found for seller: ${sellerId}`);
+      console.log(`[PAYMENT] [ESCROW] ✅ ${label} transfer completed successfully (${Date.now() - transferStart}ms)`);
     }
-    
-    return null;
+    return payout;
   } catch (error) {
-    console.error(`[PAYMENT] [DB] ❌ Error getting seller wallet address for seller ${sellerId}:`, error);
-    // Don't throw - return null so caller can handle gracefully
+    console.error(`[PAYMENT] [ESCROW] ❌ ${label} transfer failed (${Date.now() - transferStart}ms)`);
+    console.error(`[PAYMENT] [ESCROW]   - Error: ${error.message || 'Unknown error'}`);
+    throw error;
+  }
+}
+
+/**
+ * Resolve the seller's payout address for an order: the verified payout wallet of the listing's seller
+ * @param {object} order - The order record
+ * @param {string} itemId - The item/listing ID (falls back to the order's itemId)
+ * @returns {Promise<{sellerId: string, sellerWalletAddress: Address}>}
+ */
+async function getSellerPayoutAddress(order, itemId) {
+  // 1. Get listing to find seller (use itemId from the order if not provided)
+  console.log(`[PAYMENT] [ESCROW] Getting listing information...`);
+  const finalItemId = itemId || order.itemId;
+  if (!finalItemId) {
+    console.error(`[PAYMENT] [ESCROW] ❌ No itemId found for order: ${order.orderId}`);
+    throw new Error(`No itemId found for order: ${order.orderId}`);
+  }
+  const listing = await fetchShopItemById(finalItemId);
+  if (!listing) {
+    console.error(`[PAYMENT] [ESCROW] ❌ Listing not found: ${finalItemId}`);
+    throw new Error(`Listing not found: ${finalItemId}`);
+  }
+  const sellerId = listing.sellerId;
+  if (!sellerId) {
+    console.error(`[PAYMENT] [ESCROW] ❌ No seller ID found in listing: ${finalItemId}`);
+    throw new Error(`No seller ID found in listing: ${finalItemId}`);
+  }
+  console.log(`[PAYMENT] [ESCROW] ✅ Listing retrieved: ${listing.title || 'N/A'} (seller: ${sellerId})`);
+
+  // 2. Pay only the seller's verified payout wallet, never the listing's or profile's unproven address
+  console.log(`[PAYMENT] [ESCROW] Getting seller's verified payout wallet...`);
+  const sellerWalletAddress = await getVerifiedPayoutAddress(sellerId);
+  console.log(`[PAYMENT] [ESCROW] ✅ Seller Wallet: ${sellerWalletAddress.toString()}`);
+
+  return { sellerId, sellerWalletAddress };
+}
+
+/**
+ * Get the stored result of an escrow payout that already completed, so calling it again is a no-op
+ * @param {object} order - The order record
+ * @param {string} kind - Payout kind: 'release', 'refund' or 'split'
+ * @param {string} finalState - The order state once that payout completed
+ * @returns {object|null} The stored result with alreadyProcessed set, or null
+ */
+function getCompletedEscrowPayout(order, kind, finalState) {
+  if (order.status !== finalState || order.payoutPlan?.kind !== kind) {
     return null;
   }
+  console.log(`[PAYMENT] [ESCROW] Order ${order.orderId} was already ${finalState}, returning the stored ${kind} result`);
+  return { success: true, ...order.payoutPlan.result, alreadyProcessed: true };
+}
+
+// The ledger settlement a plan posts: one per kind and revision, so concurrent payouts sharing a plan post it once.
+// Plans stored before revisions existed are keyed by when they were created
+function getPlanSettlementId(plan) {
+  return plan.revision ? `${plan.kind}_${plan.revision}` : plan.createdAtTimestamp.toString();
+}
+
+/**
+ * Post a payout plan's settlement to the ledger: the seller's share becomes payable and the server's share is earned
+ * @param {object} order - The order record
+ * @param {object} plan - The stored payout plan
+ * @returns {Promise<boolean>}
+ */
+function postPlanSettlement(order, plan) {
+  return postSettlement(order, getPlanSettlementId(plan), {
+    sellerAmount: plan.result.sellerAmount || '0',
+    feeAmount: plan.result.serverAmount || plan.result.feeAmount || '0',
+  });
+}
+
+// Resume a stored plan of the payout's kind: its gas fee is set on the escrow and its settlement posted (if it was not yet)
+async function resumeEscrowPayoutPlan(order, plan, escrow) {
+  escrow.gasFee = BigInt(plan.gasFee || 0);
+  await postPlanSettlement(order, plan);
+  return plan.result;
 }
 
 /**
- * Transfer USDT from escrow wallet to seller and server
+ * Fix the amounts of an escrow payout the first time it runs. A retry after a partial payout
+ * sends the stored amounts instead of re-splitting whatever is left in the escrow.
+ * The plan is stored in a transaction, so concurrent payouts of the same kind share the first one.
+ * The per-payout gas fee is locked with them and set on the escrow (plans stored before gas fees existed pay none).
+ * The plan's settlement is posted to the ledger, and a replaced plan's is reversed
+ * @param {object} order - The order record
+ * @param {string} kind - Payout kind: 'release', 'refund' or 'split'
+ * @param {object} escrow - Result of prepareEscrowWallet
+ * @param {() => object} computeResult - Computes the payout amounts (as strings) from the current escrow balance
+ * @returns {Promise<object>} The plan's result (amounts as strings)
+ */
+async function lockEscrowPayoutPlan(order, kind, escrow, computeResult) {
+  const existingPlan = order.payoutPlan || null;
+  if (existingPlan?.kind === kind) {
+    console.log(`[PAYMENT] [ESCROW] Resuming stored ${kind} payout plan from ${new Date(existingPlan.createdAtTimestamp).toISOString()}`);
+    return await resumeEscrowPayoutPlan(order, existingPlan, escrow);
+  }
+  if (existingPlan) {
+    // A different payout was started for this order - only replace it if none of its payouts went out
+    const payouts = await fetchPayoutsForOrder(order.orderId);
+    if (payouts.some((payout) => payout.status !== PAYOUT_STATES.FAILED)) {
+      throw httpError(`Order ${order.orderId} already has a ${existingPlan.kind} payout in progress`, 409);
+    }
+  }
+
+  const { plan, claimed } = await claimPayoutPlan(order.orderId, existingPlan, {
+    kind,
+    result: computeResult(),
+    gasFee: escrow.gasFee.toString(),
+    createdAtTimestamp: Date.now(),
+    revision: (existingPlan?.revision || 0) + 1,
+  });
+  if (!claimed) {
+    console.log(`[PAYMENT] [ESCROW] Another ${kind} payout stored its plan first, resuming it`);
+    return await resumeEscrowPayoutPlan(order, plan, escrow);
+  }
+  if (existingPlan) {
+    await reverseSettlement(order.orderId, getPlanSettlementId(existingPlan));
+  }
+  await postPlanSettlement(order, plan);
+  return plan.result;
+}
+
+/**
+ * Transfer the escrow balance (in the order's jetton, or TON for TON orders) to seller and server
+ * With payout batching enabled (locked with the plan), the seller's share goes to the highload wallet instead
+ * and the seller is paid from there in the next batch
  * @param {string} orderId - The order ID
  * @param {string} itemId - The item/listing ID
  * @param {TonClient} tonClient - TON client instance
+ * @param {object} options - Optional: { allowedStates, actor, reason } - allowedStates defaults to delivered orders only
  * @returns {Promise<{success: boolean, serverAmount: string, sellerAmount: string}>}
  */
-export async function releaseEscrowFunds(orderId, itemId, tonClient) {
+export async function releaseEscrowFunds(orderId, itemId, tonClient, options = {}) {
   const startTime = Date.now();
+  const {
+    allowedStates = [ORDER_STATES.DELIVERED],
+    actor = 'system',
+    reason = 'Escrow released to seller',
+  } = options;
   try {
     console.log(`[PAYMENT] ========== Payment Step 2: Escrow Release Started ==========`);
     console.log(`[PAYMENT] [ESCROW] Order ID: ${orderId}`);
     console.log(`[PAYMENT] [ESCROW] Item ID: ${itemId || 'will be retrieved from DB'}`);
     console.log(`[PAYMENT] [ESCROW] Timestamp: ${new Date().toISOString()}`);
     
-    // 0. Get escrow wallet address from database (just address, not mnemonic yet)
-    console.log(`[PAYMENT] [ESCROW] Step 0/14: Getting escrow wallet address from database...`);
-    console.log(`[PAYMENT] [ESCROW]   - Order ID: ${orderId}`);
-    const addressDbStart = Date.now();
-    const walletDataForAddress = await getWalletForOrder(orderId);
-    const addressDbTime = Date.now() - addressDbStart;
-    const escrowWalletAddress = Address.parse(walletDataForAddress.walletAddress);
-    console.log(`[PAYMENT] [ESCROW] ✅ Retrieved escrow wallet address from database (${addressDbTime}ms)`);
-    console.log(`[PAYMENT] [ESCROW]   - Escrow Wallet Address: ${escrowWalletAddress.toString()}`);
-    
-    // 1. Send 0.1 TON from server wallet to escrow wallet
-    console.log(`[PAYMENT] [ESCROW] Step 1/14: Server wallet sending 0.1 TON to escrow wallet...`);
-    const tonSendStart = Date.now();
-    await sendTonToEscrowWallet(escrowWalletAddress, tonClient);
-    const tonSendTime = Date.now() - tonSendStart;
-    console.log(`[PAYMENT] [ESCROW] ✅ Server wallet sent 0.1 TON to escrow wallet (${tonSendTime}ms)`);
-    console.log(`[PAYMENT] [ESCROW]   - Escrow wallet now has minimum TON balance to accept external messages`);
-    
-    // 2. Get escrow wallet mnemonic from database (now that we've sent TON)
-    console.log(`[PAYMENT] [ESCROW] Step 2/14: Retrieving escrow wallet mnemonic from database...`);
-    console.log(`[PAYMENT] [ESCROW]   - Order ID: ${orderId}`);
-    const dbStart = Date.now();
-    const walletData = await getWalletForOrder(orderId);
-    const dbTime = Date.now() - dbStart;
-    console.log(`[PAYMENT] [ESCROW] ✅ Retrieved escrow wallet mnemonic from database (${dbTime}ms)`);
-    console.log(`[PAYMENT] [ESCROW]   - Wallet Address: ${walletData.walletAddress}`);
-    console.log(`[PAYMENT] [ESCROW]   - Mnemonic: ${walletData.mnemonic ? '***RETRIEVED***' : 'NOT FOUND'}`);
-    console.log(`[PAYMENT] [ESCROW]   - User ID: ${walletData.userId || 'none'}`);
-    console.log(`[PAYMENT] [ESCROW]   - Item ID: ${walletData.itemId || 'none'}`);
-    
-    // 3. Get listing to find seller (use itemId from wallet data if not provided)
-    console.log(`[PAYMENT] [ESCROW] Step 3/14: Getting listing information...`);
-    const finalItemId = itemId || walletData.itemId;
-    if (!finalItemId) {
-      console.error(`[PAYMENT] [ESCROW] ❌ No itemId found for order: ${orderId}`);
-      throw new Error(`No itemId found for order: ${orderId}`);
-    }
-    console.log(`[PAYMENT] [ESCROW]   - Using Item ID: ${finalItemId}`);
-    
-    const listingStart = Date.now();
-    const listing = await fetchShopItemById(finalItemId);
-    const listingTime = Date.now() - listingStart;
-    if (!listing) {
-      console.error(`[PAYMENT] [ESCROW] ❌ Listing not found: ${finalItemId}`);
-      throw new Error(`Listing not found: ${finalItemId}`);
-    }
-    console.log(`[PAYMENT] [ESCROW] ✅ Listing retrieved (${listingTime}ms)`);
-    console.log(`[PAYMENT] [ESCROW]   - Listing Title: ${listing.title || 'N/A'}`);
-    console.log(`[PAYMENT] [ESCROW]   - Listing Price: ${listing.price || 'N/A'}`);
-    
-    const sellerId = listing.sellerId;
-    if (!sellerId) {
-      console.error(`[PAYMENT] [ESCROW] ❌ No seller ID found in listing: ${finalItemId}`);
-      throw new Error(`No seller ID found in listing: ${finalItemId}`);
-    }
-    console.log(`[PAYMENT] [ESCROW]   - Seller ID: ${sellerId}`);
-    
-    // 4. Get seller wallet address (check listing first, then user profile)
-    console.log(`[PAYMENT] [ESCROW] Step 4/14: Getting seller wallet address...`);
-    const sellerWalletStart = Date.now();
-    const sellerWalletAddress = await getSellerWalletAddress(sellerId, listing);
-    const sellerWalletTime = Date.now() - sellerWalletStart;
-    if (!sellerWalletAddress) {
-      console.error(`[PAYMENT] [ESCROW] ❌ Seller wallet address not found for seller: ${sellerId}`);
-      throw new Error(`Seller wallet address not found for seller: ${sellerId}. Please ensure the seller has a walletAddress in their user profile or in the listing.`);
+    // Only delivered orders (or disputes ruled for the seller) can be released, and only once
+    const order = await requireOrder(orderId);
+    const completed = getCompletedEscrowPayout(order, 'release', ORDER_STATES.RELEASED);
+    if (completed) {
+      return completed;
     }
-    console.log(`[PAYMENT] [ESCROW] ✅ Seller wallet address retrieved (${sellerWalletTime}ms): ${sellerWalletAddress.toString()}`);
-    console.log(`[PAYMENT] [ESCROW]   - Seller Wallet: ${sellerWalletAddress.toString()}`);
+    assertOrderState(order, allowedStates, 'release escrow funds');
+    console.log(`[PAYMENT] [ESCROW] Order status: ${order.status}`);
     
-    // 5. Get server wallet address from environment
-    console.log(`[PAYMENT] [ESCROW] Step 5/14: Getting server wallet address...`);
-    const serverWalletAddressStr = process.env.SERVER_WALLET_ADDRESS;
-    if (!serverWalletAddressStr) {
-      console.error(`[PAYMENT] [ESCROW] ❌ SERVER_WALLET_ADDRESS not configured`);
-      throw new Error('SERVER_WALLET_ADDRESS not configured in environment');
-    }
-    const serverWalletAddress = Address.parse(serverWalletAddressStr);
-    console.log(`[PAYMENT] [ESCROW] ✅ Server wallet address configured`);
-    console.log(`[PAYMENT] [ESCROW]   - Server Wallet: ${serverWalletAddress.toString()}`);
+    // 1. Find the seller and their payout address
+    console.log(`[PAYMENT] [ESCROW] Step 1/4: Getting seller payout address...`);
+    const { sellerId, sellerWalletAddress } = await getSellerPayoutAddress(order, itemId);
     
-    // 6. Restore escrow wallet from mnemonic (w5 wallet supports jetton gas payments)
-    console.log(`[PAYMENT] [ESCROW] Step 6/14: Restoring escrow wallet using mnemonic...`);
-    console.log(`[PAYMENT] [ESCROW]   - Using mnemonic from database: ${walletData.mnemonic ? 'YES' : 'NO'}`);
-    const restoreStart = Date.now();
-    const { wallet: escrowWallet, keyPair, walletType } = await restoreWalletFromMnemonic(walletData.mnemonic);
-    const restoreTime = Date.now() - restoreStart;
-    console.log(`[PAYMENT] [ESCROW] ✅ Escrow wallet restored from mnemonic (${restoreTime}ms)`);
-    console.log(`[PAYMENT] [ESCROW]   - Escrow Wallet Address: ${escrowWallet.address.toString()}`);
-    console.log(`[PAYMENT] [ESCROW]   - Wallet Type: ${walletType || 'w5'} (supports jetton gas payments)`);
-    console.log(`[PAYMENT] [ESCROW]   - KeyPair: ${keyPair ? 'GENERATED' : 'NOT GENERATED'}`);
+    // 2. Get server wallet address from environment
+    console.log(`[PAYMENT] [ESCROW] Step 2/4: Getting server wallet address...`);
+    const serverWalletAddress = getServerWalletAddress();
+    console.log(`[PAYMENT] [ESCROW] ✅ Server Wallet: ${serverWalletAddress.toString()}`);
     
-    // 7. Check escrow wallet TON balance (for reference, but gas can be paid from USDT)
-    console.log(`[PAYMENT] [ESCROW] Step 7/14: Checking escrow wallet TON balance...`);
-    const balanceCheckStart = Date.now();
+    // 3. Restore and open the escrow wallet
+    console.log(`[PAYMENT] [ESCROW] Step 3/4: Preparing escrow wallet...`);
+    const escrow = await prepareEscrowWallet(order, tonClient, { requireBalance: !order.payoutPlan, currency: getOrderCurrency(order), jetton: getOrderJetton(order) });
     
-    // Create provider first (needed for later steps)
-    let escrowProvider = tonClient.provider(escrowWallet.address);
+    // 4. Split by the order's fee quote and transfer both
+    console.log(`[PAYMENT] [ESCROW] Step 4/4: Splitting funds (seller payout from the fee quote, fees to server wallet)...`);
+    const plan = await lockEscrowPayoutPlan(order, 'release', escrow, () => {
+      const sellerPayout = getSellerPayoutAmount(order);
+      const sellerShare = sellerPayout < escrow.totalBalance ? sellerPayout : escrow.totalBalance;
+      // Server gets the remainder (fees plus any overpayment) so nothing is left in the escrow
+      return {
+        serverAmount: (escrow.totalBalance - sellerShare).toString(),
+        sellerAmount: sellerShare.toString(),
+        totalAmount: escrow.totalBalance.toString(),
+        ...(isPayoutBatchingEnabled() ? { batched: true } : {}),
+      };
+    });
+    const totalBalance = BigInt(plan.totalAmount);
+    const serverAmount = BigInt(plan.serverAmount);
+    const finalSellerAmount = BigInt(plan.sellerAmount);
+    console.log(`[PAYMENT] [ESCROW]   - Server Amount: ${formatEscrowAmount(escrow, serverAmount)}`);
+    console.log(`[PAYMENT] [ESCROW]   - Seller Amount: ${formatEscrowAmount(escrow, finalSellerAmount)}`);
     
-    // Use getBalance() which works even for uninitialized contracts
-    // This is more reliable than calling get('balance') on the contract
-    let escrowTonBalance;
-    try {
-      escrowTonBalance = await tonClient.getBalance(escrowWallet.address);
-      console.log(`[PAYMENT] [ESCROW] ✅ Balance retrieved via getBalance(): ${escrowTonBalance.toString()}`);
-    } catch (error) {
-      // If getBalance fails, try alternative method
-      console.warn(`[PAYMENT] [ESCROW] ⚠️  getBalance() failed, trying account state...`, error.message);
-      try {
-        const account = await tonClient.getAccount(escrowWallet.address);
-        escrowTonBalance = account.balance;
-        console.log(`[PAYMENT] [ESCROW] ✅ Balance retrieved via getAccount(): ${escrowTonBalance.toString()}`);
-      } catch (accountError) {
-        // If both fail, try contract method as last resort
-        console.warn(`[PAYMENT] [ESCROW] ⚠️  getAccount() failed, trying contract method...`, accountError.message);
-        try {
-          const escrowBalance = await escrowProvider.get('balance');
-          escrowTonBalance = escrowBalance.stack.readBigNumber();
-          console.log(`[PAYMENT] [ESCROW] ✅ Balance retrieved via contract method: ${escrowTonBalance.toString()}`);
-        } catch (contractError) {
-          // If contract is not initialized (-13), assume balance is 0
-          if (contractError.message?.includes('-13') || contractError.message?.includes('exit_code')) {
-            console.warn(`[PAYMENT] [ESCROW] ⚠️  Wallet contract not initialized (exit_code: -13), balance is likely 0`);
-            escrowTonBalance = BigInt(0);
-          } else {
-            throw contractError;
-          }
-        }
-      }
+    // No fee transfer when the order had no fees (e.g. a promotion)
+    let serverPayout = null;
+    if (serverAmount > BigInt(0)) {
+      serverPayout = await sendFromEscrow(escrow, {
+        orderId,
+        type: 'escrow_to_server',
+        amount: serverAmount,
+        toAddress: serverWalletAddress,
+        comment: `Order ${orderId} - Server fee`,
+        label: 'Server fee',
+      });
     }
+    const sellerComment = `Order ${orderId} - Seller payment`;
+    const highloadWalletAddress = plan.batched ? (await getHighloadWallet()).wallet.address : null;
+    const sellerPayout = await sendFromEscrow(escrow, plan.batched
+      ? {
+        orderId,
+        type: 'escrow_to_highload',
+        amount: finalSellerAmount,
+        toAddress: highloadWalletAddress,
+        comment: `Order ${orderId} - Seller payment (batched)`,
+        label: 'Seller payment to the payout batch',
+      }
+      : {
+        orderId,
+        type: 'escrow_to_seller',
+        amount: finalSellerAmount,
+        toAddress: sellerWalletAddress,
+        comment: sellerComment,
+        label: 'Seller payment',
+      });
     
-    const requiredGas = JETTON_TRANSFER_GAS_FEES * BigInt(2); // Need gas for 2 transfers
-    const balanceCheckTime = Date.now() - balanceCheckStart;
-    
-    // Minimum TON needed to accept external messages (w5 wallets need this even if gas is paid from USDT)
-    const MIN_TON_FOR_EXTERNAL_MESSAGE = toNano('0.1'); // 0.1 TON minimum
-    
-    console.log(`[PAYMENT] [ESCROW] ✅ TON balance checked (${balanceCheckTime}ms)`);
-    console.log(`[PAYMENT] [ESCROW]   - Available: ${escrowTonBalance.toString()} nanoTON (${Number(escrowTonBalance) / 1e9} TON)`);
-    console.log(`[PAYMENT] [ESCROW]   - Minimum Required: ${MIN_TON_FOR_EXTERNAL_MESSAGE.toString()} nanoTON (0.1 TON) to accept external messages`);
-    
-    // Check if wallet has minimum TON to accept external messages
-    if (escrowTonBalance < MIN_TON_FOR_EXTERNAL_MESSAGE) {
-      const errorMsg = `Escrow wallet has insufficient TON balance to accept external messages. Required: ${MIN_TON_FOR_EXTERNAL_MESSAGE.toString()} nanoTON (0.1 TON), Available: ${escrowTonBalance.toString()} nanoTON. Even though w5 wallets can pay gas from USDT, they still need a minimum TON balance to accept external messages. Please ensure the escrow wallet receives at least 0.1 TON before attempting transfers.`;
-      console.error(`[PAYMENT] [ESCROW] ❌ ${errorMsg}`);
-      throw new Error(errorMsg);
+    // Record both payouts; the tracker fills in their hashes once they are matched on-chain
+    if (serverPayout) {
+      await recordPayoutTransaction(
+        serverPayout,
+        escrow.escrowWallet.address,
+        escrowPayoutMetadata(escrow, { totalAmount: totalBalance.toString() }),
+        tonClient
+      );
     }
-    
-    // Note: Gas fees can be paid from USDT balance in w5 wallets
-    // But we still need minimum TON to accept the external message
-    if (escrowTonBalance < requiredGas) {
-      console.warn(`[PAYMENT] [ESCROW] ⚠️  TON balance below gas requirement, but sufficient to accept messages`);
-      console.log(`[PAYMENT] [ESCROW]   - Gas fees will be deducted from USDT balance by w5 wallet`);
-    } else {
-      console.log(`[PAYMENT] [ESCROW] ✅ TON balance sufficient for both message acceptance and gas fees`);
+    await recordPayoutTransaction(
+      sellerPayout,
+      escrow.escrowWallet.address,
+      escrowPayoutMetadata(escrow, { totalAmount: totalBalance.toString(), sellerId }),
+      tonClient
+    );
+    if (plan.batched) {
+      // The batcher pays the seller from the highload wallet and records that transaction
+      const { queued, payout } = await queueSellerPayout({
+        orderId,
+        type: 'server_to_seller',
+        amount: finalSellerAmount,
+        toAddress: sellerWalletAddress,
+        currency: escrow.currency,
+        jetton: escrow.jetton,
+        comment: sellerComment,
+        metadata: { totalAmount: totalBalance.toString(), sellerId, ...(escrow.currency !== PAYMENT_CURRENCIES.USDT ? { currency: escrow.currency } : {}) },
+        orderTransition: null,
+      });
+      console.log(`[PAYMENT] [ESCROW] ✅ Seller payout ${queued ? 'queued for the next batch' : `already ${payout.status}`}`);
     }
     
-    // 8. Get escrow wallet's USDT jetton wallet address
-    console.log(`[PAYMENT] [ESCROW] Step 8/14: Getting escrow USDT jetton wallet address...`);
-    const jettonAddressStart = Date.now();
-    const jettonMaster = tonClient.open(JettonMaster.create(USDT_MASTER_ADDRESS));
-    const escrowUsdtAddress = await jettonMaster.getWalletAddress(escrowWallet.address);
-    const jettonAddressTime = Date.now() - jettonAddressStart;
-    console.log(`[PAYMENT] [ESCROW] ✅ USDT jetton wallet address retrieved (${jettonAddressTime}ms)`);
-    console.log(`[PAYMENT] [ESCROW]   - Escrow USDT Wallet: ${escrowUsdtAddress.toString()}`);
+    await transitionOrder(orderId, ORDER_STATES.RELEASED, {
+      actor,
+      reason,
+      fields: {
+        sellerAmount: finalSellerAmount.toString(),
+        serverAmount: serverAmount.toString(),
+      },
+    });
     
-    // 9. Open escrow's USDT jetton wallet
-    console.log(`[PAYMENT] [ESCROW] Step 9/14: Opening escrow USDT jetton wallet...`);
-    const escrowJettonWallet = tonClient.open(JettonWallet.createFromAddress(escrowUsdtAddress));
-    console.log(`[PAYMENT] [ESCROW] ✅ USDT jetton wallet opened`);
+    const totalTime = Date.now() - startTime;
+    console.log(`[PAYMENT] [ESCROW] ========== Escrow Release Completed Successfully ==========`);
+    console.log(`[PAYMENT] [ESCROW]   - Total Time: ${totalTime}ms`);
+    console.log(`[PAYMENT] [ESCROW]   - Server Amount: ${formatEscrowAmount(escrow, serverAmount)}`);
+    console.log(`[PAYMENT] [ESCROW]   - Seller Amount: ${formatEscrowAmount(escrow, finalSellerAmount)}`);
+    console.log(`[PAYMENT] [ESCROW]   - Total Amount: ${formatEscrowAmount(escrow, totalBalance)}`);
+    console.log(`[PAYMENT] ========== Payment Step 2 Complete (${totalTime}ms) ==========`);
     
-    // 10. Get current USDT balance
-    console.log(`[PAYMENT] [ESCROW] Step 10/14: Checking escrow wallet's USDT balance...`);
-    console.log(`[PAYMENT] [ESCROW]   - Escrow USDT Wallet Address: ${escrowUsdtAddress.toString()}`);
-    const usdtBalanceStart = Date.now();
-    const walletData_result = await escrowJettonWallet.getWalletData(tonClient.provider(escrowUsdtAddress));
-    const totalBalance = walletData_result.balance;
-    const usdtBalanceTime = Date.now() - usdtBalanceStart;
-    console.log(`[PAYMENT] [ESCROW] ✅ Escrow wallet USDT balance checked (${usdtBalanceTime}ms)`);
-    console.log(`[PAYMENT] [ESCROW]   - Total USDT Balance: ${totalBalance.toString()} units`);
-    console.log(`[PAYMENT] [ESCROW]   - Total USDT Balance (formatted): ${Number(totalBalance) / 1000000} USDT`);
+    return {
+      success: true,
+      serverAmount: serverAmount.toString(),
+      sellerAmount: finalSellerAmount.toString(),
+      totalAmount: totalBalance.toString(),
+    };
+  } catch (error) {
+    const totalTime = Date.now() - startTime;
+    console.error(`[PAYMENT] [ESCROW] ❌ Error releasing funds for order ${orderId} (${totalTime}ms):`, error);
+    console.error(`[PAYMENT] [ESCROW] Error details:`, {
+      message: error.message,
+      stack: error.stack,
+      orderId,
+      itemId,
+    });
+    console.log(`[PAYMENT] ========== Payment Step 2 Failed (${totalTime}ms) ==========`);
+    throw error;
+  }
+}
+
+// Fee kept from a refund (percent of the escrow balance), sent to the server wallet
+const REFUND_FEE_PERCENTAGE = parseFloat(process.env.REFUND_FEE_PERCENTAGE || '0');
+
+/**
+ * Refund an order's escrow wallet (in the order's jetton or TON) back to the buyer's paying address
+ * @param {string} orderId - The order ID
+ * @param {string} reason - Why the order is refunded (stored on the order)
+ * @param {TonClient} tonClient - TON client instance
+ * @param {object} options - Optional: { amount, actor, allowedStates, waiveFee } - amount (jetton units, or nanoTON) to refund instead of the full balance minus REFUND_FEE_PERCENTAGE; waiveFee refunds the full balance
+ * @returns {Promise<{success: boolean, refundAmount: string, feeAmount: string, totalAmount: string}>}
+ */
+export async function refundEscrowFunds(orderId, reason, tonClient, options = {}) {
+  const startTime = Date.now();
+  const {
+    amount = null,
+    actor = 'system',
+    allowedStates = [ORDER_STATES.FUNDED, ORDER_STATES.SHIPPED],
+    waiveFee = false,
+  } = options;
+  try {
+    console.log(`[PAYMENT] ========== Escrow Refund Started ==========`);
+    console.log(`[PAYMENT] [ESCROW] Order ID: ${orderId}`);
+    console.log(`[PAYMENT] [ESCROW] Reason: ${reason || 'N/A'}`);
     
-    if (totalBalance === BigInt(0)) {
-      console.error(`[PAYMENT] [ESCROW] ❌ Escrow wallet has zero USDT balance`);
-      throw new Error('Escrow wallet has zero USDT balance');
+    // Only funded or shipped orders (or disputes ruled for the buyer) can be refunded, and only once
+    const order = await requireOrder(orderId);
+    const completed = getCompletedEscrowPayout(order, 'refund', ORDER_STATES.REFUNDED);
+    if (completed) {
+      return completed;
     }
-    console.log(`[PAYMENT] [ESCROW]   - USDT balance is sufficient for transfer`);
+    assertOrderState(order, allowedStates, 'refund escrow funds');
+    console.log(`[PAYMENT] [ESCROW] Order status: ${order.status}`);
     
-    // 11. Calculate split: 5% server, 95% seller
-    // Note: w5 wallets automatically pay gas fees from USDT, so we don't need to deduct gas fees
-    // The gas will be automatically deducted by the wallet during the transfer
-    console.log(`[PAYMENT] [ESCROW] Step 11/14: Calculating split (5% to server wallet, 95% to seller wallet)...`);
-    console.log(`[PAYMENT] [ESCROW]   - Total Balance: ${totalBalance.toString()} units (${Number(totalBalance) / 1000000} USDT)`);
-    const serverPercentage = 5; // 5%
-    const sellerPercentage = 95; // 95%
-    console.log(`[PAYMENT] [ESCROW]   - Split Percentage: ${serverPercentage}% server, ${sellerPercentage}% seller`);
-    
-    // Calculate amounts from total balance (using integer math to avoid precision issues)
-    // totalBalance is in smallest USDT units (6 decimals)
-    // w5 wallets will automatically deduct gas fees from the transfer amount
-    if (!totalBalance || typeof totalBalance !== 'bigint' || totalBalance === BigInt(0)) {
-      throw new Error(`Invalid totalBalance: ${totalBalance}`);
+    // 1. The buyer is refunded to the address they paid from
+    console.log(`[PAYMENT] [ESCROW] Step 1/3: Getting buyer wallet address...`);
+    if (!order.buyerWalletAddress) {
+      console.error(`[PAYMENT] [ESCROW] ❌ No buyer wallet address stored for order: ${orderId}`);
+      throw new Error(`No buyer wallet address stored for order: ${orderId}`);
     }
+    const buyerWalletAddress = Address.parse(order.buyerWalletAddress);
+    console.log(`[PAYMENT] [ESCROW] ✅ Buyer Wallet: ${buyerWalletAddress.toString()}`);
     
-    console.log(`[PAYMENT] [ESCROW]   - Calculating server amount (5% of ${totalBalance.toString()})...`);
-    const serverAmount = (totalBalance * BigInt(serverPercentage)) / BigInt(100);
-    console.log(`[PAYMENT] [ESCROW]   - Calculating seller amount (95% of ${totalBalance.toString()})...`);
-    const sellerAmount = (totalBalance * BigInt(sellerPercentage)) / BigInt(100);
+    // 2. Restore and open the escrow wallet
+    console.log(`[PAYMENT] [ESCROW] Step 2/3: Preparing escrow wallet...`);
+    const escrow = await prepareEscrowWallet(order, tonClient, { requireBalance: !order.payoutPlan, currency: getOrderCurrency(order), jetton: getOrderJetton(order) });
     
-    // Verify amounts are valid BigInt values
-    if (!serverAmount || typeof serverAmount !== 'bigint') {
-      throw new Error(`Invalid serverAmount calculated: ${serverAmount}`);
-    }
-    if (!sellerAmount || typeof sellerAmount !== 'bigint') {
-      throw new Error(`Invalid sellerAmount calculated: ${sellerAmount}`);
-    }
-    
-    // Verify amounts add up correctly (within rounding tolerance)
-    const calculatedTotal = serverAmount + sellerAmount;
-    const difference = totalBalance - calculatedTotal;
+    // 3. Calculate refund and transfer it
+    console.log(`[PAYMENT] [ESCROW] Step 3/3: Refunding buyer...`);
+    const plan = await lockEscrowPayoutPlan(order, 'refund', escrow, () => {
+      const balance = escrow.totalBalance;
+      let refundShare;
+      let feeShare = BigInt(0);
+      if (amount !== null && amount !== undefined) {
+        refundShare = typeof amount === 'bigint' ? amount : BigInt(amount);
+        if (refundShare <= BigInt(0) || refundShare > balance) {
+          throw new Error(`Invalid refund amount ${refundShare.toString()}: escrow balance is ${balance.toString()}`);
+        }
+      } else if (!waiveFee) {
+        feeShare = (balance * BigInt(Math.round(REFUND_FEE_PERCENTAGE * 100))) / BigInt(10000);
+        refundShare = balance - feeShare;
+      } else {
+        refundShare = balance;
+      }
+      return {
+        refundAmount: refundShare.toString(),
+        feeAmount: feeShare.toString(),
+        totalAmount: balance.toString(),
+      };
+    });
+    const totalBalance = BigInt(plan.totalAmount);
+    const refundAmount = BigInt(plan.refundAmount);
+    const feeAmount = BigInt(plan.feeAmount);
+    console.log(`[PAYMENT] [ESCROW]   - Refund Amount: ${formatEscrowAmount(escrow, refundAmount)}`);
+    console.log(`[PAYMENT] [ESCROW]   - Fee Amount: ${formatEscrowAmount(escrow, feeAmount)}`);
     
-    // If there's a small difference due to rounding, add it to seller amount
-    const finalSellerAmount = sellerAmount + difference;
+    const refundPayout = await sendFromEscrow(escrow, {
+      orderId,
+      type: 'escrow_to_buyer',
+      amount: refundAmount,
+      toAddress: buyerWalletAddress,
+      comment: `Order ${orderId} - Refund`,
+      label: 'Buyer refund',
+    });
     
-    // Final validation
-    if (!finalSellerAmount || typeof finalSellerAmount !== 'bigint') {
-      throw new Error(`Invalid finalSellerAmount calculated: ${finalSellerAmount}`);
+    if (feeAmount > BigInt(0)) {
+      const serverWalletAddress = getServerWalletAddress();
+      const feePayout = await sendFromEscrow(escrow, {
+        orderId,
+        type: 'escrow_to_server',
+        amount: feeAmount,
+        toAddress: serverWalletAddress,
+        comment: `Order ${orderId} - Refund fee`,
+        label: 'Refund fee',
+      });
+      await recordPayoutTransaction(
+        feePayout,
+        escrow.escrowWallet.address,
+        escrowPayoutMetadata(escrow, { totalAmount: totalBalance.toString(), refund: true }),
+        tonClient
+      );
     }
     
-    console.log(`[PAYMENT] [ESCROW] ✅ Split calculation completed`);
-    console.log(`[PAYMENT] [ESCROW]   - Server Amount (5%): ${serverAmount.toString()} units (${Number(serverAmount) / 1000000} USDT)`);
-    console.log(`[PAYMENT] [ESCROW]   - Seller Amount (95%): ${finalSellerAmount.toString()} units (${Number(finalSellerAmount) / 1000000} USDT)`);
-    console.log(`[PAYMENT] [ESCROW]   - Rounding difference: ${difference.toString()} units`);
-    console.log(`[PAYMENT] [ESCROW]   - Note: Gas fees will be automatically deducted from transfers by w5 wallet`);
+    await recordPayoutTransaction(
+      refundPayout,
+      escrow.escrowWallet.address,
+      escrowPayoutMetadata(escrow, { totalAmount: totalBalance.toString(), reason: reason || null }),
+      tonClient
+    );
     
-    // 12. Create sender for escrow wallet
-    console.log(`[PAYMENT] [ESCROW] Step 12/14: Creating sender for escrow wallet...`);
-    const escrowSender = escrowWallet.sender(escrowProvider, keyPair.secretKey);
-    console.log(`[PAYMENT] [ESCROW] ✅ Sender created`);
+    await transitionOrder(orderId, ORDER_STATES.REFUNDED, {
+      actor,
+      reason: reason || 'Refunded to buyer',
+      fields: {
+        refundAmount: refundAmount.toString(),
+        refundFeeAmount: feeAmount.toString(),
+      },
+    });
     
-    // 13. Transfer to server wallet (5%)
-    console.log(`[PAYMENT] [ESCROW] Step 13/14: Transferring funds from escrow to server wallet (5% platform fee)...`);
-    console.log(`[PAYMENT] [ESCROW]   - Transfer Type: Server fee (platform fee)`);
-    console.log(`[PAYMENT] [ESCROW]   - Amount: ${serverAmount.toString()} units (${Number(serverAmount) / 1000000} USDT)`);
-    console.log(`[PAYMENT] [ESCROW]   - From: Escrow wallet (${escrowWallet.address.toString()})`);
-    console.log(`[PAYMENT] [ESCROW]   - To: Server wallet (${serverWalletAddress.toString()})`);
-    console.log(`[PAYMENT] [ESCROW]   - Gas: ${JETTON_TRANSFER_GAS_FEES.toString()} nanoTON (paid from USDT by w5 wallet)`);
+    const totalTime = Date.now() - startTime;
+    console.log(`[PAYMENT] ========== Escrow Refund Complete (${totalTime}ms) ==========`);
     
-    // Validate amounts are defined and are BigInt
-    if (!serverAmount || typeof serverAmount !== 'bigint') {
-      throw new Error(`Invalid serverAmount: ${serverAmount}`);
+    return {
+      success: true,
+      refundAmount: refundAmount.toString(),
+      feeAmount: feeAmount.toString(),
+      totalAmount: totalBalance.toString(),
+    };
+  } catch (error) {
+    const totalTime = Date.now() - startTime;
+    console.error(`[PAYMENT] [ESCROW] ❌ Error refunding order ${orderId} (${totalTime}ms):`, error);
+    console.log(`[PAYMENT] ========== Escrow Refund Failed (${totalTime}ms) ==========`);
+    throw error;
+  }
+}
+
+/**
+ * Split an order's escrow balance between seller and buyer (dispute ruling)
+ * The seller's share pays its part of the order's platform fees; the buyer's share is refunded in full
+ * @param {string} orderId - The order ID
+ * @param {number} sellerPercentage - Percent of the escrow balance awarded to the seller (between 0 and 100, exclusive)
+ * @param {string} reason - Why the order is split (stored on the order)
+ * @param {TonClient} tonClient - TON client instance
+ * @param {object} options - Optional: { actor, allowedStates } - allowedStates defaults to disputed orders only
+ * @returns {Promise<{success: boolean, sellerAmount: string, buyerAmount: string, serverAmount: string, totalAmount: string}>}
+ */
+export async function splitEscrowFunds(orderId, sellerPercentage, reason, tonClient, options = {}) {
+  const startTime = Date.now();
+  const { actor = 'system', allowedStates = [ORDER_STATES.DISPUTED] } = options;
+  try {
+    console.log(`[PAYMENT] ========== Escrow Split Started ==========`);
+    console.log(`[PAYMENT] [ESCROW] Order ID: ${orderId}`);
+    console.log(`[PAYMENT] [ESCROW] Seller share: ${sellerPercentage}%`);
+
+    if (typeof sellerPercentage !== 'number' || !(sellerPercentage > 0 && sellerPercentage < 100)) {
+      throw new Error(`Invalid seller percentage: ${sellerPercentage}. Expected a number between 0 and 100`);
+    }
+
+    const order = await requireOrder(orderId);
+    const completed = getCompletedEscrowPayout(order, 'split', ORDER_STATES.SETTLED);
+    if (completed) {
+      return completed;
     }
-    if (!serverWalletAddress) {
-      throw new Error('Server wallet address is undefined');
+    assertOrderState(order, allowedStates, 'split escrow funds');
+    console.log(`[PAYMENT] [ESCROW] Order status: ${order.status}`);
+
+    // 1. Resolve all three payout addresses before moving any funds
+    console.log(`[PAYMENT] [ESCROW] Step 1/3: Getting payout addresses...`);
+    if (!order.buyerWalletAddress) {
+      console.error(`[PAYMENT] [ESCROW] ❌ No buyer wallet address stored for order: ${orderId}`);
+      throw new Error(`No buyer wallet address stored for order: ${orderId}`);
     }
-    
-    const serverTransferStart = Date.now();
-    console.log(`[PAYMENT] [ESCROW]   - Initiating transfer to server wallet...`);
-    try {
-      // When using tonClient.open(), provider is automatically injected, so we only pass via (sender) and opts
-      await escrowJettonWallet.sendTransfer(escrowSender, {
-        fwdAmount: BigInt(1),
-        comment: `Order ${orderId} - Server fee`,
-        jettonAmount: serverAmount, // Must be BigInt
+    const buyerWalletAddress = Address.parse(order.buyerWalletAddress);
+    const { sellerId, sellerWalletAddress } = await getSellerPayoutAddress(order, order.itemId);
+    const serverWalletAddress = getServerWalletAddress();
+    console.log(`[PAYMENT] [ESCROW] ✅ Buyer Wallet: ${buyerWalletAddress.toString()}`);
+    console.log(`[PAYMENT] [ESCROW] ✅ Server Wallet: ${serverWalletAddress.toString()}`);
+
+    // 2. Restore and open the escrow wallet
+    console.log(`[PAYMENT] [ESCROW] Step 2/3: Preparing escrow wallet...`);
+    const escrow = await prepareEscrowWallet(order, tonClient, { requireBalance: !order.payoutPlan, currency: getOrderCurrency(order), jetton: getOrderJetton(order), transfers: 3 });
+
+    // 3. Calculate shares (basis points so fractional percentages work) and transfer them
+    console.log(`[PAYMENT] [ESCROW] Step 3/3: Splitting funds...`);
+    const plan = await lockEscrowPayoutPlan(order, 'split', escrow, () => {
+      const balance = escrow.totalBalance;
+      const basisPoints = BigInt(Math.round(sellerPercentage * 100));
+      const sellerShare = (balance * basisPoints) / BigInt(10000);
+      // The seller's share carries the same part of the order's platform fees
+      const feeShare = (getPlatformFeeAmount(order) * basisPoints) / BigInt(10000);
+      const serverShare = feeShare < sellerShare ? feeShare : sellerShare;
+      return {
+        sellerAmount: (sellerShare - serverShare).toString(),
+        buyerAmount: (balance - sellerShare).toString(),
+        serverAmount: serverShare.toString(),
+        totalAmount: balance.toString(),
+      };
+    });
+    const totalBalance = BigInt(plan.totalAmount);
+    const sellerAmount = BigInt(plan.sellerAmount);
+    const buyerAmount = BigInt(plan.buyerAmount);
+    const serverAmount = BigInt(plan.serverAmount);
+    console.log(`[PAYMENT] [ESCROW]   - Seller Amount: ${formatEscrowAmount(escrow, sellerAmount)}`);
+    console.log(`[PAYMENT] [ESCROW]   - Buyer Amount: ${formatEscrowAmount(escrow, buyerAmount)}`);
+    console.log(`[PAYMENT] [ESCROW]   - Server Amount: ${formatEscrowAmount(escrow, serverAmount)}`);
+
+    let serverPayout = null;
+    if (serverAmount > BigInt(0)) {
+      serverPayout = await sendFromEscrow(escrow, {
+        orderId,
+        type: 'escrow_to_server',
+        amount: serverAmount,
         toAddress: serverWalletAddress,
-        value: JETTON_TRANSFER_GAS_FEES, // Gas will be paid from USDT by w5 wallet
+        comment: `Order ${orderId} - Server fee`,
+        label: 'Server fee',
       });
-      const serverTransferTime = Date.now() - serverTransferStart;
-      console.log(`[PAYMENT] [ESCROW] ✅ Transfer to server wallet completed successfully (${serverTransferTime}ms)`);
-      console.log(`[PAYMENT] [ESCROW]   - Server received: ${serverAmount.toString()} units (${Number(serverAmount) / 1000000} USDT)`);
-    } catch (error) {
-      const serverTransferTime = Date.now() - serverTransferStart;
-      console.error(`[PAYMENT] [ESCROW] ❌ Transfer to server wallet failed (${serverTransferTime}ms)`);
-      console.error(`[PAYMENT] [ESCROW]   - Error: ${error.message || 'Unknown error'}`);
-      if (error.message?.includes('inbound external message rejected') || 
-          error.message?.includes('cannot apply external message') ||
-          error.response?.data?.error?.includes('inbound external message rejected')) {
-        throw new Error(`Escrow wallet cannot accept external messages. This usually means the wallet needs at least 0.1 TON to accept external messages, even though w5 wallets can pay gas from USDT. Current balance: ${escrowTonBalance.toString()} nanoTON. Please ensure the escrow wallet receives at least 0.1 TON before attempting transfers. Original error: ${error.message || error.response?.data?.error || 'Unknown error'}`);
-      }
-      throw error;
-    }
-    
-    // 14. Transfer to seller wallet (95%)
-    console.log(`[PAYMENT] [ESCROW] Step 14/14: Transferring funds from escrow to seller wallet (remaining 95%)...`);
-    console.log(`[PAYMENT] [ESCROW]   - Transfer Type: Seller payment`);
-    console.log(`[PAYMENT] [ESCROW]   - Amount: ${finalSellerAmount.toString()} units (${Number(finalSellerAmount) / 1000000} USDT)`);
-    console.log(`[PAYMENT] [ESCROW]   - From: Escrow wallet (${escrowWallet.address.toString()})`);
-    console.log(`[PAYMENT] [ESCROW]   - To: Seller wallet (${sellerWalletAddress.toString()})`);
-    console.log(`[PAYMENT] [ESCROW]   - Gas: ${JETTON_TRANSFER_GAS_FEES.toString()} nanoTON (paid from USDT by w5 wallet)`);
-    
-    // Validate amounts are defined and are BigInt
-    if (!finalSellerAmount || typeof finalSellerAmount !== 'bigint') {
-      throw new Error(`Invalid sellerAmount: ${finalSellerAmount}`);
-    }
-    if (!sellerWalletAddress) {
-      throw new Error('Seller wallet address is undefined');
     }
-    
-    const sellerTransferStart = Date.now();
-    console.log(`[PAYMENT] [ESCROW]   - Initiating transfer to seller wallet...`);
-    try {
-      // When using tonClient.open(), provider is automatically injected, so we only pass via (sender) and opts
-      await escrowJettonWallet.sendTransfer(escrowSender, {
-        fwdAmount: BigInt(1),
-        comment: `Order ${orderId} - Seller payment`,
-        jettonAmount: finalSellerAmount, // Must be BigInt
-        toAddress: sellerWalletAddress,
-        value: JETTON_TRANSFER_GAS_FEES, // Gas will be paid from USDT by w5 wallet
-      });
-      const sellerTransferTime = Date.now() - sellerTransferStart;
-      console.log(`[PAYMENT] [ESCROW] ✅ Transfer to seller wallet completed successfully (${sellerTransferTime}ms)`);
-      console.log(`[PAYMENT] [ESCROW]   - Seller received: ${finalSellerAmount.toString()} units (${Number(finalSellerAmount) / 1000000} USDT)`);
-    } catch (error) {
-      const sellerTransferTime = Date.now() - sellerTransferStart;
-      console.error(`[PAYMENT] [ESCROW] ❌ Transfer to seller wallet failed (${sellerTransferTime}ms)`);
-      console.error(`[PAYMENT] [ESCROW]   - Error: ${error.message || 'Unknown error'}`);
-      if (error.message?.includes('inbound external message rejected') || 
-          error.message?.includes('cannot apply external message') ||
-          error.response?.data?.error?.includes('inbound external message rejected')) {
-        throw new Error(`Escrow wallet cannot accept external messages. This usually means the wallet needs at least 0.1 TON to accept external messages, even though w5 wallets can pay gas from USDT. Current balance: ${escrowTonBalance.toString()} nanoTON. Please ensure the escrow wallet receives at least 0.1 TON before attempting transfers. Original error: ${error.message || error.response?.data?.error || 'Unknown error'}`);
-      }
-      throw error;
+    const sellerPayout = await sendFromEscrow(escrow, {
+      orderId,
+      type: 'escrow_to_seller',
+      amount: sellerAmount,
+      toAddress: sellerWalletAddress,
+      comment: `Order ${orderId} - Seller share`,
+      label: 'Seller share',
+    });
+    const buyerPayout = await sendFromEscrow(escrow, {
+      orderId,
+      type: 'escrow_to_buyer',
+      amount: buyerAmount,
+      toAddress: buyerWalletAddress,
+      comment: `Order ${orderId} - Buyer share`,
+      label: 'Buyer share',
+    });
+
+    const metadata = escrowPayoutMetadata(escrow, { totalAmount: totalBalance.toString(), split: true, sellerPercentage });
+    if (serverAmount > BigInt(0)) {
+      await recordPayoutTransaction(
+        serverPayout,
+        escrow.escrowWallet.address,
+        { ...metadata },
+        tonClient
+      );
     }
-    
+    await recordPayoutTransaction(
+      sellerPayout,
+      escrow.escrowWallet.address,
+      { ...metadata, sellerId },
+      tonClient
+    );
+    await recordPayoutTransaction(
+      buyerPayout,
+      escrow.escrowWallet.address,
+      { ...metadata, reason: reason || null },
+      tonClient
+    );
+
+    await transitionOrder(orderId, ORDER_STATES.SETTLED, {
+      actor,
+      reason: reason || 'Escrow split between buyer and seller',
+      fields: {
+        sellerAmount: sellerAmount.toString(),
+        serverAmount: serverAmount.toString(),
+        refundAmount: buyerAmount.toString(),
+      },
+    });
+
     const totalTime = Date.now() - startTime;
-    console.log(`[PAYMENT] [ESCROW] ========== Escrow Release Completed Successfully ==========`);
-    console.log(`[PAYMENT] [ESCROW]   - Total Time: ${totalTime}ms`);
-    console.log(`[PAYMENT] [ESCROW]   - Server Amount: ${serverAmount.toString()} units (${Number(serverAmount) / 1000000} USDT)`);
-    console.log(`[PAYMENT] [ESCROW]   - Seller Amount: ${finalSellerAmount.toString()} units (${Number(finalSellerAmount) / 1000000} USDT)`);
-    console.log(`[PAYMENT] [ESCROW]   - Total Amount: ${totalBalance.toString()} units (${Number(totalBalance) / 1000000} USDT)`);
-    console.log(`[PAYMENT] ========== Payment Step 2 Complete (${totalTime}ms) ==========`);
-    
+    console.log(`[PAYMENT] ========== Escrow Split Complete (${totalTime}ms) ==========`);
+
     return {
       success: true,
+      sellerAmount: sellerAmount.toString(),
+      buyerAmount: buyerAmount.toString(),
       serverAmount: serverAmount.toString(),
-      sellerAmount: finalSellerAmount.toString(),
       totalAmount: totalBalance.toString(),
     };
   } catch (error) {
     const totalTime = Date.now() - startTime;
-    console.error(`[PAYMENT] [ESCROW] ❌ Error releasing funds for order ${orderId} (${totalTime}ms):`, error);
-    console.error(`[PAYMENT] [ESCROW] Error details:`, {
-      message: error.message,
-      stack: error.stack,
-      orderId,
-      itemId,
-    });
-    console.log(`[PAYMENT] ========== Payment Step 2 Failed (${totalTime}ms) ==========`);
+    console.error(`[PAYMENT] [ESCROW] ❌ Error splitting escrow for order ${orderId} (${totalTime}ms):`, error);
+    console.log(`[PAYMENT] ========== Escrow Split Failed (${totalTime}ms) ==========`);
     throw error;
   }
 }
 
+// TON below this is not worth the fee of sweeping it
+const ESCROW_SWEEP_MIN_TON = toNano(process.env.ESCROW_SWEEP_MIN_TON || '0.01');
+
+/**
+ * Sweep what is left in a settled order's escrow wallet back to the server wallet.
+ * Dust of the order's jetton goes first, relayed by the server wallet; TON left over from relayed payouts
+ * (sent with the whole remaining balance) is swept on the next pass. Both sweeps are exactly-once payouts
+ * @param {object} order - The order record (in a terminal state)
+ * @param {TonClient} tonClient - TON client instance
+ * @returns {Promise<{done: boolean, jettonAmount: string, tonAmount: string}>} done once nothing more is left to sweep
+ */
+export async function sweepEscrowWallet(order, tonClient) {
+  const orderId = order.orderId;
+  console.log(`[SWEEPER] Sweeping escrow wallet of order ${orderId} (${order.status})`);
+
+  // Never sweep while one of the order's payouts is still in flight
+  const payouts = await fetchPayoutsForOrder(orderId);
+  const inFlight = payouts.find((payout) => payout.status === PAYOUT_STATES.PENDING || payout.status === PAYOUT_STATES.SUBMITTED);
+  if (inFlight) {
+    console.log(`[SWEEPER] Payout ${inFlight.id} is still ${inFlight.status}, skipping order ${orderId}`);
+    return { done: false, jettonAmount: '0', tonAmount: '0' };
+  }
+
+  const { wallet: escrowWallet, keyPair } = await restoreEscrowWallet(order);
+  const serverWalletAddress = getServerWalletAddress();
+  const tonBalance = await tonClient.getBalance(escrowWallet.address);
+
+  // TON orders have no jetton wallet to sweep
+  const jetton = getOrderJetton(order);
+  let escrowJettonAddress = null;
+  let escrowJettonWallet = null;
+  let jettonBalance = BigInt(0);
+  if (jetton) {
+    const jettonMaster = tonClient.open(JettonMaster.create(Address.parse(jetton.masterAddress)));
+    escrowJettonAddress = await jettonMaster.getWalletAddress(escrowWallet.address);
+    escrowJettonWallet = tonClient.open(JettonWallet.createFromAddress(escrowJettonAddress));
+    try {
+      jettonBalance = (await escrowJettonWallet.getWalletData()).balance;
+    } catch (error) {
+      // The jetton wallet was never deployed, so there is nothing to sweep
+      console.log(`[SWEEPER] No ${jetton.symbol} jetton wallet for order ${orderId}: ${error.message}`);
+    }
+  }
+  console.log(`[SWEEPER]   - TON: ${tonBalance.toString()} nanoTON${jetton ? `, ${jetton.symbol}: ${jettonBalance.toString()} units` : ''}`);
+
+  // 1. Jetton dust, relayed by the server wallet like the payouts (no gas fee: the dust goes to the server wallet anyway)
+  if (jettonBalance > BigInt(0)) {
+    const sweepComment = `Order ${orderId} - Escrow sweep`;
+    const { wallet: relayWallet, keyPair: relayKeyPair } = await restoreWalletFromMnemonic(getServerWalletMnemonic());
+    const sweep = { relayWallet };
+    const cost = await estimateRelayedJettonTransferCost(tonClient, {
+      wallet: escrowWallet,
+      relayWallet,
+      jettonWalletAddress: escrowJettonAddress,
+      jettonMasterAddress: jetton.masterAddress,
+      transfers: relayedTransferBodies(sweep, { amount: jettonBalance, toAddress: serverWalletAddress, comment: sweepComment, gasFee: BigInt(0) }),
+    });
+    const { payout, alreadyProcessed } = await executePayout({
+      orderId,
+      type: 'escrow_sweep_jetton',
+      amount: jettonBalance,
+      toAddress: serverWalletAddress,
+      tonClient,
+      wallet: escrowWallet,
+      secretKey: keyPair.secretKey,
+      jettonWalletAddress: escrowJettonAddress,
+      relay: { wallet: relayWallet, secretKey: relayKeyPair.secretKey, value: cost.relayValue },
+      networkFee: cost.total,
+      send: (sender, claimedPayout) => sender.send({
+        messages: relayedTransferBodies(sweep, {
+          queryId: BigInt(claimedPayout.queryId),
+          amount: jettonBalance,
+          toAddress: serverWalletAddress,
+          comment: sweepComment,
+          gasFee: BigInt(0),
+        }).map(({ body }, i) => ({ to: escrowJettonAddress, value: cost.values[i], body, bounce: true })),
+      }),
+    });
+    await recordPayoutTransaction(payout, escrowWallet.address, { sweep: true, currency: jetton.symbol }, tonClient);
+    if (!alreadyProcessed) {
+      console.log(`[SWEEPER] ✅ Swept ${jettonBalance.toString()} ${jetton.symbol} units from order ${orderId}; leftover TON follows on the next pass`);
+      return { done: false, jettonAmount: jettonBalance.toString(), tonAmount: '0' };
+    }
+    console.warn(`[SWEEPER] ⚠️  ${jetton.symbol} was already swept from order ${orderId}; ${jettonBalance.toString()} units arrived afterwards and stay in the escrow`);
+  }
+
+  // 2. Remaining TON
+  if (tonBalance < ESCROW_SWEEP_MIN_TON) {
+    console.log(`[SWEEPER] ✅ Nothing worth sweeping left in order ${orderId}`);
+    return { done: true, jettonAmount: '0', tonAmount: '0' };
+  }
+  const { payout } = await executePayout({
+    orderId,
+    type: 'escrow_sweep_ton',
+    amount: tonBalance,
+    toAddress: serverWalletAddress,
+    tonClient,
+    wallet: escrowWallet,
+    secretKey: keyPair.secretKey,
+    send: (sender) => sender.send({
+      to: serverWalletAddress,
+      value: BigInt(0),
+      bounce: false,
+      sendMode: SendMode.CARRY_ALL_REMAINING_BALANCE,
+    }),
+  });
+  await recordPayoutTransaction(payout, escrowWallet.address, { sweep: true, currency: 'TON' }, tonClient);
+  console.log(`[SWEEPER] ✅ Swept ${tonBalance.toString()} nanoTON from order ${orderId}`);
+  return { done: true, jettonAmount: '0', tonAmount: tonBalance.toString() };
+}
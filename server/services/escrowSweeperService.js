@@ -0,0 +1,98 @@
+import {
+  ORDER_STATES,
+  updateOrderFields,
+  fetchOrdersByStatus,
+} from './orderService.js';
+import { sweepEscrowWallet } from './escrowService.js';
+
+// How often the sweeper looks for settled escrow wallets
+const ESCROW_SWEEPER_INTERVAL_MS = parseInt(process.env.ESCROW_SWEEPER_INTERVAL_MS) || 60 * 60 * 1000;
+// Wait this long after an order settles, so late transfer excesses have arrived before sweeping
+const ESCROW_SWEEP_DELAY_HOURS = parseFloat(process.env.ESCROW_SWEEP_DELAY_HOURS || '24');
+
+// Terminal states whose escrow was paid out.
+// Cancelled orders are left alone: nothing was paid out of their escrow, and a late deposit there belongs to the buyer
+const SWEEPABLE_STATES = [ORDER_STATES.RELEASED, ORDER_STATES.REFUNDED, ORDER_STATES.SETTLED];
+
+let sweeperTimer = null;
+let running = false;
+
+/**
+ * When an order reached its terminal state
+ * @param {object} order - The order record
+ * @returns {number} Time in ms
+ */
+function settledAt(order) {
+  const history = order.history || [];
+  return history.length > 0 ? history[history.length - 1].at : order.updatedAtTimestamp;
+}
+
+/**
+ * Sweep escrow wallets of settled orders back to the server wallet
+ * @param {() => Promise<TonClient>} getTonClient - Factory for a TON client
+ * @returns {Promise<void>}
+ */
+export async function runEscrowSweeper(getTonClient) {
+  if (running) {
+    console.log(`[SWEEPER] Previous run still in progress, skipping`);
+    return;
+  }
+  running = true;
+  const startTime = Date.now();
+  try {
+    const cutoff = startTime - ESCROW_SWEEP_DELAY_HOURS * 60 * 60 * 1000;
+    const orders = [];
+    for (const status of SWEEPABLE_STATES) {
+      orders.push(...await fetchOrdersByStatus(status));
+    }
+    const due = orders.filter(order =>
+      order.escrowWalletAddress && !order.escrowSweptAtTimestamp && settledAt(order) <= cutoff
+    );
+    if (due.length === 0) {
+      return;
+    }
+
+    const tonClient = await getTonClient();
+    let swept = 0;
+    for (const order of due) {
+      try {
+        const result = await sweepEscrowWallet(order, tonClient);
+        if (result.done) {
+          await updateOrderFields(order.orderId, { escrowSweptAtTimestamp: Date.now() });
+          swept++;
+        }
+      } catch (error) {
+        // Leave the order for the next run
+        console.error(`[SWEEPER] ❌ Error sweeping escrow of order ${order.orderId}:`, error.message);
+      }
+    }
+    console.log(`[SWEEPER] ✅ Run complete (${Date.now() - startTime}ms): ${swept} of ${due.length} escrow wallet(s) swept`);
+  } catch (error) {
+    console.error(`[SWEEPER] ❌ Error running escrow sweeper:`, error);
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Start sweeping settled escrow wallets periodically
+ * @param {() => Promise<TonClient>} getTonClient - Factory for a TON client
+ */
+export function startEscrowSweeper(getTonClient) {
+  if (sweeperTimer) {
+    return;
+  }
+  console.log(`[SWEEPER] Escrow sweeper started (every ${ESCROW_SWEEPER_INTERVAL_MS}ms)`);
+  sweeperTimer = setInterval(() => runEscrowSweeper(getTonClient), ESCROW_SWEEPER_INTERVAL_MS);
+  runEscrowSweeper(getTonClient);
+}
+
+/**
+ * Stop the escrow sweeper
+ */
+export function stopEscrowSweeper() {
+  if (sweeperTimer) {
+    clearInterval(sweeperTimer);
+    sweeperTimer = null;
+  }
+}
@@ -0,0 +1,138 @@
+import { doc, getDoc, setDoc, deleteDoc } from 'firebase/firestore';
+import { db } from '../firebase/client.js';
+import { calculateUsdtAmount } from '../utils/paymentHelpers.js';
+import {
+  DEFAULT_FEE_SCHEDULE,
+  DEFAULT_CATEGORY,
+  LISTING_CATEGORIES,
+  quoteFees,
+  legacyOrderQuote,
+  toOrderAmount,
+} from '../../shared/feeEngine.js';
+import { httpError } from '../utils/httpError.js';
+
+let cachedSchedule = null;
+
+/**
+ * The active fee schedule: FEE_SCHEDULE (JSON) merged over the default schedule
+ * @returns {object}
+ */
+export function getFeeSchedule() {
+  if (cachedSchedule) {
+    return cachedSchedule;
+  }
+  let configured = {};
+  if (process.env.FEE_SCHEDULE) {
+    try {
+      configured = JSON.parse(process.env.FEE_SCHEDULE);
+    } catch (error) {
+      throw new Error(`FEE_SCHEDULE is not valid JSON: ${error.message}`);
+    }
+  }
+  cachedSchedule = { ...DEFAULT_FEE_SCHEDULE, ...configured };
+  return cachedSchedule;
+}
+
+/**
+ * Map a listing's category onto a known category
+ * @param {string|undefined} category - Category stored on the listing
+ * @returns {string}
+ */
+export function normalizeCategory(category) {
+  return LISTING_CATEGORIES.some((entry) => entry.id === category) ? category : DEFAULT_CATEGORY;
+}
+
+/**
+ * Fetch a seller's fee tier. Tiers are set by admins in the sellerTiers collection,
+ * not on the user profile, which its owner can write
+ * @param {string} sellerId - The seller's Telegram ID
+ * @returns {Promise<string|null>}
+ */
+export async function getSellerTier(sellerId) {
+  if (!sellerId) {
+    return null;
+  }
+  const snap = await getDoc(doc(db, 'sellerTiers', sellerId.toString()));
+  return snap.exists() ? snap.data().tier || null : null;
+}
+
+/**
+ * Set (or clear, with a null tier) a seller's fee tier
+ * @param {string} sellerId - The seller's Telegram ID
+ * @param {string|null} tier - A tier named in the fee schedule's sellerTiers, or null
+ * @param {string} actor - Who made the change
+ * @returns {Promise<string|null>} The tier now in effect
+ */
+export async function setSellerTier(sellerId, tier, actor) {
+  if (!sellerId) {
+    throw httpError('sellerId is required', 400);
+  }
+  const ref = doc(db, 'sellerTiers', sellerId.toString());
+  if (!tier) {
+    await deleteDoc(ref);
+    console.log(`[FEES] Seller ${sellerId} tier cleared by ${actor}`);
+    return null;
+  }
+  if (!getFeeSchedule().sellerTiers?.[tier]) {
+    throw httpError(`Unknown seller tier: ${tier}`, 400);
+  }
+  await setDoc(ref, { tier, updatedBy: actor, updatedAtTimestamp: Date.now() });
+  console.log(`[FEES] Seller ${sellerId} moved to tier ${tier} by ${actor}`);
+  return tier;
+}
+
+/**
+ * Quote the fees for a listing bought now
+ * @param {object} listing - The listing (price parsed by the caller)
+ * @param {number} priceCents - The listing price in cents
+ * @returns {Promise<object>} The quote (see quoteFees)
+ */
+export async function quoteListingFees(listing, priceCents) {
+  const sellerTier = await getSellerTier(listing.sellerId);
+  return quoteFees(getFeeSchedule(), {
+    priceCents,
+    category: normalizeCategory(listing.category),
+    sellerTier,
+  });
+}
+
+/**
+ * The fee quote an order was priced with. Orders created before the fee engine get an equivalent quote
+ * @param {object} order - The order record
+ * @returns {object}
+ */
+export function getOrderFeeQuote(order) {
+  return order.feeQuote || legacyOrderQuote(order);
+}
+
+/**
+ * Convert cents of an order's quote into the order's currency (see toOrderAmount)
+ * @param {object} order - The order record
+ * @param {number} cents - USD cents
+ * @returns {bigint} Jetton units, or nanoTON for TON orders
+ */
+function getOrderAmount(order, cents) {
+  if (order.totalAmount && order.totalCents) {
+    return toOrderAmount(order, cents);
+  }
+  // Orders from before amounts were stored on the order were always USDT
+  return calculateUsdtAmount(cents);
+}
+
+/**
+ * What the seller is owed for an order, in the order's currency
+ * @param {object} order - The order record
+ * @returns {bigint} Jetton units, or nanoTON for TON orders
+ */
+export function getSellerPayoutAmount(order) {
+  return getOrderAmount(order, getOrderFeeQuote(order).sellerPayoutCents);
+}
+
+/**
+ * What the platform keeps from an order, in the order's currency
+ * @param {object} order - The order record
+ * @returns {bigint} Jetton units, or nanoTON for TON orders
+ */
+export function getPlatformFeeAmount(order) {
+  return getOrderAmount(order, getOrderFeeQuote(order).platformFeeCents);
+}
@@ -25,6 +25,7 @@ import {
   update,
 } from 'firebase/database';
 import { db, realtimeDb } from '../firebase/client.js';
+import { encryptMnemonic } from '../utils/walletEncryption.js';
 
 // Helper to get database URL from environment
 function getDatabaseUrl() {
@@ -323,6 +324,7 @@ export async function fetchUserProfile(uid, timeoutMs = 3000) {
 
 // Store wallet mnemonic and address for an order
 // Stores in both Firestore and Realtime Database for redundancy
+// The mnemonic is sealed with the server's master key (see utils/walletEncryption.js) and never stored in plaintext
 // This function is non-blocking - it won't throw errors, just logs them
 export async function storeWalletForOrder(orderId, mnemonic, walletAddress, userId = null, itemId = null) {
   console.log(`[PAYMENT] [DB] Starting wallet storage for order: ${orderId}`);
@@ -330,9 +332,19 @@ export async function storeWalletForOrder(orderId, mnemonic, walletAddress, user
   console.log(`[PAYMENT] [DB]   - User ID: ${userId || 'none'}`);
   console.log(`[PAYMENT] [DB]   - Item ID: ${itemId || 'none'}`);
   
+  let encryptedMnemonic;
+  try {
+    // Stored as a sealed space-separated string
+    encryptedMnemonic = encryptMnemonic(Array.isArray(mnemonic) ? mnemonic.join(' ') : mnemonic, orderId, walletAddress);
+  } catch (error) {
+    console.error(`[PAYMENT] [DB] ❌ Could not encrypt wallet mnemonic for order ${orderId}: ${error.message}`);
+    return false;
+  }
+  console.log(`[PAYMENT] [DB]   - Mnemonic encrypted with key: ${encryptedMnemonic.keyId}`);
+
   const walletData = {
     orderId,
-    mnemonic: Array.isArray(mnemonic) ? mnemonic.join(' ') : mnemonic, // Store as space-separated string
+    encryptedMnemonic,
     walletAddress,
     walletType: 'w5', // Store wallet type (w5 supports jetton gas payments)
     userId: userId || null,
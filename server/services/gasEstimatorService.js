@@ -0,0 +1,249 @@
+import { Address, Cell, Dictionary, SendMode, internal } from '@ton/core';
+import {
+  loadConfigParamsAsSlice,
+  configParseGasLimitsPrices,
+  configParseMsgPrices,
+  computeFwdFees,
+  computeGasPrices,
+  computeStorageFees,
+} from '@ton/ton';
+import { JettonWallet } from '../wrappers/JettonWallet.js';
+import { getJettonByMaster } from '../utils/jettonRegistry.js';
+
+// Added on top of every estimate; unused value of a jetton transfer comes back as excess, so this costs nothing
+const GAS_SAFETY_MARGIN_PERCENT = BigInt(parseInt(process.env.GAS_SAFETY_MARGIN_PERCENT) || 20);
+// How long the blockchain config (gas, forward and storage prices) is reused before it is read again
+const CHAIN_CONFIG_CACHE_MS = parseInt(process.env.CHAIN_CONFIG_CACHE_MS) || 10 * 60 * 1000;
+
+// The config contract, the same on mainnet and testnet
+const CONFIG_ADDRESS = Address.parse('-1:5555555555555555555555555555555555555555555555555555555555555555');
+
+// What a jetton wallet spends, as checked by the jetton wallet contract, comes from the jetton's registry entry (walletGas).
+// These are measured constants of the contract, not an emulation of the transfer: the TON they cost is computed from the live config.
+// Jettons whose wallet was not measured use this upper bound, about three times the stablecoin wallet's (excess comes back)
+const UNMEASURED_JETTON_WALLET_GAS = {
+  sendTransferGas: 30000,
+  receiveTransferGas: 30000,
+  bits: 3000,
+  cells: 10,
+  initStateBits: 3000,
+  initStateCells: 10,
+};
+// The receiving wallet must be able to pay its storage for this long
+const JETTON_WALLET_MIN_STORAGE_SECONDS = 5 * 365 * 24 * 3600;
+
+// Placeholder key for estimates; the RPC is asked to skip the signature check
+const ESTIMATE_SECRET_KEY = Buffer.alloc(64);
+
+let chainConfigCache = null;
+
+// storage_prices#cc utime_since:uint32 bit_price_ps:uint64 cell_price_ps:uint64 mc_bit_price_ps:uint64 mc_cell_price_ps:uint64
+const StoragePricesValue = {
+  serialize: () => {
+    throw new Error('Storage prices are read-only');
+  },
+  parse: (slice) => {
+    slice.skip(8);
+    return {
+      utime_since: slice.loadUint(32),
+      bit_price_ps: slice.loadUintBig(64),
+      cell_price_ps: slice.loadUintBig(64),
+      mc_bit_price_ps: slice.loadUintBig(64),
+      mc_cell_price_ps: slice.loadUintBig(64),
+    };
+  },
+};
+
+// The wallet costs of a jetton, by master address
+function getJettonWalletGas(jettonMasterAddress) {
+  const jetton = getJettonByMaster(jettonMasterAddress);
+  if (jetton?.walletGas) {
+    return jetton.walletGas;
+  }
+  console.warn(`[GAS] ⚠️  No measured wallet gas for jetton ${jetton?.symbol || jettonMasterAddress}, using the conservative estimate`);
+  return UNMEASURED_JETTON_WALLET_GAS;
+}
+
+function withSafetyMargin(amount) {
+  return amount + (amount * GAS_SAFETY_MARGIN_PERCENT + BigInt(99)) / BigInt(100);
+}
+
+// Bits and cells of a cell tree, as counted for forward fees
+function cellStats(cell) {
+  let bits = BigInt(cell.bits.length);
+  let cells = BigInt(1);
+  for (const ref of cell.refs) {
+    const stats = cellStats(ref);
+    bits += stats.bits;
+    cells += stats.cells;
+  }
+  return { bits, cells };
+}
+
+/**
+ * Basechain gas, forward and storage prices from the blockchain config (cached)
+ * @param {TonClient} tonClient - TON client instance
+ * @returns {Promise<{gasPrices: object, msgPrices: object, storagePrices: object}>} storagePrices are the ones currently in force
+ */
+async function getChainConfig(tonClient) {
+  if (chainConfigCache && Date.now() - chainConfigCache.loadedAt < CHAIN_CONFIG_CACHE_MS) {
+    return chainConfigCache.config;
+  }
+  const state = await tonClient.getContractState(CONFIG_ADDRESS);
+  if (!state.data) {
+    throw new Error('Could not read the blockchain config');
+  }
+  // The config contract keeps the config dictionary in the first reference of its data
+  const configCell = Cell.fromBoc(state.data)[0].beginParse().loadRef();
+  const params = loadConfigParamsAsSlice(configCell.toBoc().toString('base64'));
+
+  const gasLimitsPrices = configParseGasLimitsPrices(params.get(21));
+  const config = {
+    gasPrices: {
+      flatLimit: gasLimitsPrices.flatLimit,
+      flatPrice: gasLimitsPrices.flatGasPrice,
+      price: gasLimitsPrices.other.gasPrice,
+    },
+    msgPrices: configParseMsgPrices(params.get(25)),
+    storagePrices: params.get(18).loadDictDirect(Dictionary.Keys.Uint(32), StoragePricesValue).values()
+      .reduce((latest, prices) => (prices.utime_since > latest.utime_since ? prices : latest)),
+  };
+  chainConfigCache = { config, loadedAt: Date.now() };
+  console.log(`[GAS] Blockchain config loaded (gas price ${config.gasPrices.price.toString()}, lump price ${config.msgPrices.lumpPrice.toString()})`);
+  return config;
+}
+
+/**
+ * TON to attach to a jetton transfer: the forward amount, forwarding the transfer (and the notification),
+ * both jetton wallets' gas, deploying the receiving wallet and its minimum storage - the same check
+ * the jetton wallet makes before accepting the transfer - plus the safety margin
+ * @param {TonClient} tonClient - TON client instance
+ * @param {string} jettonMasterAddress - The jetton's master, whose registry entry gives its wallet's costs
+ * @param {Cell} body - The jetton transfer body (JettonWallet.createTransferBody)
+ * @param {bigint} forwardTonAmount - TON forwarded to the recipient with the transfer notification
+ * @returns {Promise<bigint>} nanoTON
+ */
+export async function estimateJettonTransferValue(tonClient, jettonMasterAddress, body, forwardTonAmount = BigInt(1)) {
+  const walletGas = getJettonWalletGas(jettonMasterAddress);
+  const { gasPrices, msgPrices, storagePrices } = await getChainConfig(tonClient);
+  const { bits, cells } = cellStats(body);
+  const fwdFee = computeFwdFees(msgPrices, cells, bits);
+  const fwdCount = forwardTonAmount > BigInt(0) ? BigInt(2) : BigInt(1);
+  const initStateFee = computeFwdFees(msgPrices, BigInt(walletGas.initStateCells), BigInt(walletGas.initStateBits)) - msgPrices.lumpPrice;
+  const storageFee = computeStorageFees({
+    now: JETTON_WALLET_MIN_STORAGE_SECONDS,
+    lastPaid: 0,
+    storagePrices: [{ ...storagePrices, utime_since: 0 }],
+    storageStat: { bits: walletGas.bits, cells: walletGas.cells, publicCells: 0 },
+    special: false,
+    masterchain: false,
+  });
+  const required = forwardTonAmount
+    + fwdCount * fwdFee
+    + initStateFee
+    + computeGasPrices(BigInt(walletGas.sendTransferGas), gasPrices)
+    + computeGasPrices(BigInt(walletGas.receiveTransferGas), gasPrices)
+    + storageFee;
+  return withSafetyMargin(required);
+}
+
+/**
+ * Fees a wallet pays to send a transfer (import, gas, storage and forwarding of its messages),
+ * estimated by the RPC's estimate-fee method, plus the safety margin. Includes deploying the wallet if it is not yet active
+ * @param {TonClient} tonClient - TON client instance
+ * @param {WalletContractV5R1} wallet - The sending wallet
+ * @param {MessageRelaxed[]} messages - The transfer's messages
+ * @param {number} sendMode - Send mode (defaults to the one payouts use)
+ * @returns {Promise<bigint>} nanoTON
+ */
+export async function estimateWalletTransferFee(tonClient, wallet, messages, sendMode = SendMode.PAY_GAS_SEPARATELY + SendMode.IGNORE_ERRORS) {
+  const deployed = await tonClient.isContractDeployed(wallet.address);
+  const seqno = deployed ? await tonClient.open(wallet).getSeqno() : 0;
+  const body = wallet.createTransfer({
+    seqno,
+    secretKey: ESTIMATE_SECRET_KEY,
+    timeout: Math.floor(Date.now() / 1000) + 60,
+    sendMode,
+    messages,
+  });
+  const { source_fees: fees } = await tonClient.estimateExternalMessageFee(wallet.address, {
+    body,
+    initCode: deployed ? null : wallet.init.code,
+    initData: deployed ? null : wallet.init.data,
+    ignoreSignature: true,
+  });
+  const total = BigInt(fees.in_fwd_fee) + BigInt(fees.storage_fee) + BigInt(fees.gas_fee) + BigInt(fees.fwd_fee);
+  return withSafetyMargin(total);
+}
+
+/**
+ * What a jetton transfer from a wallet costs in TON: the value attached to it and the wallet's own fees
+ * @param {TonClient} tonClient - TON client instance
+ * @param {object} params
+ * @param {WalletContractV5R1} params.wallet - The wallet owning the jetton wallet
+ * @param {Address} params.jettonWalletAddress - The sending jetton wallet
+ * @param {string} params.jettonMasterAddress - The jetton's master
+ * @param {object} params.transfer - Transfer options as given to JettonWallet.sendTransfer (without value)
+ * @returns {Promise<{value: bigint, walletFee: bigint, total: bigint}>} nanoTON; value is what to attach to the transfer
+ */
+export async function estimateJettonTransferCost(tonClient, { wallet, jettonWalletAddress, jettonMasterAddress, transfer }) {
+  const body = JettonWallet.createTransferBody(wallet.address, transfer);
+  const value = await estimateJettonTransferValue(tonClient, jettonMasterAddress, body, transfer.fwdAmount);
+  const walletFee = await estimateWalletTransferFee(tonClient, wallet, [internal({
+    to: jettonWalletAddress,
+    value,
+    body,
+  })]);
+  return { value, walletFee, total: value + walletFee };
+}
+
+/**
+ * What a plain TON transfer from a wallet costs in fees (on top of the amount sent)
+ * @param {TonClient} tonClient - TON client instance
+ * @param {WalletContractV5R1} wallet - The sending wallet
+ * @param {{to: Address, value: bigint, body: Cell|string, bounce: boolean}} message - The transfer
+ * @returns {Promise<bigint>} nanoTON
+ */
+export async function estimateTonTransferFee(tonClient, wallet, message) {
+  return await estimateWalletTransferFee(tonClient, wallet, [internal(message)]);
+}
+
+/**
+ * What jetton transfers relayed to a w5 wallet cost the relay wallet (see sendWalletTransfer): the TON attached to each transfer,
+ * the paying wallet's fees for its signed request (estimated as if it were sent as an external message), and the relay wallet's own fees
+ * @param {TonClient} tonClient - TON client instance
+ * @param {object} params
+ * @param {WalletContractV5R1} params.wallet - The paying wallet, owner of the jetton wallet
+ * @param {WalletContractV5R1} params.relayWallet - The wallet relaying the request
+ * @param {Address} params.jettonWalletAddress - The paying jetton wallet
+ * @param {string} params.jettonMasterAddress - The jetton's master
+ * @param {{body: Cell, fwdAmount: bigint}[]} params.transfers - The jetton transfers (JettonWallet.createTransferBody) sent in one request
+ * @returns {Promise<{values: bigint[], relayValue: bigint, total: bigint}>} nanoTON; values are attached to the transfers, relayValue to the relayed request
+ */
+export async function estimateRelayedJettonTransferCost(tonClient, { wallet, relayWallet, jettonWalletAddress, jettonMasterAddress, transfers }) {
+  const values = [];
+  for (const transfer of transfers) {
+    values.push(await estimateJettonTransferValue(tonClient, jettonMasterAddress, transfer.body, transfer.fwdAmount));
+  }
+  const messages = transfers.map((transfer, i) => internal({ to: jettonWalletAddress, value: values[i], body: transfer.body }));
+  const walletFee = await estimateWalletTransferFee(tonClient, wallet, messages);
+  const relayValue = values.reduce((sum, value) => sum + value, walletFee);
+
+  // Only the size of the signed request matters for the relay's fees
+  const request = wallet.createTransfer({
+    seqno: 0,
+    secretKey: ESTIMATE_SECRET_KEY,
+    timeout: Math.floor(Date.now() / 1000) + 60,
+    sendMode: SendMode.PAY_GAS_SEPARATELY + SendMode.IGNORE_ERRORS,
+    messages,
+    authType: 'internal',
+  });
+  const relayFee = await estimateWalletTransferFee(tonClient, relayWallet, [internal({
+    to: wallet.address,
+    value: relayValue,
+    init: wallet.init,
+    body: request,
+    bounce: false,
+  })]);
+  return { values, relayValue, total: relayValue + relayFee };
+}
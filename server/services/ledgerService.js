@@ -0,0 +1,539 @@
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  query,
+  where,
+  orderBy,
+  runTransaction,
+  serverTimestamp,
+} from 'firebase/firestore';
+import { randomBytes } from 'crypto';
+import { db } from '../firebase/client.js';
+import { getOrderCurrency, PAYMENT_CURRENCIES } from './orderService.js';
+import { httpError } from '../utils/httpError.js';
+
+// Double-entry treasury ledger. Every movement of platform funds is posted as an entry of lines
+// ({ account, currency, amount }) whose amounts sum to zero per currency. Amounts are signed strings
+// in the currency's units (jetton units, or nanoTON): positive is a debit, negative a credit.
+// Entries are never changed once posted; a mistake is undone with a reversing entry
+
+// Account kinds and their type. An account id is the kind, with the order or seller it belongs to for per-order and per-seller accounts
+export const LEDGER_ACCOUNTS = {
+  // Funds in an order's escrow wallet (escrow:<orderId>)
+  ESCROW: 'escrow',
+  // Funds in the server (hot) wallet
+  HOT_WALLET: 'hot_wallet',
+  // Funds in the highload wallet batched payouts are sent from
+  HIGHLOAD_WALLET: 'highload_wallet',
+  // A buyer's deposit, held for the order until it settles and then refunded or paid on (buyer_funds:<orderId>)
+  BUYER_FUNDS: 'buyer_funds',
+  // What a seller has been awarded and not been paid yet (seller_payable:<sellerId>)
+  SELLER_PAYABLE: 'seller_payable',
+  // Fees earned, including overpayments and dust left in escrow wallets
+  PLATFORM_FEES: 'platform_fees',
+  // Network fees paid, less the gas fees escrows paid back
+  GAS_EXPENSE: 'gas_expense',
+  // Funds the operator put into (or took out of) the hot wallet
+  OWNER_EQUITY: 'owner_equity',
+};
+
+const ACCOUNT_TYPES = {
+  [LEDGER_ACCOUNTS.ESCROW]: 'asset',
+  [LEDGER_ACCOUNTS.HOT_WALLET]: 'asset',
+  [LEDGER_ACCOUNTS.HIGHLOAD_WALLET]: 'asset',
+  [LEDGER_ACCOUNTS.BUYER_FUNDS]: 'liability',
+  [LEDGER_ACCOUNTS.SELLER_PAYABLE]: 'liability',
+  [LEDGER_ACCOUNTS.PLATFORM_FEES]: 'revenue',
+  [LEDGER_ACCOUNTS.GAS_EXPENSE]: 'expense',
+  [LEDGER_ACCOUNTS.OWNER_EQUITY]: 'equity',
+};
+
+// Assets and expenses grow with debits; the others with credits
+const DEBIT_NORMAL_TYPES = ['asset', 'expense'];
+
+function entryRef(entryId) {
+  return doc(db, 'ledger_entries', entryId);
+}
+
+/**
+ * Id of a ledger account
+ * @param {string} kind - One of LEDGER_ACCOUNTS
+ * @param {string|null} key - The order (escrow, buyer_funds) or seller (seller_payable) the account belongs to
+ * @returns {string}
+ */
+export function ledgerAccount(kind, key = null) {
+  return key ? `${kind}:${key}` : kind;
+}
+
+/**
+ * Type of a ledger account: asset, liability, revenue, expense or equity
+ * @param {string} account - Account id
+ * @returns {string}
+ */
+export function getAccountType(account) {
+  const type = ACCOUNT_TYPES[account.split(':')[0]];
+  if (!type) {
+    throw httpError(`Unknown ledger account: ${account}`, 400);
+  }
+  return type;
+}
+
+/**
+ * Post a balanced entry once. Posting an entry id that already exists does nothing, so callers can retry freely
+ * @param {string} entryId - Deterministic id of the entry (e.g. derived from the order and payout)
+ * @param {object} entry
+ * @param {string} entry.type - 'deposit', 'settlement', 'payout', 'sweep', 'top_up' or 'reversal'
+ * @param {string|null} entry.orderId - The order the entry belongs to, if any
+ * @param {string} entry.memo - Human-readable description
+ * @param {Array<{account: string, currency: string, amount: bigint|string}>} entry.lines - Signed amounts (debit positive); zero lines are dropped
+ * @param {object} entry.metadata - Additional metadata (optional)
+ * @returns {Promise<{posted: boolean, entry: object}>} posted is false when the entry already existed
+ */
+export async function postEntry(entryId, { type, orderId = null, memo, lines, metadata = {} }) {
+  const postedLines = lines
+    .map((line) => ({ account: line.account, currency: line.currency, amount: BigInt(line.amount) }))
+    .filter((line) => line.amount !== BigInt(0));
+  if (postedLines.length === 0) {
+    throw httpError(`Ledger entry ${entryId} has no lines`, 400);
+  }
+  const sums = new Map();
+  for (const line of postedLines) {
+    getAccountType(line.account);
+    if (!line.currency) {
+      throw httpError(`Ledger entry ${entryId} has a line without a currency`, 400);
+    }
+    sums.set(line.currency, (sums.get(line.currency) || BigInt(0)) + line.amount);
+  }
+  for (const [currency, sum] of sums) {
+    if (sum !== BigInt(0)) {
+      throw httpError(`Ledger entry ${entryId} does not balance in ${currency} (off by ${sum.toString()})`, 400);
+    }
+  }
+
+  const ref = entryRef(entryId);
+  return await runTransaction(db, async (transaction) => {
+    const snap = await transaction.get(ref);
+    if (snap.exists()) {
+      return { posted: false, entry: { id: snap.id, ...snap.data() } };
+    }
+    const entry = {
+      type,
+      orderId,
+      memo,
+      lines: postedLines.map((line) => ({ ...line, amount: line.amount.toString() })),
+      // For querying entries by account and currency
+      accounts: [...new Set(postedLines.map((line) => line.account))],
+      currencies: [...sums.keys()],
+      metadata,
+      postedAt: serverTimestamp(),
+      postedAtTimestamp: Date.now(),
+    };
+    transaction.set(ref, entry);
+    return { posted: true, entry: { id: ref.id, ...entry } };
+  });
+}
+
+/**
+ * Undo a posted entry with one that has the opposite amounts
+ * @param {string} entryId - The entry to reverse
+ * @param {string} memo - Why it is reversed
+ * @returns {Promise<{posted: boolean, entry: object}|null>} null if there was no such entry
+ */
+export async function reverseEntry(entryId, memo) {
+  const snap = await getDoc(entryRef(entryId));
+  if (!snap.exists()) {
+    return null;
+  }
+  const original = snap.data();
+  return await postEntry(`${entryId}_reversal`, {
+    type: 'reversal',
+    orderId: original.orderId,
+    memo,
+    lines: original.lines.map((line) => ({ ...line, amount: -BigInt(line.amount) })),
+    metadata: { reversedEntryId: entryId },
+  });
+}
+
+/**
+ * Fetch the entries of an order, oldest first
+ * @param {string} orderId - The order ID
+ * @returns {Promise<Array>}
+ */
+export async function fetchOrderEntries(orderId) {
+  const snapshot = await getDocs(query(collection(db, 'ledger_entries'), where('orderId', '==', orderId)));
+  return snapshot.docs
+    .map((docSnap) => ({ id: docSnap.id, ...docSnap.data() }))
+    .sort((a, b) => a.postedAtTimestamp - b.postedAtTimestamp);
+}
+
+/**
+ * Sum the lines of entries per account and currency, as signed amounts (debit positive)
+ * @param {Array} entries - Ledger entries
+ * @returns {Map<string, Map<string, bigint>>} account -> currency -> amount
+ */
+function sumLines(entries) {
+  const totals = new Map();
+  for (const entry of entries) {
+    for (const line of entry.lines) {
+      const byCurrency = totals.get(line.account) || new Map();
+      byCurrency.set(line.currency, (byCurrency.get(line.currency) || BigInt(0)) + BigInt(line.amount));
+      totals.set(line.account, byCurrency);
+    }
+  }
+  return totals;
+}
+
+/**
+ * Turn signed sums into balances on the account's normal side (e.g. what is owed, for liabilities)
+ * @param {string} account - Account id
+ * @param {Map<string, bigint>} byCurrency - Signed sums per currency
+ * @returns {Object<string, string>} currency -> balance
+ */
+function normalBalances(account, byCurrency) {
+  const sign = DEBIT_NORMAL_TYPES.includes(getAccountType(account)) ? BigInt(1) : BigInt(-1);
+  return Object.fromEntries([...byCurrency].map(([currency, amount]) => [currency, (amount * sign).toString()]));
+}
+
+/**
+ * Signed balance (debit positive) of one account in one currency, from an order's entries
+ * @param {Array} entries - The order's entries
+ * @param {string} account - Account id
+ * @param {string} currency - Currency
+ * @returns {bigint}
+ */
+function signedBalance(entries, account, currency) {
+  return sumLines(entries).get(account)?.get(currency) || BigInt(0);
+}
+
+// A period bound given as ms or as a date string (e.g. from a query string)
+function toTime(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  return /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+}
+
+/**
+ * Check and default a balance query's period
+ * @param {{from: number|string|null, to: number|string|null}} period - Time in ms or a date string; from inclusive, to exclusive
+ * @returns {{from: number, to: number}}
+ */
+function resolvePeriod({ from = null, to = null } = {}) {
+  const period = { from: toTime(from) ?? 0, to: toTime(to) ?? Date.now() + 1 };
+  if (!Number.isFinite(period.from) || !Number.isFinite(period.to) || period.from > period.to) {
+    throw httpError('Invalid period: from and to must be timestamps with from before to', 400);
+  }
+  return period;
+}
+
+/**
+ * Balance of one account: its movement within a period, or its balance as of a time when only to is given
+ * @param {string} account - Account id (e.g. 'platform_fees' or 'seller_payable:<sellerId>')
+ * @param {{from: number|string|null, to: number|string|null}} period - Time in ms or a date string; from inclusive, to exclusive
+ * @returns {Promise<{account: string, type: string, from: number, to: number, balances: Object<string, string>, entries: Array}>}
+ *   balances are per currency, on the account's normal side
+ */
+export async function getAccountBalance(account, period = {}) {
+  const type = getAccountType(account);
+  const { from, to } = resolvePeriod(period);
+  const snapshot = await getDocs(query(collection(db, 'ledger_entries'), where('accounts', 'array-contains', account)));
+  const entries = snapshot.docs
+    .map((docSnap) => ({ id: docSnap.id, ...docSnap.data() }))
+    .filter((entry) => entry.postedAtTimestamp >= from && entry.postedAtTimestamp < to)
+    .sort((a, b) => a.postedAtTimestamp - b.postedAtTimestamp);
+  const byCurrency = sumLines(entries).get(account) || new Map();
+  return { account, type, from, to, balances: normalBalances(account, byCurrency), entries };
+}
+
+/**
+ * Balances of every account for a period, with totals per account kind (e.g. everything owed to sellers)
+ * and a trial balance check per currency
+ * @param {{from: number|string|null, to: number|string|null}} period - Time in ms or a date string; from inclusive, to exclusive
+ * @returns {Promise<{from: number, to: number, entryCount: number, accounts: Array<{account: string, type: string, balances: Object<string, string>}>,
+ *   totals: Object<string, Object<string, string>>, balanced: boolean}>}
+ */
+export async function getLedgerBalances(period = {}) {
+  const { from, to } = resolvePeriod(period);
+  const snapshot = await getDocs(query(
+    collection(db, 'ledger_entries'),
+    where('postedAtTimestamp', '>=', from),
+    where('postedAtTimestamp', '<', to),
+    orderBy('postedAtTimestamp', 'asc')
+  ));
+  const entries = snapshot.docs.map((docSnap) => docSnap.data());
+  const sums = sumLines(entries);
+
+  const accounts = [];
+  const kindSums = new Map();
+  const trial = new Map();
+  for (const [account, byCurrency] of [...sums].sort(([a], [b]) => a.localeCompare(b))) {
+    accounts.push({ account, type: getAccountType(account), balances: normalBalances(account, byCurrency) });
+    const kind = account.split(':')[0];
+    const kindTotals = kindSums.get(kind) || new Map();
+    for (const [currency, amount] of byCurrency) {
+      kindTotals.set(currency, (kindTotals.get(currency) || BigInt(0)) + amount);
+      trial.set(currency, (trial.get(currency) || BigInt(0)) + amount);
+    }
+    kindSums.set(kind, kindTotals);
+  }
+
+  const totals = Object.fromEntries([...kindSums].map(([kind, byCurrency]) => [kind, normalBalances(kind, byCurrency)]));
+  const balanced = [...trial.values()].every((sum) => sum === BigInt(0));
+  if (!balanced) {
+    console.error(`[LEDGER] ❌ Trial balance does not add up to zero for ${from}-${to}`);
+  }
+  return { from, to, entryCount: entries.length, accounts, totals, balanced };
+}
+
+/**
+ * Post the buyer's verified deposit for an order: funds in the escrow wallet (or the server wallet for orders paid into it),
+ * held for the buyer until the order settles
+ * @param {object} order - A funded order (with depositedAmount)
+ * @returns {Promise<boolean>}
+ */
+export async function postDeposit(order) {
+  try {
+    const currency = getOrderCurrency(order);
+    const amount = BigInt(order.depositedAmount || order.totalAmount);
+    const asset = order.escrowWalletAddress
+      ? ledgerAccount(LEDGER_ACCOUNTS.ESCROW, order.orderId)
+      : LEDGER_ACCOUNTS.HOT_WALLET;
+    const { posted } = await postEntry(`${order.orderId}_deposit`, {
+      type: 'deposit',
+      orderId: order.orderId,
+      memo: `Order ${order.orderId} - Buyer deposit`,
+      lines: [
+        { account: asset, currency, amount },
+        { account: ledgerAccount(LEDGER_ACCOUNTS.BUYER_FUNDS, order.orderId), currency, amount: -amount },
+      ],
+      metadata: { buyerId: order.buyerId || null },
+    });
+    if (posted) {
+      console.log(`[LEDGER] ✅ Posted deposit of order ${order.orderId}: ${amount.toString()} ${currency} units`);
+    }
+    return true;
+  } catch (error) {
+    console.error(`[LEDGER] ❌ Error posting deposit of order ${order.orderId}:`, error);
+    return false;
+  }
+}
+
+/**
+ * Post how an order's deposit is settled: the seller's award becomes payable and the platform's share is earned.
+ * Refunded amounts stay with the buyer's funds until they are paid out. Posts the deposit first if it is missing
+ * @param {object} order - The order record
+ * @param {string} settlementId - Identifies this settlement (e.g. the payout plan), so a replaced plan can be reversed
+ * @param {{sellerAmount: bigint|string, feeAmount: bigint|string}} amounts - In the order's currency
+ * @returns {Promise<boolean>}
+ */
+export async function postSettlement(order, settlementId, { sellerAmount = BigInt(0), feeAmount = BigInt(0) }) {
+  try {
+    await postDeposit(order);
+    const currency = getOrderCurrency(order);
+    const seller = BigInt(sellerAmount);
+    const fee = BigInt(feeAmount);
+    if (seller + fee === BigInt(0)) {
+      return true;
+    }
+    const { posted } = await postEntry(`${order.orderId}_settlement_${settlementId}`, {
+      type: 'settlement',
+      orderId: order.orderId,
+      memo: `Order ${order.orderId} - Settlement`,
+      lines: [
+        { account: ledgerAccount(LEDGER_ACCOUNTS.BUYER_FUNDS, order.orderId), currency, amount: seller + fee },
+        { account: ledgerAccount(LEDGER_ACCOUNTS.SELLER_PAYABLE, order.sellerId), currency, amount: -seller },
+        { account: LEDGER_ACCOUNTS.PLATFORM_FEES, currency, amount: -fee },
+      ],
+      metadata: { sellerId: order.sellerId, settlementId },
+    });
+    if (posted) {
+      console.log(`[LEDGER] ✅ Posted settlement of order ${order.orderId}: seller ${seller.toString()}, fees ${fee.toString()} ${currency} units`);
+    }
+    return true;
+  } catch (error) {
+    console.error(`[LEDGER] ❌ Error posting settlement of order ${order.orderId}:`, error);
+    return false;
+  }
+}
+
+/**
+ * Reverse an order's settlement whose payout plan was replaced before any of its payouts went out
+ * @param {string} orderId - The order ID
+ * @param {string} settlementId - The replaced settlement
+ * @returns {Promise<boolean>}
+ */
+export async function reverseSettlement(orderId, settlementId) {
+  try {
+    await reverseEntry(`${orderId}_settlement_${settlementId}`, `Order ${orderId} - Settlement replaced`);
+    return true;
+  } catch (error) {
+    console.error(`[LEDGER] ❌ Error reversing settlement ${settlementId} of order ${orderId}:`, error);
+    return false;
+  }
+}
+
+// The server-side wallet a payout left from: the highload wallet for batched payouts, otherwise the hot wallet
+function payoutWalletAccount(payout) {
+  return payout.batchId ? LEDGER_ACCOUNTS.HIGHLOAD_WALLET : LEDGER_ACCOUNTS.HOT_WALLET;
+}
+
+/**
+ * Lines moving a confirmed payout out of its wallet, by payout type
+ * @param {object} payout - The payout record
+ * @param {string} currency - Currency of the payout
+ * @param {string|null} sellerId - The seller, for seller payouts
+ * @returns {Array<{account: string, currency: string, amount: bigint}>}
+ */
+function payoutLines(payout, currency, sellerId) {
+  const amount = BigInt(payout.amount);
+  const escrow = ledgerAccount(LEDGER_ACCOUNTS.ESCROW, payout.orderId);
+  const [debit, credit] = {
+    escrow_to_seller: [ledgerAccount(LEDGER_ACCOUNTS.SELLER_PAYABLE, sellerId), escrow],
+    escrow_to_buyer: [ledgerAccount(LEDGER_ACCOUNTS.BUYER_FUNDS, payout.orderId), escrow],
+    escrow_to_server: [LEDGER_ACCOUNTS.HOT_WALLET, escrow],
+    escrow_to_highload: [LEDGER_ACCOUNTS.HIGHLOAD_WALLET, escrow],
+    server_to_seller: [ledgerAccount(LEDGER_ACCOUNTS.SELLER_PAYABLE, sellerId), payoutWalletAccount(payout)],
+  }[payout.type] || [];
+  if (!debit) {
+    throw httpError(`No ledger posting for payout type ${payout.type}`, 500);
+  }
+  if (debit.startsWith(LEDGER_ACCOUNTS.SELLER_PAYABLE) && !sellerId) {
+    throw httpError(`Payout ${payout.id} has no seller`, 500);
+  }
+  return [
+    { account: debit, currency, amount },
+    { account: credit, currency, amount: -amount },
+  ];
+}
+
+/**
+ * Lines of a sweep: the escrow's remaining ledger balance moves to the hot wallet. What was swept beyond (or short of) it
+ * is gas (TON) or fees (jettons), and whatever is left of the buyer's funds is closed into fees
+ * @param {object} payout - The sweep payout record
+ * @param {string} currency - Currency swept
+ * @returns {Promise<Array<{account: string, currency: string, amount: bigint}>>}
+ */
+async function sweepLines(payout, currency) {
+  const entries = await fetchOrderEntries(payout.orderId);
+  const escrow = ledgerAccount(LEDGER_ACCOUNTS.ESCROW, payout.orderId);
+  const buyerFunds = ledgerAccount(LEDGER_ACCOUNTS.BUYER_FUNDS, payout.orderId);
+  const swept = BigInt(payout.amount);
+  const expected = signedBalance(entries, escrow, currency);
+  const difference = currency === PAYMENT_CURRENCIES.TON ? LEDGER_ACCOUNTS.GAS_EXPENSE : LEDGER_ACCOUNTS.PLATFORM_FEES;
+  const buyerFundsLeft = signedBalance(entries, buyerFunds, currency);
+  return [
+    { account: LEDGER_ACCOUNTS.HOT_WALLET, currency, amount: swept },
+    { account: escrow, currency, amount: -expected },
+    { account: difference, currency, amount: expected - swept },
+    { account: buyerFunds, currency, amount: -buyerFundsLeft },
+    { account: LEDGER_ACCOUNTS.PLATFORM_FEES, currency, amount: buyerFundsLeft },
+  ];
+}
+
+/**
+ * Post a confirmed payout: the amount leaving its wallet, the gas fee an escrow paid back in the jetton,
+ * and the estimated network fee - paid by the server wallet for relayed payouts and its own,
+ * or by a TON escrow out of the buyer's deposit
+ * @param {object} payout - The confirmed payout record
+ * @param {object} metadata - The metadata stored with its transaction record (currency, sellerId, gasFee)
+ * @returns {Promise<boolean>}
+ */
+export async function postPayout(payout, metadata = {}) {
+  try {
+    const currency = metadata.currency || PAYMENT_CURRENCIES.USDT;
+    const isSweep = payout.type.startsWith('escrow_sweep_');
+    const lines = isSweep
+      ? await sweepLines(payout, currency)
+      : payoutLines(payout, currency, metadata.sellerId || null);
+
+    const escrow = ledgerAccount(LEDGER_ACCOUNTS.ESCROW, payout.orderId);
+    const buyerFunds = ledgerAccount(LEDGER_ACCOUNTS.BUYER_FUNDS, payout.orderId);
+    const gasFee = BigInt(metadata.gasFee || 0);
+    if (gasFee > BigInt(0)) {
+      lines.push(
+        { account: LEDGER_ACCOUNTS.HOT_WALLET, currency, amount: gasFee },
+        { account: escrow, currency, amount: -gasFee },
+        { account: buyerFunds, currency, amount: gasFee },
+        { account: LEDGER_ACCOUNTS.GAS_EXPENSE, currency, amount: -gasFee },
+      );
+    }
+
+    const networkFee = BigInt(payout.networkFee || 0);
+    const ton = PAYMENT_CURRENCIES.TON;
+    if (networkFee > BigInt(0)) {
+      if (!payout.relayWalletAddress && payout.type.startsWith('escrow_')) {
+        lines.push(
+          { account: LEDGER_ACCOUNTS.GAS_EXPENSE, currency: ton, amount: networkFee },
+          { account: escrow, currency: ton, amount: -networkFee },
+          { account: buyerFunds, currency: ton, amount: networkFee },
+          { account: LEDGER_ACCOUNTS.GAS_EXPENSE, currency: ton, amount: -networkFee },
+        );
+      } else {
+        lines.push(
+          { account: LEDGER_ACCOUNTS.GAS_EXPENSE, currency: ton, amount: networkFee },
+          { account: payoutWalletAccount(payout), currency: ton, amount: -networkFee },
+        );
+      }
+    }
+
+    const { posted } = await postEntry(`${payout.id}_payout`, {
+      type: isSweep ? 'sweep' : 'payout',
+      orderId: payout.orderId,
+      memo: `Order ${payout.orderId} - ${payout.type}`,
+      lines,
+      metadata: { payoutId: payout.id, payoutType: payout.type, networkFeeEstimated: networkFee > BigInt(0) },
+    });
+    if (posted) {
+      console.log(`[LEDGER] ✅ Posted ${payout.type} payout of order ${payout.orderId}: ${payout.amount} ${currency} units`);
+    }
+    return true;
+  } catch (error) {
+    console.error(`[LEDGER] ❌ Error posting payout ${payout.id}:`, error);
+    return false;
+  }
+}
+
+/**
+ * Post funds the operator sent to the hot wallet or the highload wallet (or, with a negative amount, took out of it).
+ * Moving funds from one to the other is a withdrawal from one and a top-up of the other
+ * @param {object} params
+ * @param {string} params.wallet - LEDGER_ACCOUNTS.HOT_WALLET (default) or LEDGER_ACCOUNTS.HIGHLOAD_WALLET
+ * @param {string} params.currency - TON or a jetton symbol
+ * @param {bigint|string} params.amount - Jetton units, or nanoTON
+ * @param {string|null} params.transactionHash - The on-chain transfer, which also makes posting it twice a no-op
+ * @param {string|null} params.note - Optional note
+ * @param {string} params.actor - Who posted it
+ * @returns {Promise<object>} The entry
+ */
+export async function postTopUp({ wallet = LEDGER_ACCOUNTS.HOT_WALLET, currency, amount, transactionHash = null, note = null, actor }) {
+  let value;
+  try {
+    value = BigInt(amount);
+  } catch {
+    throw httpError(`Invalid top-up amount: ${amount}`, 400);
+  }
+  if (!currency || value === BigInt(0)) {
+    throw httpError('A top-up needs a currency and a non-zero amount', 400);
+  }
+  if (wallet !== LEDGER_ACCOUNTS.HOT_WALLET && wallet !== LEDGER_ACCOUNTS.HIGHLOAD_WALLET) {
+    throw httpError(`Top-ups go to ${LEDGER_ACCOUNTS.HOT_WALLET} or ${LEDGER_ACCOUNTS.HIGHLOAD_WALLET}, not ${wallet}`, 400);
+  }
+  // The same transfer is a withdrawal from one wallet and a top-up of the other, so the wallet is part of the id
+  const entryId = `top_up_${wallet === LEDGER_ACCOUNTS.HOT_WALLET ? '' : `${wallet}_`}${transactionHash || randomBytes(8).toString('hex')}`;
+  const label = wallet === LEDGER_ACCOUNTS.HOT_WALLET ? 'Hot wallet' : 'Highload wallet';
+  const { posted, entry } = await postEntry(entryId, {
+    type: 'top_up',
+    memo: note || `${label} ${value > BigInt(0) ? 'top-up' : 'withdrawal'}`,
+    lines: [
+      { account: wallet, currency, amount: value },
+      { account: LEDGER_ACCOUNTS.OWNER_EQUITY, currency, amount: -value },
+    ],
+    metadata: { transactionHash, actor },
+  });
+  if (posted) {
+    console.log(`[LEDGER] ✅ Posted ${label.toLowerCase()} ${value > BigInt(0) ? 'top-up' : 'withdrawal'} of ${value.toString()} ${currency} units`);
+  }
+  return entry;
+}
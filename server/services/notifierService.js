@@ -0,0 +1,102 @@
+// Operational alerts (e.g. a low hot wallet balance)
+// Notifiers are pluggable: register one with registerNotifier and select them with ALERT_NOTIFIERS (comma-separated)
+
+// Which registered notifiers alerts are sent through
+const ALERT_NOTIFIERS = (process.env.ALERT_NOTIFIERS || 'log')
+  .split(',')
+  .map((name) => name.trim())
+  .filter(Boolean);
+// A notifier taking longer than this is given up on, so a slow webhook cannot hold up the caller
+const ALERT_NOTIFIER_TIMEOUT_MS = parseInt(process.env.ALERT_NOTIFIER_TIMEOUT_MS) || 10000;
+
+const ALERT_ICONS = { critical: '❌', warning: '⚠️', ok: '✅' };
+
+function formatAlert(alert) {
+  return `${ALERT_ICONS[alert.level] || '⚠️'} ${alert.title}\n${alert.message}`;
+}
+
+async function postJson(url, payload) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload),
+    signal: AbortSignal.timeout(ALERT_NOTIFIER_TIMEOUT_MS),
+  });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${await response.text().catch(() => '')}`);
+  }
+}
+
+// Notifiers: name -> async (alert) => void
+const notifiers = new Map([
+  ['log', async (alert) => {
+    const line = `[ALERT] ${formatAlert(alert).replace(/\n/g, ' | ')}`;
+    if (alert.level === 'ok') {
+      console.log(line);
+    } else {
+      console.warn(line);
+    }
+  }],
+  // POSTs the alert as JSON to ALERT_WEBHOOK_URL
+  ['webhook', async (alert) => {
+    const url = process.env.ALERT_WEBHOOK_URL;
+    if (!url) {
+      throw new Error('ALERT_WEBHOOK_URL is not set');
+    }
+    await postJson(url, alert);
+  }],
+  // Sends the alert as a message from the bot ALERT_TELEGRAM_BOT_TOKEN to the chat ALERT_TELEGRAM_CHAT_ID
+  ['telegram', async (alert) => {
+    const token = process.env.ALERT_TELEGRAM_BOT_TOKEN;
+    const chatId = process.env.ALERT_TELEGRAM_CHAT_ID;
+    if (!token || !chatId) {
+      throw new Error('ALERT_TELEGRAM_BOT_TOKEN and ALERT_TELEGRAM_CHAT_ID must be set');
+    }
+    await postJson(`https://api.telegram.org/bot${token}/sendMessage`, {
+      chat_id: chatId,
+      text: formatAlert(alert),
+      disable_web_page_preview: true,
+    });
+  }],
+]);
+
+/**
+ * Register a notifier
+ * @param {string} name - Name to select it by in ALERT_NOTIFIERS
+ * @param {(alert: {key: string, level: string, title: string, message: string, details: object, at: number}) => Promise<void>} notify - Delivers an alert
+ */
+export function registerNotifier(name, notify) {
+  notifiers.set(name, notify);
+}
+
+/**
+ * Send an alert through every configured notifier. A failing notifier is logged and does not stop the others
+ * @param {object} alert
+ * @param {string} alert.key - What the alert is about (e.g. 'hot-wallet'), so receivers can group alerts
+ * @param {'ok'|'warning'|'critical'} alert.level - Severity; 'ok' announces recovery
+ * @param {string} alert.title - One-line summary
+ * @param {string} alert.message - Details, as plain text
+ * @param {object} alert.details - Machine-readable details (sent to webhooks)
+ * @returns {Promise<{sent: string[], failed: string[]}>} Names of the notifiers that delivered and that failed
+ */
+export async function sendAlert(alert) {
+  const payload = { ...alert, at: Date.now() };
+  const sent = [];
+  const failed = [];
+  for (const name of ALERT_NOTIFIERS) {
+    const notify = notifiers.get(name);
+    if (!notify) {
+      console.error(`[ALERT] ❌ Unknown notifier: ${name}`);
+      failed.push(name);
+      continue;
+    }
+    try {
+      await notify(payload);
+      sent.push(name);
+    } catch (error) {
+      console.error(`[ALERT] ❌ Notifier ${name} failed to send "${alert.title}":`, error.message);
+      failed.push(name);
+    }
+  }
+  return { sent, failed };
+}
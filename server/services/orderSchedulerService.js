@@ -0,0 +1,120 @@
+import {
+  ORDER_STATES,
+  transitionOrder,
+  fetchOrdersByStatus,
+} from './orderService.js';
+import { releaseEscrowFunds, refundEscrowFunds } from './escrowService.js';
+
+// How often the scheduler checks order deadlines
+const SCHEDULER_INTERVAL_MS = parseInt(process.env.ORDER_SCHEDULER_INTERVAL_MS) || 60 * 1000;
+
+let schedulerTimer = null;
+let running = false;
+
+/**
+ * Release escrow for shipped orders whose buyer did not confirm or dispute before the deadline
+ * @param {TonClient} tonClient - TON client instance
+ * @param {number} now - Current time in ms
+ * @returns {Promise<number>} Number of orders released
+ */
+async function processAutoReleases(tonClient, now) {
+  const shippedOrders = await fetchOrdersByStatus(ORDER_STATES.SHIPPED);
+  // Orders left in delivered by a failed release are retried as well
+  const deliveredOrders = await fetchOrdersByStatus(ORDER_STATES.DELIVERED);
+
+  const due = [
+    ...shippedOrders.filter(order => order.autoReleaseAtTimestamp && order.autoReleaseAtTimestamp <= now),
+    ...deliveredOrders.filter(order => order.autoReleaseAtTimestamp && order.autoReleaseAtTimestamp <= now),
+  ];
+
+  let released = 0;
+  for (const order of due) {
+    try {
+      console.log(`[SCHEDULER] Auto-releasing order ${order.orderId} (deadline: ${new Date(order.autoReleaseAtTimestamp).toISOString()})`);
+      if (order.status === ORDER_STATES.SHIPPED) {
+        await transitionOrder(order.orderId, ORDER_STATES.DELIVERED, {
+          reason: 'Auto-release: buyer did not confirm or dispute before the deadline',
+        });
+      }
+      await releaseEscrowFunds(order.orderId, order.itemId, tonClient);
+      released++;
+    } catch (error) {
+      console.error(`[SCHEDULER] ❌ Auto-release failed for order ${order.orderId}:`, error.message);
+    }
+  }
+  return released;
+}
+
+/**
+ * Refund funded orders the seller did not ship before the deadline
+ * @param {TonClient} tonClient - TON client instance
+ * @param {number} now - Current time in ms
+ * @returns {Promise<number>} Number of orders refunded
+ */
+async function processAutoRefunds(tonClient, now) {
+  const fundedOrders = await fetchOrdersByStatus(ORDER_STATES.FUNDED);
+  const due = fundedOrders.filter(order => order.autoRefundAtTimestamp && order.autoRefundAtTimestamp <= now);
+
+  let refunded = 0;
+  for (const order of due) {
+    try {
+      console.log(`[SCHEDULER] Auto-refunding order ${order.orderId} (deadline: ${new Date(order.autoRefundAtTimestamp).toISOString()})`);
+      await refundEscrowFunds(order.orderId, 'Auto-refund: seller did not ship before the deadline', tonClient);
+      refunded++;
+    } catch (error) {
+      // The order stays funded, so the refund is retried on the next run
+      console.error(`[SCHEDULER] ❌ Auto-refund failed for order ${order.orderId}:`, error.message);
+    }
+  }
+  return refunded;
+}
+
+/**
+ * Run one pass over all order deadlines
+ * @param {() => Promise<TonClient>} getTonClient - Factory for a TON client
+ * @returns {Promise<void>}
+ */
+export async function runOrderDeadlines(getTonClient) {
+  if (running) {
+    console.log(`[SCHEDULER] Previous run still in progress, skipping`);
+    return;
+  }
+  running = true;
+  const startTime = Date.now();
+  try {
+    const tonClient = await getTonClient();
+    const released = await processAutoReleases(tonClient, startTime);
+    const refunded = await processAutoRefunds(tonClient, startTime);
+    if (released || refunded) {
+      console.log(`[SCHEDULER] ✅ Run complete (${Date.now() - startTime}ms): ${released} released, ${refunded} refunded`);
+    }
+  } catch (error) {
+    console.error(`[SCHEDULER] ❌ Error running order deadlines:`, error);
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Start checking order deadlines periodically
+ * @param {() => Promise<TonClient>} getTonClient - Factory for a TON client
+ */
+export function startOrderScheduler(getTonClient) {
+  if (schedulerTimer) {
+    return;
+  }
+  console.log(`[SCHEDULER] Order deadline scheduler started (every ${SCHEDULER_INTERVAL_MS}ms)`);
+  schedulerTimer = setInterval(() => runOrderDeadlines(getTonClient), SCHEDULER_INTERVAL_MS);
+  // Catch up on deadlines that passed while the server was down
+  runOrderDeadlines(getTonClient);
+}
+
+/**
+ * Stop the order deadline scheduler
+ */
+export function stopOrderScheduler() {
+  if (schedulerTimer) {
+    clearInterval(schedulerTimer);
+    schedulerTimer = null;
+  }
+}
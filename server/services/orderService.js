@@ -0,0 +1,457 @@
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  setDoc,
+  updateDoc,
+  query,
+  where,
+  runTransaction,
+  serverTimestamp,
+} from 'firebase/firestore';
+import { db } from '../firebase/client.js';
+import { fetchShopItemById } from './firestoreService.js';
+import { calculateJettonAmount, parsePrice, createInvoiceWalletForOrder } from '../utils/paymentHelpers.js';
+import { DEFAULT_JETTON_SYMBOL, getJetton } from '../utils/jettonRegistry.js';
+import { quoteListingFees } from './feeService.js';
+import { quoteTonAmount, isTonQuoteLocked } from './priceService.js';
+import { httpError } from '../utils/httpError.js';
+
+// Order lifecycle states
+export const ORDER_STATES = {
+  CREATED: 'created',
+  AWAITING_PAYMENT: 'awaiting_payment',
+  FUNDED: 'funded',
+  SHIPPED: 'shipped',
+  DELIVERED: 'delivered',
+  RELEASED: 'released',
+  CANCELLED: 'cancelled',
+  REFUNDED: 'refunded',
+  DISPUTED: 'disputed',
+  SETTLED: 'settled', // Dispute ruled as a split between buyer and seller
+};
+
+// Allowed transitions: state -> list of states it can move to
+// funded -> released is the direct payout path used by processPayment
+// (buyer pays the server wallet, server pays the seller right away)
+// disputed orders only leave the state through an arbiter ruling
+export const ORDER_TRANSITIONS = {
+  [ORDER_STATES.CREATED]: [ORDER_STATES.AWAITING_PAYMENT, ORDER_STATES.CANCELLED],
+  [ORDER_STATES.AWAITING_PAYMENT]: [ORDER_STATES.FUNDED, ORDER_STATES.CANCELLED],
+  [ORDER_STATES.FUNDED]: [ORDER_STATES.SHIPPED, ORDER_STATES.RELEASED, ORDER_STATES.REFUNDED, ORDER_STATES.DISPUTED],
+  [ORDER_STATES.SHIPPED]: [ORDER_STATES.DELIVERED, ORDER_STATES.REFUNDED, ORDER_STATES.DISPUTED],
+  [ORDER_STATES.DELIVERED]: [ORDER_STATES.RELEASED],
+  [ORDER_STATES.DISPUTED]: [ORDER_STATES.RELEASED, ORDER_STATES.REFUNDED, ORDER_STATES.SETTLED],
+  [ORDER_STATES.RELEASED]: [],
+  [ORDER_STATES.CANCELLED]: [],
+  [ORDER_STATES.REFUNDED]: [],
+  [ORDER_STATES.SETTLED]: [],
+};
+
+// Currencies a buyer can pay an order in. Besides these, any jetton in the registry can be used (by its symbol):
+// jetton orders are paid with a jetton transfer, TON orders with a plain transfer of the amount quoted
+// when the order was created
+export const PAYMENT_CURRENCIES = {
+  USDT: 'USDT',
+  TON: 'TON',
+};
+
+// What a listing accepts when the seller did not choose
+const DEFAULT_ACCEPTED_CURRENCIES = [DEFAULT_JETTON_SYMBOL, PAYMENT_CURRENCIES.TON];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days the buyer has to confirm receipt (or dispute) after shipping before escrow is released automatically
+export const AUTO_RELEASE_DAYS = parseFloat(process.env.AUTO_RELEASE_DAYS || '7');
+// Days the seller has to ship a funded order before the buyer is refunded automatically
+export const AUTO_REFUND_DAYS = parseFloat(process.env.AUTO_REFUND_DAYS || '14');
+
+// Deadlines stored on the order when it enters a state
+// Stored as timestamps on the order so they survive a server restart
+export function getDeadlineFields(toState, now) {
+  switch (toState) {
+    case ORDER_STATES.FUNDED:
+      return { autoRefundAtTimestamp: now + AUTO_REFUND_DAYS * DAY_MS, autoReleaseAtTimestamp: null };
+    case ORDER_STATES.SHIPPED:
+      return { autoRefundAtTimestamp: null, autoReleaseAtTimestamp: now + AUTO_RELEASE_DAYS * DAY_MS };
+    case ORDER_STATES.DELIVERED:
+      // Released right away; the deadline is already due so the scheduler retries a release that failed
+      return { autoRefundAtTimestamp: null, autoReleaseAtTimestamp: now };
+    default:
+      return { autoRefundAtTimestamp: null, autoReleaseAtTimestamp: null };
+  }
+}
+
+function generateOrderId() {
+  return `order-${Date.now()}-${Math.random().toString(36).slice(2, 11)}`;
+}
+
+/**
+ * Check whether an order can move from one state to another
+ * @param {string} fromState - Current order state
+ * @param {string} toState - Requested order state
+ * @returns {boolean}
+ */
+export function canTransition(fromState, toState) {
+  return (ORDER_TRANSITIONS[fromState] || []).includes(toState);
+}
+
+/**
+ * Throw if the order is not in one of the allowed states
+ * @param {object} order - The order record
+ * @param {string[]} allowedStates - States the caller may run from
+ * @param {string} action - Description of the action (for the error message)
+ */
+export function assertOrderState(order, allowedStates, action) {
+  if (!allowedStates.includes(order.status)) {
+    throw httpError(
+      `Cannot ${action} for order ${order.orderId}: status is '${order.status}', expected ${allowedStates.map(s => `'${s}'`).join(' or ')}`,
+      409
+    );
+  }
+}
+
+/**
+ * Check the currencies a seller chose for a listing: each must be TON or a jetton in the registry
+ * @param {string[]|undefined} currencies - Currencies from the listing form
+ * @returns {string[]} The currencies, deduplicated (the default set if none were chosen)
+ */
+export function normalizeAcceptedCurrencies(currencies) {
+  if (currencies === undefined || currencies === null) {
+    return DEFAULT_ACCEPTED_CURRENCIES;
+  }
+  if (!Array.isArray(currencies) || currencies.length === 0) {
+    throw httpError('A listing must accept at least one currency', 400);
+  }
+  for (const currency of currencies) {
+    if (currency !== PAYMENT_CURRENCIES.TON && !getJetton(currency)) {
+      throw httpError(`Unsupported payment currency: ${currency}`, 400);
+    }
+  }
+  return [...new Set(currencies)];
+}
+
+/**
+ * The currencies a listing can be paid in. Listings created before sellers could choose accept the default set,
+ * and currencies since removed from the registry are dropped
+ * @param {object} listing - The listing
+ * @returns {string[]}
+ */
+export function getListingAcceptedCurrencies(listing) {
+  const currencies = Array.isArray(listing.acceptedCurrencies) ? listing.acceptedCurrencies : DEFAULT_ACCEPTED_CURRENCIES;
+  return currencies.filter((currency) => currency === PAYMENT_CURRENCIES.TON || getJetton(currency));
+}
+
+/**
+ * Create an order for a listing. The order is priced on the server from the listing,
+ * gets its own w5 escrow wallet for the buyer to pay into, and is moved straight to awaiting_payment.
+ * @param {string} buyerId - The buyer's Telegram ID
+ * @param {string} itemId - The listing ID
+ * @param {object} options - Optional: { buyerWalletAddress, currency } - currency is TON or a jetton symbol
+ * from the registry (the default jetton if not given), and must be one the listing accepts
+ * @returns {Promise<object>} The created order
+ */
+export async function createOrder(buyerId, itemId, options = {}) {
+  const currency = options.currency || DEFAULT_JETTON_SYMBOL;
+  const jetton = currency === PAYMENT_CURRENCIES.TON ? null : getJetton(currency);
+  if (currency !== PAYMENT_CURRENCIES.TON && !jetton) {
+    throw httpError(`Unsupported payment currency: ${currency}`, 400);
+  }
+  if (!buyerId) {
+    throw httpError('buyerId is required', 400);
+  }
+  if (!itemId) {
+    throw httpError('itemId is required', 400);
+  }
+
+  const listing = await fetchShopItemById(itemId);
+  if (!listing) {
+    throw httpError(`Listing not found: ${itemId}`, 404);
+  }
+  if (listing.status && listing.status !== 'active') {
+    throw httpError(`Listing is not available: ${itemId}`, 409);
+  }
+
+  const sellerId = listing.sellerId?.toString();
+  if (!sellerId) {
+    throw httpError(`No seller ID found in listing: ${itemId}`, 400);
+  }
+  if (sellerId === buyerId.toString()) {
+    throw httpError('You cannot buy your own listing', 400);
+  }
+  if (!getListingAcceptedCurrencies(listing).includes(currency)) {
+    throw httpError(`This listing does not accept ${currency}`, 400);
+  }
+
+  // Price the order from the listing, never from the client
+  const price = parsePrice(listing.price || '0');
+  if (price <= 0) {
+    throw httpError(`Listing has no valid price: ${itemId}`, 400);
+  }
+  // The fee quote is stored on the order and is what its payouts are split by later
+  const feeQuote = await quoteListingFees(listing, Math.round(price * 100));
+  const priceCents = feeQuote.itemPriceCents;
+  const feeCents = feeQuote.buyerFeeCents + feeQuote.networkFeeCents;
+  const totalCents = feeQuote.totalCents;
+
+  // TON orders are quoted at the current rate, and the quote is locked for a time window
+  const tonQuote = currency === PAYMENT_CURRENCIES.TON ? await quoteTonAmount(totalCents) : null;
+
+  const orderId = generateOrderId();
+
+  // Fresh escrow wallet per order so each order's funds are isolated on-chain
+  const escrowWalletAddress = await createInvoiceWalletForOrder(orderId, buyerId.toString(), itemId);
+  console.log(`[ORDER] Escrow wallet for order ${orderId}: ${escrowWalletAddress.toString()}`);
+
+  const now = Date.now();
+  const order = {
+    orderId,
+    buyerId: buyerId.toString(),
+    sellerId,
+    itemId,
+    itemTitle: listing.title || '',
+    participants: [buyerId.toString(), sellerId],
+    sellerWalletAddress: listing.walletAddress || null,
+    buyerWalletAddress: options.buyerWalletAddress || null,
+    escrowWalletAddress: escrowWalletAddress.toString(),
+    priceCents,
+    feeCents,
+    totalCents,
+    paymentCurrency: currency,
+    // The jetton the order is paid in, as it was in the registry when the order was priced (null for TON)
+    jetton: jetton ? { symbol: jetton.symbol, masterAddress: jetton.masterAddress, decimals: jetton.decimals, usdPerToken: jetton.usdPerToken } : null,
+    // Jetton units (per the jetton's decimals), or nanoTON for TON orders
+    totalAmount: tonQuote ? tonQuote.amount : calculateJettonAmount(totalCents, jetton.decimals, jetton.usdPerToken).toString(),
+    feeQuote,
+    tonQuote,
+    status: ORDER_STATES.AWAITING_PAYMENT,
+    history: [
+      { from: null, to: ORDER_STATES.CREATED, actor: buyerId.toString(), reason: 'Order created', at: now },
+      { from: ORDER_STATES.CREATED, to: ORDER_STATES.AWAITING_PAYMENT, actor: 'system', reason: 'Order priced and escrow wallet assigned', at: now },
+    ],
+    createdAt: serverTimestamp(),
+    createdAtTimestamp: now,
+    updatedAtTimestamp: now,
+  };
+
+  await setDoc(doc(collection(db, 'orders'), orderId), order);
+  console.log(`[ORDER] ✅ Created order ${orderId} for item ${itemId} (buyer: ${order.buyerId}, seller: ${sellerId}, currency: ${currency})`);
+
+  return { ...order, createdAt: now };
+}
+
+/**
+ * Fetch an order by ID
+ * @param {string} orderId - The order ID
+ * @returns {Promise<object|null>}
+ */
+export async function getOrder(orderId) {
+  if (!orderId) {
+    throw httpError('orderId is required', 400);
+  }
+  const snap = await getDoc(doc(db, 'orders', orderId));
+  return snap.exists() ? { id: snap.id, ...snap.data() } : null;
+}
+
+/**
+ * Fetch an order, throwing a 404 error if it does not exist
+ * @param {string} orderId - The order ID
+ * @returns {Promise<object>}
+ */
+export async function requireOrder(orderId) {
+  const order = await getOrder(orderId);
+  if (!order) {
+    throw httpError(`Order not found: ${orderId}`, 404);
+  }
+  return order;
+}
+
+/**
+ * The currency an order is paid in (orders created before TON payments are USDT)
+ * @param {object} order - The order record
+ * @returns {string} TON or a jetton symbol
+ */
+export function getOrderCurrency(order) {
+  return order.paymentCurrency || PAYMENT_CURRENCIES.USDT;
+}
+
+/**
+ * The jetton an order is paid in. Orders created before the jetton registry are USDT
+ * @param {object} order - The order record
+ * @returns {{symbol: string, masterAddress: string, decimals: number, usdPerToken: number}|null} null for TON orders
+ */
+export function getOrderJetton(order) {
+  if (getOrderCurrency(order) === PAYMENT_CURRENCIES.TON) {
+    return null;
+  }
+  if (order.jetton) {
+    return order.jetton;
+  }
+  const usdt = getJetton(PAYMENT_CURRENCIES.USDT);
+  if (!usdt) {
+    throw httpError(`USDT is no longer in the jetton registry; order ${order.orderId} cannot be paid out`, 500);
+  }
+  return usdt;
+}
+
+/**
+ * Human-readable amount in an order's currency, for logs and errors
+ * @param {object} order - The order record
+ * @param {bigint} amount - Jetton units, or nanoTON for TON orders
+ * @returns {string}
+ */
+export function formatOrderAmount(order, amount) {
+  const jetton = getOrderJetton(order);
+  return jetton
+    ? `${amount.toString()} units (${Number(amount) / 10 ** jetton.decimals} ${jetton.symbol})`
+    : `${amount.toString()} nanoTON (${Number(amount) / 1e9} TON)`;
+}
+
+/**
+ * Whether an order's TON quote is still within its lock window at a given time
+ * @param {object} order - A TON order
+ * @param {number} at - Time in ms
+ * @returns {boolean}
+ */
+export function isTonQuoteValid(order, at = Date.now()) {
+  return isTonQuoteLocked(order.tonQuote, at);
+}
+
+/**
+ * Re-quote a TON order whose quote expired before it was paid. The new amount replaces the order total;
+ * a quote that is still valid is kept
+ * @param {object} order - The order record (awaiting_payment, paid in TON)
+ * @param {string} reason - Why the order is re-quoted (stored in the quote history)
+ * @returns {Promise<object>} The order with its current quote
+ */
+export async function requoteTonOrder(order, reason) {
+  if (getOrderCurrency(order) !== PAYMENT_CURRENCIES.TON) {
+    throw httpError(`Order ${order.orderId} is not paid in TON`, 400);
+  }
+  assertOrderState(order, [ORDER_STATES.AWAITING_PAYMENT], 're-quote');
+  if (isTonQuoteValid(order)) {
+    return order;
+  }
+
+  const tonQuote = await quoteTonAmount(order.totalCents);
+  const fields = {
+    tonQuote,
+    totalAmount: tonQuote.amount,
+    tonQuoteHistory: [...(order.tonQuoteHistory || []), { ...order.tonQuote, replacedAtTimestamp: tonQuote.quotedAtTimestamp, reason }],
+  };
+  await updateOrderFields(order.orderId, fields);
+  console.log(`[ORDER] Order ${order.orderId} re-quoted at ${tonQuote.usdPerTon} USD/TON: ${tonQuote.amount} nanoTON (${reason})`);
+  return { ...order, ...fields };
+}
+
+/**
+ * Build the fields an order gets when it moves to a new state: the status, its history entry and the new state's deadlines
+ * @param {object} order - The order record
+ * @param {string} toState - Target order state
+ * @param {object} options - { actor, reason, fields } as for transitionOrder
+ * @param {number} now - Time of the transition in ms
+ * @returns {object} The changes to store on the order
+ */
+export function getTransitionChanges(order, toState, { actor = 'system', reason = null, fields = {} } = {}, now = Date.now()) {
+  if (!canTransition(order.status, toState)) {
+    throw httpError(`Invalid order transition for ${order.orderId}: '${order.status}' -> '${toState}'`, 409);
+  }
+  return {
+    ...getDeadlineFields(toState, now),
+    ...fields,
+    status: toState,
+    history: [
+      ...(order.history || []),
+      { from: order.status, to: toState, actor, reason, at: now },
+    ],
+    updatedAtTimestamp: now,
+  };
+}
+
+/**
+ * Atomically move an order to a new state and record the transition in its history
+ * @param {string} orderId - The order ID
+ * @param {string} toState - Target state
+ * @param {object} options - Optional: { actor, reason, fields } where fields are extra values stored on the order
+ * Auto-release and auto-refund deadlines are set or cleared from the target state
+ * @returns {Promise<object>} The updated order
+ */
+export async function transitionOrder(orderId, toState, options = {}) {
+  const { actor = 'system' } = options;
+  const orderRef = doc(db, 'orders', orderId);
+
+  const updated = await runTransaction(db, async (transaction) => {
+    const snap = await transaction.get(orderRef);
+    if (!snap.exists()) {
+      throw httpError(`Order not found: ${orderId}`, 404);
+    }
+    const order = snap.data();
+    const changes = getTransitionChanges({ orderId, ...order }, toState, options, Date.now());
+    transaction.update(orderRef, changes);
+    return { id: snap.id, ...order, ...changes };
+  });
+
+  console.log(`[ORDER] ✅ Order ${orderId} moved to '${toState}' (actor: ${actor})`);
+  return updated;
+}
+
+/**
+ * Check whether a user takes part in an order
+ * @param {object} order - The order record
+ * @param {string} userId - The user's Telegram ID
+ * @returns {boolean}
+ */
+export function isOrderParticipant(order, userId) {
+  return !!userId && (order.participants || []).includes(userId.toString());
+}
+
+/**
+ * Update fields on an order without changing its status
+ * @param {string} orderId - The order ID
+ * @param {object} fields - Values to store on the order
+ * @returns {Promise<void>}
+ */
+export async function updateOrderFields(orderId, fields) {
+  await updateDoc(doc(db, 'orders', orderId), {
+    ...fields,
+    updatedAtTimestamp: Date.now(),
+  });
+}
+
+/**
+ * Atomically store an order's escrow payout plan. Concurrent payouts of the same kind share the first plan stored;
+ * a plan of another kind is only replaced if it is still the one the caller checked
+ * @param {string} orderId - The order ID
+ * @param {object|null} replacedPlan - The plan the caller saw on the order (null if none)
+ * @param {object} plan - The new plan ({ kind, ... })
+ * @returns {Promise<{plan: object, claimed: boolean}>} claimed is false when a plan of the same kind was already stored; that plan is returned
+ */
+export async function claimPayoutPlan(orderId, replacedPlan, plan) {
+  const orderRef = doc(db, 'orders', orderId);
+  return await runTransaction(db, async (transaction) => {
+    const snap = await transaction.get(orderRef);
+    if (!snap.exists()) {
+      throw httpError(`Order not found: ${orderId}`, 404);
+    }
+    const storedPlan = snap.data().payoutPlan || null;
+    if (storedPlan?.kind === plan.kind) {
+      return { plan: storedPlan, claimed: false };
+    }
+    if (storedPlan?.createdAtTimestamp !== replacedPlan?.createdAtTimestamp) {
+      throw httpError(`Order ${orderId}'s payout plan changed while a ${plan.kind} payout was being planned`, 409);
+    }
+    transaction.update(orderRef, { payoutPlan: plan, updatedAtTimestamp: Date.now() });
+    return { plan, claimed: true };
+  });
+}
+
+/**
+ * Fetch all orders in a given status
+ * @param {string} status - Order status
+ * @returns {Promise<Array>}
+ */
+export async function fetchOrdersByStatus(status) {
+  const snapshot = await getDocs(query(collection(db, 'orders'), where('status', '==', status)));
+  return snapshot.docs.map((docSnap) => ({ id: docSnap.id, ...docSnap.data() }));
+}
@@ -3,48 +3,85 @@ import { Address } from '@ton/core';
 import { JettonMaster } from '@ton/ton';
 import { JettonWallet } from '../wrappers/JettonWallet.js';
 import { restoreWalletFromMnemonic } from '../utils/walletUtils.js';
-import { USDT_MASTER_ADDRESS, JETTON_TRANSFER_GAS_FEES } from '../utils/paymentHelpers.js';
-import { storeTransaction } from './transactionService.js';
+import { getServerWalletAddress, getServerWalletMnemonic } from '../utils/networkConfig.js';
+import {
+  ORDER_STATES,
+  PAYMENT_CURRENCIES,
+  requireOrder,
+  assertOrderState,
+  transitionOrder,
+  getOrderCurrency,
+  getOrderJetton,
+} from './orderService.js';
+import { verifyOrderDeposit } from './depositWatcherService.js';
+import { fetchShopItemById } from './firestoreService.js';
+import { executePayout } from './payoutService.js';
+import { recordPayoutTransaction } from './transactionTrackerService.js';
+import { postSettlement } from './ledgerService.js';
+import { getOrderFeeQuote, getSellerPayoutAmount } from './feeService.js';
+import { estimateJettonTransferCost, estimateTonTransferFee } from './gasEstimatorService.js';
+import { isPayoutBatchingEnabled, queueSellerPayout } from './payoutBatchService.js';
+import { getVerifiedPayoutAddress } from './payoutWalletService.js';
 
 /**
- * Process payment: Send 95% of received USDT to seller, keep 5% as fee
+ * Process payment: Send the seller's payout from the order's fee quote, keep the fees
+ * The deposit is re-checked on-chain first, and the seller is paid at the listing's stored wallet
+ * The seller payout is sent at most once; calling again for a released order returns the stored result
  * @param {string} orderId - The order ID
- * @param {string} sellerAddress - The seller's wallet address
  * @param {TonClient} tonClient - TON client instance
- * @param {string|BigInt} amount - Optional: specific amount to process (in USDT units with 6 decimals). If not provided, processes entire balance.
- * @returns {Promise<{success: boolean, sellerAmount: string, serverAmount: string, totalAmount: string}>}
+ * Jetton orders are paid out in the order's jetton, TON orders in TON from the server wallet (amounts are then in nanoTON)
+ * With payout batching enabled the payout is queued instead, and the order is released once its batch is confirmed
+ * @returns {Promise<{success: boolean, sellerAmount: string, serverAmount: string, totalAmount: string, alreadyProcessed: boolean, queued?: boolean, payoutStatus?: string}>}
  */
-export async function processPayment(orderId, sellerAddress, tonClient, amount = null) {
+export async function processPayment(orderId, tonClient) {
   const startTime = Date.now();
   try {
     console.log(`[PAYMENT] ========== Processing Payment ==========`);
     console.log(`[PAYMENT] Order ID: ${orderId}`);
-    console.log(`[PAYMENT] Seller Address: ${sellerAddress}`);
     console.log(`[PAYMENT] Timestamp: ${new Date().toISOString()}`);
 
     // Validate inputs
     if (!orderId) {
       throw new Error('orderId is required');
     }
-    if (!sellerAddress) {
-      throw new Error('sellerAddress is required');
-    }
 
-    const sellerAddressParsed = Address.parse(sellerAddress);
+    // Only funded orders can be paid out, and only once
+    const order = await requireOrder(orderId);
+    if (order.status === ORDER_STATES.RELEASED && !order.escrowWalletAddress) {
+      console.log(`[PAYMENT] Order ${orderId} was already paid out, returning the stored result`);
+      return {
+        success: true,
+        sellerAmount: order.sellerAmount,
+        serverAmount: order.serverAmount,
+        totalAmount: order.totalAmount.toString(),
+        alreadyProcessed: true,
+      };
+    }
+    assertOrderState(order, [ORDER_STATES.FUNDED], 'process payment');
+    if (order.escrowWalletAddress) {
+      throw new Error(`Order ${orderId} is paid into escrow wallet ${order.escrowWalletAddress}; use escrow release instead of server wallet payout`);
+    }
+    console.log(`[PAYMENT] Order status: ${order.status}`);
 
-    // Get server wallet address and mnemonic from environment
-    const serverWalletAddressStr = process.env.SERVER_WALLET_ADDRESS;
-    const serverWalletMnemonicStr = process.env.SERVER_WALLET_MNEMONIC;
+    // The buyer's deposit must be on-chain, in the order's currency, into the server wallet, and cover the order total
+    console.log(`[PAYMENT] Verifying deposit on-chain...`);
+    const verifiedDeposit = await verifyOrderDeposit(order, tonClient);
 
-    if (!serverWalletAddressStr) {
-      throw new Error('SERVER_WALLET_ADDRESS not configured');
-    }
-    if (!serverWalletMnemonicStr) {
-      throw new Error('SERVER_WALLET_MNEMONIC not configured');
+    // Pay the seller at their verified payout wallet, never an address supplied by the caller or an unproven listing address
+    const listing = await fetchShopItemById(order.itemId);
+    if (!listing) {
+      throw new Error(`Listing not found: ${order.itemId}`);
     }
+    const sellerAddressParsed = await getVerifiedPayoutAddress(listing.sellerId);
+    console.log(`[PAYMENT] Seller Address (verified payout wallet): ${sellerAddressParsed.toString()}`);
 
-    const serverWalletAddress = Address.parse(serverWalletAddressStr);
+    // Get the configured network's server wallet address and mnemonic
+    const serverWalletAddress = getServerWalletAddress();
+    const serverWalletMnemonicStr = getServerWalletMnemonic();
     console.log(`[PAYMENT] Server wallet address: ${serverWalletAddress.toString()}`);
+    if (!verifiedDeposit.ownerAddress.equals(serverWalletAddress)) {
+      throw new Error(`Deposit for order ${orderId} was made to ${verifiedDeposit.ownerAddress.toString()}, not the server wallet`);
+    }
 
     // Restore server wallet from mnemonic
     console.log(`[PAYMENT] Restoring server wallet from mnemonic...`);
@@ -54,162 +91,194 @@ export async function processPayment(orderId, sellerAddress, tonClient, amount =
     // Verify restored wallet address matches configured address
     if (serverWallet.address.toString() !== serverWalletAddress.toString()) {
       console.warn(`[PAYMENT] ⚠️  WARNING: Restored wallet address (${serverWallet.address.toString()}) does not match SERVER_WALLET_ADDRESS (${serverWalletAddress.toString()})`);
-      console.warn(`[PAYMENT] ⚠️  Using restored wallet address for USDT jetton wallet calculation`);
+      console.warn(`[PAYMENT] ⚠️  Using restored wallet address for jetton wallet calculation`);
     }
 
-    // Get server's USDT jetton wallet address (use restored wallet address, not env variable)
-    console.log(`[PAYMENT] Getting server's USDT jetton wallet address...`);
-    const jettonMaster = tonClient.open(JettonMaster.create(USDT_MASTER_ADDRESS));
-    const serverUsdtAddress = await jettonMaster.getWalletAddress(serverWallet.address);
-    console.log(`[PAYMENT] Server USDT wallet: ${serverUsdtAddress.toString()}`);
-
-    // Open server's USDT jetton wallet (using tonClient.open() to auto-inject provider)
-    console.log(`[PAYMENT] Opening server's USDT jetton wallet...`);
-    const serverJettonWallet = tonClient.open(JettonWallet.createFromAddress(serverUsdtAddress));
-
-    // Determine amount to process
-    let amountToProcess;
-    if (amount !== null && amount !== undefined) {
-      // Use provided amount
-      amountToProcess = typeof amount === 'string' ? BigInt(amount) : amount;
-      console.log(`[PAYMENT] Processing specific amount: ${amountToProcess.toString()} units (${Number(amountToProcess) / 1000000} USDT)`);
-    } else {
-      // Process entire balance
-      console.log(`[PAYMENT] Checking server's USDT balance...`);
-      const provider = tonClient.provider(serverUsdtAddress);
-      const walletData = await serverJettonWallet.getWalletData(provider);
-      amountToProcess = walletData.balance;
-      console.log(`[PAYMENT] Server USDT balance: ${amountToProcess.toString()} units (${Number(amountToProcess) / 1000000} USDT)`);
+    // TON orders are paid out as plain transfers from the server wallet itself
+    // Jetton orders are paid out in the order's jetton
+    const currency = getOrderCurrency(order);
+    const jetton = getOrderJetton(order);
+    const isTon = !jetton;
+    const unit = isTon ? 'nanoTON' : 'units';
+    const toDisplay = (amount) => isTon ? `${Number(amount) / 1e9} TON` : `${Number(amount) / 10 ** jetton.decimals} ${jetton.symbol}`;
+
+    let serverJettonAddress = null;
+    let serverJettonWallet = null;
+    if (!isTon) {
+      // Get server's jetton wallet address (use restored wallet address, not env variable)
+      console.log(`[PAYMENT] Getting server's ${jetton.symbol} jetton wallet address...`);
+      const jettonMaster = tonClient.open(JettonMaster.create(Address.parse(jetton.masterAddress)));
+      serverJettonAddress = await jettonMaster.getWalletAddress(serverWallet.address);
+      console.log(`[PAYMENT] Server ${jetton.symbol} wallet: ${serverJettonAddress.toString()}`);
+
+      // Open server's jetton wallet (using tonClient.open() to auto-inject provider)
+      console.log(`[PAYMENT] Opening server's ${jetton.symbol} jetton wallet...`);
+      serverJettonWallet = tonClient.open(JettonWallet.createFromAddress(serverJettonAddress));
     }
 
+    // Process the order total - any overpayment stays in the server wallet
+    const amountToProcess = BigInt(order.totalAmount);
+    console.log(`[PAYMENT] Processing order total: ${amountToProcess.toString()} ${unit} (${toDisplay(amountToProcess)}), deposited: ${verifiedDeposit.amount.toString()} ${unit}`);
+
     if (amountToProcess === BigInt(0)) {
       throw new Error('Amount to process is zero');
     }
 
-    // Calculate split: 5% server, 95% seller
-    // Send 95% of the received USDT to seller, keep 5% as fee
-    console.log(`[PAYMENT] Calculating split (5% server, 95% seller)...`);
-    console.log(`[PAYMENT]   - Total received: ${amountToProcess.toString()} units (${Number(amountToProcess) / 1000000} USDT)`);
-    
-    const serverPercentage = 5;
-    const sellerPercentage = 95;
+    // Split by the order's fee quote: the seller gets their payout, the server keeps the fees
+    const feeQuote = getOrderFeeQuote(order);
+    console.log(`[PAYMENT] Calculating split from the order's fee quote...`);
+    console.log(`[PAYMENT]   - Total received: ${amountToProcess.toString()} ${unit} (${toDisplay(amountToProcess)})`);
+    console.log(`[PAYMENT]   - Item ${feeQuote.itemPriceCents}¢, buyer fee ${feeQuote.buyerFeeCents}¢, seller fee ${feeQuote.sellerFeeCents}¢, network fee ${feeQuote.networkFeeCents}¢`);
 
-    // Calculate 95% of the RECEIVED AMOUNT for seller
-    // Using integer math: sellerAmount = (total * 95) / 100
-    const sellerAmount = (amountToProcess * BigInt(sellerPercentage)) / BigInt(100);
-    
-    // Server keeps the remainder (5% of received amount)
-    const serverAmount = amountToProcess - sellerAmount;
-    
-    // Final amounts
-    const finalSellerAmount = sellerAmount;
-    const finalServerAmount = serverAmount;
+    const finalSellerAmount = getSellerPayoutAmount(order);
+    if (finalSellerAmount > amountToProcess) {
+      throw new Error(`Seller payout ${finalSellerAmount.toString()} exceeds the order total ${amountToProcess.toString()}`);
+    }
+    // Server keeps the remainder, so rounding never leaves the split short
+    const finalServerAmount = amountToProcess - finalSellerAmount;
 
     console.log(`[PAYMENT] Split calculated:`);
-    console.log(`[PAYMENT]   - Server fee (5%): ${finalServerAmount.toString()} units (${Number(finalServerAmount) / 1000000} USDT)`);
-    console.log(`[PAYMENT]   - Seller (95%): ${finalSellerAmount.toString()} units (${Number(finalSellerAmount) / 1000000} USDT)`);
+    console.log(`[PAYMENT]   - Server fee: ${finalServerAmount.toString()} ${unit} (${toDisplay(finalServerAmount)})`);
+    console.log(`[PAYMENT]   - Seller: ${finalSellerAmount.toString()} ${unit} (${toDisplay(finalSellerAmount)})`);
 
-    // Check server wallet TON balance for gas fees
+    const comment = `Order ${orderId} - Payment`;
+    const transactionMetadata = {
+      serverAmount: finalServerAmount.toString(),
+      totalAmount: amountToProcess.toString(),
+      sellerId: order.sellerId,
+      ...(currency !== PAYMENT_CURRENCIES.USDT ? { currency } : {}),
+    };
+    const release = {
+      reason: 'Seller paid from server wallet',
+      fields: {
+        sellerAmount: finalSellerAmount.toString(),
+        serverAmount: finalServerAmount.toString(),
+      },
+    };
+
+    // The seller's payout becomes payable; the platform keeps the rest of the deposit (fees and any overpayment)
+    const depositedAmount = BigInt(order.depositedAmount || order.totalAmount);
+    await postSettlement(order, 'payment', {
+      sellerAmount: finalSellerAmount,
+      feeAmount: depositedAmount - finalSellerAmount,
+    });
+
+    if (isPayoutBatchingEnabled()) {
+      // The payout batcher sends it from the highload wallet, then releases the order and records the transaction
+      const { queued, payout } = await queueSellerPayout({
+        orderId,
+        type: 'server_to_seller',
+        amount: finalSellerAmount,
+        toAddress: sellerAddressParsed,
+        currency,
+        jetton,
+        comment,
+        metadata: transactionMetadata,
+        orderTransition: { state: ORDER_STATES.RELEASED, reason: 'Seller paid from the payout batch', fields: release.fields },
+      });
+      console.log(`[PAYMENT] ✅ Seller payout ${queued ? 'queued for the next batch' : `already ${payout.status}`}`);
+      console.log(`[PAYMENT] ========== Payment Queued (${Date.now() - startTime}ms) ==========`);
+      return {
+        success: true,
+        sellerAmount: finalSellerAmount.toString(),
+        serverAmount: finalServerAmount.toString(),
+        totalAmount: amountToProcess.toString(),
+        alreadyProcessed: !queued,
+        queued: true,
+        payoutStatus: payout.status,
+      };
+    }
+
+    // Estimate the payout's gas: the wallet's fees, plus the TON attached to a jetton transfer
+    console.log(`[PAYMENT] Estimating gas for the payout...`);
+    let jettonTransferValue = null;
+    let gasFees;
+    if (isTon) {
+      gasFees = await estimateTonTransferFee(tonClient, serverWallet, {
+        to: sellerAddressParsed,
+        value: finalSellerAmount,
+        body: comment,
+        bounce: false,
+      });
+    } else {
+      const cost = await estimateJettonTransferCost(tonClient, {
+        wallet: serverWallet,
+        jettonWalletAddress: serverJettonAddress,
+        jettonMasterAddress: jetton.masterAddress,
+        transfer: { fwdAmount: BigInt(1), comment, jettonAmount: finalSellerAmount, toAddress: sellerAddressParsed },
+      });
+      jettonTransferValue = cost.value;
+      gasFees = cost.total;
+    }
+
+    // Check server wallet TON balance for gas fees (and, for TON orders, the payout itself)
+    const requiredBalance = isTon ? finalSellerAmount + gasFees : gasFees;
     console.log(`[PAYMENT] Checking server wallet TON balance for gas fees...`);
     const serverTonBalance = await tonClient.getBalance(serverWallet.address);
     console.log(`[PAYMENT] Server TON balance: ${serverTonBalance.toString()} nanoTON (${Number(serverTonBalance) / 1e9} TON)`);
     
-    if (serverTonBalance < JETTON_TRANSFER_GAS_FEES) {
-      const requiredTon = Number(JETTON_TRANSFER_GAS_FEES) / 1e9;
+    if (serverTonBalance < requiredBalance) {
+      const requiredTon = Number(requiredBalance) / 1e9;
       const availableTon = Number(serverTonBalance) / 1e9;
-      throw new Error(`Server wallet has insufficient TON balance for gas fees. Required: ${requiredTon} TON, Available: ${availableTon} TON. Please fund the server wallet with TON.`);
+      throw new Error(`Server wallet has insufficient TON balance${isTon ? ' for the payout and gas fees' : ' for gas fees'}. Required: ${requiredTon} TON, Available: ${availableTon} TON. Please fund the server wallet with TON.`);
     }
 
-    // Create sender for server wallet
-    console.log(`[PAYMENT] Creating sender for server wallet...`);
-    const serverProvider = tonClient.provider(serverWallet.address);
-    const serverSender = serverWallet.sender(serverProvider, keyPair.secretKey);
-    console.log(`[PAYMENT] Sender created for wallet: ${serverWallet.address.toString()}`);
-
-    // Send 95% to seller
-    console.log(`[PAYMENT] Sending ${finalSellerAmount.toString()} units (${Number(finalSellerAmount) / 1000000} USDT) to seller...`);
-    console.log(`[PAYMENT]   - From: Server USDT wallet (${serverUsdtAddress.toString()})`);
+    // Send the payout to the seller
+    console.log(`[PAYMENT] Sending ${finalSellerAmount.toString()} ${unit} (${toDisplay(finalSellerAmount)}) to seller...`);
+    console.log(`[PAYMENT]   - From: ${isTon ? `Server wallet (${serverWallet.address.toString()})` : `Server ${jetton.symbol} wallet (${serverJettonAddress.toString()})`}`);
     console.log(`[PAYMENT]   - To: ${sellerAddressParsed.toString()}`);
-    console.log(`[PAYMENT]   - Gas fee: ${JETTON_TRANSFER_GAS_FEES.toString()} nanoTON (${Number(JETTON_TRANSFER_GAS_FEES) / 1e9} TON)`);
+    console.log(`[PAYMENT]   - Gas fee: ${gasFees.toString()} nanoTON (${Number(gasFees) / 1e9} TON)`);
 
-    // When using tonClient.open(), provider is automatically injected, so we only pass via (sender) and opts
-    await serverJettonWallet.sendTransfer(serverSender, {
-      fwdAmount: BigInt(1),
-      comment: `Order ${orderId} - Payment`,
-      jettonAmount: finalSellerAmount,
+    // Claimed in the payout ledger first, so a retry never pays the seller twice
+    const { payout, alreadyProcessed } = await executePayout({
+      orderId,
+      type: 'server_to_seller',
+      amount: finalSellerAmount,
       toAddress: sellerAddressParsed,
-      value: JETTON_TRANSFER_GAS_FEES,
+      tonClient,
+      wallet: serverWallet,
+      secretKey: keyPair.secretKey,
+      jettonWalletAddress: serverJettonAddress,
+      networkFee: gasFees,
+      send: isTon
+        // A plain transfer carrying the comment; matched on-chain by its external message hash
+        ? (sender) => sender.send({
+          to: sellerAddressParsed,
+          value: finalSellerAmount,
+          body: comment,
+          bounce: false,
+        })
+        // When using tonClient.open(), provider is automatically injected, so we only pass via (sender) and opts
+        : (sender, claimedPayout) => serverJettonWallet.sendTransfer(sender, {
+          queryId: BigInt(claimedPayout.queryId),
+          fwdAmount: BigInt(1),
+          comment,
+          jettonAmount: finalSellerAmount,
+          toAddress: sellerAddressParsed,
+          value: jettonTransferValue,
+        }),
     });
 
-    console.log(`[PAYMENT] ✅ Payment processed successfully`);
-    console.log(`[PAYMENT]   - Seller received: ${finalSellerAmount.toString()} units (${Number(finalSellerAmount) / 1000000} USDT)`);
-    console.log(`[PAYMENT]   - Server fee: ${finalServerAmount.toString()} units (${Number(finalServerAmount) / 1000000} USDT)`);
-
-    // Try to get transaction hash ASYNCHRONOUSLY (non-blocking)
-    // This runs in background and doesn't delay the response
-    setTimeout(async () => {
-      try {
-        // Wait a bit for transaction to be included in blockchain
-        await new Promise(resolve => setTimeout(resolve, 2000));
-        
-        console.log(`[PAYMENT] Attempting to retrieve transaction hash (background)...`);
-        // Query recent transactions from server's USDT wallet
-        const transactions = await tonClient.getTransactions(serverUsdtAddress, { limit: 5 });
-        if (transactions && transactions.length > 0) {
-          // Get the most recent transaction (should be the one we just sent)
-          const latestTx = transactions[0];
-          // TON transaction hash is computed from the transaction data
-          let transactionHash = null;
-          try {
-            // Try to get hash from transaction cell
-            const txCell = latestTx.cell();
-            if (txCell) {
-              transactionHash = txCell.hash().toString('base64');
-            } else {
-              // Fallback: use lt as identifier (less ideal but works)
-              transactionHash = `${serverUsdtAddress.toString()}_${latestTx.lt.toString()}`;
-            }
-          } catch (hashError) {
-            // Fallback: use lt as identifier
-            transactionHash = `${serverUsdtAddress.toString()}_${latestTx.lt.toString()}`;
-          }
-          
-          if (transactionHash) {
-            console.log(`[PAYMENT] ✅ Transaction hash retrieved (background): ${transactionHash}`);
-            
-            // Store transaction in database
-            await storeTransaction(
-              'server_to_seller',
-              transactionHash,
-              orderId,
-              serverUsdtAddress,
-              sellerAddressParsed,
-              finalSellerAmount.toString(),
-              {
-                serverAmount: finalServerAmount.toString(),
-                totalAmount: amountToProcess.toString(),
-              }
-            );
-            console.log(`[PAYMENT] ✅ Transaction hash stored successfully (background)`);
-          }
-        } else {
-          console.warn(`[PAYMENT] ⚠️  Could not retrieve transaction hash (background) - no transactions found`);
-        }
-      } catch (txError) {
-        console.warn(`[PAYMENT] ⚠️  Could not retrieve transaction hash (background):`, txError.message);
-        // This is non-blocking, so we don't throw - transaction was sent successfully
-      }
-    }, 0); // Run in next tick, non-blocking
+    console.log(`[PAYMENT] ✅ Payment processed successfully${alreadyProcessed ? ' (payout was already sent)' : ''}`);
+
+    await transitionOrder(orderId, ORDER_STATES.RELEASED, release);
+    console.log(`[PAYMENT]   - Seller received: ${finalSellerAmount.toString()} ${unit} (${toDisplay(finalSellerAmount)})`);
+    console.log(`[PAYMENT]   - Server fee: ${finalServerAmount.toString()} ${unit} (${toDisplay(finalServerAmount)})`);
+
+    // The transaction hash is filled in by the tracker once the transfer is matched on-chain
+    // by its query id and external message hash
+    await recordPayoutTransaction(payout, serverJettonAddress || serverWallet.address, transactionMetadata, tonClient);
 
     const totalTime = Date.now() - startTime;
     console.log(`[PAYMENT] ========== Payment Processing Complete (${totalTime}ms) ==========`);
 
-    // Return immediately without waiting for hash retrieval
+    // Return without waiting for the transaction hash
     return {
       success: true,
       sellerAmount: finalSellerAmount.toString(),
       serverAmount: finalServerAmount.toString(),
       totalAmount: amountToProcess.toString(),
+      alreadyProcessed,
     };
   } catch (error) {
     const totalTime = Date.now() - startTime;
@@ -218,7 +287,6 @@ export async function processPayment(orderId, sellerAddress, tonClient, amount =
       message: error.message,
       stack: error.stack,
       orderId,
-      sellerAddress,
     });
     throw error;
   }
@@ -0,0 +1,355 @@
+import { Address, Cell, beginCell, loadMessage, storeMessage } from '@ton/core';
+import { JettonMaster } from '@ton/ton';
+import { collection, getDocs, query, where } from 'firebase/firestore';
+import { db } from '../firebase/client.js';
+import { getServerWalletAddress } from '../utils/networkConfig.js';
+import { findTransaction } from './transactionTrackerService.js';
+import { storeTransaction } from './transactionService.js';
+import {
+  ORDER_STATES,
+  PAYMENT_CURRENCIES,
+  getOrder,
+  updateOrderFields,
+  getOrderCurrency,
+  getOrderJetton,
+} from './orderService.js';
+import {
+  extractDeposits,
+  extractTonDeposit,
+  getEscrowJettonWalletAddress,
+  checkOrderDeposit,
+} from './depositWatcherService.js';
+import { httpError } from '../utils/httpError.js';
+
+// Delay before the first lookup; doubled after every miss
+const PAYMENT_TRACKER_BASE_DELAY_MS = parseInt(process.env.PAYMENT_TRACKER_BASE_DELAY_MS) || 3000;
+// Lookups before a submitted payment is given up on (about 6 minutes with the default delay)
+const PAYMENT_TRACKER_MAX_ATTEMPTS = parseInt(process.env.PAYMENT_TRACKER_MAX_ATTEMPTS) || 7;
+// Transactions older than the submission (minus clock slack) are never a match
+const SUBMISSION_SLACK_SECONDS = 60;
+// A wallet's external message is well under this; anything larger is not a checkout BOC
+const MAX_BOC_LENGTH = 16 * 1024;
+
+// Lifecycle of the buyer's signed message (order.paymentSubmission.status):
+// submitted (BOC received) -> included (the buyer's wallet transaction is on-chain) -> arrived (the transfer reached
+// the order's wallet and its buyer_to_server record is stored); failed when it went on-chain without paying the order,
+// not_found when it never showed up
+export const PAYMENT_SUBMISSION_STATES = {
+  SUBMITTED: 'submitted',
+  INCLUDED: 'included',
+  ARRIVED: 'arrived',
+  FAILED: 'failed',
+  NOT_FOUND: 'not_found',
+};
+
+// Orders whose submission is currently being tracked, so one is never tracked twice at once
+const tracking = new Set();
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Normalized hash of an external message (TEP-467): the same whether it is read from the wallet's BOC or from the
+ * transaction that included it, since source, import fee, state init and body layout are left out of it
+ * @param {Message} message - An external-in message
+ * @returns {string} Hex hash
+ */
+function normalizedMessageHash(message) {
+  const normalized = {
+    info: { type: 'external-in', src: null, dest: message.info.dest, importFee: BigInt(0) },
+    init: null,
+    body: message.body,
+  };
+  return beginCell().store(storeMessage(normalized, { forceRef: true })).endCell().hash().toString('hex');
+}
+
+/**
+ * Whether a transaction ran to the end (its actions were sent)
+ * @param {Transaction} tx
+ * @returns {boolean}
+ */
+function succeeded(tx) {
+  return tx.description.type === 'generic'
+    && !tx.description.aborted
+    && tx.description.computePhase.type === 'vm'
+    && tx.description.computePhase.success;
+}
+
+/**
+ * Find the transaction that received an internal message sent by another transaction
+ * @param {TonClient} tonClient - TON client instance
+ * @param {Message} message - The outgoing internal message
+ * @param {number} notBefore - Unix time (seconds)
+ * @returns {Promise<Transaction|null>}
+ */
+async function findReceivingTransaction(tonClient, message, notBefore) {
+  return await findTransaction(tonClient, message.info.dest, notBefore, (tx) => tx.inMessage?.info.type === 'internal'
+    && tx.inMessage.info.src.equals(message.info.src)
+    && tx.inMessage.info.createdLt === message.info.createdLt);
+}
+
+/**
+ * The wallet an order is paid into: its escrow wallet, or the server wallet for orders without one
+ * @param {object} order - The order record
+ * @returns {Address}
+ */
+function getReceivingWallet(order) {
+  return order.escrowWalletAddress ? Address.parse(order.escrowWalletAddress) : getServerWalletAddress();
+}
+
+/**
+ * Follow the buyer's wallet transaction to the transaction in which the payment reached the order's wallet:
+ * a TON transfer straight to it, or a jetton transfer through the buyer's jetton wallet to the order's jetton wallet
+ * @param {TonClient} tonClient - TON client instance
+ * @param {object} order - The order record
+ * @param {Address} buyerWallet - The wallet that signed the message
+ * @param {Transaction} walletTx - The buyer's wallet transaction
+ * @param {number} notBefore - Unix time (seconds)
+ * @returns {Promise<{arrivalTx: Transaction|null, error: string|null}>} error is set when the payment cannot arrive
+ */
+async function followPayment(tonClient, order, buyerWallet, walletTx, notBefore) {
+  if (!succeeded(walletTx)) {
+    return { arrivalTx: null, error: 'The buyer\'s wallet transaction failed' };
+  }
+  const receivingWallet = getReceivingWallet(order);
+  const outMessages = [...walletTx.outMessages.values()].filter((message) => message.info.type === 'internal');
+
+  if (getOrderCurrency(order) === PAYMENT_CURRENCIES.TON) {
+    const transfer = outMessages.find((message) => message.info.dest.equals(receivingWallet));
+    if (!transfer) {
+      return { arrivalTx: null, error: 'The signed message does not pay the order\'s wallet' };
+    }
+    return { arrivalTx: await findReceivingTransaction(tonClient, transfer, notBefore), error: null };
+  }
+
+  const jettonMaster = tonClient.open(JettonMaster.create(Address.parse(getOrderJetton(order).masterAddress)));
+  const buyerJettonWallet = await jettonMaster.getWalletAddress(buyerWallet);
+  const transfer = outMessages.find((message) => message.info.dest.equals(buyerJettonWallet));
+  if (!transfer) {
+    return { arrivalTx: null, error: `The signed message does not send ${getOrderJetton(order).symbol}` };
+  }
+  const jettonTx = await findReceivingTransaction(tonClient, transfer, notBefore);
+  if (!jettonTx) {
+    return { arrivalTx: null, error: null };
+  }
+  if (!succeeded(jettonTx)) {
+    return { arrivalTx: null, error: 'The buyer\'s jetton transfer failed (not enough jettons?)' };
+  }
+  const receivingJettonWallet = order.escrowWalletAddress
+    ? await getEscrowJettonWalletAddress(tonClient, order)
+    : await jettonMaster.getWalletAddress(receivingWallet);
+  const internalTransfer = [...jettonTx.outMessages.values()]
+    .find((message) => message.info.type === 'internal' && message.info.dest.equals(receivingJettonWallet));
+  if (!internalTransfer) {
+    return { arrivalTx: null, error: 'The jetton transfer does not pay the order\'s wallet' };
+  }
+  return { arrivalTx: await findReceivingTransaction(tonClient, internalTransfer, notBefore), error: null };
+}
+
+/**
+ * Track an order's submitted payment to on-chain inclusion and arrival, retrying with exponential backoff.
+ * On arrival the buyer_to_server record is stored under the arriving transaction's hash and the order's deposit is checked
+ * @param {string} orderId - The order ID
+ * @param {TonClient} tonClient - TON client instance
+ * @returns {Promise<boolean>} true if the payment arrived
+ */
+export async function trackBuyerPayment(orderId, tonClient) {
+  if (tracking.has(orderId)) {
+    return false;
+  }
+  tracking.add(orderId);
+  try {
+    let order = await getOrder(orderId);
+    const submission = order?.paymentSubmission;
+    if (!submission || ![PAYMENT_SUBMISSION_STATES.SUBMITTED, PAYMENT_SUBMISSION_STATES.INCLUDED].includes(submission.status)) {
+      return submission?.status === PAYMENT_SUBMISSION_STATES.ARRIVED;
+    }
+    const buyerWallet = Address.parse(submission.walletAddress);
+    const notBefore = Math.floor(submission.submittedAtTimestamp / 1000) - SUBMISSION_SLACK_SECONDS;
+    const update = async (fields) => {
+      await updateOrderFields(orderId, Object.fromEntries(
+        Object.entries(fields).map(([key, value]) => [`paymentSubmission.${key}`, value])
+      ));
+    };
+
+    let walletTx = null;
+    let delay = PAYMENT_TRACKER_BASE_DELAY_MS;
+    for (let attempt = 1; attempt <= PAYMENT_TRACKER_MAX_ATTEMPTS; attempt++) {
+      await sleep(delay);
+      delay *= 2;
+
+      try {
+        if (!walletTx) {
+          walletTx = await findTransaction(tonClient, buyerWallet, notBefore, (tx) => tx.inMessage?.info.type === 'external-in'
+            && normalizedMessageHash(tx.inMessage) === submission.messageHash);
+          if (!walletTx) {
+            console.log(`[CHECKOUT] Payment for order ${orderId} not on-chain yet (attempt ${attempt}/${PAYMENT_TRACKER_MAX_ATTEMPTS})`);
+            continue;
+          }
+          await update({
+            status: PAYMENT_SUBMISSION_STATES.INCLUDED,
+            walletTransactionHash: walletTx.hash().toString('base64'),
+            includedAtTimestamp: Date.now(),
+          });
+          console.log(`[CHECKOUT] Payment for order ${orderId} included on-chain: ${walletTx.hash().toString('base64')}`);
+        }
+
+        const { arrivalTx, error } = await followPayment(tonClient, order, buyerWallet, walletTx, notBefore);
+        if (error) {
+          await update({ status: PAYMENT_SUBMISSION_STATES.FAILED, error });
+          console.warn(`[CHECKOUT] ⚠️  Payment for order ${orderId} failed on-chain: ${error}`);
+          return false;
+        }
+        if (!arrivalTx) {
+          console.log(`[CHECKOUT] Payment for order ${orderId} has not arrived yet (attempt ${attempt}/${PAYMENT_TRACKER_MAX_ATTEMPTS})`);
+          continue;
+        }
+
+        const receivingWallet = getReceivingWallet(order);
+        const deposits = getOrderCurrency(order) === PAYMENT_CURRENCIES.TON
+          ? [extractTonDeposit(arrivalTx, receivingWallet)].filter(Boolean)
+          : extractDeposits(arrivalTx, receivingWallet);
+        if (deposits.length === 0) {
+          await update({ status: PAYMENT_SUBMISSION_STATES.FAILED, error: 'The transfer reached the order\'s wallet but was not credited (bounced?)' });
+          console.warn(`[CHECKOUT] ⚠️  Payment for order ${orderId} reached ${receivingWallet.toString()} but was not credited`);
+          return false;
+        }
+        for (const deposit of deposits) {
+          await storeTransaction(
+            'buyer_to_server',
+            deposit.transactionHash,
+            orderId,
+            deposit.sender || buyerWallet,
+            receivingWallet,
+            deposit.amount.toString(),
+            {
+              lt: deposit.lt,
+              source: 'checkout',
+              currency: getOrderCurrency(order),
+              messageHash: submission.messageHash,
+              walletTransactionHash: walletTx.hash().toString('base64'),
+            }
+          );
+        }
+        await update({
+          status: PAYMENT_SUBMISSION_STATES.ARRIVED,
+          transactionHash: arrivalTx.hash().toString('base64'),
+          arrivedAtTimestamp: Date.now(),
+        });
+        console.log(`[CHECKOUT] ✅ Payment for order ${orderId} arrived: ${arrivalTx.hash().toString('base64')}`);
+
+        // Fund the order now instead of waiting for the deposit watcher's next poll
+        order = await getOrder(orderId);
+        try {
+          await checkOrderDeposit(order, tonClient);
+        } catch (checkError) {
+          // Not fatal - the deposit watcher keeps polling the escrow wallet
+          console.warn(`[CHECKOUT] ⚠️  Deposit check after arrival failed for order ${orderId}: ${checkError.message}`);
+        }
+        return true;
+      } catch (error) {
+        console.warn(`[CHECKOUT] ⚠️  Lookup ${attempt}/${PAYMENT_TRACKER_MAX_ATTEMPTS} for order ${orderId} failed: ${error.message}`);
+      }
+    }
+
+    if (!walletTx) {
+      await update({ status: PAYMENT_SUBMISSION_STATES.NOT_FOUND });
+      console.warn(`[CHECKOUT] ⚠️  Payment for order ${orderId} was not found on-chain after ${PAYMENT_TRACKER_MAX_ATTEMPTS} attempts`);
+    } else {
+      // Included but not arrived yet; it is picked up again when the server starts
+      console.warn(`[CHECKOUT] ⚠️  Payment for order ${orderId} is on-chain but has not reached the order's wallet yet`);
+    }
+    return false;
+  } catch (error) {
+    console.error(`[CHECKOUT] ❌ Error tracking payment for order ${orderId}:`, error);
+    return false;
+  } finally {
+    tracking.delete(orderId);
+  }
+}
+
+/**
+ * Start tracking an order's submitted payment in the background without delaying the caller
+ * @param {string} orderId - The order ID
+ * @param {TonClient} tonClient - TON client instance
+ */
+export function trackBuyerPaymentInBackground(orderId, tonClient) {
+  trackBuyerPayment(orderId, tonClient).catch((error) => {
+    console.error(`[CHECKOUT] ❌ Error tracking payment for order ${orderId}:`, error);
+  });
+}
+
+/**
+ * Attach the external message the buyer's wallet signed at checkout (the BOC TON Connect returned) to the order
+ * and start tracking it on-chain. Submitting the same BOC again is a no-op
+ * @param {object} order - The order record (awaiting_payment or funded)
+ * @param {string} boc - Base64 BoC of the signed external message
+ * @param {TonClient} tonClient - TON client instance
+ * @returns {Promise<object>} The order's paymentSubmission
+ */
+export async function submitBuyerPayment(order, boc, tonClient) {
+  if (typeof boc !== 'string' || boc.length === 0 || boc.length > MAX_BOC_LENGTH) {
+    throw httpError('boc must be the base64 BoC TON Connect returned', 400);
+  }
+  let message;
+  try {
+    message = loadMessage(Cell.fromBase64(boc).beginParse());
+  } catch {
+    throw httpError('boc is not a valid message', 400);
+  }
+  if (message.info.type !== 'external-in') {
+    throw httpError('boc is not an external message signed by a wallet', 400);
+  }
+
+  const messageHash = normalizedMessageHash(message);
+  if (order.paymentSubmission?.messageHash === messageHash) {
+    return order.paymentSubmission;
+  }
+  if (order.paymentSubmission?.status === PAYMENT_SUBMISSION_STATES.ARRIVED) {
+    throw httpError(`A payment for order ${order.orderId} has already arrived`, 409);
+  }
+
+  const walletAddress = message.info.dest;
+  if (order.buyerWalletAddress && !Address.parse(order.buyerWalletAddress).equals(walletAddress)) {
+    console.warn(`[CHECKOUT] ⚠️  Payment for order ${order.orderId} was signed by ${walletAddress.toString()}, not the reported ${order.buyerWalletAddress}`);
+  }
+  const paymentSubmission = {
+    messageHash,
+    walletAddress: walletAddress.toString(),
+    status: PAYMENT_SUBMISSION_STATES.SUBMITTED,
+    submittedAtTimestamp: Date.now(),
+    walletTransactionHash: null,
+    transactionHash: null,
+    error: null,
+  };
+  await updateOrderFields(order.orderId, { paymentSubmission });
+  console.log(`[CHECKOUT] Payment for order ${order.orderId} submitted: message ${messageHash} from ${walletAddress.toString()}`);
+  trackBuyerPaymentInBackground(order.orderId, tonClient);
+  return paymentSubmission;
+}
+
+/**
+ * Resume tracking submitted payments of orders awaiting payment (e.g. after a restart)
+ * @param {() => Promise<TonClient>} getTonClient - Factory for the TON client
+ * @returns {Promise<void>}
+ */
+export async function resumeBuyerPaymentTracking(getTonClient) {
+  try {
+    const snapshot = await getDocs(query(
+      collection(db, 'orders'),
+      where('status', '==', ORDER_STATES.AWAITING_PAYMENT),
+      where('paymentSubmission.status', 'in', [PAYMENT_SUBMISSION_STATES.SUBMITTED, PAYMENT_SUBMISSION_STATES.INCLUDED])
+    ));
+    if (snapshot.empty) {
+      return;
+    }
+    console.log(`[CHECKOUT] Resuming tracking for ${snapshot.size} submitted payment(s)`);
+    const tonClient = await getTonClient();
+    for (const docSnap of snapshot.docs) {
+      trackBuyerPaymentInBackground(docSnap.id, tonClient);
+    }
+  } catch (error) {
+    console.error(`[CHECKOUT] ❌ Error resuming payment tracking:`, error);
+  }
+}
@@ -0,0 +1,479 @@
+import {
+  collection,
+  doc,
+  getDocs,
+  query,
+  where,
+  orderBy,
+  limit,
+  updateDoc,
+  runTransaction,
+  writeBatch,
+  serverTimestamp,
+} from 'firebase/firestore';
+import { randomBytes } from 'crypto';
+import { Address, beginCell, external, internal, storeMessage, SendMode } from '@ton/core';
+import { JettonMaster } from '@ton/ton';
+import { mnemonicToPrivateKey } from '@ton/crypto';
+import { db } from '../firebase/client.js';
+import { HighloadWalletV3 } from '../wrappers/HighloadWalletV3.js';
+import { JettonWallet } from '../wrappers/JettonWallet.js';
+import { getJettonBalance } from '../utils/walletUtils.js';
+import { getNetworkEnv, getServerWalletMnemonic, formatNetworkAddress } from '../utils/networkConfig.js';
+import { ORDER_STATES, getOrder, transitionOrder } from './orderService.js';
+import {
+  PAYOUT_STATES,
+  PAYOUT_TRACKING_STATES,
+  getPayout,
+  fetchQueuedPayouts,
+  queuePayout,
+  updatePayout,
+} from './payoutService.js';
+import { recordPayoutTransaction } from './transactionTrackerService.js';
+import { estimateJettonTransferValue } from './gasEstimatorService.js';
+
+// Seller payouts are queued and sent in batches from a highload wallet instead of one transfer (and seqno) at a time
+const PAYOUT_BATCHING_ENABLED = process.env.PAYOUT_BATCHING_ENABLED === 'true';
+// How often the queue is flushed
+const PAYOUT_BATCH_INTERVAL_MS = parseInt(process.env.PAYOUT_BATCH_INTERVAL_MS) || 30 * 1000;
+// Payouts per batch; the wallet sends at most HighloadWalletV3.MAX_ACTIONS messages at once
+const PAYOUT_BATCH_MAX_SIZE = Math.min(parseInt(process.env.PAYOUT_BATCH_MAX_SIZE) || 100, HighloadWalletV3.MAX_ACTIONS);
+// How long a batch message stays valid. Part of the wallet's initial data, so changing it changes the wallet address
+const HIGHLOAD_WALLET_TIMEOUT_SECONDS = parseInt(process.env.HIGHLOAD_WALLET_TIMEOUT_SECONDS) || 600;
+
+// Batch messages are dated this far back, so a node lagging behind does not reject them as from the future
+const CREATED_AT_LAG_SECONDS = 30;
+// Kept in the wallet for the batch's own fees (its external message and internal_transfer) and storage
+const BATCH_TON_RESERVE = BigInt(50000000);
+// How often the wallet is asked whether it processed a batch
+const PROCESSED_POLL_INTERVAL_MS = 3000;
+
+// Batch lifecycle: signed and recorded (submitted) -> query id processed by the wallet (confirmed),
+// or expired unprocessed (failed, its payouts go back to the queue)
+export const PAYOUT_BATCH_STATES = {
+  SUBMITTED: 'submitted',
+  CONFIRMED: 'confirmed',
+  FAILED: 'failed',
+};
+
+let batchTimer = null;
+let running = false;
+let highloadWallet = null;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function batchRef(batchId) {
+  return doc(db, 'payout_batches', batchId);
+}
+
+/**
+ * Whether seller payouts are queued and sent in batches (PAYOUT_BATCHING_ENABLED=true)
+ * @returns {boolean}
+ */
+export function isPayoutBatchingEnabled() {
+  return PAYOUT_BATCHING_ENABLED;
+}
+
+/**
+ * The highload wallet batches are sent from: HIGHLOAD_WALLET_MNEMONIC (per network), or the server wallet's key,
+ * with HIGHLOAD_WALLET_SUBWALLET_ID (per network) and HIGHLOAD_WALLET_TIMEOUT_SECONDS
+ * @returns {Promise<{wallet: HighloadWalletV3, secretKey: Buffer}>}
+ */
+export async function getHighloadWallet() {
+  if (highloadWallet) {
+    return highloadWallet;
+  }
+  const mnemonic = getNetworkEnv('HIGHLOAD_WALLET_MNEMONIC') || getServerWalletMnemonic();
+  const keyPair = await mnemonicToPrivateKey(mnemonic.split(' ').filter(word => word.length > 0));
+  const subwalletId = parseInt(getNetworkEnv('HIGHLOAD_WALLET_SUBWALLET_ID')) || HighloadWalletV3.DEFAULT_SUBWALLET_ID;
+  const wallet = HighloadWalletV3.createFromConfig({
+    publicKey: keyPair.publicKey,
+    subwalletId,
+    timeout: HIGHLOAD_WALLET_TIMEOUT_SECONDS,
+  });
+  highloadWallet = { wallet, secretKey: keyPair.secretKey };
+  console.log(`[BATCH] Highload wallet: ${formatNetworkAddress(wallet.address)} (subwallet ${subwalletId}, timeout ${HIGHLOAD_WALLET_TIMEOUT_SECONDS}s)`);
+  return highloadWallet;
+}
+
+/**
+ * Queue a seller payout for the next batch
+ * @param {object} params
+ * @param {string} params.orderId - The order ID
+ * @param {string} params.type - Payout type (e.g. 'server_to_seller')
+ * @param {bigint} params.amount - Jetton units, or nanoTON for TON payouts
+ * @param {Address} params.toAddress - Recipient address
+ * @param {string} params.currency - TON or a jetton symbol
+ * @param {object|null} params.jetton - Jetton registry entry; null for TON payouts
+ * @param {string} params.comment - Comment sent with the payout
+ * @param {object} params.metadata - Stored on the transaction record once the payout is confirmed
+ * @param {{state: string, reason: string, fields: object}} params.orderTransition - Applied to the order once the payout is confirmed
+ * @returns {Promise<{queued: boolean, payout: object}>} queued is false when the payout was already queued or sent
+ */
+export async function queueSellerPayout({ orderId, type, amount, toAddress, currency, jetton, comment, metadata, orderTransition }) {
+  const { wallet } = await getHighloadWallet();
+  const result = await queuePayout(orderId, type, {
+    amount,
+    fromAddress: wallet.address,
+    toAddress,
+    currency,
+    jettonMasterAddress: jetton ? jetton.masterAddress : null,
+    comment,
+    metadata,
+    orderTransition,
+  });
+  console.log(result.queued
+    ? `[BATCH] Payout ${result.payout.id} queued`
+    : `[BATCH] Payout ${result.payout.id} is already ${result.payout.status}`);
+  return result;
+}
+
+/**
+ * Claim the highload wallet's next query id. Ids are handed out in sequence and never reused within the wallet's timeout
+ * @param {Address} walletAddress - The highload wallet
+ * @returns {Promise<number>}
+ */
+async function claimQueryId(walletAddress) {
+  const ref = doc(db, 'highload_wallets', walletAddress.toRawString());
+  return await runTransaction(db, async (transaction) => {
+    const snap = await transaction.get(ref);
+    const queryId = snap.exists() ? HighloadWalletV3.nextQueryId(snap.data().lastQueryId) : 0;
+    transaction.set(ref, { lastQueryId: queryId, updatedAtTimestamp: Date.now() });
+    return queryId;
+  });
+}
+
+/**
+ * Report a confirmed payout back: apply its order transition and store its transaction record,
+ * which starts matching its own transfer on-chain. Safe to repeat
+ * @param {object} payout - The confirmed payout record
+ * @param {TonClient} tonClient - TON client instance
+ */
+async function completePayout(payout, tonClient) {
+  const transition = payout.orderTransition;
+  if (transition) {
+    const order = await getOrder(payout.orderId);
+    if (order && order.status === ORDER_STATES.FUNDED) {
+      await transitionOrder(payout.orderId, transition.state, { reason: transition.reason, fields: transition.fields || {} });
+    }
+  }
+  await recordPayoutTransaction(payout, payout.jettonWalletAddress || payout.walletAddress, payout.metadata || {}, tonClient);
+}
+
+/**
+ * Wait until the highload wallet has processed a batch's query id, or the batch has expired
+ * @param {TonClient} tonClient - TON client instance
+ * @param {object} batch - The batch record
+ * @returns {Promise<boolean>} true if the batch was processed
+ */
+async function waitForBatch(tonClient, batch) {
+  const { wallet } = await getHighloadWallet();
+  const openedWallet = tonClient.open(wallet);
+  // Allow a few blocks after expiry for the last state to propagate
+  const deadline = (batch.validUntil + 15) * 1000;
+  while (true) {
+    try {
+      if (await openedWallet.getProcessed(batch.queryId)) {
+        return true;
+      }
+    } catch (error) {
+      // The getter fails until the wallet is deployed by its first batch
+      console.warn(`[BATCH] ⚠️  Could not read query ${batch.queryId} of ${batch.walletAddress}: ${error.message}`);
+    }
+    if (Date.now() > deadline) {
+      return false;
+    }
+    await sleep(PROCESSED_POLL_INTERVAL_MS);
+  }
+}
+
+/**
+ * Settle a submitted batch: once processed, its payouts are confirmed and reported back;
+ * once expired unprocessed, they go back to the queue
+ * @param {object} batch - The batch record
+ * @param {TonClient} tonClient - TON client instance
+ * @returns {Promise<boolean>} true if the batch was processed
+ */
+async function resolveBatch(batch, tonClient) {
+  const processed = await waitForBatch(tonClient, batch);
+  for (const { orderId, type } of batch.payouts) {
+    const payout = await getPayout(orderId, type);
+    if (!payout || payout.batchId !== batch.id) {
+      continue;
+    }
+    if (!processed) {
+      if (payout.status === PAYOUT_STATES.SUBMITTED) {
+        await updatePayout(orderId, type, {
+          status: PAYOUT_STATES.QUEUED,
+          batchId: null,
+          error: `Batch ${batch.id} expired before the wallet processed it`,
+        });
+      }
+      continue;
+    }
+    let confirmed = payout;
+    if (payout.status !== PAYOUT_STATES.CONFIRMED) {
+      const fields = {
+        status: PAYOUT_STATES.CONFIRMED,
+        confirmedAtTimestamp: Date.now(),
+        trackingStatus: PAYOUT_TRACKING_STATES.PENDING,
+      };
+      await updatePayout(orderId, type, fields);
+      confirmed = { ...payout, ...fields };
+    }
+    try {
+      await completePayout(confirmed, tonClient);
+    } catch (error) {
+      // The batch stays submitted, so this is retried on the next run
+      console.error(`[BATCH] ❌ Error reporting payout ${payout.id} of batch ${batch.id}:`, error);
+      return processed;
+    }
+  }
+
+  const status = processed ? PAYOUT_BATCH_STATES.CONFIRMED : PAYOUT_BATCH_STATES.FAILED;
+  await updateDoc(batchRef(batch.id), { status, resolvedAtTimestamp: Date.now() });
+  if (processed) {
+    console.log(`[BATCH] ✅ Batch ${batch.id} confirmed (query ${batch.queryId}, ${batch.payouts.length} payout(s))`);
+  } else {
+    console.warn(`[BATCH] ⚠️  Batch ${batch.id} expired unprocessed; ${batch.payouts.length} payout(s) queued again`);
+  }
+  return processed;
+}
+
+/**
+ * Build the messages of the queued payouts the highload wallet can afford, oldest first. Payouts that do not fit stay queued
+ * @param {TonClient} tonClient - TON client instance
+ * @param {HighloadWalletV3} wallet - The highload wallet
+ * @param {Array} queued - Queued payouts
+ * @returns {Promise<Array<{payout: object, message: MessageRelaxed, jettonWalletAddress: Address|null, networkFee: bigint|null}>>}
+ */
+async function buildBatchMessages(tonClient, wallet, queued) {
+  let tonLeft = (await tonClient.getBalance(wallet.address)) - BATCH_TON_RESERVE;
+  const jettonWallets = new Map();
+  const messages = [];
+  let skipped = 0;
+
+  for (const payout of queued) {
+    if (messages.length >= PAYOUT_BATCH_MAX_SIZE) {
+      break;
+    }
+    const amount = BigInt(payout.amount);
+    const toAddress = Address.parse(payout.toAddress);
+
+    if (!payout.jettonMasterAddress) {
+      if (amount > tonLeft) {
+        skipped++;
+        continue;
+      }
+      tonLeft -= amount;
+      messages.push({
+        payout,
+        message: internal({ to: toAddress, value: amount, body: payout.comment, bounce: false }),
+        jettonWalletAddress: null,
+        networkFee: null,
+      });
+      continue;
+    }
+
+    let jettonWallet = jettonWallets.get(payout.jettonMasterAddress);
+    if (!jettonWallet) {
+      const jettonMaster = tonClient.open(JettonMaster.create(Address.parse(payout.jettonMasterAddress)));
+      jettonWallet = {
+        address: await jettonMaster.getWalletAddress(wallet.address),
+        balance: await getJettonBalance(tonClient, wallet.address, { masterAddress: payout.jettonMasterAddress }),
+      };
+      jettonWallets.set(payout.jettonMasterAddress, jettonWallet);
+    }
+    // Excesses of the transfer come back to the highload wallet
+    const body = JettonWallet.createTransferBody(wallet.address, {
+      queryId: BigInt(payout.queryId),
+      jettonAmount: amount,
+      toAddress,
+      fwdAmount: BigInt(1),
+      comment: payout.comment,
+    });
+    const value = await estimateJettonTransferValue(tonClient, payout.jettonMasterAddress, body, BigInt(1));
+    if (amount > jettonWallet.balance || value > tonLeft) {
+      skipped++;
+      continue;
+    }
+    jettonWallet.balance -= amount;
+    tonLeft -= value;
+    messages.push({
+      payout,
+      message: internal({ to: jettonWallet.address, value, body }),
+      jettonWalletAddress: jettonWallet.address,
+      networkFee: value,
+    });
+  }
+
+  if (skipped > 0) {
+    console.error(`[BATCH] ❌ Highload wallet ${formatNetworkAddress(wallet.address)} cannot cover ${skipped} queued payout(s); they stay queued until it is funded`);
+  }
+  return messages;
+}
+
+/**
+ * Send the oldest queued payouts in one batch and wait for the highload wallet to process it.
+ * The batch and its payouts are recorded as submitted before the message is broadcast,
+ * so a crash leaves a batch that is resolved by its query id instead of being sent again
+ * @param {TonClient} tonClient - TON client instance
+ * @returns {Promise<number>} Payouts confirmed
+ */
+async function flushBatch(tonClient) {
+  const queued = await fetchQueuedPayouts();
+  if (queued.length === 0) {
+    return 0;
+  }
+  const { wallet, secretKey } = await getHighloadWallet();
+  const entries = await buildBatchMessages(tonClient, wallet, queued);
+  if (entries.length === 0) {
+    return 0;
+  }
+
+  const queryId = await claimQueryId(wallet.address);
+  const createdAt = Math.floor(Date.now() / 1000) - CREATED_AT_LAG_SECONDS;
+  const batchMessage = wallet.createBatchMessage(queryId, entries.map(({ message }) => ({
+    message,
+    // A payout that cannot be sent must not stop the rest of the batch
+    mode: SendMode.PAY_GAS_SEPARATELY + SendMode.IGNORE_ERRORS,
+  })));
+  const deployed = await tonClient.isContractDeployed(wallet.address);
+  const message = external({
+    to: wallet.address,
+    init: deployed ? undefined : wallet.init,
+    body: wallet.createExternalBody(secretKey, { ...batchMessage, queryId, createdAt }),
+  });
+  const messageCell = beginCell().store(storeMessage(message)).endCell();
+
+  const now = Date.now();
+  const batch = {
+    id: `${now}_${randomBytes(4).toString('hex')}`,
+    walletAddress: wallet.address.toString(),
+    queryId,
+    createdAt,
+    validUntil: createdAt + HIGHLOAD_WALLET_TIMEOUT_SECONDS,
+    messageHash: messageCell.hash().toString('hex'),
+    payouts: entries.map(({ payout }) => ({ orderId: payout.orderId, type: payout.type })),
+    status: PAYOUT_BATCH_STATES.SUBMITTED,
+    createdAtTimestamp: now,
+  };
+  const writes = writeBatch(db);
+  writes.set(batchRef(batch.id), { ...batch, submittedAt: serverTimestamp() });
+  for (const { payout, jettonWalletAddress, networkFee } of entries) {
+    writes.update(doc(db, 'payouts', payout.id), {
+      status: PAYOUT_STATES.SUBMITTED,
+      batchId: batch.id,
+      walletAddress: batch.walletAddress,
+      jettonWalletAddress: jettonWalletAddress ? jettonWalletAddress.toString() : null,
+      networkFee: networkFee !== null ? networkFee.toString() : null,
+      // Every payout of a batch shares the batch's external message; jetton transfers are told apart by their own query id
+      messageHash: batch.messageHash,
+      validUntil: batch.validUntil,
+      attempts: (payout.attempts || 0) + 1,
+      error: null,
+      submittedAtTimestamp: now,
+      updatedAtTimestamp: now,
+    });
+  }
+  await writes.commit();
+  console.log(`[BATCH] Batch ${batch.id} submitted: ${entries.length} payout(s), query ${queryId}, message ${batch.messageHash}`);
+
+  try {
+    await tonClient.sendFile(messageCell.toBoc());
+  } catch (error) {
+    // The broadcast may still have reached the network - leave it to the query id check
+    console.warn(`[BATCH] ⚠️  Broadcast of batch ${batch.id} reported an error: ${error.message}`);
+  }
+  return (await resolveBatch(batch, tonClient)) ? entries.length : 0;
+}
+
+/**
+ * Fetch batches still waiting to be resolved (e.g. the server stopped while waiting)
+ * @returns {Promise<Array>}
+ */
+async function fetchSubmittedBatches() {
+  const snapshot = await getDocs(query(collection(db, 'payout_batches'), where('status', '==', PAYOUT_BATCH_STATES.SUBMITTED)));
+  return snapshot.docs.map((docSnap) => ({ id: docSnap.id, ...docSnap.data() }));
+}
+
+/**
+ * Resolve batches left submitted, then flush the queue in batches until it is empty or nothing more can be sent
+ * @param {() => Promise<TonClient>} getTonClient - Factory for a TON client
+ * @returns {Promise<number>} Payouts confirmed
+ */
+export async function runPayoutBatcher(getTonClient) {
+  if (running) {
+    console.log(`[BATCH] Previous run still in progress, skipping`);
+    return 0;
+  }
+  running = true;
+  let confirmed = 0;
+  try {
+    const tonClient = await getTonClient();
+    for (const batch of await fetchSubmittedBatches()) {
+      if (await resolveBatch(batch, tonClient)) {
+        confirmed += batch.payouts.length;
+      }
+    }
+    while (true) {
+      const sent = await flushBatch(tonClient);
+      if (sent === 0) {
+        break;
+      }
+      confirmed += sent;
+    }
+    if (confirmed > 0) {
+      console.log(`[BATCH] ✅ Run complete: ${confirmed} payout(s) confirmed`);
+    }
+  } catch (error) {
+    console.error(`[BATCH] ❌ Error flushing payout batches:`, error);
+  } finally {
+    running = false;
+  }
+  return confirmed;
+}
+
+/**
+ * The payout queue and the latest batches, for the admin panel
+ * @param {number} limitCount - Batches to return
+ * @returns {Promise<{enabled: boolean, walletAddress: string|null, queued: Array, batches: Array}>}
+ */
+export async function getPayoutBatchStatus(limitCount = 20) {
+  if (!PAYOUT_BATCHING_ENABLED) {
+    return { enabled: false, walletAddress: null, queued: [], batches: [] };
+  }
+  const { wallet } = await getHighloadWallet();
+  const snapshot = await getDocs(query(collection(db, 'payout_batches'), orderBy('createdAtTimestamp', 'desc'), limit(limitCount)));
+  return {
+    enabled: true,
+    walletAddress: formatNetworkAddress(wallet.address),
+    queued: await fetchQueuedPayouts(),
+    batches: snapshot.docs.map((docSnap) => ({ id: docSnap.id, ...docSnap.data() })),
+  };
+}
+
+/**
+ * Start flushing the payout queue periodically (only when batching is enabled)
+ * @param {() => Promise<TonClient>} getTonClient - Factory for a TON client
+ */
+export function startPayoutBatcher(getTonClient) {
+  if (batchTimer || !PAYOUT_BATCHING_ENABLED) {
+    return;
+  }
+  console.log(`[BATCH] Payout batcher started (every ${PAYOUT_BATCH_INTERVAL_MS}ms, up to ${PAYOUT_BATCH_MAX_SIZE} payouts per batch)`);
+  batchTimer = setInterval(() => runPayoutBatcher(getTonClient), PAYOUT_BATCH_INTERVAL_MS);
+  runPayoutBatcher(getTonClient);
+}
+
+/**
+ * Stop the payout batcher
+ */
+export function stopPayoutBatcher() {
+  if (batchTimer) {
+    clearInterval(batchTimer);
+    batchTimer = null;
+  }
+}
@@ -0,0 +1,515 @@
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  query,
+  where,
+  updateDoc,
+  runTransaction,
+  serverTimestamp,
+} from 'firebase/firestore';
+import { randomBytes } from 'crypto';
+import { beginCell, external, internal, storeMessage, SendMode } from '@ton/core';
+import { db } from '../firebase/client.js';
+import { httpError } from '../utils/httpError.js';
+
+// Payout lifecycle: claimed (pending) -> message signed and recorded (submitted) -> wallet seqno advanced (confirmed)
+// A payout whose message expired without the seqno advancing is failed and can be claimed again.
+// Batched payouts wait in the queue (queued) until a batch picks them up, and go back to it if their batch expires
+export const PAYOUT_STATES = {
+  QUEUED: 'queued',
+  PENDING: 'pending',
+  SUBMITTED: 'submitted',
+  CONFIRMED: 'confirmed',
+  FAILED: 'failed',
+};
+
+// Confirmed payouts are then matched to their on-chain transactions by the transaction tracker
+export const PAYOUT_TRACKING_STATES = {
+  PENDING: 'pending',
+  FOUND: 'found',
+  NOT_FOUND: 'not_found',
+};
+
+// Seconds an outgoing external message stays valid (wallet valid_until)
+const PAYOUT_MESSAGE_TTL_SECONDS = 60;
+// Seconds a w5 internal request relayed by another wallet stays valid
+const RELAYED_MESSAGE_TTL_SECONDS = 180;
+// How often the wallet seqno is polled while waiting for a payout to land
+const SEQNO_POLL_INTERVAL_MS = 2000;
+// A claim that has not signed a message by then is abandoned (the server stopped between claiming and signing)
+// and can be taken over; it outlasts the wait for a relay wallet's send lock
+const PENDING_CLAIM_TIMEOUT_MS = (RELAYED_MESSAGE_TTL_SECONDS + 60) * 1000;
+
+// Sends from one wallet are serialized so each payout gets its own seqno
+const walletLocks = new Map();
+
+function payoutRef(orderId, type) {
+  return doc(db, 'payouts', `${orderId}_${type}`);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Fetch the payout record for an order and payout type
+ * @param {string} orderId - The order ID
+ * @param {string} type - Payout type (same as the transaction type, e.g. 'escrow_to_seller')
+ * @returns {Promise<object|null>}
+ */
+export async function getPayout(orderId, type) {
+  const snap = await getDoc(payoutRef(orderId, type));
+  return snap.exists() ? { id: snap.id, ...snap.data() } : null;
+}
+
+/**
+ * Fetch all payout records for an order
+ * @param {string} orderId - The order ID
+ * @returns {Promise<Array>}
+ */
+export async function fetchPayoutsForOrder(orderId) {
+  const snapshot = await getDocs(query(collection(db, 'payouts'), where('orderId', '==', orderId)));
+  return snapshot.docs.map((docSnap) => ({ id: docSnap.id, ...docSnap.data() }));
+}
+
+/**
+ * Fetch confirmed payouts whose on-chain transactions have not been matched yet
+ * @returns {Promise<Array>}
+ */
+export async function fetchUntrackedPayouts() {
+  const snapshot = await getDocs(query(
+    collection(db, 'payouts'),
+    where('trackingStatus', '==', PAYOUT_TRACKING_STATES.PENDING)
+  ));
+  return snapshot.docs.map((docSnap) => ({ id: docSnap.id, ...docSnap.data() }));
+}
+
+/**
+ * Fetch the payouts waiting for a batch, oldest first
+ * @returns {Promise<Array>}
+ */
+export async function fetchQueuedPayouts() {
+  const snapshot = await getDocs(query(collection(db, 'payouts'), where('status', '==', PAYOUT_STATES.QUEUED)));
+  return snapshot.docs
+    .map((docSnap) => ({ id: docSnap.id, ...docSnap.data() }))
+    .sort((a, b) => a.queuedAtTimestamp - b.queuedAtTimestamp);
+}
+
+/**
+ * Atomically queue a payout to be sent in a batch. Queueing a payout that is already queued, in flight or confirmed
+ * changes nothing and returns the stored record; a failed payout is queued again
+ * @param {string} orderId - The order ID
+ * @param {string} type - Payout type
+ * @param {object} details - { amount, fromAddress, toAddress, currency, jettonMasterAddress, comment, metadata, orderTransition } stored on the record;
+ *   metadata goes on the transaction record and orderTransition ({ state, reason, fields }) is applied to the order once the payout is confirmed
+ * @returns {Promise<{queued: boolean, payout: object}>} queued is false when the payout was already queued or sent
+ */
+export async function queuePayout(orderId, type, details) {
+  const ref = payoutRef(orderId, type);
+  return await runTransaction(db, async (transaction) => {
+    const snap = await transaction.get(ref);
+    const existing = snap.exists() ? snap.data() : null;
+    if (existing && existing.status !== PAYOUT_STATES.FAILED) {
+      return { queued: false, payout: { id: snap.id, ...existing } };
+    }
+
+    const now = Date.now();
+    const payout = {
+      orderId,
+      type,
+      amount: details.amount.toString(),
+      fromAddress: details.fromAddress.toString(),
+      toAddress: details.toAddress.toString(),
+      currency: details.currency,
+      jettonMasterAddress: details.jettonMasterAddress || null,
+      comment: details.comment,
+      metadata: details.metadata || {},
+      orderTransition: details.orderTransition || null,
+      // Set when a batch picks the payout up
+      batchId: null,
+      jettonWalletAddress: null,
+      networkFee: null,
+      relayWalletAddress: null,
+      status: PAYOUT_STATES.QUEUED,
+      attempts: existing?.attempts || 0,
+      queryId: randomBytes(8).readBigUInt64BE().toString(),
+      messageHash: null,
+      validUntil: null,
+      error: null,
+      queuedAtTimestamp: now,
+      createdAt: existing?.createdAt || serverTimestamp(),
+      createdAtTimestamp: existing?.createdAtTimestamp || now,
+      updatedAtTimestamp: now,
+    };
+    transaction.set(ref, payout);
+    return { queued: true, payout: { id: ref.id, ...payout } };
+  });
+}
+
+/**
+ * Update fields on a payout record
+ * @param {string} orderId - The order ID
+ * @param {string} type - Payout type
+ * @param {object} fields - Fields to set
+ * @returns {Promise<void>}
+ */
+export async function updatePayout(orderId, type, fields) {
+  await updateDoc(payoutRef(orderId, type), { ...fields, updatedAtTimestamp: Date.now() });
+}
+
+/**
+ * Whether a pending claim was abandoned before its message was signed
+ * @param {object} payout - The payout record
+ * @param {number} now - Time in ms
+ * @returns {boolean}
+ */
+function isAbandonedClaim(payout, now) {
+  const claimedAt = payout.claimedAtTimestamp || payout.updatedAtTimestamp || 0;
+  return payout.status === PAYOUT_STATES.PENDING && !payout.messageHash && now - claimedAt > PENDING_CLAIM_TIMEOUT_MS;
+}
+
+/**
+ * Atomically claim a payout before anything is sent. A pending claim abandoned before signing is taken over
+ * @param {string} orderId - The order ID
+ * @param {string} type - Payout type
+ * @param {object} details - { amount, fromAddress, toAddress, jettonWalletAddress, networkFee, relayWalletAddress } stored on the record
+ * @returns {Promise<{claimed: boolean, payout: object}>} claimed is false for an already confirmed payout
+ */
+async function claimPayout(orderId, type, details) {
+  const ref = payoutRef(orderId, type);
+  return await runTransaction(db, async (transaction) => {
+    const snap = await transaction.get(ref);
+    const existing = snap.exists() ? snap.data() : null;
+
+    if (existing?.status === PAYOUT_STATES.CONFIRMED) {
+      return { claimed: false, payout: { id: snap.id, ...existing } };
+    }
+    const now = Date.now();
+    if (existing && existing.status !== PAYOUT_STATES.FAILED && !isAbandonedClaim(existing, now)) {
+      throw httpError(`Payout ${type} for order ${orderId} is already in progress (status: ${existing.status})`, 409);
+    }
+    if (existing?.status === PAYOUT_STATES.PENDING) {
+      console.warn(`[PAYOUT] ⚠️  Taking over payout ${snap.id}: attempt ${existing.attempts} was claimed at ${new Date(existing.claimedAtTimestamp || existing.updatedAtTimestamp).toISOString()} and never signed`);
+    }
+
+    const payout = {
+      orderId,
+      type,
+      amount: details.amount.toString(),
+      fromAddress: details.fromAddress.toString(),
+      toAddress: details.toAddress.toString(),
+      jettonWalletAddress: details.jettonWalletAddress ? details.jettonWalletAddress.toString() : null,
+      // Estimated nanoTON the payout costs in network fees, posted to the ledger as gas
+      networkFee: details.networkFee ? details.networkFee.toString() : null,
+      relayWalletAddress: details.relayWalletAddress ? details.relayWalletAddress.toString() : null,
+      status: PAYOUT_STATES.PENDING,
+      attempts: (existing?.attempts || 0) + 1,
+      // Unique per attempt so the jetton wallet transaction can be told apart from any other transfer
+      queryId: randomBytes(8).readBigUInt64BE().toString(),
+      seqno: null,
+      messageHash: null,
+      validUntil: null,
+      error: null,
+      claimedAtTimestamp: now,
+      createdAt: existing?.createdAt || serverTimestamp(),
+      createdAtTimestamp: existing?.createdAtTimestamp || now,
+      updatedAtTimestamp: now,
+    };
+    transaction.set(ref, payout);
+    return { claimed: true, payout: { id: ref.id, ...payout } };
+  });
+}
+
+/**
+ * Update a payout only while it is still held by the given attempt, so a claim that was taken over
+ * can neither broadcast nor mark the new attempt failed
+ * @param {object} payout - The claimed payout record
+ * @param {object} fields - Fields to set
+ * @returns {Promise<boolean>} false if another attempt has claimed the payout since
+ */
+async function updateClaimedPayout(payout, fields) {
+  const ref = payoutRef(payout.orderId, payout.type);
+  return await runTransaction(db, async (transaction) => {
+    const snap = await transaction.get(ref);
+    if (!snap.exists() || snap.data().attempts !== payout.attempts) {
+      return false;
+    }
+    transaction.update(ref, { ...fields, updatedAtTimestamp: Date.now() });
+    return true;
+  });
+}
+
+async function withWalletLock(address, fn) {
+  const key = address.toString();
+  const previous = walletLocks.get(key) || Promise.resolve();
+  const run = previous.catch(() => {}).then(fn);
+  walletLocks.set(key, run);
+  try {
+    return await run;
+  } finally {
+    if (walletLocks.get(key) === run) {
+      walletLocks.delete(key);
+    }
+  }
+}
+
+/**
+ * Wait until a wallet's seqno moves past the given value or the message expires
+ * @param {TonClient} tonClient - TON client instance
+ * @param {WalletContractV5R1} wallet - The sending wallet
+ * @param {number} seqno - Seqno the payout message was signed with
+ * @param {number} validUntil - Unix time (seconds) the message expires
+ * @returns {Promise<boolean>} true if the seqno advanced
+ */
+async function waitForSeqno(tonClient, wallet, seqno, validUntil) {
+  const openedWallet = tonClient.open(wallet);
+  // Allow a few blocks after expiry for the last state to propagate
+  const deadline = (validUntil + 15) * 1000;
+  while (true) {
+    try {
+      if ((await openedWallet.getSeqno()) > seqno) {
+        return true;
+      }
+    } catch (error) {
+      console.warn(`[PAYOUT] ⚠️  Could not read seqno of ${wallet.address.toString()}: ${error.message}`);
+    }
+    if (Date.now() > deadline) {
+      return false;
+    }
+    await sleep(SEQNO_POLL_INTERVAL_MS);
+  }
+}
+
+/**
+ * Resolve a payout left in submitted (e.g. the server stopped while waiting):
+ * confirmed if the wallet seqno moved past it, failed once its message expired
+ * @param {object} payout - The payout record
+ * @param {TonClient} tonClient - TON client instance
+ * @param {WalletContractV5R1} wallet - The sending wallet
+ * @returns {Promise<object>} The updated payout
+ */
+async function resolveSubmittedPayout(payout, tonClient, wallet) {
+  const landed = await waitForSeqno(tonClient, wallet, payout.seqno, payout.validUntil);
+  const status = landed ? PAYOUT_STATES.CONFIRMED : PAYOUT_STATES.FAILED;
+  const fields = landed
+    ? { status, confirmedAtTimestamp: Date.now(), trackingStatus: PAYOUT_TRACKING_STATES.PENDING }
+    : { status, error: 'Message expired before the wallet processed it' };
+  await updatePayout(payout.orderId, payout.type, fields);
+  console.log(`[PAYOUT] Payout ${payout.id} resolved as ${status} (seqno ${payout.seqno})`);
+  return { ...payout, ...fields };
+}
+
+/**
+ * Build the messages of one wallet transfer from the sender's arguments: a single message,
+ * or several ({ messages }) sent together in one transfer
+ * @param {object} args - Arguments passed to sender.send
+ * @returns {MessageRelaxed[]}
+ */
+function transferMessages(args) {
+  const messages = args.messages || [args];
+  return messages.map((message) => internal({
+    to: message.to,
+    value: message.value,
+    init: message.init,
+    body: message.body,
+    bounce: message.bounce,
+  }));
+}
+
+/**
+ * Sign and broadcast one wallet transfer while holding the wallet's send lock, then wait for its seqno to advance.
+ * Every send from a wallet that also makes payouts must go through here, otherwise a foreign seqno bump could confirm a payout that never went out.
+ * With relay, the transfer is signed as a w5 internal request and carried to the wallet by the relay wallet (itself sent through here),
+ * which attaches the TON for its gas - the wallet needs no TON of its own
+ * @param {object} params
+ * @param {TonClient} params.tonClient - TON client instance
+ * @param {WalletContractV5R1} params.wallet - The sending wallet
+ * @param {Buffer} params.secretKey - The sending wallet's secret key
+ * @param {(sender: Sender) => Promise<void>} params.send - Performs the transfer through the given sender
+ * @param {(submission: {seqno: number, validUntil: number, messageHash: string}) => Promise<void>} params.onSigned - Optional: called after signing, before broadcasting
+ * @param {{wallet: WalletContractV5R1, secretKey: Buffer, value: bigint}} params.relay - Optional: the wallet relaying the transfer and the nanoTON it attaches
+ * @returns {Promise<{seqno: number, validUntil: number, messageHash: string, landed: boolean}>} messageHash is the relay wallet's external message for relayed transfers
+ */
+export async function sendWalletTransfer({ tonClient, wallet, secretKey, send, onSigned, relay }) {
+  return await withWalletLock(wallet.address, async () => {
+    const openedWallet = tonClient.open(wallet);
+    const seqno = await openedWallet.getSeqno();
+    let submission = null;
+    let broadcastError = null;
+
+    const sender = {
+      address: wallet.address,
+      send: async (args) => {
+        if (submission) {
+          throw new Error('A wallet transfer sends exactly one message');
+        }
+        // A relayed request may wait for the relay wallet's lock, so it stays valid longer
+        const validUntil = Math.floor(Date.now() / 1000) + (relay ? RELAYED_MESSAGE_TTL_SECONDS : PAYOUT_MESSAGE_TTL_SECONDS);
+        const transfer = wallet.createTransfer({
+          seqno,
+          secretKey,
+          timeout: validUntil,
+          sendMode: args.sendMode ?? SendMode.PAY_GAS_SEPARATELY + SendMode.IGNORE_ERRORS,
+          messages: transferMessages(args),
+          ...(relay ? { authType: 'internal' } : {}),
+        });
+
+        if (relay) {
+          // The relay's external message is the one broadcast, so its hash identifies the transfer on-chain
+          const relayed = await sendWalletTransfer({
+            tonClient,
+            wallet: relay.wallet,
+            secretKey: relay.secretKey,
+            send: (relaySender) => relaySender.send({
+              to: wallet.address,
+              value: relay.value,
+              init: seqno === 0 ? wallet.init : undefined,
+              body: transfer,
+              bounce: false,
+            }),
+            onSigned: async (relaySigned) => {
+              const signed = {
+                seqno,
+                validUntil,
+                messageHash: relaySigned.messageHash,
+                relayWalletAddress: relay.wallet.address.toString(),
+                relaySeqno: relaySigned.seqno,
+              };
+              if (onSigned) {
+                await onSigned(signed);
+              }
+              submission = signed;
+            },
+          });
+          if (!relayed.landed) {
+            console.warn(`[PAYOUT] ⚠️  Relay from ${relay.wallet.address.toString()} (seqno ${relayed.seqno}) expired before it was processed`);
+          }
+          return;
+        }
+
+        const message = external({
+          to: wallet.address,
+          init: seqno === 0 ? wallet.init : undefined,
+          body: transfer,
+        });
+        const messageCell = beginCell().store(storeMessage(message)).endCell();
+        const signed = {
+          seqno,
+          validUntil,
+          messageHash: messageCell.hash().toString('hex'),
+        };
+        if (onSigned) {
+          await onSigned(signed);
+        }
+        submission = signed;
+        try {
+          await tonClient.sendFile(messageCell.toBoc());
+        } catch (error) {
+          // The broadcast may still have reached the network - leave it to the seqno check
+          broadcastError = error;
+        }
+      },
+    };
+
+    await send(sender);
+    if (!submission) {
+      throw new Error('Wallet transfer did not send a message');
+    }
+    if (broadcastError) {
+      console.warn(`[PAYOUT] ⚠️  Broadcast from ${wallet.address.toString()} (seqno ${seqno}) reported an error: ${broadcastError.message}`);
+    }
+
+    const landed = await waitForSeqno(tonClient, wallet, seqno, submission.validUntil);
+    if (!landed && broadcastError) {
+      throw broadcastError;
+    }
+    return { ...submission, landed };
+  });
+}
+
+/**
+ * Send a payout exactly once. The payout is claimed atomically, the signed message's seqno
+ * and hash are stored before it is broadcast, and the payout is confirmed once the wallet seqno moves past it.
+ * Calling again for a confirmed payout sends nothing and returns the stored record.
+ * @param {object} params
+ * @param {string} params.orderId - The order ID
+ * @param {string} params.type - Payout type (e.g. 'server_to_seller', 'escrow_to_seller')
+ * @param {bigint} params.amount - Amount being paid out (USDT units, or nanoTON for TON payouts)
+ * @param {Address} params.toAddress - Recipient address
+ * @param {TonClient} params.tonClient - TON client instance
+ * @param {WalletContractV5R1} params.wallet - The sending wallet
+ * @param {Buffer} params.secretKey - The sending wallet's secret key
+ * @param {Address} params.jettonWalletAddress - Optional: the sending jetton wallet, used to match the transfer on-chain
+ * @param {(sender: Sender, payout: object) => Promise<void>} params.send - Performs the transfer through the given sender (e.g. JettonWallet.sendTransfer with the payout's queryId)
+ * @param {{wallet: WalletContractV5R1, secretKey: Buffer, value: bigint}} params.relay - Optional: relay the transfer through another wallet (see sendWalletTransfer)
+ * @param {bigint} params.networkFee - Optional: estimated network fees of the transfer in nanoTON, paid by the relay wallet if relayed
+ * @returns {Promise<{payout: object, alreadyProcessed: boolean}>}
+ */
+export async function executePayout({ orderId, type, amount, toAddress, tonClient, wallet, secretKey, jettonWalletAddress, send, relay, networkFee }) {
+  const existing = await getPayout(orderId, type);
+  if (existing?.status === PAYOUT_STATES.SUBMITTED) {
+    const resolved = await resolveSubmittedPayout(existing, tonClient, wallet);
+    if (resolved.status === PAYOUT_STATES.CONFIRMED) {
+      return { payout: resolved, alreadyProcessed: true };
+    }
+  }
+
+  const { claimed, payout } = await claimPayout(orderId, type, {
+    amount,
+    fromAddress: wallet.address,
+    toAddress,
+    jettonWalletAddress,
+    networkFee,
+    relayWalletAddress: relay ? relay.wallet.address : null,
+  });
+  if (!claimed) {
+    console.log(`[PAYOUT] Payout ${payout.id} already confirmed, nothing to send`);
+    return { payout, alreadyProcessed: true };
+  }
+
+  let submission = null;
+  try {
+    submission = await sendWalletTransfer({
+      tonClient,
+      wallet,
+      secretKey,
+      send: (sender) => send(sender, payout),
+      relay,
+      // Recorded before broadcasting: a crash after this point leaves a submitted payout
+      // that is resolved by seqno instead of being sent a second time
+      onSigned: async (signed) => {
+        const held = await updateClaimedPayout(payout, {
+          status: PAYOUT_STATES.SUBMITTED,
+          ...signed,
+          walletAddress: wallet.address.toString(),
+          submittedAtTimestamp: Date.now(),
+        });
+        if (!held) {
+          throw httpError(`Payout ${payout.id} was taken over by another attempt; not broadcasting`, 409);
+        }
+        console.log(`[PAYOUT] Payout ${payout.id} submitted (seqno ${signed.seqno}, message ${signed.messageHash})`);
+      },
+    });
+  } catch (error) {
+    await updateClaimedPayout(payout, { status: PAYOUT_STATES.FAILED, error: error.message });
+    throw error;
+  }
+
+  if (!submission.landed) {
+    const message = 'Message expired before the wallet processed it';
+    await updatePayout(orderId, type, { status: PAYOUT_STATES.FAILED, error: message });
+    throw new Error(`Payout ${type} for order ${orderId} failed: ${message}`);
+  }
+
+  const fields = {
+    status: PAYOUT_STATES.CONFIRMED,
+    confirmedAtTimestamp: Date.now(),
+    trackingStatus: PAYOUT_TRACKING_STATES.PENDING,
+  };
+  await updatePayout(orderId, type, fields);
+  console.log(`[PAYOUT] ✅ Payout ${payout.id} confirmed`);
+  const { seqno, validUntil, messageHash } = submission;
+  return { payout: { ...payout, seqno, validUntil, messageHash, ...fields }, alreadyProcessed: false };
+}
@@ -0,0 +1,168 @@
+import { doc, getDoc, setDoc, runTransaction } from 'firebase/firestore';
+import { randomBytes } from 'crypto';
+import { Address } from '@ton/core';
+import { db } from '../firebase/client.js';
+import { verifyTonProof } from '../utils/tonProof.js';
+import { getNetworkEnv, getNetworkSettings, formatNetworkAddress } from '../utils/networkConfig.js';
+import { httpError } from '../utils/httpError.js';
+
+// Sellers are paid only at a wallet they proved they control with a TON Connect ton_proof.
+// The verified wallet is stored on the user profile (users/{userId}.payoutWallet):
+// { address, publicKey, verifiedAtTimestamp, pending: { address, publicKey, verifiedAtTimestamp, effectiveAtTimestamp } | null }
+// The first wallet is used at once. A new wallet needs a fresh proof and only replaces it after the cooldown,
+// so a hijacked session cannot redirect payouts before the seller notices
+
+// How long a proof (and the payload it signs) stays valid
+const TON_PROOF_MAX_AGE_SECONDS = parseInt(process.env.TON_PROOF_MAX_AGE_SECONDS) || 15 * 60;
+// How long a changed payout wallet waits before payouts go to it
+const PAYOUT_WALLET_CHANGE_COOLDOWN_HOURS = parseFloat(process.env.PAYOUT_WALLET_CHANGE_COOLDOWN_HOURS || '48');
+
+function userRef(userId) {
+  return doc(db, 'users', userId.toString());
+}
+
+/**
+ * Domains a proof may be made for: TON_PROOF_ALLOWED_DOMAINS (comma-separated, per network),
+ * or the host of TONCONNECT_APP_URL
+ * @returns {string[]}
+ */
+function getAllowedDomains() {
+  const configured = getNetworkEnv('TON_PROOF_ALLOWED_DOMAINS');
+  if (configured) {
+    return configured.split(',').map((domain) => domain.trim()).filter(Boolean);
+  }
+  const appUrl = getNetworkEnv('TONCONNECT_APP_URL');
+  return appUrl ? [new URL(appUrl).host] : [];
+}
+
+/**
+ * A payout wallet with a pending change that has passed its cooldown, with the change applied
+ * @param {object|null} payoutWallet - users/{userId}.payoutWallet
+ * @param {number} now - Time in ms
+ * @returns {object|null}
+ */
+function applyDueChange(payoutWallet, now) {
+  if (!payoutWallet?.pending || payoutWallet.pending.effectiveAtTimestamp > now) {
+    return payoutWallet || null;
+  }
+  const { address, publicKey, verifiedAtTimestamp } = payoutWallet.pending;
+  return { address, publicKey, verifiedAtTimestamp, pending: null };
+}
+
+/**
+ * Create a payload for the user's wallet to sign in its ton_proof. Each payload is used once
+ * @param {string} userId - The user's Telegram ID
+ * @returns {Promise<{payload: string, expiresAtTimestamp: number}>}
+ */
+export async function createTonProofPayload(userId) {
+  const payload = randomBytes(32).toString('hex');
+  const expiresAtTimestamp = Date.now() + TON_PROOF_MAX_AGE_SECONDS * 1000;
+  await setDoc(doc(db, 'ton_proof_payloads', payload), { userId: userId.toString(), expiresAtTimestamp });
+  return { payload, expiresAtTimestamp };
+}
+
+/**
+ * Get a user's payout wallet, applying a pending change whose cooldown has passed
+ * @param {string} userId - The user's Telegram ID
+ * @returns {Promise<object|null>} users/{userId}.payoutWallet
+ */
+export async function getPayoutWallet(userId) {
+  const snap = await getDoc(userRef(userId));
+  const payoutWallet = snap.exists() ? snap.data().payoutWallet || null : null;
+  if (!payoutWallet?.pending) {
+    return payoutWallet;
+  }
+  return await runTransaction(db, async (transaction) => {
+    const current = await transaction.get(userRef(userId));
+    const stored = current.data()?.payoutWallet || null;
+    const applied = applyDueChange(stored, Date.now());
+    if (applied !== stored) {
+      transaction.update(userRef(userId), { payoutWallet: applied });
+      console.log(`[PAYOUT WALLET] ✅ User ${userId} payout wallet changed to ${applied.address} after the cooldown`);
+    }
+    return applied;
+  });
+}
+
+/**
+ * Verify a ton_proof for the user and make the wallet their payout wallet: at once if they have none,
+ * otherwise as a pending change after PAYOUT_WALLET_CHANGE_COOLDOWN_HOURS. Proving the current wallet again cancels a pending change
+ * @param {string} userId - The user's Telegram ID
+ * @param {object} proofRequest - The connected wallet's account and ton_proof (see verifyTonProof)
+ * @param {TonClient} tonClient - TON client instance
+ * @returns {Promise<object>} The payout wallet
+ */
+export async function verifyPayoutWallet(userId, proofRequest, tonClient) {
+  const { chain } = getNetworkSettings();
+  const { address, publicKey } = await verifyTonProof(tonClient, proofRequest, {
+    chain,
+    domains: getAllowedDomains(),
+    maxAgeSeconds: TON_PROOF_MAX_AGE_SECONDS,
+  });
+  const formattedAddress = formatNetworkAddress(address, { bounceable: false });
+  const payloadRef = doc(db, 'ton_proof_payloads', proofRequest.proof.payload);
+
+  const payoutWallet = await runTransaction(db, async (transaction) => {
+    // The payload must be one we issued to this user, unused and unexpired
+    const payloadSnap = await transaction.get(payloadRef);
+    const now = Date.now();
+    if (!payloadSnap.exists() || payloadSnap.data().userId !== userId.toString() || payloadSnap.data().expiresAtTimestamp < now) {
+      throw httpError('The proof payload is unknown or expired; request a new one', 400);
+    }
+    const userSnap = await transaction.get(userRef(userId));
+    const current = applyDueChange(userSnap.exists() ? userSnap.data().payoutWallet : null, now);
+    const verified = { address: formattedAddress, publicKey: publicKey.toString('hex'), verifiedAtTimestamp: now };
+
+    let next;
+    if (!current || Address.parse(current.address).equals(address)) {
+      next = { ...verified, pending: null };
+    } else {
+      next = {
+        ...current,
+        pending: { ...verified, effectiveAtTimestamp: now + PAYOUT_WALLET_CHANGE_COOLDOWN_HOURS * 60 * 60 * 1000 },
+      };
+    }
+    transaction.delete(payloadRef);
+    transaction.set(userRef(userId), { payoutWallet: next }, { merge: true });
+    return next;
+  });
+
+  if (payoutWallet.pending) {
+    console.log(`[PAYOUT WALLET] User ${userId} verified ${formattedAddress}; it replaces ${payoutWallet.address} on ${new Date(payoutWallet.pending.effectiveAtTimestamp).toISOString()}`);
+  } else {
+    console.log(`[PAYOUT WALLET] ✅ User ${userId} verified payout wallet ${formattedAddress}`);
+  }
+  return payoutWallet;
+}
+
+/**
+ * Cancel a pending payout wallet change
+ * @param {string} userId - The user's Telegram ID
+ * @returns {Promise<object|null>} The payout wallet
+ */
+export async function cancelPayoutWalletChange(userId) {
+  return await runTransaction(db, async (transaction) => {
+    const snap = await transaction.get(userRef(userId));
+    const current = applyDueChange(snap.exists() ? snap.data().payoutWallet : null, Date.now());
+    if (!current?.pending) {
+      throw httpError('There is no pending payout wallet change', 409);
+    }
+    const next = { ...current, pending: null };
+    transaction.update(userRef(userId), { payoutWallet: next });
+    console.log(`[PAYOUT WALLET] User ${userId} cancelled the change to ${current.pending.address}`);
+    return next;
+  });
+}
+
+/**
+ * The address a seller is paid at: their verified payout wallet. Listing and profile addresses without a proof are never used
+ * @param {string} sellerId - The seller's Telegram ID
+ * @returns {Promise<Address>}
+ */
+export async function getVerifiedPayoutAddress(sellerId) {
+  const payoutWallet = sellerId ? await getPayoutWallet(sellerId) : null;
+  if (!payoutWallet) {
+    throw httpError(`Seller ${sellerId} has not verified a payout wallet`, 409);
+  }
+  return Address.parse(payoutWallet.address);
+}
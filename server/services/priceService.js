@@ -0,0 +1,95 @@
+// TON/USD price quotes for orders paid in native TON
+// The price source is pluggable: register one with registerPriceSource and select it with TON_PRICE_SOURCE
+
+// Which registered source quotes are taken from
+const TON_PRICE_SOURCE = process.env.TON_PRICE_SOURCE || 'fixed';
+// Rate used by the fixed source (USD per TON)
+const TON_USD_FIXED_RATE = parseFloat(process.env.TON_USD_FIXED_RATE || '5');
+// Minutes a TON quote stays valid; deposits made within the window are accepted at the quoted amount
+export const TON_QUOTE_WINDOW_MINUTES = parseFloat(process.env.TON_QUOTE_WINDOW_MINUTES || '15');
+
+const NANO_PER_TON = BigInt(1000000000);
+// Rates are converted to micro-dollars per TON so the amount math stays in integers
+const MICRO_USD_PER_CENT = BigInt(10000);
+
+// Price sources: name -> async () => USD per TON
+const priceSources = new Map([
+  ['fixed', async () => TON_USD_FIXED_RATE],
+]);
+
+/**
+ * Register a price source
+ * @param {string} name - Name to select it by in TON_PRICE_SOURCE
+ * @param {() => Promise<number>} fetchRate - Resolves to the current price of one TON in USD
+ */
+export function registerPriceSource(name, fetchRate) {
+  priceSources.set(name, fetchRate);
+}
+
+/**
+ * Get the current TON price from the configured source
+ * @returns {Promise<{usdPerTon: number, source: string}>}
+ */
+export async function getTonUsdRate() {
+  const fetchRate = priceSources.get(TON_PRICE_SOURCE);
+  if (!fetchRate) {
+    throw new Error(`Unknown TON price source: ${TON_PRICE_SOURCE}`);
+  }
+  const usdPerTon = await fetchRate();
+  if (!(typeof usdPerTon === 'number' && usdPerTon > 0)) {
+    throw new Error(`TON price source ${TON_PRICE_SOURCE} returned an invalid rate: ${usdPerTon}`);
+  }
+  return { usdPerTon, source: TON_PRICE_SOURCE };
+}
+
+/**
+ * Convert USD cents to nanoTON at a rate, rounding up so the buyer never underpays
+ * @param {number} usdCents - Amount in USD cents
+ * @param {number} usdPerTon - Price of one TON in USD
+ * @returns {bigint} nanoTON
+ */
+export function usdCentsToNanoTon(usdCents, usdPerTon) {
+  const microUsdPerTon = BigInt(Math.round(usdPerTon * 1000000));
+  const microUsd = BigInt(usdCents) * MICRO_USD_PER_CENT;
+  return (microUsd * NANO_PER_TON + microUsdPerTon - BigInt(1)) / microUsdPerTon;
+}
+
+/**
+ * Convert nanoTON to USD cents at a rate, rounding up (used to charge TON costs in a jetton)
+ * @param {bigint} nanoTon - Amount in nanoTON
+ * @param {number} usdPerTon - Price of one TON in USD
+ * @returns {number} USD cents
+ */
+export function nanoTonToUsdCents(nanoTon, usdPerTon) {
+  const microUsdPerTon = BigInt(Math.round(usdPerTon * 1000000));
+  const microUsd = (nanoTon * microUsdPerTon + NANO_PER_TON - BigInt(1)) / NANO_PER_TON;
+  return Number((microUsd + MICRO_USD_PER_CENT - BigInt(1)) / MICRO_USD_PER_CENT);
+}
+
+/**
+ * Whether a TON quote is still locked at a given time (the expiry itself is inside the window)
+ * @param {object|null} tonQuote - A quote from quoteTonAmount
+ * @param {number} at - Time in ms
+ * @returns {boolean}
+ */
+export function isTonQuoteLocked(tonQuote, at) {
+  return !!tonQuote && at <= tonQuote.expiresAtTimestamp;
+}
+
+/**
+ * Quote a USD amount in TON and lock it for TON_QUOTE_WINDOW_MINUTES
+ * @param {number} usdCents - Amount in USD cents
+ * @returns {Promise<{usdCents: number, usdPerTon: number, source: string, amount: string, quotedAtTimestamp: number, expiresAtTimestamp: number}>} amount in nanoTON
+ */
+export async function quoteTonAmount(usdCents) {
+  const { usdPerTon, source } = await getTonUsdRate();
+  const now = Date.now();
+  return {
+    usdCents,
+    usdPerTon,
+    source,
+    amount: usdCentsToNanoTon(usdCents, usdPerTon).toString(),
+    quotedAtTimestamp: now,
+    expiresAtTimestamp: now + TON_QUOTE_WINDOW_MINUTES * 60 * 1000,
+  };
+}
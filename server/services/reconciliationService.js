@@ -0,0 +1,451 @@
+import { collection, doc, setDoc, getDocs, query, orderBy, limit } from 'firebase/firestore';
+import { Address } from '@ton/core';
+import { db } from '../firebase/client.js';
+import { getJettonBalance } from '../utils/walletUtils.js';
+import { getJettonRegistry } from '../utils/jettonRegistry.js';
+import { getTonNetwork, getServerWalletAddress, formatNetworkAddress } from '../utils/networkConfig.js';
+import {
+  ORDER_STATES,
+  PAYMENT_CURRENCIES,
+  fetchOrdersByStatus,
+  getOrderCurrency,
+  getOrderJetton,
+} from './orderService.js';
+import { fetchPayoutsForOrder, PAYOUT_STATES, PAYOUT_TRACKING_STATES } from './payoutService.js';
+import { getTransaction, fetchTransactionsSince } from './transactionService.js';
+import { getAccountBalance, ledgerAccount, LEDGER_ACCOUNTS } from './ledgerService.js';
+import { sendAlert } from './notifierService.js';
+import { isPayoutBatchingEnabled, getHighloadWallet } from './payoutBatchService.js';
+import { httpError } from '../utils/httpError.js';
+
+// How often on-chain balances are reconciled with the orders, payouts and ledger
+const RECONCILIATION_INTERVAL_MS = parseInt(process.env.RECONCILIATION_INTERVAL_MS) || 6 * 60 * 60 * 1000;
+// Settled orders and stored deposits are checked this far back
+const RECONCILIATION_LOOKBACK_DAYS = parseFloat(process.env.RECONCILIATION_LOOKBACK_DAYS || '30');
+// A payout plan gets this long to be paid out before its missing payouts are reported
+const RECONCILIATION_PAYOUT_GRACE_MINUTES = parseFloat(process.env.RECONCILIATION_PAYOUT_GRACE_MINUTES || '60');
+// TON balances drift by storage fees and fee estimates, so TON differences up to this (in TON) are not reported
+const RECONCILIATION_TON_TOLERANCE = process.env.RECONCILIATION_TON_TOLERANCE || '0.5';
+
+// Orders whose escrow wallet should hold the buyer's deposit
+const OPEN_STATES = [
+  ORDER_STATES.AWAITING_PAYMENT,
+  ORDER_STATES.FUNDED,
+  ORDER_STATES.SHIPPED,
+  ORDER_STATES.DELIVERED,
+  ORDER_STATES.DISPUTED,
+];
+// Orders whose deposit was paid out
+const SETTLED_STATES = [ORDER_STATES.RELEASED, ORDER_STATES.REFUNDED, ORDER_STATES.SETTLED];
+
+// Payouts each payout plan kind sends, by the plan amount that goes with them
+const PLAN_PAYOUTS = {
+  release: { escrow_to_server: 'serverAmount', escrow_to_seller: 'sellerAmount' },
+  // A batched release hands the seller's share to the highload wallet, which pays the seller
+  batched_release: { escrow_to_server: 'serverAmount', escrow_to_highload: 'sellerAmount', server_to_seller: 'sellerAmount' },
+  refund: { escrow_to_buyer: 'refundAmount', escrow_to_server: 'feeAmount' },
+  split: { escrow_to_server: 'serverAmount', escrow_to_seller: 'sellerAmount', escrow_to_buyer: 'buyerAmount' },
+};
+
+const TON_DECIMALS = 9;
+// Reports are stored in one document, so very long issue lists are cut off
+const MAX_STORED_ISSUES = 500;
+
+let reconciliationTimer = null;
+let running = false;
+// Last report, served to the admin panel without a Firestore read
+let lastReport = null;
+
+function tonTolerance() {
+  const [whole, fraction = ''] = RECONCILIATION_TON_TOLERANCE.split('.');
+  return BigInt(whole || '0') * BigInt(10 ** TON_DECIMALS) + BigInt(fraction.slice(0, TON_DECIMALS).padEnd(TON_DECIMALS, '0'));
+}
+
+function withinTolerance(currency, expected, actual) {
+  const difference = expected > actual ? expected - actual : actual - expected;
+  return difference <= (currency === PAYMENT_CURRENCIES.TON ? tonTolerance() : BigInt(0));
+}
+
+/**
+ * When an order reached its current state
+ * @param {object} order - The order record
+ * @returns {number} Time in ms
+ */
+function stateChangedAt(order) {
+  const history = order.history || [];
+  return history.length > 0 ? history[history.length - 1].at : order.updatedAtTimestamp;
+}
+
+function decimalsOf(order) {
+  return getOrderJetton(order)?.decimals ?? TON_DECIMALS;
+}
+
+/**
+ * The order's balance of its currency in a wallet
+ * @param {TonClient} tonClient - TON client instance
+ * @param {object} order - The order record
+ * @param {string} walletAddress - The wallet
+ * @returns {Promise<bigint>} Jetton units, or nanoTON
+ */
+async function getOrderAssetBalance(tonClient, order, walletAddress) {
+  const address = Address.parse(walletAddress);
+  const jetton = getOrderJetton(order);
+  return jetton ? await getJettonBalance(tonClient, address, jetton) : await tonClient.getBalance(address);
+}
+
+/**
+ * Compare a server-side wallet's on-chain balances with its ledger account
+ * @param {TonClient} tonClient - TON client instance
+ * @param {Address} address - The wallet
+ * @param {string} account - Its ledger account: LEDGER_ACCOUNTS.HOT_WALLET or LEDGER_ACCOUNTS.HIGHLOAD_WALLET
+ * @param {Array} issues - Found issues are added here
+ * @returns {Promise<Array<{wallet: string, symbol: string, decimals: number, onChain: string, ledger: string}>>}
+ */
+async function reconcileServerWallet(tonClient, address, account, issues) {
+  const { balances: ledgerBalances } = await getAccountBalance(account);
+  const assets = [{ symbol: PAYMENT_CURRENCIES.TON, decimals: TON_DECIMALS }, ...getJettonRegistry()];
+  const label = account === LEDGER_ACCOUNTS.HOT_WALLET ? 'Server wallet' : 'Highload wallet';
+
+  const balances = [];
+  for (const asset of assets) {
+    const onChain = asset.symbol === PAYMENT_CURRENCIES.TON
+      ? await tonClient.getBalance(address)
+      : await getJettonBalance(tonClient, address, asset);
+    const ledger = BigInt(ledgerBalances[asset.symbol] || 0);
+    balances.push({ wallet: account, symbol: asset.symbol, decimals: asset.decimals, onChain: onChain.toString(), ledger: ledger.toString() });
+    if (!withinTolerance(asset.symbol, ledger, onChain)) {
+      issues.push({
+        kind: `${account}_mismatch`,
+        severity: 'warning',
+        orderId: null,
+        currency: asset.symbol,
+        decimals: asset.decimals,
+        expected: ledger.toString(),
+        actual: onChain.toString(),
+        message: `${label} holds ${onChain > ledger ? 'more' : 'less'} ${asset.symbol} than the ledger's ${account} balance`
+          + ' (post a top-up for funds sent to it outside the platform)',
+      });
+    }
+  }
+  return balances;
+}
+
+/**
+ * Compare an open order's escrow wallet with its deposit and its ledger escrow account
+ * @param {TonClient} tonClient - TON client instance
+ * @param {object} order - An open order with an escrow wallet
+ * @param {Array} issues - Found issues are added here
+ */
+async function reconcileOpenEscrow(tonClient, order, issues) {
+  const currency = getOrderCurrency(order);
+  const decimals = decimalsOf(order);
+  const onChain = await getOrderAssetBalance(tonClient, order, order.escrowWalletAddress);
+  const issue = (kind, severity, expected, actual, message) => issues.push({
+    kind,
+    severity,
+    orderId: order.orderId,
+    currency,
+    decimals,
+    expected: expected.toString(),
+    actual: actual.toString(),
+    message,
+  });
+
+  // Until it is funded, an order's deposits are only stored once they cover the total
+  if (order.status === ORDER_STATES.AWAITING_PAYMENT) {
+    const seen = BigInt(order.depositedAmount || 0);
+    if (onChain > seen && !withinTolerance(currency, seen, onChain)) {
+      issue('unmatched_deposit', 'warning', seen, onChain,
+        `Escrow wallet holds ${currency} the order has not been matched to (${onChain >= BigInt(order.totalAmount) ? 'covers the order total' : 'short of the order total'})`);
+    }
+    return;
+  }
+
+  const deposited = BigInt(order.depositedAmount || order.totalAmount);
+  if (onChain < deposited && !withinTolerance(currency, deposited, onChain)) {
+    issue('underfunded_escrow', 'critical', deposited, onChain, 'Escrow wallet holds less than the buyer deposited');
+  } else if (onChain > deposited && !withinTolerance(currency, deposited, onChain)) {
+    issue('overfunded_escrow', 'warning', deposited, onChain, 'Escrow wallet holds more than the buyer deposited (a late or repeated deposit)');
+  }
+
+  const { balances } = await getAccountBalance(ledgerAccount(LEDGER_ACCOUNTS.ESCROW, order.orderId));
+  const ledger = BigInt(balances[currency] || 0);
+  if (ledger !== deposited) {
+    issue('escrow_ledger_mismatch', 'warning', deposited, ledger,
+      ledger === BigInt(0) ? 'The deposit was not posted to the ledger' : 'The ledger escrow balance differs from the deposit');
+  }
+
+  // Every verified deposit transfer should have its transaction record
+  for (const transfer of order.deposit?.transactions || []) {
+    if (transfer.transactionHash && !await getTransaction(transfer.transactionHash)) {
+      issue('missing_deposit_record', 'warning', BigInt(transfer.amount), BigInt(0),
+        `Deposit transaction ${transfer.transactionHash} has no transaction record`);
+    }
+  }
+}
+
+/**
+ * Compare an order's payout plan (or its server wallet payout) with its payout records
+ * @param {object} order - An order with a payout plan, or released from the server wallet
+ * @param {Array} issues - Found issues are added here
+ * @returns {Promise<number>} Payouts checked
+ */
+async function reconcilePayouts(order, issues) {
+  const currency = getOrderCurrency(order);
+  const decimals = decimalsOf(order);
+  const expected = order.payoutPlan
+    ? Object.entries(PLAN_PAYOUTS[order.payoutPlan.result.batched ? `batched_${order.payoutPlan.kind}` : order.payoutPlan.kind] || {})
+      .map(([type, field]) => ({ type, amount: BigInt(order.payoutPlan.result[field] || 0) }))
+      .filter((payout) => payout.amount > BigInt(0))
+    : [{ type: 'server_to_seller', amount: null }];
+
+  const payouts = await fetchPayoutsForOrder(order.orderId);
+  for (const { type, amount } of expected) {
+    const payout = payouts.find((p) => p.type === type);
+    const issue = (kind, severity, actual, message) => issues.push({
+      kind,
+      severity,
+      orderId: order.orderId,
+      currency,
+      decimals,
+      expected: amount !== null ? amount.toString() : (payout?.amount ?? null),
+      actual,
+      message,
+    });
+
+    if (!payout || payout.status !== PAYOUT_STATES.CONFIRMED) {
+      issue('missing_payout', 'critical', '0', payout
+        ? `${type} payout is ${payout.status}, not confirmed`
+        : `${type} payout was never sent`);
+    } else if (amount !== null && BigInt(payout.amount) !== amount) {
+      issue('missing_payout', 'critical', payout.amount, `${type} payout sent a different amount than the payout plan`);
+    } else if (payout.aborted) {
+      issue('aborted_payout', 'critical', '0', `${type} jetton transfer was aborted on-chain; the funds did not leave the wallet`);
+    } else if (payout.trackingStatus === PAYOUT_TRACKING_STATES.NOT_FOUND) {
+      issue('untracked_payout', 'warning', payout.amount, `${type} payout was confirmed but its transaction was not found on-chain`);
+    }
+  }
+  return expected.length;
+}
+
+/**
+ * Report recorded buyer payments whose order was never funded
+ * @param {number} since - Time in ms
+ * @param {Map<string, object>} ordersById - Orders already fetched
+ * @param {Array} issues - Found issues are added here
+ * @returns {Promise<number>} Transactions checked
+ */
+async function reconcileDepositRecords(since, ordersById, issues) {
+  const deposits = (await fetchTransactionsSince(since)).filter((tx) => tx.type === 'buyer_to_server');
+  const unfunded = [ORDER_STATES.CREATED, ORDER_STATES.AWAITING_PAYMENT, ORDER_STATES.CANCELLED];
+  for (const tx of deposits) {
+    const order = ordersById.get(tx.orderId);
+    if (order && !unfunded.includes(order.status)) {
+      continue;
+    }
+    const currency = tx.currency || PAYMENT_CURRENCIES.USDT;
+    issues.push({
+      kind: 'unmatched_deposit',
+      severity: 'warning',
+      orderId: tx.orderId,
+      currency,
+      decimals: order ? decimalsOf(order) : (getJettonRegistry().find((j) => j.symbol === currency)?.decimals ?? TON_DECIMALS),
+      expected: '0',
+      actual: tx.amount,
+      message: order
+        ? `Buyer payment ${tx.transactionHash || tx.id} was recorded but the order is ${order.status}`
+        : `Buyer payment ${tx.transactionHash || tx.id} was recorded for an order that was not checked (older or unknown)`,
+    });
+  }
+  return deposits.length;
+}
+
+/**
+ * Check every open escrow wallet and the server wallet on-chain, and the payouts of recently settled orders
+ * @param {TonClient} tonClient - TON client instance
+ * @param {number} startedAt - Time in ms
+ * @returns {Promise<object>} The report
+ */
+async function buildReport(tonClient, startedAt) {
+  const issues = [];
+  const since = startedAt - RECONCILIATION_LOOKBACK_DAYS * 24 * 60 * 60 * 1000;
+  const graceCutoff = startedAt - RECONCILIATION_PAYOUT_GRACE_MINUTES * 60 * 1000;
+  const counts = { escrowWallets: 0, settledOrders: 0, payouts: 0, depositRecords: 0 };
+
+  const serverWallet = await reconcileServerWallet(tonClient, getServerWalletAddress(), LEDGER_ACCOUNTS.HOT_WALLET, issues);
+  if (isPayoutBatchingEnabled()) {
+    const { wallet } = await getHighloadWallet();
+    serverWallet.push(...await reconcileServerWallet(tonClient, wallet.address, LEDGER_ACCOUNTS.HIGHLOAD_WALLET, issues));
+  }
+
+  const ordersById = new Map();
+  for (const status of [...OPEN_STATES, ...SETTLED_STATES, ORDER_STATES.CANCELLED]) {
+    for (const order of await fetchOrdersByStatus(status)) {
+      ordersById.set(order.orderId, order);
+    }
+  }
+
+  for (const order of ordersById.values()) {
+    try {
+      if (OPEN_STATES.includes(order.status)) {
+        if (order.payoutPlan) {
+          // Funds are leaving the escrow; only a plan that has not finished in time is a problem
+          if (order.payoutPlan.createdAtTimestamp <= graceCutoff) {
+            counts.payouts += await reconcilePayouts(order, issues);
+          }
+        } else if (order.escrowWalletAddress) {
+          await reconcileOpenEscrow(tonClient, order, issues);
+          counts.escrowWallets++;
+        }
+      } else if (SETTLED_STATES.includes(order.status) && stateChangedAt(order) >= since) {
+        // Orders released from the server wallet have no plan
+        if (order.payoutPlan || (order.status === ORDER_STATES.RELEASED && !order.escrowWalletAddress)) {
+          counts.payouts += await reconcilePayouts(order, issues);
+        }
+        counts.settledOrders++;
+      }
+    } catch (error) {
+      console.error(`[RECONCILE] ❌ Error checking order ${order.orderId}:`, error.message);
+      issues.push({
+        kind: 'check_failed',
+        severity: 'warning',
+        orderId: order.orderId,
+        currency: getOrderCurrency(order),
+        decimals: null,
+        expected: null,
+        actual: null,
+        message: `Could not check the order: ${error.message}`,
+      });
+    }
+  }
+
+  counts.depositRecords = await reconcileDepositRecords(since, ordersById, issues);
+
+  const summary = {
+    critical: issues.filter((issue) => issue.severity === 'critical').length,
+    warning: issues.filter((issue) => issue.severity === 'warning').length,
+  };
+  return {
+    id: startedAt.toString(),
+    network: getTonNetwork(),
+    serverWalletAddress: formatNetworkAddress(getServerWalletAddress()),
+    startedAtTimestamp: startedAt,
+    finishedAtTimestamp: Date.now(),
+    lookbackDays: RECONCILIATION_LOOKBACK_DAYS,
+    status: summary.critical > 0 ? 'critical' : summary.warning > 0 ? 'warning' : 'ok',
+    summary,
+    counts,
+    serverWallet,
+    issues,
+    error: null,
+  };
+}
+
+/**
+ * Store a report, cutting off its issue list if it is too long for one document
+ * @param {object} report - The report
+ * @returns {Promise<void>}
+ */
+async function storeReport(report) {
+  const stored = report.issues.length > MAX_STORED_ISSUES
+    ? { ...report, issues: report.issues.slice(0, MAX_STORED_ISSUES), issuesTruncated: report.issues.length }
+    : report;
+  await setDoc(doc(db, 'reconciliation_reports', report.id), stored);
+}
+
+/**
+ * Reconcile on-chain balances with the stored orders, payouts, transactions and ledger, store the report and alert on issues
+ * @param {() => Promise<TonClient>} getTonClient - Factory for a TON client
+ * @returns {Promise<object>} The report, as returned by getLatestReconciliationReport
+ */
+export async function runReconciliation(getTonClient) {
+  if (running) {
+    throw httpError('A reconciliation is already running', 409);
+  }
+  running = true;
+  const startedAt = Date.now();
+  try {
+    const tonClient = await getTonClient();
+    const report = await buildReport(tonClient, startedAt);
+    lastReport = report;
+    await storeReport(report);
+
+    if (report.status === 'ok') {
+      console.log(`[RECONCILE] ✅ Run complete (${report.finishedAtTimestamp - startedAt}ms): no issues`);
+    } else {
+      console.warn(`[RECONCILE] ⚠️ Run complete (${report.finishedAtTimestamp - startedAt}ms): ${report.summary.critical} critical, ${report.summary.warning} warning issue(s)`);
+      const kinds = [...new Set(report.issues.map((issue) => issue.kind))];
+      await sendAlert({
+        key: 'reconciliation',
+        level: report.status,
+        title: `Reconciliation found ${report.issues.length} issue(s) (${report.network})`,
+        message: [
+          `${report.summary.critical} critical, ${report.summary.warning} warning`,
+          ...kinds.map((kind) => `${kind}: ${report.issues.filter((issue) => issue.kind === kind).length}`),
+        ].join('\n'),
+        details: { id: report.id, summary: report.summary, counts: report.counts },
+      });
+    }
+    return report;
+  } catch (error) {
+    console.error(`[RECONCILE] ❌ Error running reconciliation:`, error);
+    lastReport = {
+      id: startedAt.toString(),
+      network: getTonNetwork(),
+      startedAtTimestamp: startedAt,
+      finishedAtTimestamp: Date.now(),
+      status: 'error',
+      summary: { critical: 0, warning: 0 },
+      counts: null,
+      serverWallet: [],
+      issues: [],
+      error: error.message,
+    };
+    return lastReport;
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * The latest reconciliation report: the last one run by this process, or else the last one stored.
+ * Amounts are strings of units, with the decimals of their currency
+ * @returns {Promise<object|null>} null if reconciliation has never run
+ */
+export async function getLatestReconciliationReport() {
+  if (lastReport) {
+    return { ...lastReport, running };
+  }
+  const snapshot = await getDocs(query(
+    collection(db, 'reconciliation_reports'),
+    orderBy('startedAtTimestamp', 'desc'),
+    limit(1)
+  ));
+  return snapshot.empty ? null : { ...snapshot.docs[0].data(), running };
+}
+
+/**
+ * Start reconciling periodically
+ * @param {() => Promise<TonClient>} getTonClient - Factory for a TON client
+ */
+export function startReconciliation(getTonClient) {
+  if (reconciliationTimer) {
+    return;
+  }
+  console.log(`[RECONCILE] Reconciliation started (every ${RECONCILIATION_INTERVAL_MS}ms)`);
+  const run = () => runReconciliation(getTonClient).catch((error) => {
+    console.log(`[RECONCILE] ${error.message}, skipping`);
+  });
+  reconciliationTimer = setInterval(run, RECONCILIATION_INTERVAL_MS);
+  run();
+}
+
+/**
+ * Stop the periodic reconciliation
+ */
+export function stopReconciliation() {
+  if (reconciliationTimer) {
+    clearInterval(reconciliationTimer);
+    reconciliationTimer = null;
+  }
+}
@@ -1,22 +1,22 @@
-import { collection, doc, setDoc, query, orderBy, limit, getDocs, serverTimestamp } from 'firebase/firestore';
+import { collection, doc, getDoc, setDoc, updateDoc, query, where, orderBy, limit, getDocs, serverTimestamp } from 'firebase/firestore';
 import { db } from '../firebase/client.js';
 
 /**
  * Store a transaction record
- * @param {string} type - 'buyer_to_server' or 'server_to_seller'
- * @param {string} transactionHash - The transaction hash
+ * @param {string} type - 'buyer_to_server', 'server_to_seller', 'escrow_to_server', 'escrow_to_seller', 'escrow_to_buyer', 'escrow_sweep_jetton' or 'escrow_sweep_ton'
+ * @param {string|null} transactionHash - The transaction hash (null if not known yet)
  * @param {string} orderId - The order ID
  * @param {string} fromAddress - Sender address
  * @param {string} toAddress - Recipient address
- * @param {string} amount - Amount in USDT units (as string)
+ * @param {string} amount - Amount in USDT units, or nanoTON when metadata.currency is 'TON' (as string)
  * @param {object} metadata - Additional metadata (optional)
  * @returns {Promise<boolean>}
  */
 export async function storeTransaction(type, transactionHash, orderId, fromAddress, toAddress, amount, metadata = {}) {
   try {
     const transactionData = {
-      type, // 'buyer_to_server' or 'server_to_seller'
-      transactionHash,
+      type, // 'buyer_to_server', 'server_to_seller', 'escrow_to_server', 'escrow_to_seller', 'escrow_to_buyer', 'escrow_sweep_jetton' or 'escrow_sweep_ton'
+      transactionHash: transactionHash || null,
       orderId,
       fromAddress: fromAddress.toString ? fromAddress.toString() : fromAddress,
       toAddress: toAddress.toString ? toAddress.toString() : toAddress,
@@ -27,10 +27,12 @@ export async function storeTransaction(type, transactionHash, orderId, fromAddre
     };
 
     // Store in Firestore
-    const transactionRef = doc(collection(db, 'transactions'), transactionHash);
+    // Transactions without a known hash yet are keyed by order and type
+    const transactionId = transactionHash || `${orderId}_${type}`;
+    const transactionRef = doc(collection(db, 'transactions'), transactionId);
     await setDoc(transactionRef, transactionData, { merge: false });
     
-    console.log(`[TRANSACTION] ✅ Stored ${type} transaction: ${transactionHash}`);
+    console.log(`[TRANSACTION] ✅ Stored ${type} transaction: ${transactionId}`);
     return true;
   } catch (error) {
     console.error(`[TRANSACTION] ❌ Error storing transaction:`, error);
@@ -38,9 +40,27 @@ export async function storeTransaction(type, transactionHash, orderId, fromAddre
   }
 }
 
+/**
+ * Set the on-chain hash of a transaction that was stored before its hash was known
+ * @param {string} orderId - The order ID
+ * @param {string} type - Transaction type (e.g. 'server_to_seller')
+ * @param {string} transactionHash - The confirmed transaction hash
+ * @param {object} fields - Additional fields to store (optional)
+ * @returns {Promise<void>}
+ */
+export async function updateTransactionHash(orderId, type, transactionHash, fields = {}) {
+  const transactionId = `${orderId}_${type}`;
+  await updateDoc(doc(db, 'transactions', transactionId), {
+    transactionHash,
+    ...fields,
+    hashResolvedAtTimestamp: Date.now(),
+  });
+  console.log(`[TRANSACTION] ✅ Resolved ${type} transaction ${transactionId}: ${transactionHash}`);
+}
+
 /**
  * Fetch all transactions, optionally filtered by type
- * @param {string|null} type - 'buyer_to_server', 'server_to_seller', or null for all
+ * @param {string|null} type - Transaction type (e.g. 'buyer_to_server', 'escrow_to_seller'), or null for all
  * @param {number} limitCount - Maximum number of transactions to fetch
  * @returns {Promise<Array>}
  */
@@ -70,3 +90,26 @@ export async function fetchTransactions(type = null, limitCount = 100) {
   }
 }
 
+/**
+ * Fetch a transaction record
+ * @param {string} transactionId - The transaction hash, or orderId_type for records stored before their hash was known
+ * @returns {Promise<object|null>}
+ */
+export async function getTransaction(transactionId) {
+  const snap = await getDoc(doc(db, 'transactions', transactionId));
+  return snap.exists() ? { id: snap.id, ...snap.data() } : null;
+}
+
+/**
+ * Fetch the transactions stored since a time, oldest first
+ * @param {number} sinceTimestamp - Time in ms
+ * @returns {Promise<Array>}
+ */
+export async function fetchTransactionsSince(sinceTimestamp) {
+  const snapshot = await getDocs(query(
+    collection(db, 'transactions'),
+    where('createdAtTimestamp', '>=', sinceTimestamp),
+    orderBy('createdAtTimestamp', 'asc')
+  ));
+  return snapshot.docs.map((docSnap) => ({ id: docSnap.id, ...docSnap.data() }));
+}
@@ -0,0 +1,250 @@
+import { Address, beginCell, storeMessage } from '@ton/core';
+import { JettonWallet } from '../wrappers/JettonWallet.js';
+import { storeTransaction, updateTransactionHash } from './transactionService.js';
+import { PAYOUT_TRACKING_STATES, fetchUntrackedPayouts, updatePayout } from './payoutService.js';
+import { postPayout } from './ledgerService.js';
+
+// Delay before the first lookup; doubled after every miss
+const TRACKER_BASE_DELAY_MS = parseInt(process.env.PAYOUT_TRACKER_BASE_DELAY_MS) || 3000;
+// Lookups before a payout is given up on (about 3 minutes with the default delay)
+const TRACKER_MAX_ATTEMPTS = parseInt(process.env.PAYOUT_TRACKER_MAX_ATTEMPTS) || 6;
+// Transactions fetched per page, and pages scanned per lookup
+const TRANSACTIONS_PER_PAGE = 20;
+const MAX_PAGES = 3;
+// Transactions older than the payout's submission (minus clock slack) are never a match
+const SUBMISSION_SLACK_SECONDS = 60;
+
+// Payouts currently being tracked, so a payout is never tracked twice at once
+const tracking = new Set();
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Hash of a transaction's inbound external message, as computed when the payout was signed
+ * @param {Transaction} tx - Wallet transaction
+ * @returns {string|null} Hex hash, or null for transactions not started by an external message
+ */
+function externalMessageHash(tx) {
+  if (!tx.inMessage || tx.inMessage.info.type !== 'external-in') {
+    return null;
+  }
+  return beginCell().store(storeMessage(tx.inMessage)).endCell().hash().toString('hex');
+}
+
+/**
+ * Read the query id of a jetton transfer message sent by the given wallet
+ * @param {Transaction} tx - Jetton wallet transaction
+ * @param {Address} walletAddress - The wallet that sent the transfer
+ * @returns {bigint|null} null if the transaction is not a transfer from that wallet
+ */
+function transferQueryId(tx, walletAddress) {
+  const message = tx.inMessage;
+  if (!message || message.info.type !== 'internal' || !message.info.src.equals(walletAddress)) {
+    return null;
+  }
+  try {
+    const slice = message.body.beginParse();
+    if (slice.remainingBits < 96 || slice.loadUint(32) !== JettonWallet.OPCODES.TRANSFER) {
+      return null;
+    }
+    return slice.loadUintBig(64);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Scan an account's recent transactions, newest first, for one matching a predicate
+ * @param {TonClient} tonClient - TON client instance
+ * @param {Address} address - Account to scan
+ * @param {number} notBefore - Unix time (seconds); older transactions end the scan
+ * @param {(tx: Transaction) => boolean} predicate - Match condition
+ * @returns {Promise<Transaction|null>}
+ */
+export async function findTransaction(tonClient, address, notBefore, predicate) {
+  let cursor = null;
+  for (let page = 0; page < MAX_PAGES; page++) {
+    const transactions = await tonClient.getTransactions(address, {
+      limit: TRANSACTIONS_PER_PAGE,
+      ...(cursor ? { lt: cursor.lt.toString(), hash: cursor.hash().toString('base64'), inclusive: false } : {}),
+    });
+    for (const tx of transactions) {
+      if (predicate(tx)) {
+        return tx;
+      }
+      if (tx.now < notBefore) {
+        return null;
+      }
+    }
+    if (transactions.length < TRANSACTIONS_PER_PAGE) {
+      return null;
+    }
+    cursor = transactions[transactions.length - 1];
+  }
+  return null;
+}
+
+/**
+ * Look up a confirmed payout on-chain: the wallet transaction by its external message hash,
+ * and the jetton wallet transaction by the payout's query id.
+ * For relayed payouts the external message is the relay wallet's, while the jetton transfer still comes from the paying wallet
+ * @param {object} payout - The payout record
+ * @param {TonClient} tonClient - TON client instance
+ * @returns {Promise<{walletTransactionHash: string|null, transactionHash: string, lt: string, aborted: boolean}|null>} null until the jetton transfer is found
+ */
+export async function findPayoutTransaction(payout, tonClient) {
+  const walletAddress = Address.parse(payout.relayWalletAddress || payout.walletAddress || payout.fromAddress);
+  const senderAddress = Address.parse(payout.walletAddress || payout.fromAddress);
+  const notBefore = Math.floor((payout.submittedAtTimestamp || payout.createdAtTimestamp) / 1000) - SUBMISSION_SLACK_SECONDS;
+
+  const walletTx = payout.messageHash
+    ? await findTransaction(tonClient, walletAddress, notBefore, tx => externalMessageHash(tx) === payout.messageHash)
+    : null;
+
+  if (!payout.jettonWalletAddress || !payout.queryId) {
+    // Nothing to match the jetton transfer by - the wallet transaction is the best record available
+    return walletTx
+      ? { walletTransactionHash: walletTx.hash().toString('base64'), transactionHash: walletTx.hash().toString('base64'), lt: walletTx.lt.toString(), aborted: false }
+      : null;
+  }
+
+  const queryId = BigInt(payout.queryId);
+  const jettonTx = await findTransaction(
+    tonClient,
+    Address.parse(payout.jettonWalletAddress),
+    notBefore,
+    tx => transferQueryId(tx, senderAddress) === queryId
+  );
+  if (!jettonTx) {
+    return null;
+  }
+
+  return {
+    walletTransactionHash: walletTx ? walletTx.hash().toString('base64') : null,
+    transactionHash: jettonTx.hash().toString('base64'),
+    lt: jettonTx.lt.toString(),
+    aborted: jettonTx.description.type === 'generic' && jettonTx.description.aborted,
+  };
+}
+
+/**
+ * Match a confirmed payout to its on-chain transaction, retrying with exponential backoff.
+ * The stored transaction record is only updated once the transaction is definitely found
+ * @param {object} payout - The confirmed payout record
+ * @param {TonClient} tonClient - TON client instance
+ * @returns {Promise<boolean>} true if the transaction was found
+ */
+export async function trackPayoutTransaction(payout, tonClient) {
+  if (payout.trackingStatus !== PAYOUT_TRACKING_STATES.PENDING) {
+    return payout.trackingStatus === PAYOUT_TRACKING_STATES.FOUND;
+  }
+  if (tracking.has(payout.id)) {
+    return false;
+  }
+  tracking.add(payout.id);
+  try {
+    let delay = TRACKER_BASE_DELAY_MS;
+    for (let attempt = 1; attempt <= TRACKER_MAX_ATTEMPTS; attempt++) {
+      await sleep(delay);
+      delay *= 2;
+
+      let found = null;
+      try {
+        found = await findPayoutTransaction(payout, tonClient);
+      } catch (error) {
+        console.warn(`[TRACKER] ⚠️  Lookup ${attempt}/${TRACKER_MAX_ATTEMPTS} for payout ${payout.id} failed: ${error.message}`);
+        continue;
+      }
+      if (!found) {
+        console.log(`[TRACKER] Payout ${payout.id} not found on-chain yet (attempt ${attempt}/${TRACKER_MAX_ATTEMPTS})`);
+        continue;
+      }
+
+      if (found.aborted) {
+        console.warn(`[TRACKER] ⚠️  Jetton transfer for payout ${payout.id} was aborted on-chain: ${found.transactionHash}`);
+      }
+      await updateTransactionHash(payout.orderId, payout.type, found.transactionHash, {
+        walletTransactionHash: found.walletTransactionHash,
+        lt: found.lt,
+        aborted: found.aborted,
+      });
+      await updatePayout(payout.orderId, payout.type, {
+        trackingStatus: PAYOUT_TRACKING_STATES.FOUND,
+        transactionHash: found.transactionHash,
+        walletTransactionHash: found.walletTransactionHash,
+        aborted: found.aborted,
+      });
+      console.log(`[TRACKER] ✅ Payout ${payout.id} matched to transaction ${found.transactionHash}`);
+      return true;
+    }
+
+    await updatePayout(payout.orderId, payout.type, { trackingStatus: PAYOUT_TRACKING_STATES.NOT_FOUND });
+    console.warn(`[TRACKER] ⚠️  Payout ${payout.id} was not found on-chain after ${TRACKER_MAX_ATTEMPTS} attempts; its transaction hash stays unset`);
+    return false;
+  } catch (error) {
+    console.error(`[TRACKER] ❌ Error tracking payout ${payout.id}:`, error);
+    return false;
+  } finally {
+    tracking.delete(payout.id);
+  }
+}
+
+/**
+ * Start tracking a payout in the background without delaying the caller
+ * @param {object} payout - The confirmed payout record
+ * @param {TonClient} tonClient - TON client instance
+ */
+export function trackPayoutInBackground(payout, tonClient) {
+  trackPayoutTransaction(payout, tonClient).catch((error) => {
+    console.error(`[TRACKER] ❌ Error tracking payout ${payout.id}:`, error);
+  });
+}
+
+/**
+ * Post a confirmed payout to the ledger, store its transaction record (hash unknown yet) and start matching it on-chain.
+ * Payouts that were already matched keep their stored record; the ledger posting is a no-op when repeated
+ * @param {object} payout - The confirmed payout record
+ * @param {Address|string} fromAddress - Address shown as the sender on the transaction record
+ * @param {object} metadata - Additional metadata for the transaction record (its currency, sellerId and gasFee are posted)
+ * @param {TonClient} tonClient - TON client instance
+ * @returns {Promise<void>}
+ */
+export async function recordPayoutTransaction(payout, fromAddress, metadata, tonClient) {
+  await postPayout(payout, metadata);
+  if (payout.trackingStatus !== PAYOUT_TRACKING_STATES.PENDING) {
+    return;
+  }
+  await storeTransaction(
+    payout.type,
+    null,
+    payout.orderId,
+    fromAddress,
+    payout.toAddress,
+    payout.amount,
+    { ...metadata, messageHash: payout.messageHash, queryId: payout.queryId }
+  );
+  trackPayoutInBackground(payout, tonClient);
+}
+
+/**
+ * Resume tracking payouts that were confirmed but not matched yet (e.g. after a restart)
+ * @param {() => Promise<TonClient>} getTonClient - Factory for the TON client
+ * @returns {Promise<void>}
+ */
+export async function resumePayoutTracking(getTonClient) {
+  try {
+    const payouts = await fetchUntrackedPayouts();
+    if (payouts.length === 0) {
+      return;
+    }
+    console.log(`[TRACKER] Resuming tracking for ${payouts.length} payout(s)`);
+    const tonClient = await getTonClient();
+    for (const payout of payouts) {
+      trackPayoutInBackground(payout, tonClient);
+    }
+  } catch (error) {
+    console.error(`[TRACKER] ❌ Error resuming payout tracking:`, error);
+  }
+}
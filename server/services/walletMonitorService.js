@@ -0,0 +1,201 @@
+import { getJettonBalance } from '../utils/walletUtils.js';
+import { getJettonRegistry } from '../utils/jettonRegistry.js';
+import { getTonNetwork, getNetworkEnv, getServerWalletAddress, formatNetworkAddress } from '../utils/networkConfig.js';
+import { sendAlert } from './notifierService.js';
+
+// How often the server (hot) wallet's balances are checked
+const HOT_WALLET_MONITOR_INTERVAL_MS = parseInt(process.env.HOT_WALLET_MONITOR_INTERVAL_MS) || 5 * 60 * 1000;
+// While a balance stays low the alert is repeated this often; changes of level are alerted right away
+const HOT_WALLET_ALERT_REPEAT_MINUTES = parseFloat(process.env.HOT_WALLET_ALERT_REPEAT_MINUTES || '60');
+
+// TON thresholds, in TON. The server wallet pays the gas of every payout it sends or relays, so it runs out of TON first
+const DEFAULT_TON_THRESHOLDS = { warning: '10', critical: '2' };
+
+const TON_DECIMALS = 9;
+const LEVELS = ['ok', 'warning', 'critical'];
+
+let monitorTimer = null;
+let running = false;
+// Result of the last check, served by the health endpoint and the admin panel
+let lastStatus = { status: 'unknown', checkedAtTimestamp: null, balances: [], error: null };
+// Last alerted level and when, so alerts go out on changes and are repeated only every HOT_WALLET_ALERT_REPEAT_MINUTES
+let lastAlert = { level: 'ok', at: 0 };
+
+/**
+ * Parse a decimal amount (e.g. "12.5") into units
+ * @param {string} value - Decimal amount
+ * @param {number} decimals - Decimals of the asset
+ * @returns {bigint}
+ */
+function toUnits(value, decimals) {
+  const match = /^(\d+)(?:\.(\d+))?$/.exec(value.trim());
+  if (!match) {
+    throw new Error(`Invalid amount: ${value}`);
+  }
+  const fraction = (match[2] || '').slice(0, decimals).padEnd(decimals, '0');
+  return BigInt(match[1] + fraction);
+}
+
+function fromUnits(units, decimals) {
+  const digits = units.toString().padStart(decimals + 1, '0');
+  const fraction = digits.slice(digits.length - decimals).replace(/0+$/, '');
+  const whole = digits.slice(0, digits.length - decimals);
+  return fraction ? `${whole}.${fraction}` : whole;
+}
+
+/**
+ * Warning and critical thresholds of an asset, from HOT_WALLET_<SYMBOL>_WARNING / _CRITICAL (per network).
+ * Jettons have none by default, so their balances are only reported until thresholds are set
+ * @param {string} symbol - 'TON' or a jetton symbol
+ * @param {number} decimals - Decimals of the asset
+ * @returns {{warning: bigint|null, critical: bigint|null}} Units
+ */
+function getThresholds(symbol, decimals) {
+  const defaults = symbol === 'TON' ? DEFAULT_TON_THRESHOLDS : {};
+  const warning = getNetworkEnv(`HOT_WALLET_${symbol.toUpperCase()}_WARNING`) || defaults.warning;
+  const critical = getNetworkEnv(`HOT_WALLET_${symbol.toUpperCase()}_CRITICAL`) || defaults.critical;
+  return {
+    warning: warning ? toUnits(warning, decimals) : null,
+    critical: critical ? toUnits(critical, decimals) : null,
+  };
+}
+
+function balanceLevel(balance, { warning, critical }) {
+  if (critical !== null && balance < critical) {
+    return 'critical';
+  }
+  if (warning !== null && balance < warning) {
+    return 'warning';
+  }
+  return 'ok';
+}
+
+/**
+ * Read the server wallet's TON and jetton balances and grade them against their thresholds
+ * @param {TonClient} tonClient - TON client instance
+ * @returns {Promise<object>} The status, as returned by getHotWalletStatus
+ */
+async function checkHotWallet(tonClient) {
+  const address = getServerWalletAddress();
+  const assets = [{ symbol: 'TON', decimals: TON_DECIMALS }, ...getJettonRegistry()];
+
+  const balances = [];
+  for (const asset of assets) {
+    const balance = asset.symbol === 'TON'
+      ? await tonClient.getBalance(address)
+      : await getJettonBalance(tonClient, address, asset);
+    const thresholds = getThresholds(asset.symbol, asset.decimals);
+    balances.push({
+      symbol: asset.symbol,
+      decimals: asset.decimals,
+      balance: balance.toString(),
+      warningThreshold: thresholds.warning?.toString() ?? null,
+      criticalThreshold: thresholds.critical?.toString() ?? null,
+      status: balanceLevel(balance, thresholds),
+    });
+  }
+
+  const status = balances.reduce(
+    (worst, entry) => (LEVELS.indexOf(entry.status) > LEVELS.indexOf(worst) ? entry.status : worst),
+    'ok'
+  );
+  return {
+    status,
+    network: getTonNetwork(),
+    address: formatNetworkAddress(address),
+    checkedAtTimestamp: Date.now(),
+    balances,
+    error: null,
+  };
+}
+
+/**
+ * Alert when the wallet's level changes, and keep reminding while it stays low
+ * @param {object} status - Result of checkHotWallet
+ */
+async function alertIfNeeded(status) {
+  const repeatDue = Date.now() - lastAlert.at >= HOT_WALLET_ALERT_REPEAT_MINUTES * 60 * 1000;
+  if (status.status === lastAlert.level && (status.status === 'ok' || !repeatDue)) {
+    return;
+  }
+
+  const low = status.balances.filter((entry) => entry.status !== 'ok');
+  const lines = low.map((entry) => {
+    const threshold = entry.status === 'critical' ? entry.criticalThreshold : entry.warningThreshold;
+    return `${entry.symbol}: ${fromUnits(BigInt(entry.balance), entry.decimals)} (${entry.status} below ${fromUnits(BigInt(threshold), entry.decimals)})`;
+  });
+  await sendAlert({
+    key: 'hot-wallet',
+    level: status.status,
+    title: status.status === 'ok'
+      ? `Server wallet balances are back above their thresholds (${status.network})`
+      : `Server wallet balance ${status.status} (${status.network})`,
+    message: [`Wallet: ${status.address}`, ...lines].join('\n'),
+    details: status,
+  });
+  lastAlert = { level: status.status, at: Date.now() };
+}
+
+/**
+ * Check the server wallet's balances, record the result and send alerts
+ * @param {() => Promise<TonClient>} getTonClient - Factory for a TON client
+ * @returns {Promise<object>} The status after the check, as returned by getHotWalletStatus
+ */
+export async function runWalletMonitor(getTonClient) {
+  if (running) {
+    console.log(`[MONITOR] Previous check still in progress, skipping`);
+    return lastStatus;
+  }
+  running = true;
+  try {
+    const tonClient = await getTonClient();
+    lastStatus = await checkHotWallet(tonClient);
+    if (lastStatus.status !== 'ok') {
+      console.warn(`[MONITOR] ⚠️ Server wallet balance ${lastStatus.status}: ${lastStatus.balances
+        .filter((entry) => entry.status !== 'ok')
+        .map((entry) => `${entry.symbol} ${fromUnits(BigInt(entry.balance), entry.decimals)}`)
+        .join(', ')}`);
+    }
+    await alertIfNeeded(lastStatus);
+  } catch (error) {
+    // Keep the last balances; the level is unknown until a check succeeds again
+    console.error(`[MONITOR] ❌ Error checking server wallet balances:`, error.message);
+    lastStatus = { ...lastStatus, status: 'error', error: error.message };
+  } finally {
+    running = false;
+  }
+  return lastStatus;
+}
+
+/**
+ * The result of the last server wallet check. Balances and thresholds are strings of units, with the asset's decimals
+ * @returns {{status: 'unknown'|'ok'|'warning'|'critical'|'error', network?: string, address?: string, checkedAtTimestamp: number|null,
+ *   balances: Array<{symbol: string, decimals: number, balance: string, warningThreshold: string|null, criticalThreshold: string|null, status: string}>,
+ *   error: string|null}}
+ */
+export function getHotWalletStatus() {
+  return lastStatus;
+}
+
+/**
+ * Start checking the server wallet's balances periodically
+ * @param {() => Promise<TonClient>} getTonClient - Factory for a TON client
+ */
+export function startWalletMonitor(getTonClient) {
+  if (monitorTimer) {
+    return;
+  }
+  console.log(`[MONITOR] Hot wallet monitor started (every ${HOT_WALLET_MONITOR_INTERVAL_MS}ms)`);
+  monitorTimer = setInterval(() => runWalletMonitor(getTonClient), HOT_WALLET_MONITOR_INTERVAL_MS);
+  runWalletMonitor(getTonClient);
+}
+
+/**
+ * Stop the hot wallet monitor
+ */
+export function stopWalletMonitor() {
+  if (monitorTimer) {
+    clearInterval(monitorTimer);
+    monitorTimer = null;
+  }
+}
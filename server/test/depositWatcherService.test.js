@@ -0,0 +1,196 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Address, beginCell, TupleReader } from '@ton/core';
+
+// depositWatcherService opens the Firebase client when it loads, which needs a well-formed config; nothing here talks to Firestore
+process.env.FIREBASE_API_KEY ||= 'AIzaSyTestTestTestTestTestTestTestTestTe';
+process.env.FIREBASE_AUTH_DOMAIN ||= 'test.firebaseapp.com';
+process.env.FIREBASE_PROJECT_ID ||= 'test';
+process.env.FIREBASE_MESSAGING_SENDER_ID ||= '1';
+process.env.FIREBASE_APP_ID ||= '1:1:web:1';
+process.env.FIREBASE_DATABASE_URL ||= 'https://test-default-rtdb.firebaseio.com';
+process.env.FIREBASE_REGION ||= 'us-central1';
+const {
+  parseTransferNotification,
+  extractDeposits,
+  extractTonDeposit,
+  assertOrderJettonWallet,
+  assertDepositCoversOrder,
+} = await import('../services/depositWatcherService.js');
+
+function address(byte) {
+  return Address.parseRaw(`0:${byte.repeat(32)}`);
+}
+
+const ESCROW = address('11');
+const ESCROW_JETTON_WALLET = address('22');
+const BUYER = address('33');
+const OTHER = address('44');
+const JETTON = { symbol: 'TST', masterAddress: address('55').toString(), decimals: 6, usdPerToken: 1 };
+
+function textComment(comment) {
+  return beginCell().storeUint(0, 32).storeStringTail(comment).endCell();
+}
+
+function transferNotification(amount, comment) {
+  return beginCell()
+    .storeUint(0x7362d09c, 32)
+    .storeUint(7, 64)
+    .storeCoins(amount)
+    .storeAddress(BUYER)
+    .storeBit(0)
+    .storeUint(0, 32)
+    .storeStringTail(comment)
+    .endCell();
+}
+
+function internalMessage({ src, dest, value = 0n, bounced = false, body }) {
+  return { info: { type: 'internal', src, dest, value: { coins: value }, bounced }, body };
+}
+
+// The fields of a Transaction the watcher reads
+function transaction({ inMessage = null, outMessages = [], aborted = false, bouncePhase = undefined }) {
+  return {
+    hash: () => Buffer.alloc(32, 1),
+    lt: 100n,
+    now: 1700000000,
+    inMessage,
+    outMessages: new Map(outMessages.map((message, i) => [i, message])),
+    description: { type: 'generic', aborted, bouncePhase },
+  };
+}
+
+// A TON client whose jetton wallets all answer get_wallet_data with the given owner and master
+function jettonWalletClient(ownerAddress, masterAddress) {
+  const stack = () => new TupleReader([
+    { type: 'int', value: 0n },
+    { type: 'slice', cell: beginCell().storeAddress(ownerAddress).endCell() },
+    { type: 'slice', cell: beginCell().storeAddress(masterAddress).endCell() },
+    { type: 'cell', cell: beginCell().endCell() },
+  ]);
+  return {
+    open: (contract) => contract,
+    provider: () => ({ get: async () => ({ stack: stack() }) }),
+  };
+}
+
+describe('parseTransferNotification', () => {
+  it('decodes the amount, sender and order comment', () => {
+    const notification = parseTransferNotification(transferNotification(1500000n, 'order_1|UQseller'));
+    assert.equal(notification.queryId, 7n);
+    assert.equal(notification.amount, 1500000n);
+    assert.ok(notification.sender.equals(BUYER));
+    assert.equal(notification.comment, 'order_1|UQseller');
+  });
+
+  it('ignores other messages', () => {
+    assert.equal(parseTransferNotification(textComment('order_1')), null);
+    assert.equal(parseTransferNotification(beginCell().endCell()), null);
+  });
+});
+
+describe('extractDeposits', () => {
+  it('reads notifications the jetton wallet sent to its owner', () => {
+    const tx = transaction({
+      outMessages: [internalMessage({ src: ESCROW_JETTON_WALLET, dest: ESCROW, body: transferNotification(1500000n, 'order_1|UQseller') })],
+    });
+    const [deposit] = extractDeposits(tx, ESCROW);
+    assert.equal(deposit.amount, 1500000n);
+    assert.equal(deposit.orderId, 'order_1');
+    assert.equal(deposit.sellerAddress, 'UQseller');
+    assert.equal(deposit.lt, '100');
+  });
+
+  it('ignores notifications sent to another wallet', () => {
+    const tx = transaction({
+      outMessages: [internalMessage({ src: ESCROW_JETTON_WALLET, dest: OTHER, body: transferNotification(1500000n, 'order_1') })],
+    });
+    assert.deepEqual(extractDeposits(tx, ESCROW), []);
+  });
+
+  it('ignores aborted transactions', () => {
+    const tx = transaction({
+      aborted: true,
+      outMessages: [internalMessage({ src: ESCROW_JETTON_WALLET, dest: ESCROW, body: transferNotification(1500000n, 'order_1') })],
+    });
+    assert.deepEqual(extractDeposits(tx, ESCROW), []);
+  });
+});
+
+describe('assertOrderJettonWallet', () => {
+  const order = { orderId: 'order_1', paymentCurrency: JETTON.symbol, jetton: JETTON };
+
+  it('accepts the escrow\'s own wallet for the order\'s jetton', async () => {
+    await assertOrderJettonWallet(jettonWalletClient(ESCROW, Address.parse(JETTON.masterAddress)), order, ESCROW, ESCROW_JETTON_WALLET);
+  });
+
+  it('rejects a transfer_notification from a jetton wallet of another jetton', async () => {
+    await assert.rejects(
+      assertOrderJettonWallet(jettonWalletClient(ESCROW, OTHER), order, ESCROW, ESCROW_JETTON_WALLET),
+      { statusCode: 409, message: /expected TST/ },
+    );
+  });
+
+  it('rejects a jetton wallet that belongs to another owner', async () => {
+    await assert.rejects(
+      assertOrderJettonWallet(jettonWalletClient(OTHER, Address.parse(JETTON.masterAddress)), order, ESCROW, ESCROW_JETTON_WALLET),
+      { statusCode: 409, message: /belongs to/ },
+    );
+  });
+});
+
+describe('extractTonDeposit', () => {
+  it('reads a TON transfer into the wallet, even before it is deployed', () => {
+    const tx = transaction({
+      inMessage: internalMessage({ src: BUYER, dest: ESCROW, value: 2000000000n, body: textComment('order_1') }),
+    });
+    const deposit = extractTonDeposit(tx, ESCROW);
+    assert.equal(deposit.amount, 2000000000n);
+    assert.equal(deposit.orderId, 'order_1');
+    assert.ok(deposit.sender.equals(BUYER));
+    assert.equal(deposit.utime, 1700000000);
+  });
+
+  it('ignores a transfer that bounced back to the sender', () => {
+    const tx = transaction({
+      inMessage: internalMessage({ src: BUYER, dest: ESCROW, value: 2000000000n, body: textComment('order_1') }),
+      bouncePhase: { type: 'ok' },
+    });
+    assert.equal(extractTonDeposit(tx, ESCROW), null);
+  });
+
+  it('ignores a bounced message coming back to the wallet', () => {
+    const tx = transaction({
+      inMessage: internalMessage({ src: OTHER, dest: ESCROW, value: 2000000000n, bounced: true, body: beginCell().endCell() }),
+    });
+    assert.equal(extractTonDeposit(tx, ESCROW), null);
+  });
+
+  it('ignores transfers to another wallet and empty transfers', () => {
+    const toOther = transaction({ inMessage: internalMessage({ src: BUYER, dest: OTHER, value: 1n, body: textComment('order_1') }) });
+    const empty = transaction({ inMessage: internalMessage({ src: BUYER, dest: ESCROW, value: 0n, body: textComment('order_1') }) });
+    assert.equal(extractTonDeposit(toOther, ESCROW), null);
+    assert.equal(extractTonDeposit(empty, ESCROW), null);
+  });
+});
+
+describe('assertDepositCoversOrder', () => {
+  const order = { orderId: 'order_1', paymentCurrency: JETTON.symbol, jetton: JETTON, totalAmount: '1500000' };
+
+  it('sums deposits that cover the order total', () => {
+    const deposits = [{ amount: 1000000n }, { amount: 600000n }];
+    assert.equal(assertDepositCoversOrder(order, deposits), 1600000n);
+  });
+
+  it('rejects an underpaid deposit with a 402', () => {
+    assert.throws(
+      () => assertDepositCoversOrder(order, [{ amount: 1499999n }]),
+      { statusCode: 402, message: /Deposit for order order_1 is 1499999 units/ },
+    );
+  });
+
+  it('measures TON orders in nanoTON', () => {
+    const tonOrder = { orderId: 'order_2', paymentCurrency: 'TON', totalAmount: '2000000000' };
+    assert.throws(() => assertDepositCoversOrder(tonOrder, [{ amount: 1000000000n }]), { statusCode: 402, message: /nanoTON/ });
+  });
+});
@@ -0,0 +1,145 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+// orderService opens the Firebase client when it loads, which needs a well-formed config; nothing here talks to Firestore
+process.env.FIREBASE_API_KEY ||= 'AIzaSyTestTestTestTestTestTestTestTestTe';
+process.env.FIREBASE_AUTH_DOMAIN ||= 'test.firebaseapp.com';
+process.env.FIREBASE_PROJECT_ID ||= 'test';
+process.env.FIREBASE_MESSAGING_SENDER_ID ||= '1';
+process.env.FIREBASE_APP_ID ||= '1:1:web:1';
+process.env.FIREBASE_DATABASE_URL ||= 'https://test-default-rtdb.firebaseio.com';
+process.env.FIREBASE_REGION ||= 'us-central1';
+process.env.AUTO_RELEASE_DAYS = '7';
+process.env.AUTO_REFUND_DAYS = '14';
+const {
+  ORDER_STATES,
+  ORDER_TRANSITIONS,
+  canTransition,
+  getDeadlineFields,
+  getTransitionChanges,
+} = await import('../services/orderService.js');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = 1700000000000;
+const TERMINAL_STATES = [ORDER_STATES.RELEASED, ORDER_STATES.CANCELLED, ORDER_STATES.REFUNDED, ORDER_STATES.SETTLED];
+
+describe('ORDER_TRANSITIONS', () => {
+  it('lists every state', () => {
+    assert.deepEqual(Object.keys(ORDER_TRANSITIONS).sort(), Object.values(ORDER_STATES).sort());
+  });
+
+  it('only moves to known states', () => {
+    for (const targets of Object.values(ORDER_TRANSITIONS)) {
+      for (const target of targets) {
+        assert.ok(Object.values(ORDER_STATES).includes(target), `unknown state ${target}`);
+      }
+    }
+  });
+
+  it('never leaves a terminal state, so an order is paid out at most once', () => {
+    for (const state of TERMINAL_STATES) {
+      for (const target of Object.values(ORDER_STATES)) {
+        assert.equal(canTransition(state, target), false, `${state} -> ${target}`);
+      }
+    }
+  });
+
+  it('only pays out or refunds funded orders', () => {
+    for (const state of [ORDER_STATES.CREATED, ORDER_STATES.AWAITING_PAYMENT]) {
+      assert.equal(canTransition(state, ORDER_STATES.RELEASED), false);
+      assert.equal(canTransition(state, ORDER_STATES.REFUNDED), false);
+      assert.equal(canTransition(state, ORDER_STATES.SETTLED), false);
+    }
+  });
+
+  it('cannot cancel an order once it is funded', () => {
+    for (const state of [ORDER_STATES.FUNDED, ORDER_STATES.SHIPPED, ORDER_STATES.DELIVERED, ORDER_STATES.DISPUTED]) {
+      assert.equal(canTransition(state, ORDER_STATES.CANCELLED), false);
+    }
+  });
+
+  it('only settles disputed orders', () => {
+    for (const state of Object.values(ORDER_STATES)) {
+      assert.equal(canTransition(state, ORDER_STATES.SETTLED), state === ORDER_STATES.DISPUTED);
+    }
+  });
+
+  it('does not dispute a delivered order, which is released right away', () => {
+    assert.equal(canTransition(ORDER_STATES.DELIVERED, ORDER_STATES.DISPUTED), false);
+    assert.equal(canTransition(ORDER_STATES.DELIVERED, ORDER_STATES.REFUNDED), false);
+  });
+
+  it('rejects unknown states', () => {
+    assert.equal(canTransition('lost', ORDER_STATES.RELEASED), false);
+    assert.equal(canTransition(ORDER_STATES.FUNDED, 'lost'), false);
+  });
+});
+
+describe('getDeadlineFields', () => {
+  it('sets the auto-refund deadline when an order is funded', () => {
+    assert.deepEqual(getDeadlineFields(ORDER_STATES.FUNDED, NOW), {
+      autoRefundAtTimestamp: NOW + 14 * DAY_MS,
+      autoReleaseAtTimestamp: null,
+    });
+  });
+
+  it('swaps it for the auto-release deadline when the order ships', () => {
+    assert.deepEqual(getDeadlineFields(ORDER_STATES.SHIPPED, NOW), {
+      autoRefundAtTimestamp: null,
+      autoReleaseAtTimestamp: NOW + 7 * DAY_MS,
+    });
+  });
+
+  it('makes the release due at once on delivery', () => {
+    assert.deepEqual(getDeadlineFields(ORDER_STATES.DELIVERED, NOW), {
+      autoRefundAtTimestamp: null,
+      autoReleaseAtTimestamp: NOW,
+    });
+  });
+
+  it('clears both deadlines in every other state', () => {
+    for (const state of [ORDER_STATES.DISPUTED, ...TERMINAL_STATES]) {
+      assert.deepEqual(getDeadlineFields(state, NOW), { autoRefundAtTimestamp: null, autoReleaseAtTimestamp: null });
+    }
+  });
+});
+
+describe('getTransitionChanges', () => {
+  const order = {
+    orderId: 'order_1',
+    status: ORDER_STATES.FUNDED,
+    history: [{ from: ORDER_STATES.AWAITING_PAYMENT, to: ORDER_STATES.FUNDED, actor: 'deposit_watcher', reason: null, at: NOW - 1 }],
+  };
+
+  it('moves the order, appends to its history and sets the deadlines', () => {
+    const changes = getTransitionChanges(order, ORDER_STATES.SHIPPED, { actor: 'seller', reason: 'Tracking added', fields: { trackingNumber: 'T1' } }, NOW);
+    assert.equal(changes.status, ORDER_STATES.SHIPPED);
+    assert.equal(changes.trackingNumber, 'T1');
+    assert.equal(changes.updatedAtTimestamp, NOW);
+    assert.equal(changes.autoReleaseAtTimestamp, NOW + 7 * DAY_MS);
+    assert.equal(changes.autoRefundAtTimestamp, null);
+    assert.deepEqual(changes.history, [
+      ...order.history,
+      { from: ORDER_STATES.FUNDED, to: ORDER_STATES.SHIPPED, actor: 'seller', reason: 'Tracking added', at: NOW },
+    ]);
+  });
+
+  it('defaults the actor to system', () => {
+    const changes = getTransitionChanges(order, ORDER_STATES.DISPUTED, {}, NOW);
+    assert.equal(changes.history.at(-1).actor, 'system');
+  });
+
+  it('cannot overwrite the status or history through fields', () => {
+    const changes = getTransitionChanges(order, ORDER_STATES.REFUNDED, { fields: { status: ORDER_STATES.RELEASED, history: [] } }, NOW);
+    assert.equal(changes.status, ORDER_STATES.REFUNDED);
+    assert.equal(changes.history.length, 2);
+  });
+
+  it('rejects an invalid transition with a 409', () => {
+    const released = { ...order, status: ORDER_STATES.RELEASED };
+    assert.throws(
+      () => getTransitionChanges(released, ORDER_STATES.RELEASED, {}, NOW),
+      { statusCode: 409, message: /Invalid order transition for order_1: 'released' -> 'released'/ },
+    );
+  });
+});
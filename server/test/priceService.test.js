@@ -0,0 +1,68 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+// The price source and quote window are read when the module loads
+process.env.TON_PRICE_SOURCE = 'fixed';
+process.env.TON_USD_FIXED_RATE = '2.5';
+process.env.TON_QUOTE_WINDOW_MINUTES = '15';
+const {
+  quoteTonAmount,
+  isTonQuoteLocked,
+  getTonUsdRate,
+  registerPriceSource,
+  usdCentsToNanoTon,
+  nanoTonToUsdCents,
+} = await import('../services/priceService.js');
+
+const WINDOW_MS = 15 * 60 * 1000;
+
+describe('quoteTonAmount', () => {
+  it('quotes at the fixed rate', async () => {
+    const quote = await quoteTonAmount(1050);
+    assert.equal(quote.source, 'fixed');
+    assert.equal(quote.usdPerTon, 2.5);
+    assert.equal(quote.usdCents, 1050);
+    // 10.50 USD at 2.50 USD/TON
+    assert.equal(quote.amount, '4200000000');
+  });
+
+  it('locks the quote for the configured window', async () => {
+    const before = Date.now();
+    const quote = await quoteTonAmount(1050);
+    assert.ok(quote.quotedAtTimestamp >= before && quote.quotedAtTimestamp <= Date.now());
+    assert.equal(quote.expiresAtTimestamp - quote.quotedAtTimestamp, WINDOW_MS);
+  });
+});
+
+describe('isTonQuoteLocked', () => {
+  it('holds from the quote until its expiry, inclusive', async () => {
+    const quote = await quoteTonAmount(1050);
+    assert.equal(isTonQuoteLocked(quote, quote.quotedAtTimestamp), true);
+    assert.equal(isTonQuoteLocked(quote, quote.expiresAtTimestamp), true);
+    assert.equal(isTonQuoteLocked(quote, quote.expiresAtTimestamp + 1), false);
+  });
+
+  it('is never locked without a quote', () => {
+    assert.equal(isTonQuoteLocked(null, Date.now()), false);
+  });
+});
+
+describe('conversions', () => {
+  it('rounds TON amounts up so the buyer never underpays', () => {
+    // 0.01 USD at 3 USD/TON is 3333333.33 nanoTON
+    assert.equal(usdCentsToNanoTon(1, 3), 3333334n);
+  });
+
+  it('rounds USD cents up', () => {
+    assert.equal(nanoTonToUsdCents(4200000000n, 2.5), 1050);
+    assert.equal(nanoTonToUsdCents(1n, 2.5), 1);
+  });
+});
+
+describe('getTonUsdRate', () => {
+  it('rejects a source that returns an invalid rate', async () => {
+    // Replaces the fixed source, so this runs last
+    registerPriceSource('fixed', async () => 0);
+    await assert.rejects(getTonUsdRate(), /invalid rate/);
+  });
+});
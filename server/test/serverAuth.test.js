@@ -0,0 +1,42 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateKeyPairSync, createVerify } from 'crypto';
+import { createServerCustomToken, SERVER_CLAIM } from '../firebase/serverAuth.js';
+
+const { privateKey, publicKey } = generateKeyPairSync('rsa', { modulusLength: 2048 });
+const clientEmail = 'server@example.iam.gserviceaccount.com';
+const NOW = Date.parse('2026-06-15T12:00:00Z');
+
+function decode(part) {
+  return JSON.parse(Buffer.from(part, 'base64url').toString());
+}
+
+describe('createServerCustomToken', () => {
+  const token = createServerCustomToken({
+    clientEmail,
+    privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+    uid: 'escrow-server',
+    now: NOW,
+  });
+  const [header, payload, signature] = token.split('.');
+
+  it('is an RS256 token signed with the service account key', () => {
+    assert.deepEqual(decode(header), { alg: 'RS256', typ: 'JWT' });
+    const valid = createVerify('RSA-SHA256').update(`${header}.${payload}`).verify(publicKey, Buffer.from(signature, 'base64url'));
+    assert.equal(valid, true);
+  });
+
+  it('carries the server claim for the configured uid, valid for an hour', () => {
+    const claims = decode(payload);
+    assert.equal(claims.iss, clientEmail);
+    assert.equal(claims.sub, clientEmail);
+    assert.equal(claims.uid, 'escrow-server');
+    assert.deepEqual(claims.claims, { [SERVER_CLAIM]: true });
+    assert.equal(claims.iat, NOW / 1000);
+    assert.equal(claims.exp - claims.iat, 3600);
+  });
+
+  it('requires the service account credentials', () => {
+    assert.throws(() => createServerCustomToken({ clientEmail, privateKey: '', uid: 'escrow-server' }));
+  });
+});
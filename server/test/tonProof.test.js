@@ -0,0 +1,132 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash, randomBytes } from 'crypto';
+import { Address, beginCell, storeStateInit } from '@ton/core';
+import { keyPairFromSeed, sign } from '@ton/crypto';
+import { WalletContractV4, WalletContractV5R1 } from '@ton/ton';
+import { verifyTonProof, tonProofHash } from '../utils/tonProof.js';
+
+const CHAIN = '-3';
+const DOMAIN = 'escrow.example.com';
+const EXPECTED = { chain: CHAIN, domains: [DOMAIN], maxAgeSeconds: 15 * 60 };
+
+// A wallet that is not deployed: its public key can only come from the state init
+const notDeployed = {
+  runMethod: async () => {
+    throw new Error('account is not initialized');
+  },
+};
+
+// A deployed wallet answering get_public_key
+function deployed(publicKey) {
+  return {
+    runMethod: async () => ({ stack: { readBigNumber: () => BigInt(`0x${publicKey.toString('hex')}`) } }),
+  };
+}
+
+function sha256(data) {
+  return createHash('sha256').update(data).digest();
+}
+
+function stateInitOf(wallet) {
+  return beginCell().store(storeStateInit(wallet.init)).endCell().toBoc().toString('base64');
+}
+
+// A wallet signing a proof the way TON Connect does
+function signedProof({ walletClass = WalletContractV4, overrides = {} } = {}) {
+  const keyPair = keyPairFromSeed(randomBytes(32));
+  const wallet = walletClass.create({ workchain: 0, publicKey: keyPair.publicKey });
+  const proof = {
+    timestamp: Math.floor(Date.now() / 1000),
+    domain: { lengthBytes: DOMAIN.length, value: DOMAIN },
+    payload: 'payload-nonce',
+    ...overrides,
+  };
+  proof.signature = sign(tonProofHash(wallet.address, proof), keyPair.secretKey).toString('base64');
+  return {
+    keyPair,
+    wallet,
+    request: {
+      address: wallet.address.toRawString(),
+      network: CHAIN,
+      publicKey: keyPair.publicKey.toString('hex'),
+      stateInit: stateInitOf(wallet),
+      proof,
+    },
+  };
+}
+
+describe('tonProofHash', () => {
+  it('hashes the ton-proof-item-v2 message as specified', () => {
+    const address = Address.parseRaw(`0:${'ab'.repeat(32)}`);
+    const proof = { timestamp: 1700000000, domain: { value: 'a.io' }, payload: 'p' };
+    const message = Buffer.concat([
+      Buffer.from('ton-proof-item-v2/', 'utf8'),
+      Buffer.from('00000000', 'hex'), // workchain, big-endian
+      Buffer.from('ab'.repeat(32), 'hex'),
+      Buffer.from('04000000', 'hex'), // domain length, little-endian
+      Buffer.from('a.io', 'utf8'),
+      Buffer.from('00f1536500000000', 'hex'), // timestamp, little-endian
+      Buffer.from('p', 'utf8'),
+    ]);
+    const expected = sha256(Buffer.concat([Buffer.from('ffff', 'hex'), Buffer.from('ton-connect', 'utf8'), sha256(message)]));
+    assert.equal(tonProofHash(address, proof).toString('hex'), expected.toString('hex'));
+  });
+});
+
+describe('verifyTonProof', () => {
+  it('accepts a proof signed by an undeployed wallet, reading its key from the state init', async () => {
+    const { keyPair, wallet, request } = signedProof();
+    const verified = await verifyTonProof(notDeployed, request, EXPECTED);
+    assert.ok(verified.address.equals(wallet.address));
+    assert.ok(verified.publicKey.equals(keyPair.publicKey));
+  });
+
+  it('accepts a proof from a w5 wallet state init', async () => {
+    const { keyPair, request } = signedProof({ walletClass: WalletContractV5R1 });
+    const verified = await verifyTonProof(notDeployed, request, EXPECTED);
+    assert.ok(verified.publicKey.equals(keyPair.publicKey));
+  });
+
+  it('accepts a proof from a deployed wallet, reading its key from get_public_key', async () => {
+    const { keyPair, request } = signedProof();
+    const verified = await verifyTonProof(deployed(keyPair.publicKey), { ...request, stateInit: undefined }, EXPECTED);
+    assert.ok(verified.publicKey.equals(keyPair.publicKey));
+  });
+
+  it('rejects a proof made for another domain', async () => {
+    const { request } = signedProof({ overrides: { domain: { lengthBytes: 12, value: 'evil.example' } } });
+    await assert.rejects(verifyTonProof(notDeployed, request, EXPECTED), { statusCode: 400, message: /not this app/ });
+  });
+
+  it('rejects an expired proof', async () => {
+    const { request } = signedProof({ overrides: { timestamp: Math.floor(Date.now() / 1000) - EXPECTED.maxAgeSeconds - 1 } });
+    await assert.rejects(verifyTonProof(notDeployed, request, EXPECTED), { statusCode: 400, message: /expired/ });
+  });
+
+  it('rejects a proof from a wallet on another chain', async () => {
+    const { request } = signedProof();
+    await assert.rejects(verifyTonProof(notDeployed, { ...request, network: '-239' }, EXPECTED), { statusCode: 400, message: /chain -239/ });
+  });
+
+  it('rejects a state init the address was not derived from', async () => {
+    const { request } = signedProof();
+    const other = WalletContractV4.create({ workchain: 0, publicKey: keyPairFromSeed(randomBytes(32)).publicKey });
+    await assert.rejects(
+      verifyTonProof(notDeployed, { ...request, publicKey: undefined, stateInit: stateInitOf(other) }, EXPECTED),
+      { statusCode: 400, message: /public key/ },
+    );
+  });
+
+  it('rejects a public key that does not belong to the wallet', async () => {
+    const { request } = signedProof();
+    const publicKey = keyPairFromSeed(randomBytes(32)).publicKey.toString('hex');
+    await assert.rejects(verifyTonProof(notDeployed, { ...request, publicKey }, EXPECTED), { statusCode: 400, message: /does not belong/ });
+  });
+
+  it('rejects a signature over another payload', async () => {
+    const { request } = signedProof();
+    const proof = { ...request.proof, payload: 'another-nonce' };
+    await assert.rejects(verifyTonProof(notDeployed, { ...request, proof }, EXPECTED), { statusCode: 400, message: /signature is invalid/ });
+  });
+});
@@ -0,0 +1,107 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomBytes } from 'crypto';
+import { encryptMnemonic, decryptMnemonic, getActiveKeyId } from '../utils/walletEncryption.js';
+
+// The keys are read on every call, so each case sets its own
+const OLD_KEY = `k1:${randomBytes(32).toString('base64')}`;
+const NEW_KEY = `k2:${randomBytes(32).toString('base64')}`;
+
+const MNEMONIC = 'abandon ability able about above absent absorb abstract absurd abuse access accident';
+const ORDER_ID = 'order_1';
+const WALLET_ADDRESS = 'UQAaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa';
+
+// Flip the first byte of a base64 field
+function tamper(field) {
+  const bytes = Buffer.from(field, 'base64');
+  bytes[0] ^= 0xff;
+  return bytes.toString('base64');
+}
+
+describe('encryptMnemonic / decryptMnemonic', () => {
+  beforeEach(() => {
+    process.env.WALLET_ENCRYPTION_KEYS = OLD_KEY;
+  });
+
+  it('round-trips a mnemonic without storing it in the clear', () => {
+    const sealed = encryptMnemonic(MNEMONIC, ORDER_ID, WALLET_ADDRESS);
+    assert.equal(sealed.algorithm, 'aes-256-gcm');
+    assert.equal(sealed.keyId, 'k1');
+    assert.ok(!Buffer.from(sealed.ciphertext, 'base64').toString('utf8').includes('abandon'));
+    assert.equal(decryptMnemonic(sealed, ORDER_ID, WALLET_ADDRESS), MNEMONIC);
+  });
+
+  it('uses a fresh nonce for every record', () => {
+    const first = encryptMnemonic(MNEMONIC, ORDER_ID, WALLET_ADDRESS);
+    const second = encryptMnemonic(MNEMONIC, ORDER_ID, WALLET_ADDRESS);
+    assert.notEqual(first.nonce, second.nonce);
+    assert.notEqual(first.ciphertext, second.ciphertext);
+  });
+
+  it('rejects a tampered ciphertext', () => {
+    const sealed = encryptMnemonic(MNEMONIC, ORDER_ID, WALLET_ADDRESS);
+    const tampered = { ...sealed, ciphertext: tamper(sealed.ciphertext) };
+    assert.throws(() => decryptMnemonic(tampered, ORDER_ID, WALLET_ADDRESS), /Could not decrypt wallet mnemonic/);
+  });
+
+  it('rejects a tampered auth tag', () => {
+    const sealed = encryptMnemonic(MNEMONIC, ORDER_ID, WALLET_ADDRESS);
+    const tampered = { ...sealed, authTag: tamper(sealed.authTag) };
+    assert.throws(() => decryptMnemonic(tampered, ORDER_ID, WALLET_ADDRESS), /Could not decrypt wallet mnemonic/);
+  });
+
+  it('does not decrypt a record copied onto another order or wallet', () => {
+    const sealed = encryptMnemonic(MNEMONIC, ORDER_ID, WALLET_ADDRESS);
+    assert.throws(() => decryptMnemonic(sealed, 'order_2', WALLET_ADDRESS), /Could not decrypt wallet mnemonic/);
+    assert.throws(() => decryptMnemonic(sealed, ORDER_ID, `${WALLET_ADDRESS.slice(0, -1)}b`), /Could not decrypt wallet mnemonic/);
+  });
+
+  it('rejects an unknown algorithm', () => {
+    const sealed = encryptMnemonic(MNEMONIC, ORDER_ID, WALLET_ADDRESS);
+    assert.throws(() => decryptMnemonic({ ...sealed, algorithm: 'aes-128-cbc' }, ORDER_ID, WALLET_ADDRESS), /Unsupported wallet encryption algorithm/);
+  });
+});
+
+describe('key rotation', () => {
+  it('seals with the first key and still opens records sealed with an older one', () => {
+    process.env.WALLET_ENCRYPTION_KEYS = OLD_KEY;
+    const oldRecord = encryptMnemonic(MNEMONIC, ORDER_ID, WALLET_ADDRESS);
+
+    process.env.WALLET_ENCRYPTION_KEYS = `${NEW_KEY},${OLD_KEY}`;
+    assert.equal(getActiveKeyId(), 'k2');
+    assert.equal(encryptMnemonic(MNEMONIC, ORDER_ID, WALLET_ADDRESS).keyId, 'k2');
+    assert.equal(decryptMnemonic(oldRecord, ORDER_ID, WALLET_ADDRESS), MNEMONIC);
+  });
+
+  it('fails once the old key is dropped', () => {
+    process.env.WALLET_ENCRYPTION_KEYS = OLD_KEY;
+    const oldRecord = encryptMnemonic(MNEMONIC, ORDER_ID, WALLET_ADDRESS);
+
+    process.env.WALLET_ENCRYPTION_KEYS = NEW_KEY;
+    assert.throws(() => decryptMnemonic(oldRecord, ORDER_ID, WALLET_ADDRESS), /Wallet encryption key k1 is not configured/);
+  });
+});
+
+describe('WALLET_ENCRYPTION_KEYS', () => {
+  it('is required', () => {
+    delete process.env.WALLET_ENCRYPTION_KEYS;
+    assert.throws(() => getActiveKeyId(), /WALLET_ENCRYPTION_KEYS not configured/);
+  });
+
+  it('rejects entries without a key id', () => {
+    process.env.WALLET_ENCRYPTION_KEYS = randomBytes(32).toString('base64');
+    assert.throws(() => getActiveKeyId(), /must look like keyId:base64Key/);
+    process.env.WALLET_ENCRYPTION_KEYS = `:${randomBytes(32).toString('base64')}`;
+    assert.throws(() => getActiveKeyId(), /must look like keyId:base64Key/);
+  });
+
+  it('rejects keys that are not 32 bytes', () => {
+    process.env.WALLET_ENCRYPTION_KEYS = `k1:${randomBytes(16).toString('base64')}`;
+    assert.throws(() => getActiveKeyId(), /must be 32 bytes/);
+  });
+
+  it('rejects a list with no keys', () => {
+    process.env.WALLET_ENCRYPTION_KEYS = ' , ';
+    assert.throws(() => getActiveKeyId(), /has no keys/);
+  });
+});
@@ -0,0 +1,11 @@
+/**
+ * Create an error carrying an HTTP status code for the route handlers
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status the route responds with
+ * @returns {Error}
+ */
+export function httpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
@@ -0,0 +1,123 @@
+import { Address } from '@ton/core';
+import { USDT_DECIMALS } from './paymentHelpers.js';
+import { getTonNetwork, getNetworkEnv, getUsdtMasterAddress, formatNetworkAddress } from './networkConfig.js';
+
+// Jettons the marketplace accepts. Listings are priced in USD and an order is quoted in the jetton
+// at its usdPerToken (1 for USD stablecoins). More jettons can be added with JETTON_REGISTRY, a JSON array
+// of { symbol, name, masterAddress, decimals, icon, usdPerToken?, walletGas?, network? }; an entry with an existing symbol replaces it
+// walletGas is what the jetton's wallet contract spends (see services/gasEstimatorService.js); jettons without one are estimated conservatively
+// The registry follows TON_NETWORK: USDT uses that network's master, and entries naming another network are skipped
+
+// Jetton used for orders and listings that do not name one
+export const DEFAULT_JETTON_SYMBOL = 'USDT';
+
+// Measured for the stablecoin jetton wallet, which USDT runs
+const STABLECOIN_WALLET_GAS = {
+  sendTransferGas: 10065,
+  receiveTransferGas: 10435,
+  bits: 1033,
+  cells: 3,
+  initStateBits: 931,
+  initStateCells: 3,
+};
+const WALLET_GAS_FIELDS = Object.keys(STABLECOIN_WALLET_GAS);
+
+function getBuiltInJettons() {
+  return [
+    {
+      symbol: 'USDT',
+      name: 'Tether USD',
+      masterAddress: formatNetworkAddress(getUsdtMasterAddress()),
+      decimals: USDT_DECIMALS,
+      icon: 'https://tether.to/images/logoCircle.png',
+      usdPerToken: 1,
+      walletGas: STABLECOIN_WALLET_GAS,
+    },
+  ];
+}
+
+let cachedRegistry = null;
+
+// Check a registry entry and fill in defaults, throwing on anything that would misprice an order
+function normalizeJetton(entry) {
+  const symbol = entry?.symbol?.toString().trim();
+  if (!symbol || symbol.toUpperCase() === 'TON') {
+    throw new Error(`Invalid jetton symbol in JETTON_REGISTRY: ${entry?.symbol}`);
+  }
+  if (!Number.isInteger(entry.decimals) || entry.decimals < 0 || entry.decimals > 18) {
+    throw new Error(`Invalid decimals for jetton ${symbol}: ${entry.decimals}`);
+  }
+  const usdPerToken = entry.usdPerToken ?? 1;
+  if (!(typeof usdPerToken === 'number' && usdPerToken > 0)) {
+    throw new Error(`Invalid usdPerToken for jetton ${symbol}: ${entry.usdPerToken}`);
+  }
+  const walletGas = entry.walletGas ?? null;
+  if (walletGas !== null && WALLET_GAS_FIELDS.some((field) => !Number.isInteger(walletGas[field]) || walletGas[field] <= 0)) {
+    throw new Error(`Invalid walletGas for jetton ${symbol}: expected positive integers ${WALLET_GAS_FIELDS.join(', ')}`);
+  }
+  let masterAddress;
+  try {
+    masterAddress = formatNetworkAddress(Address.parse(entry.masterAddress));
+  } catch {
+    throw new Error(`Invalid master address for jetton ${symbol}: ${entry.masterAddress}`);
+  }
+  return {
+    symbol,
+    name: entry.name || symbol,
+    masterAddress,
+    decimals: entry.decimals,
+    icon: entry.icon || null,
+    usdPerToken,
+    walletGas: walletGas && Object.fromEntries(WALLET_GAS_FIELDS.map((field) => [field, walletGas[field]])),
+  };
+}
+
+/**
+ * The accepted jettons on the configured network: the built-in ones with JETTON_REGISTRY (JSON, per network) merged over them by symbol
+ * @returns {Array<{symbol: string, name: string, masterAddress: string, decimals: number, icon: string|null, usdPerToken: number, walletGas: object|null}>}
+ */
+export function getJettonRegistry() {
+  if (cachedRegistry) {
+    return cachedRegistry;
+  }
+  let configured = [];
+  const registryJson = getNetworkEnv('JETTON_REGISTRY');
+  if (registryJson) {
+    try {
+      configured = JSON.parse(registryJson);
+    } catch (error) {
+      throw new Error(`JETTON_REGISTRY is not valid JSON: ${error.message}`);
+    }
+    if (!Array.isArray(configured)) {
+      throw new Error('JETTON_REGISTRY must be a JSON array');
+    }
+  }
+  const network = getTonNetwork();
+  const bySymbol = new Map();
+  for (const entry of [...getBuiltInJettons(), ...configured.filter((entry) => !entry.network || entry.network === network)]) {
+    const jetton = normalizeJetton(entry);
+    bySymbol.set(jetton.symbol, jetton);
+  }
+  cachedRegistry = [...bySymbol.values()];
+  return cachedRegistry;
+}
+
+/**
+ * Look up an accepted jetton by symbol
+ * @param {string} symbol - Jetton symbol
+ * @returns {object|null} The registry entry, or null if the jetton is not accepted
+ */
+export function getJetton(symbol) {
+  return getJettonRegistry().find((jetton) => jetton.symbol === symbol) || null;
+}
+
+
+/**
+ * Look up an accepted jetton by its master address
+ * @param {string} masterAddress - Jetton master address, in any format
+ * @returns {object|null} The registry entry, or null if the jetton is not accepted
+ */
+export function getJettonByMaster(masterAddress) {
+  const master = Address.parse(masterAddress);
+  return getJettonRegistry().find((jetton) => Address.parse(jetton.masterAddress).equals(master)) || null;
+}
@@ -0,0 +1,122 @@
+import { Address } from '@ton/core';
+import { TonClient } from '@ton/ton';
+import { getHttpEndpoint } from '@orbs-network/ton-access';
+
+// The TON network the whole marketplace runs on: the server's TonClient, the jetton registry,
+// the server wallet, explorer links and the TON Connect manifest all follow TON_NETWORK
+// Server wallet variables can be set per network (SERVER_WALLET_ADDRESS_TESTNET) so switching needs no other edits
+
+export const TON_NETWORKS = {
+  MAINNET: 'mainnet',
+  TESTNET: 'testnet',
+};
+
+// Per-network constants. chain is the TON Connect chain id wallets report (CHAIN.MAINNET / CHAIN.TESTNET)
+const NETWORK_SETTINGS = {
+  [TON_NETWORKS.MAINNET]: {
+    chain: '-239',
+    explorerUrl: 'https://tonscan.org',
+    usdtMasterAddress: 'EQCxE6mUtQJKFnGfaROTKOt1lZbDiiX1kCixRv7Nw2Id_sDs',
+  },
+  [TON_NETWORKS.TESTNET]: {
+    chain: '-3',
+    explorerUrl: 'https://testnet.tonscan.org',
+    // Test USDT jetton; override with USDT_MASTER_ADDRESS_TESTNET to use another one
+    usdtMasterAddress: 'kQD0GKBM8ZbryVk2aESmzfU6b9b_8era_IkvBSELujFZPsyy',
+  },
+};
+
+/**
+ * The configured network (TON_NETWORK, testnet by default)
+ * @returns {string} One of TON_NETWORKS
+ */
+export function getTonNetwork() {
+  const network = (process.env.TON_NETWORK || TON_NETWORKS.TESTNET).toLowerCase();
+  if (!NETWORK_SETTINGS[network]) {
+    throw new Error(`Invalid TON_NETWORK: ${process.env.TON_NETWORK} (expected 'mainnet' or 'testnet')`);
+  }
+  return network;
+}
+
+/**
+ * Read a variable that can be set per network: NAME_MAINNET / NAME_TESTNET win over NAME
+ * @param {string} name - Variable name
+ * @returns {string|undefined}
+ */
+export function getNetworkEnv(name) {
+  return process.env[`${name}_${getTonNetwork().toUpperCase()}`] || process.env[name];
+}
+
+/**
+ * Settings of the configured network
+ * @returns {{network: string, chain: string, explorerUrl: string, usdtMasterAddress: string}}
+ */
+export function getNetworkSettings() {
+  const network = getTonNetwork();
+  const settings = NETWORK_SETTINGS[network];
+  return {
+    network,
+    chain: settings.chain,
+    explorerUrl: settings.explorerUrl,
+    usdtMasterAddress: getNetworkEnv('USDT_MASTER_ADDRESS') || settings.usdtMasterAddress,
+  };
+}
+
+/**
+ * The USDT master contract on the configured network
+ * @returns {Address}
+ */
+export function getUsdtMasterAddress() {
+  return Address.parse(getNetworkSettings().usdtMasterAddress);
+}
+
+/**
+ * Format an address for the configured network (testnet addresses carry the test-only flag)
+ * @param {Address} address - The address
+ * @param {object} options - Optional: { bounceable } (default true)
+ * @returns {string}
+ */
+export function formatNetworkAddress(address, { bounceable = true } = {}) {
+  return address.toString({ bounceable, testOnly: getTonNetwork() === TON_NETWORKS.TESTNET });
+}
+
+/**
+ * The server wallet's address (SERVER_WALLET_ADDRESS, per network). A user-friendly address flagged
+ * for the other network is rejected, so a testnet wallet is never used on mainnet or the other way round
+ * @returns {Address}
+ */
+export function getServerWalletAddress() {
+  const addressStr = getNetworkEnv('SERVER_WALLET_ADDRESS');
+  if (!addressStr) {
+    throw new Error('SERVER_WALLET_ADDRESS not configured');
+  }
+  if (Address.isFriendly(addressStr)) {
+    const { address, isTestOnly } = Address.parseFriendly(addressStr);
+    if (isTestOnly && getTonNetwork() === TON_NETWORKS.MAINNET) {
+      throw new Error(`SERVER_WALLET_ADDRESS ${addressStr} is a testnet address but TON_NETWORK is mainnet`);
+    }
+    return address;
+  }
+  return Address.parse(addressStr);
+}
+
+/**
+ * The server wallet's mnemonic (SERVER_WALLET_MNEMONIC, per network)
+ * @returns {string}
+ */
+export function getServerWalletMnemonic() {
+  const mnemonic = getNetworkEnv('SERVER_WALLET_MNEMONIC');
+  if (!mnemonic) {
+    throw new Error('SERVER_WALLET_MNEMONIC not configured');
+  }
+  return mnemonic;
+}
+
+/**
+ * Create a TON client for the configured network; TON_API_ENDPOINT (per network) overrides the public endpoint
+ * @returns {Promise<TonClient>}
+ */
+export async function getTonClient() {
+  const endpoint = getNetworkEnv('TON_API_ENDPOINT') || await getHttpEndpoint({ network: getTonNetwork() });
+  return new TonClient({ endpoint, apiKey: getNetworkEnv('TON_API_KEY') });
+}
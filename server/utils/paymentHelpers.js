@@ -1,14 +1,22 @@
-import { Address, toNano } from '@ton/core';
+// USDT has 6 decimals
+export const USDT_DECIMALS = 6;
 
-// Calculate USDT amount from USD (USDT has 6 decimals)
-export const calculateUsdtAmount = (usdCents) => {
-  // Convert USD cents to USDT (multiply by 10,000 to get 6 decimal places)
-  return BigInt(usdCents * 10000);
+// Calculate a jetton amount from USD, in the jetton's smallest units
+// usdPerToken is the jetton's USD price (1 for stablecoins); the amount is rounded up so the buyer never underpays
+export const calculateJettonAmount = (usdCents, decimals = USDT_DECIMALS, usdPerToken = 1) => {
+  // Work in micro-dollars so fractional prices stay in integer math
+  const microUsd = BigInt(usdCents) * BigInt(10000);
+  const microUsdPerToken = BigInt(Math.round(usdPerToken * 1000000));
+  const unitsPerToken = BigInt(10) ** BigInt(decimals);
+  return (microUsd * unitsPerToken + microUsdPerToken - BigInt(1)) / microUsdPerToken;
 };
 
-// Calculate USD from USDT amount
-export const calculateUsdFromUsdt = (usdtAmount) => {
-  return Math.round((Number(usdtAmount) / 1000000) * 100) / 100;
+// Calculate USDT amount from USD
+export const calculateUsdtAmount = (usdCents) => calculateJettonAmount(usdCents, USDT_DECIMALS);
+
+// Calculate USD from a jetton amount
+export const calculateUsdFromJetton = (amount, decimals = USDT_DECIMALS, usdPerToken = 1) => {
+  return Math.round((Number(amount) / 10 ** decimals) * usdPerToken * 100) / 100;
 };
 
 // Parse price string (e.g., "100 USDT" or "100") to number
@@ -18,29 +26,26 @@ export const parsePrice = (priceString) => {
   return match ? parseFloat(match[1]) : 0;
 };
 
-// Gas fees for jetton transfer (in nanoTON)
-export const JETTON_TRANSFER_GAS_FEES = toNano('0.038');
-
-// USDT Master Contract Address (testnet) - already parsed as Address object
-export const USDT_MASTER_ADDRESS = Address.parse('EQCxE6mUtQJKFnGfaROTKOt1lZbDiiX1kCixRv7Nw2Id_sDs');
-
 /**
- * Creates a new invoice wallet for an order and stores it in the database
- * This function is called from CheckoutPage when user clicks Pay
+ * Creates a new invoice (escrow) wallet for an order and stores it in the database
+ * This function is called when the server creates an order, before the buyer pays
  * @param {string} orderId - The order ID
- * @param {string|null} userId - Optional user ID
+ * @param {string|null} userId - Optional user ID (the buyer)
+ * @param {string|null} itemId - Optional item/listing ID (used later by escrow release)
  * @returns {Promise<Address>} The address of the newly created wallet
  */
-export async function createInvoiceWalletForOrder(orderId, userId = null) {
+export async function createInvoiceWalletForOrder(orderId, userId = null, itemId = null) {
   const { createNewTonWallet } = await import('./walletUtils.js');
   const { storeWalletForOrder } = await import('../services/firestoreService.js');
   
   // Create new wallet
   const { mnemonic, address, walletAddress } = await createNewTonWallet();
   
-  // Store in database
-  await storeWalletForOrder(orderId, mnemonic, walletAddress, userId);
+  // Store in database - the buyer must never be given an address we cannot restore
+  const stored = await storeWalletForOrder(orderId, mnemonic, walletAddress, userId, itemId);
+  if (!stored) {
+    throw new Error(`Failed to store escrow wallet for order: ${orderId}`);
+  }
   
   return address;
 }
-
@@ -0,0 +1,152 @@
+import { createHash } from 'crypto';
+import { Address, Cell, contractAddress, loadStateInit } from '@ton/core';
+import { signVerify } from '@ton/crypto';
+import { WalletContractV3R1, WalletContractV3R2, WalletContractV4, WalletContractV5R1 } from '@ton/ton';
+import { httpError } from './httpError.js';
+
+// TON Connect ton_proof verification
+// https://docs.ton.org/v3/guidelines/ton-connect/verifying-signed-in-users
+
+const TON_PROOF_PREFIX = 'ton-proof-item-v2/';
+const TON_CONNECT_PREFIX = 'ton-connect';
+
+// Where the public key sits in the data of the wallets a proof's state init is accepted from
+const EMPTY_KEY = Buffer.alloc(32);
+const KNOWN_WALLETS = [
+  // seqno(32) subwallet_id(32) public_key(256)
+  { code: WalletContractV3R1.create({ workchain: 0, publicKey: EMPTY_KEY }).init.code, keyOffset: 64 },
+  { code: WalletContractV3R2.create({ workchain: 0, publicKey: EMPTY_KEY }).init.code, keyOffset: 64 },
+  { code: WalletContractV4.create({ workchain: 0, publicKey: EMPTY_KEY }).init.code, keyOffset: 64 },
+  // is_signature_allowed(1) seqno(32) wallet_id(32) public_key(256)
+  { code: WalletContractV5R1.create({ workchain: 0, publicKey: EMPTY_KEY }).init.code, keyOffset: 65 },
+];
+
+function sha256(data) {
+  return createHash('sha256').update(data).digest();
+}
+
+/**
+ * Read the public key from a wallet's state init, for wallets that are not deployed yet.
+ * The state init must be the one the address was derived from
+ * @param {Address} address - The wallet address
+ * @param {string} stateInit - Base64 BoC of the wallet's state init
+ * @returns {Buffer|null}
+ */
+function publicKeyFromStateInit(address, stateInit) {
+  const init = loadStateInit(Cell.fromBase64(stateInit).beginParse());
+  if (!init.code || !init.data || !contractAddress(address.workChain, init).equals(address)) {
+    return null;
+  }
+  const wallet = KNOWN_WALLETS.find(({ code }) => code.equals(init.code));
+  if (!wallet) {
+    return null;
+  }
+  const data = init.data.beginParse();
+  data.skip(wallet.keyOffset);
+  return data.loadBuffer(32);
+}
+
+/**
+ * Get a wallet's public key: from its get_public_key getter when deployed, otherwise from its state init
+ * @param {TonClient} tonClient - TON client instance
+ * @param {Address} address - The wallet address
+ * @param {string|null} stateInit - Base64 BoC of the wallet's state init
+ * @returns {Promise<Buffer|null>}
+ */
+async function getWalletPublicKey(tonClient, address, stateInit) {
+  try {
+    const { stack } = await tonClient.runMethod(address, 'get_public_key');
+    return Buffer.from(stack.readBigNumber().toString(16).padStart(64, '0'), 'hex');
+  } catch {
+    // Not deployed, or no getter
+  }
+  if (!stateInit) {
+    return null;
+  }
+  try {
+    return publicKeyFromStateInit(address, stateInit);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Build the hash a wallet signs for a ton_proof
+ * @param {Address} address - The wallet address
+ * @param {{timestamp: number, domain: {value: string}, payload: string}} proof
+ * @returns {Buffer}
+ */
+export function tonProofHash(address, proof) {
+  const workchain = Buffer.alloc(4);
+  workchain.writeInt32BE(address.workChain);
+  const domain = Buffer.from(proof.domain.value, 'utf8');
+  const domainLength = Buffer.alloc(4);
+  domainLength.writeUInt32LE(domain.length);
+  const timestamp = Buffer.alloc(8);
+  timestamp.writeBigUInt64LE(BigInt(proof.timestamp));
+
+  const message = Buffer.concat([
+    Buffer.from(TON_PROOF_PREFIX, 'utf8'),
+    workchain,
+    address.hash,
+    domainLength,
+    domain,
+    timestamp,
+    Buffer.from(proof.payload, 'utf8'),
+  ]);
+  return sha256(Buffer.concat([
+    Buffer.from([0xff, 0xff]),
+    Buffer.from(TON_CONNECT_PREFIX, 'utf8'),
+    sha256(message),
+  ]));
+}
+
+/**
+ * Verify a TON Connect ton_proof: the wallet at `address` signed `payload` for one of our domains, recently, on our chain.
+ * Errors carry statusCode 400
+ * @param {TonClient} tonClient - TON client instance
+ * @param {object} request - What the client got from TON Connect
+ * @param {string} request.address - wallet.account.address (raw form)
+ * @param {string} request.network - wallet.account.chain
+ * @param {string} [request.publicKey] - wallet.account.publicKey (hex), checked against the wallet's key when given
+ * @param {string} [request.stateInit] - wallet.account.walletStateInit, for wallets that are not deployed yet
+ * @param {object} request.proof - wallet.connectItems.tonProof.proof
+ * @param {object} expected
+ * @param {string} expected.chain - The TON Connect chain id of the configured network
+ * @param {string[]} expected.domains - Domains the app is served from
+ * @param {number} expected.maxAgeSeconds - How old a proof may be
+ * @returns {Promise<{address: Address, publicKey: Buffer}>}
+ */
+export async function verifyTonProof(tonClient, { address, network, publicKey, stateInit, proof }, { chain, domains, maxAgeSeconds }) {
+  if (!address || !proof || !proof.signature || !proof.domain || !proof.payload || !proof.timestamp) {
+    throw httpError('address and a ton_proof are required', 400);
+  }
+  let parsedAddress;
+  try {
+    parsedAddress = Address.parse(address);
+  } catch {
+    throw httpError(`Invalid address: ${address}`, 400);
+  }
+  if (network !== chain) {
+    throw httpError(`The wallet is on chain ${network}, not ${chain}`, 400);
+  }
+  if (!domains.includes(proof.domain.value)) {
+    throw httpError(`The proof was made for ${proof.domain.value}, not this app`, 400);
+  }
+  const age = Math.floor(Date.now() / 1000) - Number(proof.timestamp);
+  if (age > maxAgeSeconds || age < -60) {
+    throw httpError('The proof has expired; connect the wallet again', 400);
+  }
+
+  const walletPublicKey = await getWalletPublicKey(tonClient, parsedAddress, stateInit || null);
+  if (!walletPublicKey) {
+    throw httpError('Could not read the wallet\'s public key', 400);
+  }
+  if (publicKey && !walletPublicKey.equals(Buffer.from(publicKey, 'hex'))) {
+    throw httpError('The public key does not belong to the wallet', 400);
+  }
+  if (!signVerify(tonProofHash(parsedAddress, proof), Buffer.from(proof.signature, 'base64'), walletPublicKey)) {
+    throw httpError('The proof signature is invalid', 400);
+  }
+  return { address: parsedAddress, publicKey: walletPublicKey };
+}
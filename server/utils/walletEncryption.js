@@ -0,0 +1,102 @@
+import { createCipheriv, createDecipheriv, randomBytes } from 'crypto';
+
+// AES-256-GCM: authenticated, so a tampered or swapped record fails to decrypt instead of yielding a wrong mnemonic
+const ALGORITHM = 'aes-256-gcm';
+const KEY_BYTES = 32;
+const NONCE_BYTES = 12;
+
+/**
+ * Read the master keys from WALLET_ENCRYPTION_KEYS ("keyId:base64Key,..."); the first key encrypts,
+ * the others are kept to decrypt records sealed before a rotation
+ * @returns {{activeKeyId: string, keys: Map<string, Buffer>}}
+ */
+function loadKeys() {
+  const configured = process.env.WALLET_ENCRYPTION_KEYS;
+  if (!configured) {
+    throw new Error('WALLET_ENCRYPTION_KEYS not configured');
+  }
+
+  const keys = new Map();
+  for (const entry of configured.split(',').map(part => part.trim()).filter(Boolean)) {
+    const separator = entry.indexOf(':');
+    if (separator <= 0) {
+      throw new Error('WALLET_ENCRYPTION_KEYS entries must look like keyId:base64Key');
+    }
+    const keyId = entry.slice(0, separator);
+    const key = Buffer.from(entry.slice(separator + 1), 'base64');
+    if (key.length !== KEY_BYTES) {
+      throw new Error(`Wallet encryption key ${keyId} must be ${KEY_BYTES} bytes (base64 encoded)`);
+    }
+    keys.set(keyId, key);
+  }
+  if (keys.size === 0) {
+    throw new Error('WALLET_ENCRYPTION_KEYS has no keys');
+  }
+  return { activeKeyId: keys.keys().next().value, keys };
+}
+
+/**
+ * The id of the key new records are sealed with
+ * @returns {string}
+ */
+export function getActiveKeyId() {
+  return loadKeys().activeKeyId;
+}
+
+// Binds the ciphertext to its record, so a sealed mnemonic copied onto another order does not decrypt
+function associatedData(orderId, walletAddress) {
+  return Buffer.from(`${orderId}|${walletAddress}`, 'utf8');
+}
+
+/**
+ * Seal a wallet mnemonic with the active master key
+ * @param {string} mnemonic - Space-separated mnemonic words
+ * @param {string} orderId - The order the wallet belongs to
+ * @param {string} walletAddress - The wallet's address
+ * @returns {{algorithm: string, keyId: string, nonce: string, ciphertext: string, authTag: string}} Base64 fields, safe to store
+ */
+export function encryptMnemonic(mnemonic, orderId, walletAddress) {
+  const { activeKeyId, keys } = loadKeys();
+  const nonce = randomBytes(NONCE_BYTES);
+  const cipher = createCipheriv(ALGORITHM, keys.get(activeKeyId), nonce);
+  cipher.setAAD(associatedData(orderId, walletAddress));
+  const ciphertext = Buffer.concat([cipher.update(mnemonic, 'utf8'), cipher.final()]);
+
+  return {
+    algorithm: ALGORITHM,
+    keyId: activeKeyId,
+    nonce: nonce.toString('base64'),
+    ciphertext: ciphertext.toString('base64'),
+    authTag: cipher.getAuthTag().toString('base64'),
+  };
+}
+
+/**
+ * Open a sealed wallet mnemonic
+ * @param {object} sealed - Result of encryptMnemonic
+ * @param {string} orderId - The order the wallet belongs to
+ * @param {string} walletAddress - The wallet's address
+ * @returns {string} Space-separated mnemonic words
+ */
+export function decryptMnemonic(sealed, orderId, walletAddress) {
+  if (sealed.algorithm !== ALGORITHM) {
+    throw new Error(`Unsupported wallet encryption algorithm: ${sealed.algorithm}`);
+  }
+  const { keys } = loadKeys();
+  const key = keys.get(sealed.keyId);
+  if (!key) {
+    throw new Error(`Wallet encryption key ${sealed.keyId} is not configured`);
+  }
+
+  const decipher = createDecipheriv(ALGORITHM, key, Buffer.from(sealed.nonce, 'base64'));
+  decipher.setAAD(associatedData(orderId, walletAddress));
+  decipher.setAuthTag(Buffer.from(sealed.authTag, 'base64'));
+  try {
+    return Buffer.concat([
+      decipher.update(Buffer.from(sealed.ciphertext, 'base64')),
+      decipher.final(),
+    ]).toString('utf8');
+  } catch (error) {
+    throw new Error(`Could not decrypt wallet mnemonic for order ${orderId}: record was modified or belongs to another order`);
+  }
+}
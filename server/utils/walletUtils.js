@@ -1,6 +1,7 @@
 import { mnemonicNew, mnemonicToPrivateKey } from '@ton/crypto';
-import { WalletContractV5R1 } from '@ton/ton';
+import { WalletContractV5R1, JettonMaster } from '@ton/ton';
 import { Address } from '@ton/core';
+import { JettonWallet } from '../wrappers/JettonWallet.js';
 
 /**
  * Creates a new TON w5 wallet (WalletContractV5R1) with a 24-word mnemonic phrase
@@ -16,7 +17,7 @@ export async function createNewTonWallet() {
     const keyPair = await mnemonicToPrivateKey(mnemonic);
     
     // Create w5 wallet contract instance (supports jetton gas payments)
-    // w5 wallets can pay gas fees with jettons (USDT) instead of TON
+    // w5 wallets accept signed requests relayed by another wallet, so escrow payouts pay their gas in the jetton instead of TON
     const wallet = WalletContractV5R1.create({
       publicKey: keyPair.publicKey,
       workchain: 0,
@@ -61,7 +62,7 @@ export async function restoreWalletFromMnemonic(mnemonic) {
     const keyPair = await mnemonicToPrivateKey(mnemonicArray);
     
     // Create w5 wallet contract instance (supports jetton gas payments)
-    // w5 wallets can pay gas fees with jettons (USDT) instead of TON
+    // w5 wallets accept signed requests relayed by another wallet, so escrow payouts pay their gas in the jetton instead of TON
     const wallet = WalletContractV5R1.create({
       publicKey: keyPair.publicKey,
       workchain: 0,
@@ -81,3 +82,20 @@ export async function restoreWalletFromMnemonic(mnemonic) {
   }
 }
 
+/**
+ * A jetton balance of a wallet; 0 while its jetton wallet is not deployed
+ * @param {TonClient} tonClient - TON client instance
+ * @param {Address} ownerAddress - The wallet owning the jetton wallet
+ * @param {object} jetton - Jetton registry entry
+ * @returns {Promise<bigint>} Units
+ */
+export async function getJettonBalance(tonClient, ownerAddress, jetton) {
+  const jettonMaster = tonClient.open(JettonMaster.create(Address.parse(jetton.masterAddress)));
+  const jettonWalletAddress = await jettonMaster.getWalletAddress(ownerAddress);
+  const state = await tonClient.getContractState(jettonWalletAddress);
+  if (state.state !== 'active') {
+    return BigInt(0);
+  }
+  const jettonWallet = tonClient.open(JettonWallet.createFromAddress(jettonWalletAddress));
+  return (await jettonWallet.getWalletData()).balance;
+}
@@ -0,0 +1,149 @@
+import {
+  beginCell,
+  Cell,
+  contractAddress,
+  internal,
+  SendMode,
+  storeMessageRelaxed,
+  storeOutList,
+} from '@ton/core';
+import { sign } from '@ton/crypto';
+
+// Compiled code of the highload wallet v3 contract
+// https://github.com/ton-blockchain/highload-wallet-contract-v3/blob/5938d689c54e2c13a93de71b05995f96548c7d74/build/HighloadWalletV3.compiled.json
+const HIGHLOAD_WALLET_V3_CODE_HEX = 'b5ee9c7241021001000228000114ff00f4a413f4bcf2c80b01020120020d02014803040078d020d74bc00101c060b0915be101d0d3030171b0915be0fa4030f828c705b39130e0d31f018210ae42e5a4ba9d8040d721d74cf82a01ed55fb04e030020120050a02027306070011adce76a2686b85ffc00201200809001aabb6ed44d0810122d721d70b3f0018aa3bed44d08307d721d70b1f0201200b0c001bb9a6eed44d0810162d721d70b15800e5b8bf2eda2edfb21ab09028409b0ed44d0810120d721f404f404d33fd315d1058e1bf82325a15210b99f326df82305aa0015a112b992306dde923033e2923033e25230800df40f6fa19ed021d721d70a00955f037fdb31e09130e259800df40f6fa19cd001d721d70a00937fdb31e0915be270801f6f2d48308d718d121f900ed44d0d3ffd31ff404f404d33fd315d1f82321a15220b98e12336df82324aa00a112b9926d32de58f82301de541675f910f2a106d0d31fd4d307d30cd309d33fd315d15168baf2a2515abaf2a6f8232aa15250bcf2a304f823bbf2a35304800df40f6fa199d024d721d70a00f2649130e20e01fe5309800df40f6fa18e13d05004d718d20001f264c858cf16cf8301cf168e1030c824cf40cf8384095005a1a514cf40e2f800c94039800df41704c8cbff13cb1ff40012f40012cb3f12cb15c9ed54f80f21d0d30001f265d3020171b0925f03e0fa4001d70b01c000f2a5fa4031fa0031f401fa0031fa00318060d721d300010f0020f265d2000193d431d19130e272b1fb00b585bf03';
+
+const TIMESTAMP_BITS = 64;
+const TIMEOUT_BITS = 22;
+
+/**
+ * Highload wallet v3: instead of a seqno, every external message carries a query id the wallet remembers
+ * for its timeout, so any number of messages can be in flight at once. One message sends up to MAX_ACTIONS
+ * messages, by sending itself an internal_transfer carrying them as an action list.
+ * A query id is 13 bits of shift and 10 bits of bit number; bit number 1023 is reserved by the contract.
+ */
+export class HighloadWalletV3 {
+  static OPCODES = {
+    INTERNAL_TRANSFER: 0xae42e5a4,
+  };
+
+  static DEFAULT_SUBWALLET_ID = 0x10ad;
+  static MAX_ACTIONS = 254;
+  static MAX_SHIFT = 8191;
+  static MAX_BIT_NUMBER = 1022;
+  static BIT_NUMBER_BITS = 10;
+
+  constructor(address, init) {
+    this.address = address;
+    this.init = init;
+  }
+
+  static createFromAddress(address) {
+    return new HighloadWalletV3(address);
+  }
+
+  /**
+   * The wallet owned by a key. The subwallet id and timeout are part of its initial data, so changing either gives another address.
+   */
+  static createFromConfig({ publicKey, subwalletId = HighloadWalletV3.DEFAULT_SUBWALLET_ID, timeout }, workchain = 0) {
+    const init = {
+      code: Cell.fromBoc(Buffer.from(HIGHLOAD_WALLET_V3_CODE_HEX, 'hex'))[0],
+      data: beginCell()
+        .storeBuffer(publicKey)
+        .storeUint(subwalletId, 32)
+        .storeDict(null) // old queries
+        .storeDict(null) // queries
+        .storeUint(0, TIMESTAMP_BITS) // last clean time
+        .storeUint(timeout, TIMEOUT_BITS)
+        .endCell(),
+    };
+    const wallet = new HighloadWalletV3(contractAddress(workchain, init), init);
+    wallet.subwalletId = subwalletId;
+    wallet.timeout = timeout;
+    return wallet;
+  }
+
+  /**
+   * The query id that follows another: the bit number counts up to MAX_BIT_NUMBER, then the shift moves on.
+   * The shift wraps around before MAX_SHIFT, which is left for emergencies
+   */
+  static nextQueryId(queryId) {
+    const shift = queryId >> HighloadWalletV3.BIT_NUMBER_BITS;
+    const bitNumber = queryId & ((1 << HighloadWalletV3.BIT_NUMBER_BITS) - 1);
+    if (bitNumber < HighloadWalletV3.MAX_BIT_NUMBER) {
+      return (shift << HighloadWalletV3.BIT_NUMBER_BITS) | (bitNumber + 1);
+    }
+    return ((shift + 1) % HighloadWalletV3.MAX_SHIFT) << HighloadWalletV3.BIT_NUMBER_BITS;
+  }
+
+  /**
+   * Builds the message the wallet sends itself to send a batch; each entry is { message: MessageRelaxed, mode }.
+   * Without a value it carries the wallet's remaining balance, which comes straight back to it.
+   */
+  createBatchMessage(queryId, messages, value = BigInt(0)) {
+    if (messages.length === 0 || messages.length > HighloadWalletV3.MAX_ACTIONS) {
+      throw new Error(`A batch sends 1 to ${HighloadWalletV3.MAX_ACTIONS} messages, got ${messages.length}`);
+    }
+    const actions = messages.map(({ message, mode }) => ({ type: 'sendMsg', mode, outMsg: message }));
+    return {
+      message: internal({
+        to: this.address,
+        value,
+        body: beginCell()
+          .storeUint(HighloadWalletV3.OPCODES.INTERNAL_TRANSFER, 32)
+          .storeUint(queryId, 64)
+          .storeRef(beginCell().store(storeOutList(actions)).endCell())
+          .endCell(),
+      }),
+      mode: value > BigInt(0) ? SendMode.PAY_GAS_SEPARATELY : SendMode.CARRY_ALL_REMAINING_BALANCE,
+    };
+  }
+
+  /**
+   * Builds the signed body of an external message sending one message; valid from createdAt for the wallet's timeout
+   */
+  createExternalBody(secretKey, { message, mode, queryId, createdAt }) {
+    const signingMessage = beginCell()
+      .storeUint(this.subwalletId, 32)
+      .storeRef(beginCell().store(storeMessageRelaxed(message)).endCell())
+      .storeUint(mode, 8)
+      .storeUint(queryId, 23)
+      .storeUint(createdAt, TIMESTAMP_BITS)
+      .storeUint(this.timeout, TIMEOUT_BITS)
+      .endCell();
+    return beginCell()
+      .storeBuffer(sign(signingMessage.hash(), secretKey))
+      .storeRef(signingMessage)
+      .endCell();
+  }
+
+  async sendExternal(provider, secretKey, opts) {
+    await provider.external(this.createExternalBody(secretKey, opts));
+  }
+
+  /**
+   * Whether the wallet has processed a query id (within its timeout)
+   */
+  async getProcessed(provider, queryId, needClean = false) {
+    const { stack } = await provider.get('processed?', [
+      { type: 'int', value: BigInt(queryId) },
+      { type: 'int', value: needClean ? BigInt(-1) : BigInt(0) },
+    ]);
+    return stack.readBoolean();
+  }
+
+  async getTimeout(provider) {
+    const { stack } = await provider.get('get_timeout', []);
+    return stack.readNumber();
+  }
+
+  async getSubwalletId(provider) {
+    const { stack } = await provider.get('get_subwallet_id', []);
+    return stack.readNumber();
+  }
+
+  async getLastCleanTime(provider) {
+    const { stack } = await provider.get('get_last_clean_time', []);
+    return stack.readNumber();
+  }
+}
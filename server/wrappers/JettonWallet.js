@@ -14,16 +14,16 @@ export class JettonWallet {
   }
 
   /**
-   * Sends message of jetton transfer to jetton wallet.
+   * Builds the body of a jetton transfer message; excesses go to responseAddress.
    */
-  async sendTransfer(provider, via, opts) {
+  static createTransferBody(responseAddress, opts) {
     // constructing payload for jetton transfer
     const builder = beginCell()
       .storeUint(JettonWallet.OPCODES.TRANSFER, 32) // opcode for transfer
       .storeUint(opts.queryId ?? 0, 64)
       .storeCoins(opts.jettonAmount) // jetton amount to transfer
       .storeAddress(opts.toAddress) // jetton destination address
-      .storeAddress(via.address) // excesses address
+      .storeAddress(responseAddress) // excesses address
       .storeUint(0, 1) // custom payload
       .storeCoins(opts.fwdAmount); // notifications ton amount
 
@@ -49,11 +49,18 @@ export class JettonWallet {
       }
     }
 
+    return builder.endCell();
+  }
+
+  /**
+   * Sends message of jetton transfer to jetton wallet.
+   */
+  async sendTransfer(provider, via, opts) {
     // provider often obtained via client.open(contract) method
     await provider.internal(via, {
       value: opts.value, // value to pay gas
       sendMode: SendMode.PAY_GAS_SEPARATELY,
-      body: builder.endCell(),
+      body: JettonWallet.createTransferBody(via.address, opts),
     });
   }
 
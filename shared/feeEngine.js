@@ -0,0 +1,163 @@
+// Fee engine shared by the client (checkout display) and the server (order pricing and payout splitting)
+// Plain ES module with no dependencies so both builds can import it
+// All amounts are integer USD cents
+
+// Categories a listing can be filed under (the fee schedule can set a rate per category)
+export const LISTING_CATEGORIES = [
+  { id: 'general', label: 'General' },
+  { id: 'electronics', label: 'Electronics' },
+  { id: 'fashion', label: 'Fashion' },
+  { id: 'collectibles', label: 'Collectibles' },
+  { id: 'digital', label: 'Digital goods' },
+  { id: 'services', label: 'Services' },
+];
+
+export const DEFAULT_CATEGORY = 'general';
+
+/**
+ * Default schedule: the buyer pays a 5% service fee on top of the price and the seller receives the full price.
+ * Overrides (categories, sellerTiers) may set any of buyerFeePercentage, sellerFeePercentage,
+ * minimumBuyerFeeCents and minimumSellerFeeCents.
+ * promotions: [{ name, startsAt, endsAt, categories?, sellerTiers? }] - ISO dates; matching orders pay no platform fees
+ */
+export const DEFAULT_FEE_SCHEDULE = {
+  buyerFeePercentage: 5,
+  sellerFeePercentage: 0,
+  minimumBuyerFeeCents: 0,
+  minimumSellerFeeCents: 0,
+  // Charged to the buyer on top of the price to cover on-chain payout gas (not waived by promotions)
+  networkFeeCents: 0,
+  categories: {},
+  sellerTiers: {},
+  promotions: [],
+};
+
+const RATE_FIELDS = ['buyerFeePercentage', 'sellerFeePercentage', 'minimumBuyerFeeCents', 'minimumSellerFeeCents'];
+
+function percentOf(cents, percentage) {
+  return Math.round((cents * percentage) / 100);
+}
+
+function pickRates(source) {
+  const rates = {};
+  for (const field of RATE_FIELDS) {
+    if (typeof source?.[field] === 'number') {
+      rates[field] = source[field];
+    }
+  }
+  return rates;
+}
+
+/**
+ * Find the promotion running at a given time for a category and seller tier
+ * @param {object} schedule - Fee schedule
+ * @param {{category: string, sellerTier: string|null, at: number}} context - at is a timestamp in ms
+ * @returns {object|null} The promotion, or null
+ */
+export function getActivePromotion(schedule, { category, sellerTier, at }) {
+  return (schedule.promotions || []).find((promotion) => {
+    const startsAt = promotion.startsAt ? Date.parse(promotion.startsAt) : -Infinity;
+    const endsAt = promotion.endsAt ? Date.parse(promotion.endsAt) : Infinity;
+    if (at < startsAt || at >= endsAt) {
+      return false;
+    }
+    if (promotion.categories?.length && !promotion.categories.includes(category)) {
+      return false;
+    }
+    if (promotion.sellerTiers?.length && !promotion.sellerTiers.includes(sellerTier)) {
+      return false;
+    }
+    return true;
+  }) || null;
+}
+
+/**
+ * Quote the fees for an item. Rates come from the default, then the item's category, then the seller's tier
+ * (later ones win), minimums are applied, and a running promotion waives the platform fees
+ * @param {object} schedule - Fee schedule (see DEFAULT_FEE_SCHEDULE)
+ * @param {{priceCents: number, category?: string, sellerTier?: string|null, at?: number}} item - The item being bought
+ * @returns {{itemPriceCents: number, buyerFeeCents: number, sellerFeeCents: number, networkFeeCents: number, totalCents: number, sellerPayoutCents: number, platformFeeCents: number, buyerFeePercentage: number, sellerFeePercentage: number, category: string, sellerTier: string|null, promotion: string|null}}
+ */
+export function quoteFees(schedule, { priceCents, category = DEFAULT_CATEGORY, sellerTier = null, at = Date.now() }) {
+  if (!Number.isInteger(priceCents) || priceCents <= 0) {
+    throw new Error(`Invalid item price: ${priceCents} cents`);
+  }
+  const fullSchedule = { ...DEFAULT_FEE_SCHEDULE, ...schedule };
+  const rates = {
+    ...pickRates(fullSchedule),
+    ...pickRates(fullSchedule.categories?.[category]),
+    ...pickRates(sellerTier ? fullSchedule.sellerTiers?.[sellerTier] : null),
+  };
+  const promotion = getActivePromotion(fullSchedule, { category, sellerTier, at });
+
+  let buyerFeeCents = 0;
+  let sellerFeeCents = 0;
+  if (!promotion) {
+    buyerFeeCents = percentOf(priceCents, rates.buyerFeePercentage);
+    if (rates.buyerFeePercentage > 0) {
+      buyerFeeCents = Math.max(buyerFeeCents, rates.minimumBuyerFeeCents);
+    }
+    sellerFeeCents = percentOf(priceCents, rates.sellerFeePercentage);
+    if (rates.sellerFeePercentage > 0) {
+      sellerFeeCents = Math.max(sellerFeeCents, rates.minimumSellerFeeCents);
+    }
+    // The seller can never owe more than the item price
+    sellerFeeCents = Math.min(sellerFeeCents, priceCents);
+  }
+  const networkFeeCents = Math.max(0, Math.round(fullSchedule.networkFeeCents || 0));
+
+  return {
+    itemPriceCents: priceCents,
+    buyerFeeCents,
+    sellerFeeCents,
+    networkFeeCents,
+    // What the buyer pays
+    totalCents: priceCents + buyerFeeCents + networkFeeCents,
+    // What the seller receives
+    sellerPayoutCents: priceCents - sellerFeeCents,
+    // What the platform keeps (the network fee pays for payout gas)
+    platformFeeCents: buyerFeeCents + sellerFeeCents + networkFeeCents,
+    buyerFeePercentage: promotion ? 0 : rates.buyerFeePercentage,
+    sellerFeePercentage: promotion ? 0 : rates.sellerFeePercentage,
+    category,
+    sellerTier,
+    promotion: promotion ? (promotion.name || 'Promotion') : null,
+  };
+}
+
+/**
+ * Quote for an order created before the fee engine: the buyer paid the stored fee on top of the price
+ * and the seller is owed the full price
+ * @param {{priceCents: number, feeCents: number}} order - The order's stored pricing
+ * @returns {object} A quote with the same fields as quoteFees
+ */
+export function legacyOrderQuote({ priceCents, feeCents }) {
+  return {
+    itemPriceCents: priceCents,
+    buyerFeeCents: feeCents,
+    sellerFeeCents: 0,
+    networkFeeCents: 0,
+    totalCents: priceCents + feeCents,
+    sellerPayoutCents: priceCents,
+    platformFeeCents: feeCents,
+    buyerFeePercentage: priceCents > 0 ? Math.round((feeCents * 10000) / priceCents) / 100 : 0,
+    sellerFeePercentage: 0,
+    category: DEFAULT_CATEGORY,
+    sellerTier: null,
+    promotion: null,
+  };
+}
+
+/**
+ * Convert cents of an order's quote into the order's currency, pro rata against the total the buyer was quoted
+ * (in TON or the order's jetton). Rounds down, so the parts of a quote never add up to more than was paid
+ * @param {{totalAmount: string|bigint, totalCents: number}} order - The order's quoted total in its currency and in cents
+ * @param {number} cents - USD cents
+ * @returns {bigint} Jetton units, or nanoTON for TON orders
+ */
+export function toOrderAmount({ totalAmount, totalCents }, cents) {
+  if (!Number.isInteger(totalCents) || totalCents <= 0) {
+    throw new Error(`Invalid order total: ${totalCents} cents`);
+  }
+  return (BigInt(totalAmount) * BigInt(cents)) / BigInt(totalCents);
+}
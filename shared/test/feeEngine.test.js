@@ -0,0 +1,120 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_FEE_SCHEDULE, quoteFees, legacyOrderQuote, toOrderAmount } from '../feeEngine.js';
+
+const AT = Date.parse('2026-06-15T12:00:00Z');
+
+describe('quoteFees', () => {
+  it('charges the default buyer fee on top of the price', () => {
+    const quote = quoteFees(DEFAULT_FEE_SCHEDULE, { priceCents: 10000, at: AT });
+    assert.equal(quote.buyerFeeCents, 500);
+    assert.equal(quote.sellerFeeCents, 0);
+    assert.equal(quote.totalCents, 10500);
+    assert.equal(quote.sellerPayoutCents, 10000);
+    assert.equal(quote.platformFeeCents, 500);
+    assert.equal(quote.promotion, null);
+  });
+
+  it('rounds percentage fees to the nearest cent', () => {
+    assert.equal(quoteFees(DEFAULT_FEE_SCHEDULE, { priceCents: 1999, at: AT }).buyerFeeCents, 100);
+    assert.equal(quoteFees(DEFAULT_FEE_SCHEDULE, { priceCents: 1989, at: AT }).buyerFeeCents, 99);
+  });
+
+  it('applies the category, then the seller tier', () => {
+    const schedule = {
+      categories: { digital: { buyerFeePercentage: 3, sellerFeePercentage: 2 } },
+      sellerTiers: { pro: { sellerFeePercentage: 0 } },
+    };
+    const category = quoteFees(schedule, { priceCents: 10000, category: 'digital', at: AT });
+    assert.equal(category.buyerFeeCents, 300);
+    assert.equal(category.sellerFeeCents, 200);
+
+    const pro = quoteFees(schedule, { priceCents: 10000, category: 'digital', sellerTier: 'pro', at: AT });
+    assert.equal(pro.buyerFeeCents, 300);
+    assert.equal(pro.sellerFeeCents, 0);
+    assert.equal(pro.sellerFeePercentage, 0);
+  });
+
+  it('raises fees to their minimums only when a percentage is charged', () => {
+    const schedule = { buyerFeePercentage: 3, minimumBuyerFeeCents: 50, minimumSellerFeeCents: 25 };
+    const quote = quoteFees(schedule, { priceCents: 1000, at: AT });
+    assert.equal(quote.buyerFeeCents, 50);
+    // No seller percentage, so no seller minimum
+    assert.equal(quote.sellerFeeCents, 0);
+  });
+
+  it('never charges the seller more than the price', () => {
+    const schedule = { sellerFeePercentage: 10, minimumSellerFeeCents: 5000 };
+    const quote = quoteFees(schedule, { priceCents: 1000, at: AT });
+    assert.equal(quote.sellerFeeCents, 1000);
+    assert.equal(quote.sellerPayoutCents, 0);
+  });
+
+  it('waives platform fees during a matching promotion but keeps the network fee', () => {
+    const schedule = {
+      sellerFeePercentage: 2,
+      networkFeeCents: 30,
+      promotions: [{ name: 'Launch week', startsAt: '2026-06-15T00:00:00Z', endsAt: '2026-06-16T00:00:00Z', categories: ['fashion'] }],
+    };
+    const quote = quoteFees(schedule, { priceCents: 10000, category: 'fashion', at: AT });
+    assert.equal(quote.promotion, 'Launch week');
+    assert.equal(quote.buyerFeeCents, 0);
+    assert.equal(quote.sellerFeeCents, 0);
+    assert.equal(quote.buyerFeePercentage, 0);
+    assert.equal(quote.networkFeeCents, 30);
+    assert.equal(quote.totalCents, 10030);
+    assert.equal(quote.platformFeeCents, 30);
+
+    // Other categories, and the promotion's end (exclusive), pay the usual fees
+    assert.equal(quoteFees(schedule, { priceCents: 10000, category: 'electronics', at: AT }).promotion, null);
+    const ended = quoteFees(schedule, { priceCents: 10000, category: 'fashion', at: Date.parse('2026-06-16T00:00:00Z') });
+    assert.equal(ended.promotion, null);
+    assert.equal(ended.buyerFeeCents, 500);
+  });
+
+  it('rejects prices that are not a positive number of cents', () => {
+    assert.throws(() => quoteFees(DEFAULT_FEE_SCHEDULE, { priceCents: 0 }));
+    assert.throws(() => quoteFees(DEFAULT_FEE_SCHEDULE, { priceCents: 10.5 }));
+  });
+});
+
+describe('legacyOrderQuote', () => {
+  it('treats the stored fee as a buyer fee and owes the seller the full price', () => {
+    const quote = legacyOrderQuote({ priceCents: 2000, feeCents: 100 });
+    assert.equal(quote.totalCents, 2100);
+    assert.equal(quote.sellerPayoutCents, 2000);
+    assert.equal(quote.platformFeeCents, 100);
+    assert.equal(quote.buyerFeePercentage, 5);
+    assert.equal(quote.sellerFeeCents, 0);
+  });
+
+  it('has the same fields as quoteFees', () => {
+    const quote = quoteFees(DEFAULT_FEE_SCHEDULE, { priceCents: 2000, at: AT });
+    assert.deepEqual(Object.keys(legacyOrderQuote({ priceCents: 2000, feeCents: 100 })).sort(), Object.keys(quote).sort());
+  });
+});
+
+describe('toOrderAmount', () => {
+  it('converts cents pro rata against the quoted total', () => {
+    // 105.00 USD quoted as 105 USDT (6 decimals)
+    const order = { totalAmount: '105000000', totalCents: 10500 };
+    assert.equal(toOrderAmount(order, 10000), 100000000n);
+    assert.equal(toOrderAmount(order, 500), 5000000n);
+    assert.equal(toOrderAmount(order, 10500), 105000000n);
+  });
+
+  it('rounds down so the payout split never exceeds what the buyer paid', () => {
+    const quote = quoteFees({ sellerFeePercentage: 2, networkFeeCents: 7 }, { priceCents: 9999, at: AT });
+    // A TON order quoted at an uneven rate
+    const order = { totalAmount: '3333333333', totalCents: quote.totalCents };
+    const sellerAmount = toOrderAmount(order, quote.sellerPayoutCents);
+    const platformAmount = toOrderAmount(order, quote.platformFeeCents);
+    assert.equal(quote.sellerPayoutCents + quote.platformFeeCents, quote.totalCents);
+    assert.ok(sellerAmount + platformAmount <= BigInt(order.totalAmount));
+    assert.ok(BigInt(order.totalAmount) - (sellerAmount + platformAmount) < 2n);
+  });
+
+  it('rejects an order without a total in cents', () => {
+    assert.throws(() => toOrderAmount({ totalAmount: '1000', totalCents: 0 }, 100));
+  });
+});